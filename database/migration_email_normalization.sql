@@ -0,0 +1,32 @@
+-- Migration for email normalization and duplicate-account merging
+-- Emails are now stored trimmed and lowercased and looked up
+-- case-insensitively. Existing addresses are normalized unless that would
+-- collide with another account; those pairs show up in
+-- GET /api/admin/users/duplicates and can be merged. Merged accounts are
+-- soft deleted and point at the account they were merged into.
+
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS merged_into INTEGER REFERENCES users(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS merged_at TIMESTAMP;
+
+UPDATE users u
+SET email = LOWER(TRIM(u.email))
+WHERE u.email <> LOWER(TRIM(u.email))
+  AND NOT EXISTS (
+    SELECT 1 FROM users other
+    WHERE other.id <> u.id AND LOWER(TRIM(other.email)) = LOWER(TRIM(u.email))
+  );
+
+-- One active account per address. Skipped while case-variant duplicates are
+-- still active: merge them, then run this migration again.
+DO $$
+BEGIN
+    IF EXISTS (
+        SELECT 1 FROM users WHERE deleted_at IS NULL
+        GROUP BY LOWER(email) HAVING COUNT(*) > 1
+    ) THEN
+        RAISE NOTICE 'Active accounts with case-variant duplicate emails remain; merge them and re-run to add idx_users_email_active_unique';
+    ELSE
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_users_email_active_unique ON users(LOWER(email)) WHERE deleted_at IS NULL;
+    END IF;
+END $$;
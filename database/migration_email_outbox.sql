@@ -0,0 +1,68 @@
+-- Migration for the persistent email outbox
+-- Outgoing mail is queued here and delivered by the outbox worker, which
+-- retries failures with exponential backoff. Every attempt is logged.
+
+CREATE TABLE IF NOT EXISTS email_outbox (
+    id SERIAL PRIMARY KEY,
+    recipient VARCHAR(255) NOT NULL,
+    template VARCHAR(100) NOT NULL,
+    language VARCHAR(10) NOT NULL DEFAULT 'en',
+    subject VARCHAR(500),
+    data JSONB NOT NULL DEFAULT '{}',
+    status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'sending', 'sent', 'failed')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    max_attempts INTEGER NOT NULL DEFAULT 5,
+    next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    locked_at TIMESTAMP,
+    last_error TEXT,
+    provider_message_id VARCHAR(255),
+    sent_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Templates carrying a one-time code or login link set secret_expires_at;
+-- their data is cleared once sent, failed or past that time
+ALTER TABLE email_outbox
+ADD COLUMN IF NOT EXISTS secret_expires_at TIMESTAMP;
+
+-- Rows queued before the column existed count as expired already
+UPDATE email_outbox SET secret_expires_at = created_at
+WHERE template IN ('signup-otp', 'login-otp', 'magic-link', 'invitation') AND secret_expires_at IS NULL;
+
+UPDATE email_outbox SET data = '{}'
+WHERE secret_expires_at IS NOT NULL AND status IN ('sent', 'failed') AND data <> '{}';
+
+CREATE INDEX IF NOT EXISTS idx_email_outbox_secret_expires_at ON email_outbox(secret_expires_at) WHERE secret_expires_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_email_outbox_due ON email_outbox(next_attempt_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_email_outbox_status ON email_outbox(status);
+CREATE INDEX IF NOT EXISTS idx_email_outbox_recipient ON email_outbox(recipient);
+CREATE INDEX IF NOT EXISTS idx_email_outbox_created_at ON email_outbox(created_at);
+
+CREATE TABLE IF NOT EXISTS email_delivery_attempts (
+    id SERIAL PRIMARY KEY,
+    outbox_id INTEGER NOT NULL REFERENCES email_outbox(id) ON DELETE CASCADE,
+    attempt INTEGER NOT NULL,
+    status VARCHAR(20) NOT NULL CHECK (status IN ('sent', 'failed')),
+    error TEXT,
+    provider_message_id VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_email_delivery_attempts_outbox_id ON email_delivery_attempts(outbox_id);
+
+-- Keep updated_at current
+CREATE OR REPLACE FUNCTION update_updated_at_column()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = CURRENT_TIMESTAMP;
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS update_email_outbox_updated_at ON email_outbox;
+CREATE TRIGGER update_email_outbox_updated_at
+    BEFORE UPDATE ON email_outbox
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,14 @@
+-- Migration for admin impersonation
+-- An impersonation session belongs to the impersonated user but records the
+-- admin who started it. It has no usable refresh token and a short expiry.
+-- Audit entries made from such a session name the admin as well.
+
+ALTER TABLE user_sessions
+ADD COLUMN IF NOT EXISTS impersonated_by INTEGER REFERENCES users(id) ON DELETE CASCADE;
+
+CREATE INDEX IF NOT EXISTS idx_user_sessions_impersonated_by ON user_sessions(impersonated_by) WHERE impersonated_by IS NOT NULL;
+
+ALTER TABLE audit_log
+ADD COLUMN IF NOT EXISTS impersonated_by INTEGER;
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_impersonated_by ON audit_log(impersonated_by) WHERE impersonated_by IS NOT NULL;
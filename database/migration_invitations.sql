@@ -0,0 +1,28 @@
+-- Migration for admin invitations
+-- Admins invite people by email with a pre-assigned role. The emailed link
+-- carries a signed token whose id is kept in token_id; resending issues a new
+-- token, so only the latest link works. Accepting creates the account.
+
+CREATE TABLE IF NOT EXISTS user_invitations (
+    id SERIAL PRIMARY KEY,
+    email VARCHAR(100) NOT NULL,
+    name VARCHAR(100),
+    role VARCHAR(20) NOT NULL DEFAULT 'learner',
+    language VARCHAR(5),
+    organization_id INTEGER REFERENCES organizations(id) ON DELETE SET NULL,
+    token_id VARCHAR(64) NOT NULL,
+    invited_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    expires_at TIMESTAMP NOT NULL,
+    send_count INTEGER NOT NULL DEFAULT 1,
+    last_sent_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    accepted_at TIMESTAMP,
+    accepted_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    revoked_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- At most one open invitation per address
+CREATE UNIQUE INDEX IF NOT EXISTS idx_user_invitations_open_email
+    ON user_invitations(LOWER(email)) WHERE accepted_at IS NULL AND revoked_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_user_invitations_created_at ON user_invitations(created_at DESC);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_user_invitations_token_id ON user_invitations(token_id);
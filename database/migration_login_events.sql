@@ -0,0 +1,24 @@
+-- Migration for login history
+-- One row per login attempt. user_id is empty when the email did not match an
+-- account. device_fingerprint and ip_range are coarse identifiers used to spot
+-- logins from a device or network the account has not used before; such
+-- logins are flagged as unfamiliar and trigger an alert email.
+
+CREATE TABLE IF NOT EXISTS login_events (
+    id BIGSERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    email VARCHAR(255),
+    method VARCHAR(30) NOT NULL,
+    success BOOLEAN NOT NULL,
+    failure_reason VARCHAR(100),
+    ip_address VARCHAR(64),
+    ip_range VARCHAR(64),
+    user_agent TEXT,
+    device_fingerprint VARCHAR(64),
+    unfamiliar BOOLEAN NOT NULL DEFAULT false,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_login_events_user_created ON login_events(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_login_events_user_fingerprint ON login_events(user_id, device_fingerprint) WHERE success;
+CREATE INDEX IF NOT EXISTS idx_login_events_user_ip_range ON login_events(user_id, ip_range) WHERE success;
@@ -0,0 +1,15 @@
+-- Migration for passwordless magic-link login
+-- Each emailed link carries a signed JWT whose jti is recorded here so the
+-- link can be used only once.
+
+CREATE TABLE IF NOT EXISTS magic_link_tokens (
+    id VARCHAR(64) PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    expires_at TIMESTAMP NOT NULL,
+    consumed_at TIMESTAMP,
+    requested_ip VARCHAR(64),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_magic_link_tokens_user_id ON magic_link_tokens(user_id);
+CREATE INDEX IF NOT EXISTS idx_magic_link_tokens_expires_at ON magic_link_tokens(expires_at);
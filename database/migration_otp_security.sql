@@ -0,0 +1,26 @@
+-- Migration to harden OTP verification
+-- OTPs are stored as salted scrypt hashes with a per-code attempt counter,
+-- and failed verifications are throttled per email and per IP.
+
+-- Plaintext codes cannot be converted; outstanding ones simply expire
+DELETE FROM otp_verifications;
+
+ALTER TABLE otp_verifications
+DROP COLUMN IF EXISTS otp,
+ADD COLUMN IF NOT EXISTS otp_hash VARCHAR(128) NOT NULL,
+ADD COLUMN IF NOT EXISTS otp_salt VARCHAR(64) NOT NULL,
+ADD COLUMN IF NOT EXISTS attempts INTEGER NOT NULL DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS idx_otp_verifications_user_id ON otp_verifications(user_id);
+
+-- Failed-attempt counters and lockouts, keyed by 'email:<address>' or 'ip:<address>'
+CREATE TABLE IF NOT EXISTS auth_throttles (
+    throttle_key VARCHAR(255) PRIMARY KEY,
+    failure_count INTEGER NOT NULL DEFAULT 0,
+    lockout_count INTEGER NOT NULL DEFAULT 0,
+    first_failure_at TIMESTAMP,
+    last_failure_at TIMESTAMP,
+    locked_until TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_auth_throttles_locked_until ON auth_throttles(locked_until);
@@ -0,0 +1,36 @@
+-- Migration for GDPR data export and account deletion
+-- user_consents records which version of the terms and privacy policy a user
+-- accepted; privacy_requests tracks export and deletion requests. Deletion
+-- requests outlive the account (user_id is cleared) as a record of erasure.
+
+CREATE TABLE IF NOT EXISTS user_consents (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    document_type VARCHAR(30) NOT NULL CHECK (document_type IN ('terms_conditions', 'privacy_policy')),
+    document_id INTEGER NOT NULL,
+    document_version VARCHAR(50) NOT NULL,
+    ip_address VARCHAR(64),
+    user_agent TEXT,
+    accepted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_consents_user_id ON user_consents(user_id);
+
+CREATE TABLE IF NOT EXISTS privacy_requests (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    type VARCHAR(20) NOT NULL CHECK (type IN ('export', 'deletion')),
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'completed', 'cancelled')),
+    ip_address VARCHAR(64),
+    requested_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    scheduled_for TIMESTAMP,
+    completed_at TIMESTAMP,
+    cancelled_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_privacy_requests_user_id ON privacy_requests(user_id);
+CREATE INDEX IF NOT EXISTS idx_privacy_requests_due ON privacy_requests(scheduled_for) WHERE status = 'pending';
+
+-- At most one deletion can be pending per user
+CREATE UNIQUE INDEX IF NOT EXISTS idx_privacy_requests_pending_deletion
+    ON privacy_requests(user_id) WHERE type = 'deletion' AND status = 'pending';
@@ -0,0 +1,10 @@
+-- Migration for search autocomplete
+-- Trigram indexes let /api/search/suggest match topic titles and category
+-- and subcategory names by similarity, so typos and partial words still find
+-- them. Tags live in topics.tags and are matched without an index.
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+CREATE INDEX IF NOT EXISTS idx_topics_title_trgm ON topics USING GIN(title gin_trgm_ops) WHERE status = 'published';
+CREATE INDEX IF NOT EXISTS idx_category_name_trgm ON category USING GIN(name gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_subcategory_name_trgm ON subcategory USING GIN(name gin_trgm_ops);
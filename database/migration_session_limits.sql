@@ -0,0 +1,9 @@
+-- Migration for per-account concurrent session limits
+-- max_sessions overrides MAX_SESSIONS_PER_USER for one account: NULL uses
+-- the default, 0 means unlimited. When a login would go over the limit the
+-- least recently used sessions are revoked.
+
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS max_sessions INTEGER CHECK (max_sessions >= 0);
+
+CREATE INDEX IF NOT EXISTS idx_user_sessions_last_used ON user_sessions(user_id, last_used_at DESC) WHERE revoked_at IS NULL;
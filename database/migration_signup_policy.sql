@@ -0,0 +1,12 @@
+-- Migration for signup policies
+-- Accounts created while SIGNUP_REQUIRES_APPROVAL is on start as 'pending'
+-- and cannot get a session until an admin approves them. Existing accounts
+-- are approved.
+
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS approval_status VARCHAR(20) NOT NULL DEFAULT 'approved'
+    CHECK (approval_status IN ('pending', 'approved')),
+ADD COLUMN IF NOT EXISTS approved_at TIMESTAMP,
+ADD COLUMN IF NOT EXISTS approved_by INTEGER REFERENCES users(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_users_pending_approval ON users(created_at) WHERE approval_status = 'pending';
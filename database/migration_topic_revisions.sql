@@ -0,0 +1,19 @@
+-- Migration for topic revision history
+-- Each save of a topic stores a snapshot of the whole topic tree: the topic's
+-- editable columns plus its modules and their videos. Revisions are numbered
+-- per topic from 1. A revision restored into a new draft topic records the
+-- revision it came from.
+
+CREATE TABLE IF NOT EXISTS topic_revisions (
+    id SERIAL PRIMARY KEY,
+    topic_id INTEGER NOT NULL REFERENCES topics(id) ON DELETE CASCADE,
+    revision_number INTEGER NOT NULL,
+    action VARCHAR(20) NOT NULL CHECK (action IN ('baseline', 'create', 'update', 'restore')),
+    snapshot JSONB NOT NULL,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    restored_from_revision_id INTEGER REFERENCES topic_revisions(id) ON DELETE SET NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (topic_id, revision_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_topic_revisions_created_by ON topic_revisions(created_by);
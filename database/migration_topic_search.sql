@@ -0,0 +1,93 @@
+-- Migration for full-text topic search
+-- topics.search_vector holds a weighted tsvector of everything a learner
+-- might search for:
+--   A  title
+--   B  tags
+--   C  description, module titles and descriptions, video titles
+--   D  content and video transcripts
+-- Triggers keep it current when a topic or any of its modules or videos
+-- change. Inactive modules and videos are left out.
+
+ALTER TABLE topics
+ADD COLUMN IF NOT EXISTS search_vector tsvector;
+
+CREATE OR REPLACE FUNCTION build_topic_search_vector(
+    p_topic_id INTEGER, p_title TEXT, p_tags JSONB, p_description TEXT, p_content TEXT
+)
+RETURNS tsvector AS $$
+    SELECT
+        setweight(to_tsvector('english', COALESCE(p_title, '')), 'A') ||
+        setweight(to_tsvector('english', COALESCE((
+            SELECT string_agg(tag, ' ')
+            FROM jsonb_array_elements_text(CASE WHEN jsonb_typeof(p_tags) = 'array' THEN p_tags ELSE '[]'::jsonb END) AS tag
+        ), '')), 'B') ||
+        setweight(to_tsvector('english', concat_ws(' ',
+            p_description,
+            (SELECT string_agg(concat_ws(' ', title, description), ' ')
+             FROM topic_modules WHERE topic_id = p_topic_id AND is_active IS NOT FALSE),
+            (SELECT string_agg(title, ' ')
+             FROM topic_videos WHERE topic_id = p_topic_id AND is_active IS NOT FALSE)
+        )), 'C') ||
+        setweight(to_tsvector('english', concat_ws(' ',
+            regexp_replace(COALESCE(p_content, ''), '<[^>]*>', ' ', 'g'),
+            (SELECT string_agg(transcript, ' ')
+             FROM topic_videos WHERE topic_id = p_topic_id AND is_active IS NOT FALSE)
+        )), 'D');
+$$ LANGUAGE sql STABLE;
+
+CREATE OR REPLACE FUNCTION refresh_topic_search_vector(p_topic_id INTEGER)
+RETURNS VOID AS $$
+BEGIN
+    UPDATE topics
+    SET search_vector = build_topic_search_vector(id, title, tags, description, content)
+    WHERE id = p_topic_id;
+END;
+$$ language 'plpgsql';
+
+-- Topic's own fields
+CREATE OR REPLACE FUNCTION topics_search_vector_trigger()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.search_vector = build_topic_search_vector(NEW.id, NEW.title, NEW.tags, NEW.description, NEW.content);
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS topics_search_vector_update ON topics;
+CREATE TRIGGER topics_search_vector_update
+    BEFORE INSERT OR UPDATE OF title, tags, description, content ON topics
+    FOR EACH ROW
+    EXECUTE FUNCTION topics_search_vector_trigger();
+
+-- Modules and videos: rebuild the parent topic's vector (both topics when a
+-- row moves between them)
+CREATE OR REPLACE FUNCTION topic_children_search_vector_trigger()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP IN ('UPDATE', 'DELETE') AND OLD.topic_id IS NOT NULL THEN
+        PERFORM refresh_topic_search_vector(OLD.topic_id);
+    END IF;
+    IF TG_OP IN ('INSERT', 'UPDATE') AND NEW.topic_id IS NOT NULL
+        AND (TG_OP = 'INSERT' OR NEW.topic_id IS DISTINCT FROM OLD.topic_id) THEN
+        PERFORM refresh_topic_search_vector(NEW.topic_id);
+    END IF;
+    RETURN NULL;
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS topic_modules_search_vector_update ON topic_modules;
+CREATE TRIGGER topic_modules_search_vector_update
+    AFTER INSERT OR DELETE OR UPDATE OF topic_id, title, description, is_active ON topic_modules
+    FOR EACH ROW
+    EXECUTE FUNCTION topic_children_search_vector_trigger();
+
+DROP TRIGGER IF EXISTS topic_videos_search_vector_update ON topic_videos;
+CREATE TRIGGER topic_videos_search_vector_update
+    AFTER INSERT OR DELETE OR UPDATE OF topic_id, title, transcript, is_active ON topic_videos
+    FOR EACH ROW
+    EXECUTE FUNCTION topic_children_search_vector_trigger();
+
+-- Backfill existing topics
+UPDATE topics SET search_vector = build_topic_search_vector(id, title, tags, description, content);
+
+CREATE INDEX IF NOT EXISTS idx_topics_search_vector ON topics USING GIN(search_vector);
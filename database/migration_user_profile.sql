@@ -0,0 +1,12 @@
+-- Migration for self-service learner profiles (/api/me)
+-- Adds the fields learners can edit themselves. The avatar is an uploads row
+-- created through POST /api/upload/avatar.
+
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS avatar_upload_id VARCHAR(255) REFERENCES uploads(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS timezone VARCHAR(64),
+ADD COLUMN IF NOT EXISTS preferred_language VARCHAR(10),
+ADD COLUMN IF NOT EXISTS profile_updated_at TIMESTAMP;
+
+-- Room for international numbers in E.164 form (+ and up to 15 digits)
+ALTER TABLE users ALTER COLUMN phone TYPE VARCHAR(20);
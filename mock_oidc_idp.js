@@ -0,0 +1,136 @@
+// Minimal OpenID Connect identity provider for local SSO testing.
+//
+//   node mock_oidc_idp.js
+//
+// Then configure an organization with:
+//   PUT /api/organizations/:id/sso { "issuer": "http://localhost:4000", "clientId": "thinkcyber" }
+// and open /api/auth/sso/<slug>/login in a browser. The "login" page accepts
+// any email address; nothing is persisted and keys change on every restart.
+const express = require('express');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+require('dotenv').config();
+
+const PORT = parseInt(process.env.MOCK_IDP_PORT) || 4000;
+const ISSUER = process.env.MOCK_IDP_ISSUER || `http://localhost:${PORT}`;
+// When set, the token endpoint requires this client secret
+const CLIENT_SECRET = process.env.MOCK_IDP_CLIENT_SECRET || null;
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+app.use(express.json());
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const kid = crypto.randomBytes(8).toString('hex');
+const codes = new Map();
+
+function escapeHtml(value) {
+  return String(value || '').replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+app.get('/.well-known/openid-configuration', (req, res) => {
+  res.json({
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    jwks_uri: `${ISSUER}/jwks`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    code_challenge_methods_supported: ['S256'],
+    scopes_supported: ['openid', 'email', 'profile'],
+    token_endpoint_auth_methods_supported: ['client_secret_post', 'none']
+  });
+});
+
+app.get('/jwks', (req, res) => {
+  res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' }] });
+});
+
+// Login form standing in for the real IdP sign-in page
+app.get('/authorize', (req, res) => {
+  const { response_type: responseType, code_challenge_method: method } = req.query;
+  if (responseType !== 'code' || method !== 'S256') {
+    return res.status(400).send('Only the authorization code flow with PKCE (S256) is supported');
+  }
+  const hidden = ['client_id', 'redirect_uri', 'scope', 'state', 'nonce', 'code_challenge']
+    .map(name => `<input type="hidden" name="${name}" value="${escapeHtml(req.query[name])}">`)
+    .join('');
+  res.send(`<!DOCTYPE html>
+<html><body style="font-family: sans-serif; max-width: 360px; margin: 40px auto;">
+  <h2>Mock IdP sign in</h2>
+  <form method="post" action="/authorize">
+    ${hidden}
+    <p><label>Email<br><input name="email" type="email" value="${escapeHtml(req.query.login_hint)}" required></label></p>
+    <p><label>Name<br><input name="name" value="Test User"></label></p>
+    <p><label><input type="checkbox" name="email_verified" value="true" checked> Email verified</label></p>
+    <button type="submit">Sign in</button>
+  </form>
+</body></html>`);
+});
+
+app.post('/authorize', (req, res) => {
+  const { redirect_uri: redirectUri, state, email } = req.body;
+  if (!redirectUri || !email) {
+    return res.status(400).send('redirect_uri and email are required');
+  }
+  const code = crypto.randomBytes(24).toString('base64url');
+  codes.set(code, {
+    clientId: req.body.client_id,
+    redirectUri,
+    nonce: req.body.nonce,
+    codeChallenge: req.body.code_challenge,
+    email: email.toLowerCase(),
+    name: req.body.name,
+    emailVerified: req.body.email_verified === 'true',
+    expiresAt: Date.now() + 60 * 1000
+  });
+  const url = new URL(redirectUri);
+  url.searchParams.set('code', code);
+  if (state) {
+    url.searchParams.set('state', state);
+  }
+  res.redirect(url.toString());
+});
+
+app.post('/token', (req, res) => {
+  const { grant_type: grantType, code, redirect_uri: redirectUri, client_id: clientId, code_verifier: codeVerifier } = req.body;
+  const grant = codes.get(code);
+  codes.delete(code);
+
+  if (grantType !== 'authorization_code' || !grant || grant.expiresAt < Date.now()) {
+    return res.status(400).json({ error: 'invalid_grant' });
+  }
+  if (grant.clientId !== clientId || grant.redirectUri !== redirectUri) {
+    return res.status(400).json({ error: 'invalid_grant', error_description: 'client_id or redirect_uri mismatch' });
+  }
+  if (CLIENT_SECRET && req.body.client_secret !== CLIENT_SECRET) {
+    return res.status(401).json({ error: 'invalid_client' });
+  }
+  const challenge = crypto.createHash('sha256').update(codeVerifier || '').digest('base64url');
+  if (challenge !== grant.codeChallenge) {
+    return res.status(400).json({ error: 'invalid_grant', error_description: 'PKCE verification failed' });
+  }
+
+  const idToken = jwt.sign(
+    {
+      sub: crypto.createHash('sha256').update(grant.email).digest('hex').slice(0, 24),
+      email: grant.email,
+      email_verified: grant.emailVerified,
+      name: grant.name,
+      nonce: grant.nonce
+    },
+    privateKey,
+    { algorithm: 'RS256', keyid: kid, issuer: ISSUER, audience: clientId, expiresIn: '5m' }
+  );
+  res.json({
+    access_token: crypto.randomBytes(24).toString('base64url'),
+    token_type: 'Bearer',
+    expires_in: 300,
+    id_token: idToken
+  });
+});
+
+app.listen(PORT, () => {
+  console.log(`Mock OIDC provider running at ${ISSUER}`);
+});
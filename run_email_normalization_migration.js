@@ -0,0 +1,38 @@
+const { Pool } = require('pg');
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config();
+
+const pool = new Pool({
+  host: process.env.PGHOST,
+  user: process.env.PGUSER,
+  password: process.env.PGPASSWORD,
+  database: process.env.PGDATABASE,
+  port: process.env.PGPORT,
+  ssl: process.env.PGSSLMODE === 'require' ? { rejectUnauthorized: false } : false,
+});
+
+async function runEmailNormalizationMigration() {
+  try {
+    console.log('Starting Email normalization migration...');
+
+    // Read the migration file
+    const migrationPath = path.join(__dirname, 'database', 'migration_email_normalization.sql');
+    const migrationSQL = fs.readFileSync(migrationPath, 'utf8');
+
+    // Execute the migration
+    await pool.query(migrationSQL);
+
+    console.log('Email normalization migration completed successfully!');
+    console.log('Updated tables:');
+    console.log('- users (merged_into, merged_at, normalized emails, idx_users_email_active_unique)');
+
+  } catch (error) {
+    console.error('Migration failed:', error);
+    process.exit(1);
+  } finally {
+    await pool.end();
+  }
+}
+
+runEmailNormalizationMigration();
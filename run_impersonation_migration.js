@@ -0,0 +1,39 @@
+const { Pool } = require('pg');
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config();
+
+const pool = new Pool({
+  host: process.env.PGHOST,
+  user: process.env.PGUSER,
+  password: process.env.PGPASSWORD,
+  database: process.env.PGDATABASE,
+  port: process.env.PGPORT,
+  ssl: process.env.PGSSLMODE === 'require' ? { rejectUnauthorized: false } : false,
+});
+
+async function runImpersonationMigration() {
+  try {
+    console.log('Starting Impersonation migration...');
+
+    // Read the migration file
+    const migrationPath = path.join(__dirname, 'database', 'migration_impersonation.sql');
+    const migrationSQL = fs.readFileSync(migrationPath, 'utf8');
+
+    // Execute the migration
+    await pool.query(migrationSQL);
+
+    console.log('Impersonation migration completed successfully!');
+    console.log('Updated tables:');
+    console.log('- user_sessions (impersonated_by)');
+    console.log('- audit_log (impersonated_by)');
+
+  } catch (error) {
+    console.error('Migration failed:', error);
+    process.exit(1);
+  } finally {
+    await pool.end();
+  }
+}
+
+runImpersonationMigration();
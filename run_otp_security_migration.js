@@ -0,0 +1,39 @@
+const { Pool } = require('pg');
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config();
+
+const pool = new Pool({
+  host: process.env.PGHOST,
+  user: process.env.PGUSER,
+  password: process.env.PGPASSWORD,
+  database: process.env.PGDATABASE,
+  port: process.env.PGPORT,
+  ssl: process.env.PGSSLMODE === 'require' ? { rejectUnauthorized: false } : false,
+});
+
+async function runOtpSecurityMigration() {
+  try {
+    console.log('Starting OTP security migration...');
+
+    // Read the migration file
+    const migrationPath = path.join(__dirname, 'database', 'migration_otp_security.sql');
+    const migrationSQL = fs.readFileSync(migrationPath, 'utf8');
+
+    // Execute the migration
+    await pool.query(migrationSQL);
+
+    console.log('OTP security migration completed successfully!');
+    console.log('Changes:');
+    console.log('- otp_verifications: hashed OTPs with attempt counter');
+    console.log('- auth_throttles (per email / per IP lockouts)');
+
+  } catch (error) {
+    console.error('Migration failed:', error);
+    process.exit(1);
+  } finally {
+    await pool.end();
+  }
+}
+
+runOtpSecurityMigration();
@@ -0,0 +1,39 @@
+const { Pool } = require('pg');
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config();
+
+const pool = new Pool({
+  host: process.env.PGHOST,
+  user: process.env.PGUSER,
+  password: process.env.PGPASSWORD,
+  database: process.env.PGDATABASE,
+  port: process.env.PGPORT,
+  ssl: process.env.PGSSLMODE === 'require' ? { rejectUnauthorized: false } : false,
+});
+
+async function runPrivacyMigration() {
+  try {
+    console.log('Starting Privacy migration...');
+
+    // Read the migration file
+    const migrationPath = path.join(__dirname, 'database', 'migration_privacy.sql');
+    const migrationSQL = fs.readFileSync(migrationPath, 'utf8');
+
+    // Execute the migration
+    await pool.query(migrationSQL);
+
+    console.log('Privacy migration completed successfully!');
+    console.log('Created tables:');
+    console.log('- user_consents');
+    console.log('- privacy_requests');
+
+  } catch (error) {
+    console.error('Migration failed:', error);
+    process.exit(1);
+  } finally {
+    await pool.end();
+  }
+}
+
+runPrivacyMigration();
@@ -0,0 +1,40 @@
+const { Pool } = require('pg');
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config();
+
+const pool = new Pool({
+  host: process.env.PGHOST,
+  user: process.env.PGUSER,
+  password: process.env.PGPASSWORD,
+  database: process.env.PGDATABASE,
+  port: process.env.PGPORT,
+  ssl: process.env.PGSSLMODE === 'require' ? { rejectUnauthorized: false } : false,
+});
+
+async function runSearchSuggestMigration() {
+  try {
+    console.log('Starting Search suggest migration...');
+
+    // Read the migration file
+    const migrationPath = path.join(__dirname, 'database', 'migration_search_suggest.sql');
+    const migrationSQL = fs.readFileSync(migrationPath, 'utf8');
+
+    // Execute the migration
+    await pool.query(migrationSQL);
+
+    console.log('Search suggest migration completed successfully!');
+    console.log('Updated tables:');
+    console.log('- topics (idx_topics_title_trgm)');
+    console.log('- category (idx_category_name_trgm)');
+    console.log('- subcategory (idx_subcategory_name_trgm)');
+
+  } catch (error) {
+    console.error('Migration failed:', error);
+    process.exit(1);
+  } finally {
+    await pool.end();
+  }
+}
+
+runSearchSuggestMigration();
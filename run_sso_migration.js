@@ -0,0 +1,43 @@
+const { Pool } = require('pg');
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config();
+
+const pool = new Pool({
+  host: process.env.PGHOST,
+  user: process.env.PGUSER,
+  password: process.env.PGPASSWORD,
+  database: process.env.PGDATABASE,
+  port: process.env.PGPORT,
+  ssl: process.env.PGSSLMODE === 'require' ? { rejectUnauthorized: false } : false,
+});
+
+async function runSsoMigration() {
+  try {
+    console.log('Starting SSO migration...');
+
+    // Read the migration file
+    const migrationPath = path.join(__dirname, 'database', 'migration_sso.sql');
+    const migrationSQL = fs.readFileSync(migrationPath, 'utf8');
+
+    // Execute the migration
+    await pool.query(migrationSQL);
+
+    console.log('SSO migration completed successfully!');
+    console.log('Created tables:');
+    console.log('- organizations');
+    console.log('- oidc_connections');
+    console.log('- user_identities');
+    console.log('- oidc_login_states');
+    console.log('Updated tables:');
+    console.log('- users (organization_id)');
+
+  } catch (error) {
+    console.error('Migration failed:', error);
+    process.exit(1);
+  } finally {
+    await pool.end();
+  }
+}
+
+runSsoMigration();
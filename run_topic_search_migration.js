@@ -0,0 +1,40 @@
+const { Pool } = require('pg');
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config();
+
+const pool = new Pool({
+  host: process.env.PGHOST,
+  user: process.env.PGUSER,
+  password: process.env.PGPASSWORD,
+  database: process.env.PGDATABASE,
+  port: process.env.PGPORT,
+  ssl: process.env.PGSSLMODE === 'require' ? { rejectUnauthorized: false } : false,
+});
+
+async function runTopicSearchMigration() {
+  try {
+    console.log('Starting Topic search migration...');
+
+    // Read the migration file
+    const migrationPath = path.join(__dirname, 'database', 'migration_topic_search.sql');
+    const migrationSQL = fs.readFileSync(migrationPath, 'utf8');
+
+    // Execute the migration
+    await pool.query(migrationSQL);
+
+    console.log('Topic search migration completed successfully!');
+    console.log('Updated tables:');
+    console.log('- topics (search_vector, idx_topics_search_vector)');
+    console.log('- topic_modules (search trigger)');
+    console.log('- topic_videos (search trigger)');
+
+  } catch (error) {
+    console.error('Migration failed:', error);
+    process.exit(1);
+  } finally {
+    await pool.end();
+  }
+}
+
+runTopicSearchMigration();
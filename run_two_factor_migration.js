@@ -0,0 +1,41 @@
+const { Pool } = require('pg');
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config();
+
+const pool = new Pool({
+  host: process.env.PGHOST,
+  user: process.env.PGUSER,
+  password: process.env.PGPASSWORD,
+  database: process.env.PGDATABASE,
+  port: process.env.PGPORT,
+  ssl: process.env.PGSSLMODE === 'require' ? { rejectUnauthorized: false } : false,
+});
+
+async function runTwoFactorMigration() {
+  try {
+    console.log('Starting two-factor migration...');
+
+    // Read the migration file
+    const migrationPath = path.join(__dirname, 'database', 'migration_two_factor.sql');
+    const migrationSQL = fs.readFileSync(migrationPath, 'utf8');
+
+    // Execute the migration
+    await pool.query(migrationSQL);
+
+    console.log('Two-factor migration completed successfully!');
+    console.log('Created tables:');
+    console.log('- user_totp');
+    console.log('- user_recovery_codes');
+    console.log('Updated tables:');
+    console.log('- user_sessions (mfa_verified_at)');
+
+  } catch (error) {
+    console.error('Migration failed:', error);
+    process.exit(1);
+  } finally {
+    await pool.end();
+  }
+}
+
+runTwoFactorMigration();
@@ -0,0 +1,51 @@
+const { Pool } = require('pg');
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config();
+
+const pool = new Pool({
+  host: process.env.PGHOST,
+  user: process.env.PGUSER,
+  password: process.env.PGPASSWORD,
+  database: process.env.PGDATABASE,
+  port: process.env.PGPORT,
+  ssl: process.env.PGSSLMODE === 'require' ? { rejectUnauthorized: false } : false,
+});
+
+async function runUserRolesMigration() {
+  try {
+    console.log('Starting user roles migration...');
+
+    // Read the migration file
+    const migrationPath = path.join(__dirname, 'database', 'migration_user_roles.sql');
+    const migrationSQL = fs.readFileSync(migrationPath, 'utf8');
+
+    // Execute the migration
+    await pool.query(migrationSQL);
+
+    // Optionally promote an initial admin account
+    if (process.env.ADMIN_EMAIL) {
+      const result = await pool.query(
+        "UPDATE users SET role = 'admin' WHERE email = $1 RETURNING id",
+        [process.env.ADMIN_EMAIL]
+      );
+      console.log(result.rowCount
+        ? `Promoted ${process.env.ADMIN_EMAIL} to admin`
+        : `ADMIN_EMAIL ${process.env.ADMIN_EMAIL} not found, no admin promoted`);
+    }
+
+    console.log('User roles migration completed successfully!');
+    console.log('Added fields to users:');
+    console.log('- role (learner, author, editor, admin)');
+    console.log('- created_at');
+    console.log('- updated_at');
+
+  } catch (error) {
+    console.error('Migration failed:', error);
+    process.exit(1);
+  } finally {
+    await pool.end();
+  }
+}
+
+runUserRolesMigration();
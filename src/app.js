@@ -1,6 +1,7 @@
 const express = require("express");
 const path = require("path");
 const morgan = require("morgan");
+const crypto = require("crypto");
 const { Pool } = require('pg');
 const swaggerUi = require('swagger-ui-express');
 const swaggerJsdoc = require('swagger-jsdoc');
@@ -22,6 +23,20 @@ const swaggerOptions = {
       },
     ],
     components: {
+      securitySchemes: {
+        bearerAuth: {
+          type: 'http',
+          scheme: 'bearer',
+          bearerFormat: 'JWT',
+          description: 'Session token from /api/auth/verify-otp',
+        },
+        apiKeyAuth: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'Authorization',
+          description: "API key for integrations, sent as 'ApiKey <key>'. Created under /api/admin/api-keys.",
+        },
+      },
       schemas: {
         Category: {
           type: 'object',
@@ -157,6 +172,7 @@ const swaggerOptions = {
         },
       },
     },
+    security: [{ bearerAuth: [] }, { apiKeyAuth: [] }],
   },
   apis: ['./src/routes/*.js'],
 };
@@ -183,8 +199,22 @@ const topicsRoutes = require('./routes/topics');
 const topicsActionsRoutes = require('./routes/topicsActions');
 const topicsModulesRoutes = require('./routes/topicsModules');
 const topicsVideosRoutes = require('./routes/topicsVideos');
+const topicsRevisionsRoutes = require('./routes/topicsRevisions');
 const uploadRoutes = require('./routes/upload');
 const authRouter = require('./routes/auth');
+const twoFactorRoutes = require('./routes/twoFactor');
+const webauthnRoutes = require('./routes/webauthn');
+const ssoRoutes = require('./routes/sso');
+const organizationRoutes = require('./routes/organizations');
+const emailRoutes = require('./routes/emails');
+const apiKeyRoutes = require('./routes/apiKeys');
+const meRoutes = require('./routes/me');
+const adminUserRoutes = require('./routes/adminUsers');
+const auditLogRoutes = require('./routes/auditLog');
+const invitationRoutes = require('./routes/invitations');
+const searchRoutes = require('./routes/search');
+const emailOutboxWorker = require('./workers/emailOutboxWorker');
+const accountDeletionWorker = require('./workers/accountDeletionWorker');
 
 // settings
 app.set('port', process.env.PORT || 8080);
@@ -198,7 +228,8 @@ app.use(express.json());
 app.use((req, res, next) => {
   res.header('Access-Control-Allow-Origin', '*');
   res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
+  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization, X-Request-Id');
+  res.header('Access-Control-Expose-Headers', 'X-Request-Id');
   
   // Handle preflight requests
   if (req.method === 'OPTIONS') {
@@ -214,6 +245,15 @@ app.use((req, res, next) => {
   next();
 });
 
+// Tag each request with an ID (kept from X-Request-Id when a proxy sets one)
+// so audit entries and logs can be tied back to it
+app.use((req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && /^[\w.:-]{1,128}$/.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  next();
+});
+
 // Routes
 app.use('/', customerRoutes);
 app.use('/api', categoryRoutes);
@@ -225,8 +265,20 @@ app.use('/api', topicsRoutes);
 app.use('/api', topicsActionsRoutes);
 app.use('/api', topicsModulesRoutes);
 app.use('/api', topicsVideosRoutes);
+app.use('/api', topicsRevisionsRoutes);
 app.use('/api/upload', uploadRoutes);
 app.use('/api/auth', authRouter);
+app.use('/api/auth', twoFactorRoutes);
+app.use('/api/auth', webauthnRoutes);
+app.use('/api/auth', ssoRoutes);
+app.use('/api', organizationRoutes);
+app.use('/api', emailRoutes);
+app.use('/api', apiKeyRoutes);
+app.use('/api', meRoutes);
+app.use('/api', adminUserRoutes);
+app.use('/api', auditLogRoutes);
+app.use('/api', invitationRoutes);
+app.use('/api', searchRoutes);
 
 // Serve uploaded files statically
 app.use('/uploads', express.static(path.join(__dirname, '../uploads')));
@@ -234,4 +286,6 @@ app.use('/uploads', express.static(path.join(__dirname, '../uploads')));
 // Starting the server
 app.listen(app.get('port'), () => {
   console.log('Server on port ' + app.get('port'));
+  emailOutboxWorker.start(pool);
+  accountDeletionWorker.start(pool);
 });
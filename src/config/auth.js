@@ -0,0 +1,67 @@
+// Shared authentication settings
+module.exports = {
+  JWT_SECRET: process.env.JWT_SECRET || 'changeme',
+  // Lifetime of access (session) tokens issued at login
+  ACCESS_TOKEN_EXPIRES_IN: process.env.ACCESS_TOKEN_EXPIRES_IN || '15m',
+  // Lifetime of refresh tokens, extended on every rotation
+  REFRESH_TOKEN_TTL_DAYS: parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30,
+
+  // Lifetime of emailed magic-link login tokens
+  MAGIC_LINK_EXPIRES_IN: '15m',
+
+  // Days an admin invitation link stays valid; resending starts a new period
+  INVITATION_TTL_DAYS: parseInt(process.env.INVITATION_TTL_DAYS) || 7,
+
+  // One-time passcodes
+  OTP_TTL_MINUTES: 10,
+  OTP_MAX_ATTEMPTS: 5,
+  OTP_RESEND_COOLDOWN_SECONDS: 60,
+
+  // Failed verification lockouts: after N failures within the window the key
+  // is locked, doubling the lock on each repeat up to the maximum
+  THROTTLE_WINDOW_MINUTES: 15,
+  MAX_FAILURES_PER_EMAIL: 5,
+  MAX_FAILURES_PER_IP: 20,
+  LOCKOUT_BASE_SECONDS: 60,
+  LOCKOUT_MAX_SECONDS: 60 * 60,
+
+  // TOTP two-factor authentication (RFC 6238)
+  TOTP_ISSUER: process.env.TOTP_ISSUER || 'ThinkCyber',
+  TOTP_STEP_SECONDS: 30,
+  TOTP_DIGITS: 6,
+  // Accept codes this many steps either side of now to allow for clock drift
+  TOTP_WINDOW: 1,
+  // Key used to encrypt stored TOTP secrets (defaults to one derived from JWT_SECRET)
+  TOTP_ENCRYPTION_KEY: process.env.TOTP_ENCRYPTION_KEY || process.env.JWT_SECRET || 'changeme',
+  // Comma-separated roles that must enroll before using their permissions, e.g. "admin,editor"
+  TOTP_REQUIRED_ROLES: (process.env.TOTP_REQUIRED_ROLES || '').split(',').map(role => role.trim()).filter(Boolean),
+  RECOVERY_CODE_COUNT: 10,
+  // Lifetime of the challenge token that links the two login steps
+  MFA_CHALLENGE_EXPIRES_IN: '5m',
+
+  // WebAuthn / passkeys. The RP ID is the site's domain; origins are the
+  // comma-separated front-end URLs allowed to start a ceremony.
+  WEBAUTHN_RP_NAME: process.env.WEBAUTHN_RP_NAME || 'ThinkCyber',
+  WEBAUTHN_RP_ID: process.env.WEBAUTHN_RP_ID || 'localhost',
+  WEBAUTHN_ORIGINS: (process.env.WEBAUTHN_ORIGINS || 'http://localhost:3000').split(',').map(origin => origin.trim()).filter(Boolean),
+  WEBAUTHN_CHALLENGE_TTL_MINUTES: 5,
+
+  // OpenID Connect single sign-on. The redirect URI must be registered with
+  // each organization's identity provider.
+  SSO_REDIRECT_URI: process.env.SSO_REDIRECT_URI || `${process.env.APP_URL || 'http://localhost:8080'}/api/auth/sso/callback`,
+  SSO_STATE_TTL_MINUTES: 10,
+  OIDC_METADATA_CACHE_SECONDS: 60 * 60,
+
+  // Email users when a login comes from a device or network (IPv4 /24,
+  // IPv6 /48) their account has not signed in from before
+  NEW_LOGIN_ALERTS: process.env.NEW_LOGIN_ALERTS !== 'false',
+
+  // Concurrent sessions allowed per account (0 = unlimited). Admins can set a
+  // different limit for one account with maxSessions on /api/admin/users/:id.
+  // Logging in over the limit signs out the least recently used sessions.
+  MAX_SESSIONS_PER_USER: parseInt(process.env.MAX_SESSIONS_PER_USER) || 0,
+
+  // Lifetime of the access token an admin gets when impersonating a user.
+  // It cannot be refreshed; the admin starts a new impersonation instead.
+  IMPERSONATION_TTL_MINUTES: parseInt(process.env.IMPERSONATION_TTL_MINUTES) || 30
+};
@@ -0,0 +1,139 @@
+// Throwaway mail providers blocked by BLOCK_DISPOSABLE_EMAILS. Subdomains
+// are matched too. Extend with SIGNUP_BLOCKED_DOMAINS rather than editing
+// this list for one-off additions.
+module.exports = [
+  '0-mail.com',
+  '0815.ru',
+  '10minutemail.co.uk',
+  '10minutemail.com',
+  '10minutemail.net',
+  '1secmail.com',
+  '1secmail.net',
+  '1secmail.org',
+  '20minutemail.com',
+  '33mail.com',
+  'anonbox.net',
+  'anonymbox.com',
+  'burnermail.io',
+  'chacuo.net',
+  'crazymailing.com',
+  'deadaddress.com',
+  'discard.email',
+  'discardmail.com',
+  'discardmail.de',
+  'disposableaddress.com',
+  'disposableemailaddress.com',
+  'dispostable.com',
+  'dodgit.com',
+  'dropmail.me',
+  'e4ward.com',
+  'easytrashmail.com',
+  'emailfake.com',
+  'emailondeck.com',
+  'emailsensei.com',
+  'emailtemporario.com.br',
+  'fakeinbox.com',
+  'fakemail.net',
+  'fakemailgenerator.com',
+  'fexpost.com',
+  'fextemp.com',
+  'getairmail.com',
+  'getnada.com',
+  'grr.la',
+  'guerrillamail.biz',
+  'guerrillamail.co',
+  'guerrillamail.com',
+  'guerrillamail.de',
+  'guerrillamail.info',
+  'guerrillamail.net',
+  'guerrillamail.org',
+  'guerrillamailblock.com',
+  'harakirimail.com',
+  'inboxbear.com',
+  'inboxkitten.com',
+  'incognitomail.org',
+  'jetable.org',
+  'kasmail.com',
+  'linshiyouxiang.net',
+  'mail-temp.com',
+  'mail.tm',
+  'mailcatch.com',
+  'maildrop.cc',
+  'mailinator.com',
+  'mailinator.net',
+  'mailinator2.com',
+  'mailnesia.com',
+  'mailnull.com',
+  'mailpoof.com',
+  'mailsac.com',
+  'mailtemp.info',
+  'mailto.plus',
+  'meltmail.com',
+  'mintemail.com',
+  'moakt.com',
+  'mohmal.com',
+  'mt2015.com',
+  'mvrht.net',
+  'mytemp.email',
+  'mytrashmail.com',
+  'nada.email',
+  'noclickemail.com',
+  'nowmymail.com',
+  'one-time.email',
+  'owlymail.com',
+  'pokemail.net',
+  'proxymail.eu',
+  'rcpt.at',
+  'sharklasers.com',
+  'shieldemail.com',
+  'sofimail.com',
+  'spam4.me',
+  'spambog.com',
+  'spambox.me',
+  'spambox.us',
+  'spamex.com',
+  'spamfree24.org',
+  'spamgourmet.com',
+  'spamherelots.com',
+  'spamhole.com',
+  'spaml.com',
+  'spammotel.com',
+  'spamspot.com',
+  'supermailer.jp',
+  'teleworm.us',
+  'temp-mail.io',
+  'temp-mail.org',
+  'tempail.com',
+  'tempinbox.com',
+  'tempmail.com',
+  'tempmail.dev',
+  'tempmail.net',
+  'tempmailaddress.com',
+  'tempmailo.com',
+  'temporaryemail.net',
+  'tempr.email',
+  'tempsky.com',
+  'thankyou2010.com',
+  'throwam.com',
+  'throwawaymail.com',
+  'tmail.ws',
+  'tmailinator.com',
+  'tmpmail.net',
+  'tmpmail.org',
+  'trash-mail.com',
+  'trashmail.at',
+  'trashmail.com',
+  'trashmail.de',
+  'trashmail.me',
+  'trashmail.net',
+  'trashymail.com',
+  'trbvm.com',
+  'wegwerfemail.de',
+  'wegwerfmail.de',
+  'wegwerfmail.net',
+  'yopmail.com',
+  'yopmail.fr',
+  'yopmail.net',
+  'zetmail.com',
+  'zoemail.org'
+];
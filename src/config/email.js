@@ -0,0 +1,14 @@
+// Email outbox delivery settings
+module.exports = {
+  // Attempts before a message is marked as failed
+  OUTBOX_MAX_ATTEMPTS: parseInt(process.env.EMAIL_OUTBOX_MAX_ATTEMPTS) || 5,
+  // Retry delay doubles after each failed attempt, up to the maximum
+  OUTBOX_RETRY_BASE_SECONDS: 30,
+  OUTBOX_RETRY_MAX_SECONDS: 60 * 60,
+
+  // Background worker
+  OUTBOX_POLL_INTERVAL_MS: parseInt(process.env.EMAIL_OUTBOX_POLL_INTERVAL_MS) || 15000,
+  OUTBOX_BATCH_SIZE: 20,
+  // Messages stuck in 'sending' longer than this (e.g. after a crash) are retried
+  OUTBOX_STALE_LOCK_MINUTES: 5
+};
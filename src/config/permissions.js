@@ -0,0 +1,76 @@
+// Roles available on users.role, from least to most privileged
+const ROLES = ['learner', 'author', 'editor', 'admin'];
+
+// Permission map: which roles may perform each action
+const PERMISSIONS = {
+  // Learner-facing actions
+  'content:read': ['learner', 'author', 'editor', 'admin'],
+  'progress:write': ['learner', 'author', 'editor', 'admin'],
+
+  // Topic authoring (topics, modules, videos)
+  'topics:write': ['author', 'editor', 'admin'],
+  'topics:publish': ['editor', 'admin'],
+  'topics:delete': ['editor', 'admin'],
+  'topics:import': ['editor', 'admin'],
+
+  // Catalog structure
+  'categories:write': ['editor', 'admin'],
+
+  // Site content
+  'homepage:write': ['editor', 'admin'],
+  'legal:write': ['admin'],
+
+  // File uploads
+  'uploads:write': ['author', 'editor', 'admin'],
+  'uploads:delete': ['editor', 'admin'],
+
+  // User administration
+  'users:read': ['admin'],
+  'users:manage': ['admin'],
+  // Changing roles and inviting users (who join with a role); no API key
+  // scope grants this, so only a signed-in admin can hand out privileges
+  'users:assignRoles': ['admin'],
+  'users:impersonate': ['admin'],
+  'organizations:manage': ['admin'],
+  'apiKeys:manage': ['admin'],
+
+  // Email templates and delivery
+  'emails:manage': ['admin'],
+
+  // Audit trail of admin changes
+  'audit:read': ['admin']
+};
+
+// Scopes that can be granted to API keys, and the permissions each carries
+const API_KEY_SCOPES = {
+  'topics:read': ['content:read'],
+  'topics:write': ['topics:write', 'topics:publish', 'topics:import'],
+  'topics:delete': ['topics:delete'],
+  'categories:write': ['categories:write'],
+  'enrollments:write': ['progress:write'],
+  'uploads:write': ['uploads:write'],
+  'users:read': ['users:read'],
+  'users:write': ['users:read', 'users:manage']
+};
+
+// Check whether a role grants a permission
+function hasPermission(role, permission) {
+  const allowedRoles = PERMISSIONS[permission];
+  if (!allowedRoles) {
+    throw new Error(`Unknown permission: ${permission}`);
+  }
+  return allowedRoles.includes(role);
+}
+
+// Check whether any of an API key's scopes grants a permission
+function scopesGrant(scopes, permission) {
+  return scopes.some(scope => (API_KEY_SCOPES[scope] || []).includes(permission));
+}
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  API_KEY_SCOPES,
+  hasPermission,
+  scopesGrant
+};
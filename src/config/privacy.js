@@ -0,0 +1,9 @@
+// GDPR export and account deletion settings
+module.exports = {
+  // Days between a deletion request and the account actually being erased;
+  // the user can cancel at any point before then
+  ACCOUNT_DELETION_GRACE_DAYS: parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 30,
+
+  // How often the worker looks for deletions that are due
+  DELETION_POLL_INTERVAL_MS: parseInt(process.env.ACCOUNT_DELETION_POLL_INTERVAL_MS) || 60 * 60 * 1000
+};
@@ -0,0 +1,13 @@
+// Catalog search settings
+module.exports = {
+  // /api/search/suggest answers within this budget or returns no suggestions,
+  // so a slow database never stalls the search box
+  SEARCH_SUGGEST_TIMEOUT_MS: parseInt(process.env.SEARCH_SUGGEST_TIMEOUT_MS) || 150,
+
+  // pg_trgm word similarity (0-1) a name needs to be suggested. Lower values
+  // tolerate more typos but return looser matches.
+  SEARCH_SUGGEST_MIN_SIMILARITY: parseFloat(process.env.SEARCH_SUGGEST_MIN_SIMILARITY) || 0.3,
+
+  // Shortest input worth suggesting for
+  SEARCH_SUGGEST_MIN_LENGTH: 2
+};
@@ -0,0 +1,21 @@
+// Self-service signup policies. They apply when /api/auth/signup, send-otp or
+// send-magic-link would create a new account; accounts created by admins or
+// provisioned through an organization's SSO connection are not affected.
+const domainList = value => (value || '').split(',').map(domain => domain.trim().toLowerCase()).filter(Boolean);
+
+module.exports = {
+  // "open" lets anyone sign up; "invite_only" only lets existing accounts sign in
+  SIGNUP_MODE: process.env.SIGNUP_MODE === 'invite_only' ? 'invite_only' : 'open',
+
+  // Comma-separated domains. When the allowlist is set only those domains (and
+  // their subdomains) may sign up; the blocklist always applies.
+  SIGNUP_ALLOWED_DOMAINS: domainList(process.env.SIGNUP_ALLOWED_DOMAINS),
+  SIGNUP_BLOCKED_DOMAINS: domainList(process.env.SIGNUP_BLOCKED_DOMAINS),
+
+  // Reject addresses from the bundled list of throwaway mail providers
+  BLOCK_DISPOSABLE_EMAILS: process.env.BLOCK_DISPOSABLE_EMAILS !== 'false',
+
+  // New accounts stay pending until an admin approves them and cannot get a
+  // session token in the meantime
+  SIGNUP_REQUIRES_APPROVAL: process.env.SIGNUP_REQUIRES_APPROVAL === 'true'
+};
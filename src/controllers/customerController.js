@@ -1,72 +1,7 @@
+const auditService = require('../services/auditService');
 
 const controller = {};
 
-// USERS CRUD
-controller.listUsers = async (req, res) => {
-    try {
-        const result = await req.pool.query('SELECT * FROM users');
-        res.status(200).json({ success: true, data: result.rows });
-    } catch (err) {
-        res.status(500).json({ success: false, error: err.message });
-    }
-};
-
-controller.saveUser = async (req, res) => {
-    const { name, address, phone } = req.body;
-    if (!name || !address) {
-        return res.status(400).json({ success: false, error: 'Name and address are required.' });
-    }
-    try {
-        await req.pool.query(
-            'INSERT INTO users (name, address, phone) VALUES ($1, $2, $3)',
-            [name, address, phone || null]
-        );
-        res.status(201).json({ success: true, message: 'User created successfully.' });
-    } catch (err) {
-        res.status(500).json({ success: false, error: err.message });
-    }
-};
-
-controller.deleteUser = async (req, res) => {
-    const { id } = req.params;
-    try {
-        await req.pool.query('DELETE FROM users WHERE id = $1', [id]);
-        res.status(200).json({ success: true, message: 'User deleted successfully.' });
-    } catch (err) {
-        res.status(500).json({ success: false, error: err.message });
-    }
-};
-
-controller.editUser = async (req, res) => {
-    const { id } = req.params;
-    try {
-        const result = await req.pool.query('SELECT * FROM users WHERE id = $1', [id]);
-        if (result.rows.length === 0) {
-            return res.status(404).json({ success: false, message: 'User not found.' });
-        }
-        res.status(200).json({ success: true, data: result.rows[0] });
-    } catch (err) {
-        res.status(500).json({ success: false, error: err.message });
-    }
-};
-
-controller.updateUser = async (req, res) => {
-    const { id } = req.params;
-    const newUser = req.body;
-    const keys = Object.keys(newUser);
-    const values = Object.values(newUser);
-    if (keys.length === 0) {
-        return res.status(400).json({ success: false, error: 'No fields to update.' });
-    }
-    const setString = keys.map((key, i) => `${key} = $${i + 1}`).join(', ');
-    try {
-        await req.pool.query(`UPDATE users SET ${setString} WHERE id = $${keys.length + 1}`, [...values, id]);
-        res.status(200).json({ success: true, message: 'User updated successfully.' });
-    } catch (err) {
-        res.status(500).json({ success: false, error: err.message });
-    }
-};
-
 // CATEGORY CRUD
 controller.listCategories = async (req, res) => {
     try {
@@ -83,7 +18,8 @@ controller.saveCategory = async (req, res) => {
         return res.status(400).json({ success: false, error: 'Category name is required.' });
     }
     try {
-        await req.pool.query('INSERT INTO category (name) VALUES ($1)', [data.name]);
+        const result = await req.pool.query('INSERT INTO category (name) VALUES ($1) RETURNING *', [data.name]);
+        await auditService.record(req, { action: 'category.create', entityType: 'category', entityId: result.rows[0].id, after: result.rows[0] });
         res.status(201).json({ success: true, message: 'Category created successfully.' });
     } catch (err) {
         res.status(500).json({ success: false, error: err.message });
@@ -93,7 +29,10 @@ controller.saveCategory = async (req, res) => {
 controller.deleteCategory = async (req, res) => {
     const { id } = req.params;
     try {
-        await req.pool.query('DELETE FROM category WHERE id = $1', [id]);
+        const result = await req.pool.query('DELETE FROM category WHERE id = $1 RETURNING *', [id]);
+        if (result.rows.length > 0) {
+            await auditService.record(req, { action: 'category.delete', entityType: 'category', entityId: id, before: result.rows[0] });
+        }
         res.status(200).json({ success: true, message: 'Category deleted successfully.' });
     } catch (err) {
         res.status(500).json({ success: false, error: err.message });
@@ -120,7 +59,11 @@ controller.updateCategory = async (req, res) => {
         return res.status(400).json({ success: false, error: 'Category name is required.' });
     }
     try {
-        await req.pool.query('UPDATE category SET name = $1 WHERE id = $2', [name, id]);
+        const before = await req.pool.query('SELECT * FROM category WHERE id = $1', [id]);
+        const result = await req.pool.query('UPDATE category SET name = $1 WHERE id = $2 RETURNING *', [name, id]);
+        if (result.rows.length > 0) {
+            await auditService.record(req, { action: 'category.update', entityType: 'category', entityId: id, before: before.rows[0], after: result.rows[0] });
+        }
         res.status(200).json({ success: true, message: 'Category updated successfully.' });
     } catch (err) {
         res.status(500).json({ success: false, error: err.message });
@@ -143,7 +86,8 @@ controller.saveSubcategory = async (req, res) => {
         return res.status(400).json({ success: false, error: 'Subcategory name and category_id are required.' });
     }
     try {
-        await req.pool.query('INSERT INTO subcategory (name, category_id) VALUES ($1, $2)', [data.name, data.category_id]);
+        const result = await req.pool.query('INSERT INTO subcategory (name, category_id) VALUES ($1, $2) RETURNING *', [data.name, data.category_id]);
+        await auditService.record(req, { action: 'subcategory.create', entityType: 'subcategory', entityId: result.rows[0].id, after: result.rows[0] });
         res.status(201).json({ success: true, message: 'Subcategory created successfully.' });
     } catch (err) {
         res.status(500).json({ success: false, error: err.message });
@@ -153,7 +97,10 @@ controller.saveSubcategory = async (req, res) => {
 controller.deleteSubcategory = async (req, res) => {
     const { id } = req.params;
     try {
-        await req.pool.query('DELETE FROM subcategory WHERE id = $1', [id]);
+        const result = await req.pool.query('DELETE FROM subcategory WHERE id = $1 RETURNING *', [id]);
+        if (result.rows.length > 0) {
+            await auditService.record(req, { action: 'subcategory.delete', entityType: 'subcategory', entityId: id, before: result.rows[0] });
+        }
         res.status(200).json({ success: true, message: 'Subcategory deleted successfully.' });
     } catch (err) {
         res.status(500).json({ success: false, error: err.message });
@@ -180,7 +127,11 @@ controller.updateSubcategory = async (req, res) => {
         return res.status(400).json({ success: false, error: 'Subcategory name and category_id are required.' });
     }
     try {
-        await req.pool.query('UPDATE subcategory SET name = $1, category_id = $2 WHERE id = $3', [name, category_id, id]);
+        const before = await req.pool.query('SELECT * FROM subcategory WHERE id = $1', [id]);
+        const result = await req.pool.query('UPDATE subcategory SET name = $1, category_id = $2 WHERE id = $3 RETURNING *', [name, category_id, id]);
+        if (result.rows.length > 0) {
+            await auditService.record(req, { action: 'subcategory.update', entityType: 'subcategory', entityId: id, before: before.rows[0], after: result.rows[0] });
+        }
         res.status(200).json({ success: true, message: 'Subcategory updated successfully.' });
     } catch (err) {
         res.status(500).json({ success: false, error: err.message });
@@ -0,0 +1,211 @@
+const jwt = require('jsonwebtoken');
+const { PERMISSIONS, hasPermission, scopesGrant } = require('../config/permissions');
+const { JWT_SECRET } = require('../config/auth');
+const { getActiveSession } = require('../services/sessionService');
+const { isRequiredForRole } = require('../services/totpService');
+const apiKeyService = require('../services/apiKeyService');
+const auditService = require('../services/auditService');
+
+// Split the Authorization header into its scheme and credential
+function getCredentials(req) {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  if (!scheme || !token) {
+    return null;
+  }
+  return { scheme: scheme.toLowerCase(), token };
+}
+
+// Verify an "Authorization: ApiKey <key>" header and attach req.apiKey.
+// Integrations have no user, so req.user stays unset.
+async function authenticateApiKey(req, res, next, key) {
+  try {
+    const apiKey = await apiKeyService.authenticateKey(req.pool, key, req.ip);
+    if (!apiKey) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid, expired or revoked API key'
+      });
+    }
+    req.apiKey = apiKey;
+    next();
+  } catch (err) {
+    console.error('Error in authenticate middleware:', err);
+    res.status(500).json({
+      success: false,
+      error: err.message || 'Internal server error'
+    });
+  }
+}
+
+// Accept either a user access token or an API key
+function authenticate(req, res, next) {
+  const credentials = getCredentials(req);
+  if (credentials && credentials.scheme === 'apikey') {
+    return authenticateApiKey(req, res, next, credentials.token);
+  }
+  return authenticateUser(req, res, next);
+}
+
+// Verify the access token, check its session is live and attach req.user.
+// Use this directly for routes that only make sense for a signed-in person.
+async function authenticateUser(req, res, next) {
+  const credentials = getCredentials(req);
+  const token = credentials && credentials.scheme === 'bearer' ? credentials.token : null;
+  if (!token) {
+    return res.status(401).json({
+      success: false,
+      error: 'Authentication required'
+    });
+  }
+
+  let payload;
+  try {
+    payload = jwt.verify(token, JWT_SECRET);
+  } catch (err) {
+    return res.status(401).json({
+      success: false,
+      error: err.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token'
+    });
+  }
+
+  // Tokens must belong to a server-side session so they can be revoked
+  if (!payload.sid) {
+    return res.status(401).json({
+      success: false,
+      error: 'Session expired, please log in again'
+    });
+  }
+
+  try {
+    const session = await getActiveSession(req.pool, payload.sid, payload.userId);
+    if (!session) {
+      return res.status(401).json({
+        success: false,
+        error: 'Session has been revoked'
+      });
+    }
+
+    // Load the user so role changes take effect without re-login
+    const result = await req.pool.query(
+      'SELECT id, email, name, role, is_verified, deleted_at FROM users WHERE id = $1',
+      [payload.userId]
+    );
+    if (result.rows.length === 0) {
+      return res.status(401).json({
+        success: false,
+        error: 'User no longer exists'
+      });
+    }
+    if (result.rows[0].deleted_at) {
+      return res.status(401).json({
+        success: false,
+        error: 'This account has been deactivated'
+      });
+    }
+
+    req.user = result.rows[0];
+    req.auth = {
+      ...payload,
+      mfaVerified: Boolean(session.mfa_verified_at),
+      impersonatedBy: session.impersonated_by || null
+    };
+    if (req.auth.impersonatedBy) {
+      trackImpersonatedRequest(req, res);
+    }
+    next();
+  } catch (err) {
+    console.error('Error in authenticate middleware:', err);
+    res.status(500).json({
+      success: false,
+      error: err.message || 'Internal server error'
+    });
+  }
+}
+
+// Mark responses to an admin acting as the user, and audit every request the
+// admin makes that way once its outcome is known
+function trackImpersonatedRequest(req, res) {
+  res.set('X-Impersonated-By', String(req.auth.impersonatedBy));
+  res.on('finish', () => {
+    auditService.record(req, {
+      action: 'user.impersonate_request',
+      entityType: 'user',
+      entityId: req.user.id,
+      after: { method: req.method, path: req.originalUrl, status: res.statusCode }
+    });
+  });
+}
+
+// Refuse the request when an admin is impersonating the user. Put it after
+// authentication on actions only the account holder may take, such as
+// payments, account deletion and security settings.
+function denyImpersonation(req, res, next) {
+  if (req.auth && req.auth.impersonatedBy) {
+    return res.status(403).json({
+      success: false,
+      error: 'This action is not available while impersonating a user',
+      impersonating: true
+    });
+  }
+  next();
+}
+
+// Require the authenticated user's role, or the API key's scopes, to grant
+// the given permission
+function authorize(permission) {
+  if (!PERMISSIONS[permission]) {
+    throw new Error(`Unknown permission: ${permission}`);
+  }
+
+  return (req, res, next) => {
+    if (req.apiKey) {
+      if (!scopesGrant(req.apiKey.scopes, permission)) {
+        return res.status(403).json({
+          success: false,
+          error: 'API key does not have the required scope'
+        });
+      }
+      return next();
+    }
+
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication required'
+      });
+    }
+
+    if (!hasPermission(req.user.role, permission)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Insufficient permissions'
+      });
+    }
+
+    // Roles listed in TOTP_REQUIRED_ROLES can only act from a session that
+    // passed the second factor
+    if (isRequiredForRole(req.user.role) && !req.auth.mfaVerified) {
+      return res.status(403).json({
+        success: false,
+        error: 'Two-factor authentication required',
+        mfaRequired: true
+      });
+    }
+
+    next();
+  };
+}
+
+// Shorthand for routes that need both steps
+function requirePermission(permission) {
+  return [authenticate, authorize(permission)];
+}
+
+module.exports = {
+  authenticate,
+  authenticateUser,
+  authorize,
+  requirePermission,
+  denyImpersonation
+};
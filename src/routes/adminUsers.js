@@ -0,0 +1,1051 @@
+const express = require('express');
+const router = express.Router();
+const { requirePermission, denyImpersonation } = require('../middleware/auth');
+const { ROLES, scopesGrant } = require('../config/permissions');
+const userService = require('../services/userService');
+const profileService = require('../services/profileService');
+const auditService = require('../services/auditService');
+const loginEventService = require('../services/loginEventService');
+const sessionService = require('../services/sessionService');
+const userMergeService = require('../services/userMergeService');
+const emailOutboxService = require('../services/emailOutboxService');
+
+const EMAIL_PATTERN = /^[^@\s]+@[^@\s]+\.[^@\s]+$/;
+
+// Body fields admins may set, beyond the ones the user can edit themselves
+const PROFILE_FIELDS = ['name', 'phone', 'timezone', 'preferredLanguage'];
+const CREATE_FIELDS = ['email', 'role', 'isVerified', 'organizationId', 'maxSessions', ...PROFILE_FIELDS];
+const UPDATE_FIELDS = ['isVerified', 'organizationId', 'maxSessions', ...PROFILE_FIELDS];
+
+// Turn an allowlisted request body into column values.
+// Resolves to { values } or { error }.
+async function buildUserValues(db, body, allowed) {
+  const unknown = Object.keys(body).filter(key => !allowed.includes(key));
+  if (unknown.length) {
+    return { error: `Unknown fields: ${unknown.join(', ')}. Allowed: ${allowed.join(', ')}` };
+  }
+
+  let values = {};
+  const profileInput = Object.fromEntries(PROFILE_FIELDS.filter(key => body[key] !== undefined).map(key => [key, body[key]]));
+  if (Object.keys(profileInput).length) {
+    // Same rules as PUT /api/me
+    const { changes, error } = await profileService.validateUpdate(db, null, profileInput);
+    if (error) {
+      return { error };
+    }
+    values = changes;
+  }
+
+  if (body.email !== undefined) {
+    const email = String(body.email).trim().toLowerCase();
+    if (!EMAIL_PATTERN.test(email) || email.length > 100) {
+      return { error: 'Valid email required' };
+    }
+    values.email = email;
+  }
+  if (body.role !== undefined) {
+    if (!ROLES.includes(body.role)) {
+      return { error: `Role must be one of: ${ROLES.join(', ')}` };
+    }
+    values.role = body.role;
+  }
+  if (body.isVerified !== undefined) {
+    if (typeof body.isVerified !== 'boolean') {
+      return { error: 'isVerified must be a boolean' };
+    }
+    values.is_verified = body.isVerified;
+  }
+  if (body.organizationId !== undefined) {
+    if (body.organizationId !== null && !Number.isInteger(body.organizationId)) {
+      return { error: 'organizationId must be an integer or null' };
+    }
+    values.organization_id = body.organizationId;
+  }
+  if (body.maxSessions !== undefined) {
+    if (body.maxSessions !== null && !(Number.isInteger(body.maxSessions) && body.maxSessions >= 0)) {
+      return { error: 'maxSessions must be a non-negative integer or null' };
+    }
+    values.max_sessions = body.maxSessions;
+  }
+
+  return { values };
+}
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AdminUser:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         email:
+ *           type: string
+ *         name:
+ *           type: string
+ *           nullable: true
+ *         phone:
+ *           type: string
+ *           nullable: true
+ *         address:
+ *           type: string
+ *           nullable: true
+ *         role:
+ *           type: string
+ *           enum: [learner, author, editor, admin]
+ *         isVerified:
+ *           type: boolean
+ *         organizationId:
+ *           type: integer
+ *           nullable: true
+ *         timezone:
+ *           type: string
+ *           nullable: true
+ *         preferredLanguage:
+ *           type: string
+ *           nullable: true
+ *         maxSessions:
+ *           type: integer
+ *           nullable: true
+ *           description: Concurrent session limit for this account; null uses the server default, 0 means unlimited
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *         deletedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         approvalStatus:
+ *           type: string
+ *           enum: [pending, approved]
+ *           description: Pending accounts cannot sign in until approved
+ *         approvedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         approvedBy:
+ *           type: integer
+ *           nullable: true
+ *         deletedBy:
+ *           type: integer
+ *           nullable: true
+ *         mergedInto:
+ *           type: integer
+ *           nullable: true
+ *           description: Set on accounts merged into another one; they stay soft deleted
+ *         mergedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ */
+
+/**
+ * @swagger
+ * /api/admin/users:
+ *   get:
+ *     tags: [Users]
+ *     summary: Search users (admin only)
+ *     parameters:
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Matches part of the email or name
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *           enum: [learner, author, editor, admin]
+ *       - in: query
+ *         name: verified
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, pending, deleted, all]
+ *           default: active
+ *         description: pending lists accounts waiting for signup approval
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [createdAt, email, name, role]
+ *           default: createdAt
+ *       - in: query
+ *         name: order
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *           default: desc
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Page of users
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AdminUser'
+ *                 pagination:
+ *                   type: object
+ *       400:
+ *         description: Invalid filter
+ *   post:
+ *     tags: [Users]
+ *     summary: Create a user (admin only)
+ *     description: API keys can create users but cannot set their role; they are created as learners.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *               name:
+ *                 type: string
+ *               phone:
+ *                 type: string
+ *               timezone:
+ *                 type: string
+ *               preferredLanguage:
+ *                 type: string
+ *               role:
+ *                 type: string
+ *                 enum: [learner, author, editor, admin]
+ *               isVerified:
+ *                 type: boolean
+ *               organizationId:
+ *                 type: integer
+ *               maxSessions:
+ *                 type: integer
+ *                 nullable: true
+ *     responses:
+ *       201:
+ *         description: User created
+ *       400:
+ *         description: Validation error or unknown field
+ *       403:
+ *         description: An API key tried to set the role
+ *       409:
+ *         description: Email already in use
+ */
+
+// GET /api/admin/users - Search users
+router.get('/admin/users', requirePermission('users:read'), async (req, res) => {
+  const { search, role, verified, status = 'active', sort = 'createdAt', order = 'desc' } = req.query;
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+  if (role && !ROLES.includes(role)) {
+    return res.status(400).json({ success: false, error: `Role must be one of: ${ROLES.join(', ')}` });
+  }
+  if (verified !== undefined && !['true', 'false'].includes(verified)) {
+    return res.status(400).json({ success: false, error: "'verified' must be true or false" });
+  }
+  if (!userService.STATUSES.includes(status)) {
+    return res.status(400).json({ success: false, error: `Status must be one of: ${userService.STATUSES.join(', ')}` });
+  }
+  if (!userService.SORT_COLUMNS[sort]) {
+    return res.status(400).json({ success: false, error: `Sort must be one of: ${Object.keys(userService.SORT_COLUMNS).join(', ')}` });
+  }
+
+  try {
+    const { users, total } = await userService.listUsers(req.pool, {
+      search: search ? String(search).trim() : undefined,
+      role,
+      verified: verified === undefined ? undefined : verified === 'true',
+      status,
+      sort,
+      order,
+      page,
+      limit
+    });
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      data: users,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      }
+    });
+  } catch (err) {
+    console.error('Error in GET /admin/users:', err);
+    res.status(500).json({ success: false, error: err.message || 'Internal server error' });
+  }
+});
+
+// POST /api/admin/users - Create a user
+router.post('/admin/users', requirePermission('users:manage'), async (req, res) => {
+  const body = req.body || {};
+  if (!body.email) {
+    return res.status(400).json({ success: false, error: 'Email is required' });
+  }
+  if (body.role !== undefined && req.apiKey && !scopesGrant(req.apiKey.scopes, 'users:assignRoles')) {
+    return res.status(403).json({ success: false, error: 'API keys cannot set a user\'s role' });
+  }
+
+  try {
+    const { values, error } = await buildUserValues(req.pool, body, CREATE_FIELDS);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+    const user = await userService.createUser(req.pool, values);
+    await auditService.record(req, { action: 'user.create', entityType: 'user', entityId: user.id, after: user });
+    res.status(201).json({ success: true, data: user, message: 'User created successfully' });
+  } catch (err) {
+    if (err.code === '23505') {
+      return res.status(409).json({ success: false, error: 'A user with this email already exists' });
+    }
+    if (err.code === '23503') {
+      return res.status(400).json({ success: false, error: 'Organization not found' });
+    }
+    console.error('Error in POST /admin/users:', err);
+    res.status(500).json({ success: false, error: err.message || 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/users/duplicates:
+ *   get:
+ *     tags: [Users]
+ *     summary: Report probable duplicate accounts (admin only)
+ *     description: |
+ *       Groups active accounts whose emails reach the same mailbox. match is "email" when the
+ *       addresses differ only in letter case or whitespace, and "mailbox" when they differ by a
+ *       +tag or by dots in a Gmail address. Each user carries activity counts to help choose
+ *       which account to keep; merge the others into it with /api/admin/users/{id}/merge.
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Page of duplicate groups
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       mailbox:
+ *                         type: string
+ *                       match:
+ *                         type: string
+ *                         enum: [email, mailbox]
+ *                       users:
+ *                         type: array
+ *                         items:
+ *                           $ref: '#/components/schemas/AdminUser'
+ *                 pagination:
+ *                   type: object
+ */
+
+// GET /api/admin/users/duplicates - Probable duplicate accounts
+router.get('/admin/users/duplicates', requirePermission('users:read'), async (req, res) => {
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+  try {
+    const { groups, total } = await userMergeService.findDuplicates(req.pool, { page, limit });
+    const totalPages = Math.ceil(total / limit);
+    res.json({
+      success: true,
+      data: groups,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      }
+    });
+  } catch (err) {
+    console.error('Error in GET /admin/users/duplicates:', err);
+    res.status(500).json({ success: false, error: err.message || 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/users/{id}:
+ *   get:
+ *     tags: [Users]
+ *     summary: Get a user (admin only)
+ *     description: Soft-deleted users are returned too, with deletedAt set.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: User
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/AdminUser'
+ *       404:
+ *         description: User not found
+ *   put:
+ *     tags: [Users]
+ *     summary: Update a user (admin only)
+ *     description: Only the listed fields are accepted; use /api/admin/users/{id}/role to change the role.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               phone:
+ *                 type: string
+ *                 nullable: true
+ *               timezone:
+ *                 type: string
+ *                 nullable: true
+ *               preferredLanguage:
+ *                 type: string
+ *               isVerified:
+ *                 type: boolean
+ *               organizationId:
+ *                 type: integer
+ *                 nullable: true
+ *               maxSessions:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Concurrent session limit; null uses the server default, 0 means unlimited
+ *     responses:
+ *       200:
+ *         description: User updated
+ *       400:
+ *         description: Validation error or unknown field
+ *       404:
+ *         description: User not found
+ *   delete:
+ *     tags: [Users]
+ *     summary: Soft delete a user (admin only)
+ *     description: Hides the user from listings, revokes their sessions and blocks login. Undo with /api/admin/users/{id}/restore.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: User deleted
+ *       400:
+ *         description: Admins cannot delete themselves
+ *       404:
+ *         description: User not found or already deleted
+ *       409:
+ *         description: User is the last admin
+ */
+
+// GET /api/admin/users/:id - Get one user
+router.get('/admin/users/:id', requirePermission('users:read'), async (req, res) => {
+  try {
+    const user = await userService.getUser(req.pool, req.params.id);
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+    res.json({ success: true, data: user });
+  } catch (err) {
+    console.error('Error in GET /admin/users/:id:', err);
+    res.status(500).json({ success: false, error: err.message || 'Internal server error' });
+  }
+});
+
+// PUT /api/admin/users/:id - Update allowlisted fields
+router.put('/admin/users/:id', requirePermission('users:manage'), async (req, res) => {
+  try {
+    const { values, error } = await buildUserValues(req.pool, req.body || {}, UPDATE_FIELDS);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+    if (Object.keys(values).length === 0) {
+      return res.status(400).json({ success: false, error: 'No fields to update' });
+    }
+    const before = await userService.getUser(req.pool, req.params.id);
+    const user = before && await userService.updateUser(req.pool, req.params.id, values);
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+    await auditService.record(req, { action: 'user.update', entityType: 'user', entityId: user.id, before, after: user });
+    res.json({ success: true, data: user, message: 'User updated successfully' });
+  } catch (err) {
+    if (err.code === '23503') {
+      return res.status(400).json({ success: false, error: 'Organization not found' });
+    }
+    console.error('Error in PUT /admin/users/:id:', err);
+    res.status(500).json({ success: false, error: err.message || 'Internal server error' });
+  }
+});
+
+// DELETE /api/admin/users/:id - Soft delete a user
+router.delete('/admin/users/:id', requirePermission('users:manage'), async (req, res) => {
+  const actorId = req.user ? req.user.id : null;
+  if (actorId && String(actorId) === String(req.params.id)) {
+    return res.status(400).json({ success: false, error: 'You cannot delete your own account here' });
+  }
+
+  try {
+    const before = await userService.getUser(req.pool, req.params.id);
+    const result = await userService.softDeleteUser(req.pool, req.params.id, actorId);
+    if (result.error) {
+      return res.status(result.status).json({ success: false, error: result.error });
+    }
+    await auditService.record(req, { action: 'user.delete', entityType: 'user', entityId: result.user.id, before, after: result.user });
+    res.json({ success: true, data: result.user, message: 'User deleted successfully' });
+  } catch (err) {
+    console.error('Error in DELETE /admin/users/:id:', err);
+    res.status(500).json({ success: false, error: err.message || 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/restore:
+ *   post:
+ *     tags: [Users]
+ *     summary: Restore a soft-deleted user (admin only)
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: User restored
+ *       404:
+ *         description: User not found or not deleted
+ *       409:
+ *         description: Another active account uses the same email, or the account was merged into another
+ */
+
+// POST /api/admin/users/:id/restore - Undo a soft delete
+router.post('/admin/users/:id/restore', requirePermission('users:manage'), async (req, res) => {
+  try {
+    const before = await userService.getUser(req.pool, req.params.id);
+    if (before && before.mergedInto) {
+      return res.status(409).json({ success: false, error: `This account was merged into user ${before.mergedInto} and cannot be restored` });
+    }
+    const user = await userService.restoreUser(req.pool, req.params.id);
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found or not deleted' });
+    }
+    await auditService.record(req, { action: 'user.restore', entityType: 'user', entityId: user.id, before, after: user });
+    res.json({ success: true, data: user, message: 'User restored successfully' });
+  } catch (err) {
+    if (err.code === '23505') {
+      return res.status(409).json({ success: false, error: 'Another active account uses this email' });
+    }
+    console.error('Error in POST /admin/users/:id/restore:', err);
+    res.status(500).json({ success: false, error: err.message || 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/approve:
+ *   post:
+ *     tags: [Users]
+ *     summary: Approve a pending signup (admin only)
+ *     description: Lets the account sign in and emails the user that it is ready.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: User approved
+ *       404:
+ *         description: User not found or not pending
+ */
+
+// POST /api/admin/users/:id/approve - Clear a pending signup
+router.post('/admin/users/:id/approve', requirePermission('users:manage'), async (req, res) => {
+  try {
+    const before = await userService.getUser(req.pool, req.params.id);
+    const user = before && await userService.approveUser(req.pool, req.params.id, req.user && req.user.id);
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found or not pending approval' });
+    }
+    await auditService.record(req, { action: 'user.approve', entityType: 'user', entityId: user.id, before, after: user });
+    await emailOutboxService.queueEmail(req.pool, {
+      to: user.email,
+      template: 'account-approved',
+      language: user.preferredLanguage,
+      data: {}
+    });
+    res.json({ success: true, data: user, message: 'User approved successfully' });
+  } catch (err) {
+    console.error('Error in POST /admin/users/:id/approve:', err);
+    res.status(500).json({ success: false, error: err.message || 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/merge:
+ *   post:
+ *     tags: [Users]
+ *     summary: Merge a duplicate account into this one (admin only)
+ *     description: |
+ *       Moves the duplicate's enrollments, video progress, reviews, uploads and authored topics
+ *       to this account. Where both accounts have a record for the same topic or video this
+ *       account's record is kept with the further progress of the two; on a shared review this
+ *       account's review wins. The duplicate is then soft deleted and signed out everywhere.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The account to keep
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [duplicateId]
+ *             properties:
+ *               duplicateId:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: Accounts merged
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/AdminUser'
+ *                 moved:
+ *                   type: object
+ *                   description: Records moved from the duplicate, per kind
+ *                   example: { enrollments: 3, progress: 12, reviews: 1, uploads: 0, topics: 0 }
+ *       400:
+ *         description: Invalid duplicateId
+ *       404:
+ *         description: Either account not found or already deleted
+ *       409:
+ *         description: The duplicate is the last admin
+ */
+
+// POST /api/admin/users/:id/merge - Fold a duplicate account into this one
+router.post('/admin/users/:id/merge', requirePermission('users:manage'), async (req, res) => {
+  const { duplicateId } = req.body || {};
+  if (!Number.isInteger(duplicateId)) {
+    return res.status(400).json({ success: false, error: 'duplicateId must be an integer' });
+  }
+
+  try {
+    const before = await userService.getUser(req.pool, duplicateId);
+    const result = await userMergeService.mergeUsers(req.pool, req.params.id, duplicateId, req.user ? req.user.id : null);
+    if (result.error) {
+      return res.status(result.status).json({ success: false, error: result.error });
+    }
+    await auditService.record(req, { action: 'user.merge', entityType: 'user', entityId: duplicateId, before, after: result.duplicate });
+    res.json({ success: true, data: result.user, moved: result.moved, message: 'Accounts merged successfully' });
+  } catch (err) {
+    console.error('Error in POST /admin/users/:id/merge:', err);
+    res.status(500).json({ success: false, error: err.message || 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/role:
+ *   put:
+ *     tags: [Users]
+ *     summary: Assign a role (admin only)
+ *     description: Only signed-in admins can change roles; no API key scope allows it.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [learner, author, editor, admin]
+ *     responses:
+ *       200:
+ *         description: Role updated
+ *       400:
+ *         description: Invalid role
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: User is the last admin
+ */
+
+// PUT /api/admin/users/:id/role - Assign a role
+router.put('/admin/users/:id/role', requirePermission('users:assignRoles'), async (req, res) => {
+  const { role } = req.body || {};
+  if (!ROLES.includes(role)) {
+    return res.status(400).json({ success: false, error: `Role must be one of: ${ROLES.join(', ')}` });
+  }
+
+  try {
+    const before = await userService.getUser(req.pool, req.params.id);
+    const result = await userService.setRole(req.pool, req.params.id, role);
+    if (result.error) {
+      return res.status(result.status).json({ success: false, error: result.error });
+    }
+    await auditService.record(req, { action: 'user.role_change', entityType: 'user', entityId: result.user.id, before, after: result.user });
+    res.json({ success: true, data: result.user, message: 'Role updated successfully' });
+  } catch (err) {
+    console.error('Error in PUT /admin/users/:id/role:', err);
+    res.status(500).json({ success: false, error: err.message || 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/sessions:
+ *   get:
+ *     tags: [Users]
+ *     summary: List a user's active sessions (admin only)
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Active sessions, most recently seen first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Session'
+ *       404:
+ *         description: User not found
+ */
+router.get('/admin/users/:id/sessions', requirePermission('users:read'), async (req, res) => {
+  try {
+    const user = await userService.getUser(req.pool, req.params.id);
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+    const sessions = await sessionService.listActiveSessions(req.pool, user.id);
+    res.json({ success: true, data: sessions });
+  } catch (err) {
+    console.error('Error in GET /admin/users/:id/sessions:', err);
+    res.status(500).json({ success: false, error: err.message || 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/sessions/{sessionId}:
+ *   delete:
+ *     tags: [Users]
+ *     summary: Sign a user out of one session (admin only)
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *       404:
+ *         description: Session not found or already ended
+ */
+router.delete('/admin/users/:id/sessions/:sessionId', requirePermission('users:manage'), async (req, res) => {
+  try {
+    const user = await userService.getUser(req.pool, req.params.id);
+    const session = user && await sessionService.revokeUserSession(req.pool, user.id, req.params.sessionId, 'revoked_by_admin');
+    if (!session) {
+      return res.status(404).json({ success: false, error: 'Session not found' });
+    }
+    await auditService.record(req, { action: 'user.session_revoke', entityType: 'user', entityId: user.id, before: session });
+    res.json({ success: true, message: 'Session revoked' });
+  } catch (err) {
+    console.error('Error in DELETE /admin/users/:id/sessions/:sessionId:', err);
+    res.status(500).json({ success: false, error: err.message || 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/impersonate:
+ *   post:
+ *     tags: [Users]
+ *     summary: Sign in as a user for support (admin only)
+ *     description: |
+ *       Returns an access token for the user that carries an impersonatedBy claim. It expires
+ *       after IMPERSONATION_TTL_MINUTES, cannot be refreshed and ends on /api/auth/logout.
+ *       Responses to it have an X-Impersonated-By header. Payments, account deletion, data
+ *       export and security settings are refused with 403, and every request made with the
+ *       token is written to the audit log. Admin accounts cannot be impersonated.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reason]
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *                 example: 'Ticket 4821: course video does not load'
+ *     responses:
+ *       201:
+ *         description: Impersonation started
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     sessionToken:
+ *                       type: string
+ *                     expiresIn:
+ *                       type: string
+ *                     expiresAt:
+ *                       type: string
+ *                       format: date-time
+ *                     user:
+ *                       $ref: '#/components/schemas/AdminUser'
+ *                     impersonatedBy:
+ *                       type: integer
+ *       400:
+ *         description: Missing reason, or admins tried to impersonate themselves
+ *       403:
+ *         description: Already impersonating someone
+ *       404:
+ *         description: User not found or deleted
+ *       409:
+ *         description: The user is an admin or waiting for approval
+ */
+router.post('/admin/users/:id/impersonate', requirePermission('users:impersonate'), denyImpersonation, async (req, res) => {
+  const reason = typeof (req.body && req.body.reason) === 'string' ? req.body.reason.trim() : '';
+  if (!reason || reason.length > 500) {
+    return res.status(400).json({ success: false, error: 'A reason of at most 500 characters is required' });
+  }
+
+  try {
+    const user = await userService.getUser(req.pool, req.params.id);
+    if (!user || user.deletedAt) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+    if (user.id === req.user.id) {
+      return res.status(400).json({ success: false, error: 'You cannot impersonate yourself' });
+    }
+    if (user.role === 'admin') {
+      return res.status(409).json({ success: false, error: 'Admin accounts cannot be impersonated' });
+    }
+    if (user.approvalStatus === 'pending') {
+      return res.status(409).json({ success: false, error: 'This account is waiting for approval' });
+    }
+
+    const session = await sessionService.createImpersonationSession(req.pool, user, req.user, req, {
+      mfaVerified: req.auth.mfaVerified
+    });
+    await auditService.record(req, {
+      action: 'user.impersonate',
+      entityType: 'user',
+      entityId: user.id,
+      after: { sessionId: session.sessionId, reason, expiresAt: session.expiresAt }
+    });
+    res.status(201).json({
+      success: true,
+      data: {
+        sessionToken: session.sessionToken,
+        expiresIn: session.expiresIn,
+        expiresAt: session.expiresAt,
+        user,
+        impersonatedBy: req.user.id
+      },
+      message: `Impersonating ${user.email}`
+    });
+  } catch (err) {
+    console.error('Error in POST /admin/users/:id/impersonate:', err);
+    res.status(500).json({ success: false, error: err.message || 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/logins:
+ *   get:
+ *     tags: [Users]
+ *     summary: Login history of a user
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: success
+ *         schema:
+ *           type: boolean
+ *         description: Only successful (true) or failed (false) attempts
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Login attempts, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/LoginEvent'
+ *                 pagination:
+ *                   type: object
+ *       404:
+ *         description: User not found
+ */
+router.get('/admin/users/:id/logins', requirePermission('users:read'), async (req, res) => {
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+  const success = req.query.success === undefined ? undefined : req.query.success === 'true';
+
+  try {
+    const user = await userService.getUser(req.pool, req.params.id);
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+    const { events, total } = await loginEventService.listEvents(req.pool, user.id, { success, page, limit });
+    const totalPages = Math.ceil(total / limit);
+    res.json({
+      success: true,
+      data: events,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      }
+    });
+  } catch (err) {
+    console.error('Error in GET /admin/users/:id/logins:', err);
+    res.status(500).json({ success: false, error: err.message || 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,320 @@
+const express = require('express');
+const router = express.Router();
+const { requirePermission } = require('../middleware/auth');
+const { API_KEY_SCOPES } = require('../config/permissions');
+const apiKeyService = require('../services/apiKeyService');
+
+// Check the scopes list; returns an error message or null
+function validateScopes(scopes) {
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    return 'At least one scope is required';
+  }
+  const unknown = scopes.filter(scope => !API_KEY_SCOPES[scope]);
+  if (unknown.length) {
+    return `Unknown scopes: ${unknown.join(', ')}. Allowed: ${Object.keys(API_KEY_SCOPES).join(', ')}`;
+  }
+  return null;
+}
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ApiKey:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 1
+ *         name:
+ *           type: string
+ *           example: 'HR system sync'
+ *         keyPrefix:
+ *           type: string
+ *           description: Public start of the key, to recognise it in logs and listings
+ *           example: 'tck_3f9a1c0b7d2e'
+ *         scopes:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: ['topics:read', 'enrollments:write']
+ *         status:
+ *           type: string
+ *           enum: [active, expired, revoked]
+ *         createdBy:
+ *           type: integer
+ *           nullable: true
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         lastUsedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         lastUsedIp:
+ *           type: string
+ *           nullable: true
+ *         rotatedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         revokedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *     ApiKeyWithSecret:
+ *       type: object
+ *       properties:
+ *         success:
+ *           type: boolean
+ *         data:
+ *           $ref: '#/components/schemas/ApiKey'
+ *         key:
+ *           type: string
+ *           description: The full key. It is only returned here and cannot be retrieved later.
+ *           example: 'tck_3f9a1c0b7d2eQ2x...'
+ *         message:
+ *           type: string
+ */
+
+/**
+ * @swagger
+ * /api/admin/api-keys:
+ *   get:
+ *     tags: [API Keys]
+ *     summary: List API keys (admin only)
+ *     parameters:
+ *       - in: query
+ *         name: includeRevoked
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *     responses:
+ *       200:
+ *         description: API keys, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ApiKey'
+ *   post:
+ *     tags: [API Keys]
+ *     summary: Create an API key (admin only)
+ *     description: |
+ *       Integrations send the returned key as `Authorization: ApiKey <key>`.
+ *       Available scopes are topics:read, topics:write, topics:delete, categories:write,
+ *       enrollments:write, uploads:write, users:read and users:write. No scope allows changing
+ *       roles or sending invitations.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - scopes
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: 'HR system sync'
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ['topics:read', 'enrollments:write']
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Leave out for a key that does not expire
+ *     responses:
+ *       201:
+ *         description: API key created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiKeyWithSecret'
+ *       400:
+ *         description: Validation error
+ */
+
+// GET /api/admin/api-keys - List API keys
+router.get('/admin/api-keys', requirePermission('apiKeys:manage'), async (req, res) => {
+  try {
+    const keys = await apiKeyService.listKeys(req.pool, { includeRevoked: req.query.includeRevoked === 'true' });
+    res.json({ success: true, data: keys });
+  } catch (err) {
+    console.error('Error in GET /admin/api-keys:', err);
+    res.status(500).json({ success: false, error: err.message || 'Internal server error' });
+  }
+});
+
+// POST /api/admin/api-keys - Create an API key
+router.post('/admin/api-keys', requirePermission('apiKeys:manage'), async (req, res) => {
+  const { name, scopes, expiresAt } = req.body;
+
+  if (!name || String(name).trim() === '') {
+    return res.status(400).json({ success: false, error: 'Name is required' });
+  }
+  if (String(name).trim().length > 100) {
+    return res.status(400).json({ success: false, error: 'Name must be at most 100 characters' });
+  }
+  const scopeError = validateScopes(scopes);
+  if (scopeError) {
+    return res.status(400).json({ success: false, error: scopeError });
+  }
+  let expiry = null;
+  if (expiresAt) {
+    expiry = new Date(expiresAt);
+    if (isNaN(expiry.getTime()) || expiry <= new Date()) {
+      return res.status(400).json({ success: false, error: 'expiresAt must be a date in the future' });
+    }
+  }
+
+  try {
+    const { apiKey, key } = await apiKeyService.createKey(req.pool, {
+      name: String(name).trim(),
+      scopes: [...new Set(scopes)],
+      expiresAt: expiry,
+      createdBy: req.user.id
+    });
+    res.status(201).json({
+      success: true,
+      data: apiKey,
+      key,
+      message: 'API key created. Store it now, it will not be shown again.'
+    });
+  } catch (err) {
+    console.error('Error in POST /admin/api-keys:', err);
+    res.status(500).json({ success: false, error: err.message || 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/api-keys/{id}:
+ *   get:
+ *     tags: [API Keys]
+ *     summary: Get an API key (admin only)
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: API key
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/ApiKey'
+ *       404:
+ *         description: API key not found
+ *   delete:
+ *     tags: [API Keys]
+ *     summary: Revoke an API key (admin only)
+ *     description: The key stops working immediately. Revoked keys stay listed (with includeRevoked) for reference.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: API key revoked
+ *       404:
+ *         description: API key not found or already revoked
+ */
+
+// GET /api/admin/api-keys/:id - Get one API key
+router.get('/admin/api-keys/:id', requirePermission('apiKeys:manage'), async (req, res) => {
+  try {
+    const apiKey = await apiKeyService.getKey(req.pool, req.params.id);
+    if (!apiKey) {
+      return res.status(404).json({ success: false, error: 'API key not found' });
+    }
+    res.json({ success: true, data: apiKey });
+  } catch (err) {
+    console.error('Error in GET /admin/api-keys/:id:', err);
+    res.status(500).json({ success: false, error: err.message || 'Internal server error' });
+  }
+});
+
+// DELETE /api/admin/api-keys/:id - Revoke an API key
+router.delete('/admin/api-keys/:id', requirePermission('apiKeys:manage'), async (req, res) => {
+  try {
+    const apiKey = await apiKeyService.revokeKey(req.pool, req.params.id);
+    if (!apiKey) {
+      return res.status(404).json({ success: false, error: 'API key not found or already revoked' });
+    }
+    res.json({ success: true, data: apiKey, message: 'API key revoked successfully' });
+  } catch (err) {
+    console.error('Error in DELETE /admin/api-keys/:id:', err);
+    res.status(500).json({ success: false, error: err.message || 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/api-keys/{id}/rotate:
+ *   post:
+ *     tags: [API Keys]
+ *     summary: Rotate an API key (admin only)
+ *     description: Issues a new secret for the key, keeping its name, scopes and expiry. The previous value stops working immediately.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: New key issued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiKeyWithSecret'
+ *       404:
+ *         description: API key not found or revoked
+ */
+
+// POST /api/admin/api-keys/:id/rotate - Issue a new secret for an API key
+router.post('/admin/api-keys/:id/rotate', requirePermission('apiKeys:manage'), async (req, res) => {
+  try {
+    const rotated = await apiKeyService.rotateKey(req.pool, req.params.id);
+    if (!rotated) {
+      return res.status(404).json({ success: false, error: 'API key not found or revoked' });
+    }
+    res.json({
+      success: true,
+      data: rotated.apiKey,
+      key: rotated.key,
+      message: 'API key rotated. Store the new key now, it will not be shown again.'
+    });
+  } catch (err) {
+    console.error('Error in POST /admin/api-keys/:id/rotate:', err);
+    res.status(500).json({ success: false, error: err.message || 'Internal server error' });
+  }
+});
+
+module.exports = router;
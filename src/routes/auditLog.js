@@ -0,0 +1,344 @@
+const express = require('express');
+const router = express.Router();
+const { requirePermission } = require('../middleware/auth');
+const auditService = require('../services/auditService');
+
+// Read the shared filter query parameters; returns { filters } or { error }
+function parseFilters(query) {
+  const filters = {
+    actorUserId: query.actorUserId ? parseInt(query.actorUserId) : undefined,
+    actorApiKeyId: query.actorApiKeyId ? parseInt(query.actorApiKeyId) : undefined,
+    impersonatedBy: query.impersonatedBy ? parseInt(query.impersonatedBy) : undefined,
+    action: query.action || undefined,
+    entityType: query.entityType || undefined,
+    entityId: query.entityId || undefined,
+    requestId: query.requestId || undefined
+  };
+  if (Number.isNaN(filters.actorUserId) || Number.isNaN(filters.actorApiKeyId) || Number.isNaN(filters.impersonatedBy)) {
+    return { error: 'actorUserId, actorApiKeyId and impersonatedBy must be integers' };
+  }
+  for (const field of ['from', 'to']) {
+    if (query[field]) {
+      const date = new Date(query[field]);
+      if (Number.isNaN(date.getTime())) {
+        return { error: `${field} must be an ISO 8601 date` };
+      }
+      filters[field] = date;
+    }
+  }
+  return { filters };
+}
+
+function formatEntry(row) {
+  return {
+    id: Number(row.id),
+    actorUserId: row.actor_user_id,
+    actorEmail: row.actor_email,
+    actorApiKeyId: row.actor_api_key_id,
+    impersonatedBy: row.impersonated_by,
+    action: row.action,
+    entityType: row.entity_type,
+    entityId: row.entity_id,
+    before: row.before_data,
+    after: row.after_data,
+    changes: row.changes,
+    ipAddress: row.ip_address,
+    userAgent: row.user_agent,
+    requestId: row.request_id,
+    createdAt: row.created_at
+  };
+}
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AuditLogEntry:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         actorUserId:
+ *           type: integer
+ *           nullable: true
+ *         actorEmail:
+ *           type: string
+ *           nullable: true
+ *           description: Email of the acting user at the time of the change
+ *         actorApiKeyId:
+ *           type: integer
+ *           nullable: true
+ *           description: Set when the change was made with an API key
+ *         impersonatedBy:
+ *           type: integer
+ *           nullable: true
+ *           description: Admin who was impersonating the actor when the change was made
+ *         action:
+ *           type: string
+ *           example: 'topic.update'
+ *         entityType:
+ *           type: string
+ *           example: 'topic'
+ *         entityId:
+ *           type: string
+ *           nullable: true
+ *           example: '42'
+ *         before:
+ *           type: object
+ *           nullable: true
+ *           description: Snapshot before the change (null for creates)
+ *         after:
+ *           type: object
+ *           nullable: true
+ *           description: Snapshot after the change (null for deletes)
+ *         changes:
+ *           type: object
+ *           nullable: true
+ *           description: 'Changed fields, each as { from, to }'
+ *           example: { status: { from: 'Draft', to: 'Published' } }
+ *         ipAddress:
+ *           type: string
+ *           nullable: true
+ *         userAgent:
+ *           type: string
+ *           nullable: true
+ *         requestId:
+ *           type: string
+ *           nullable: true
+ *           description: Matches the X-Request-Id response header of the request that made the change
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/admin/audit-log:
+ *   get:
+ *     tags: [Audit Log]
+ *     summary: Search the audit log (admin only)
+ *     description: |
+ *       Every write to topics, modules, videos, categories, subcategories, the homepage,
+ *       legal documents, users and invitations is recorded here, as is every request an admin
+ *       makes while impersonating a user. Entries cannot be edited or deleted.
+ *     parameters:
+ *       - in: query
+ *         name: actorUserId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: actorApiKeyId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: impersonatedBy
+ *         schema:
+ *           type: integer
+ *         description: Only entries made while this admin was impersonating a user
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *         description: Exact action (e.g. topic.update), or a prefix ending in a dot (e.g. topic.)
+ *       - in: query
+ *         name: entityType
+ *         schema:
+ *           type: string
+ *           enum: [topic, module, video, category, subcategory, homepage, faq, terms_conditions, privacy_policy, user, invitation]
+ *       - in: query
+ *         name: entityId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: requestId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 200
+ *     responses:
+ *       200:
+ *         description: Matching entries, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AuditLogEntry'
+ *                 pagination:
+ *                   type: object
+ *       400:
+ *         description: Invalid filter
+ */
+router.get('/admin/audit-log', requirePermission('audit:read'), async (req, res) => {
+  const { filters, error } = parseFilters(req.query);
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+  try {
+    const { entries, total } = await auditService.listEntries(req.pool, filters, { page, limit });
+    const totalPages = Math.ceil(total / limit);
+    res.json({
+      success: true,
+      data: entries.map(formatEntry),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      }
+    });
+  } catch (err) {
+    console.error('Error in GET /admin/audit-log:', err);
+    res.status(500).json({ success: false, error: err.message || 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/audit-log/export.csv:
+ *   get:
+ *     tags: [Audit Log]
+ *     summary: Export the audit log as CSV (admin only)
+ *     description: Takes the same filters as the search endpoint. Rows are oldest first; before/after snapshots are left out.
+ *     parameters:
+ *       - in: query
+ *         name: actorUserId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: actorApiKeyId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: impersonatedBy
+ *         schema:
+ *           type: integer
+ *         description: Only entries made while this admin was impersonating a user
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: entityType
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: entityId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: requestId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     responses:
+ *       200:
+ *         description: CSV file
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid filter
+ */
+router.get('/admin/audit-log/export.csv', requirePermission('audit:read'), async (req, res) => {
+  const { filters, error } = parseFilters(req.query);
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
+
+  try {
+    const csv = await auditService.exportCsv(req.pool, filters);
+    const stamp = new Date().toISOString().slice(0, 10);
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="audit-log-${stamp}.csv"`);
+    res.send(csv);
+  } catch (err) {
+    console.error('Error in GET /admin/audit-log/export.csv:', err);
+    res.status(500).json({ success: false, error: err.message || 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/audit-log/{id}:
+ *   get:
+ *     tags: [Audit Log]
+ *     summary: Get one audit log entry (admin only)
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The entry
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/AuditLogEntry'
+ *       404:
+ *         description: Entry not found
+ */
+router.get('/admin/audit-log/:id', requirePermission('audit:read'), async (req, res) => {
+  const id = parseInt(req.params.id);
+  if (Number.isNaN(id)) {
+    return res.status(404).json({ success: false, error: 'Audit log entry not found' });
+  }
+  try {
+    const entry = await auditService.getEntry(req.pool, id);
+    if (!entry) {
+      return res.status(404).json({ success: false, error: 'Audit log entry not found' });
+    }
+    res.json({ success: true, data: formatEntry(entry) });
+  } catch (err) {
+    console.error('Error in GET /admin/audit-log/:id:', err);
+    res.status(500).json({ success: false, error: err.message || 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -1,28 +1,98 @@
 const express = require('express');
+const ejs = require('ejs');
+const path = require('path');
 const router = express.Router();
-const jwt = require('jsonwebtoken');
-const nodemailer = require('nodemailer');
+const { authenticateUser, denyImpersonation } = require('../middleware/auth');
+const sessionService = require('../services/sessionService');
+const otpService = require('../services/otpService');
+const throttleService = require('../services/throttleService');
+const magicLinkService = require('../services/magicLinkService');
+const emailService = require('../services/emailService');
+const emailOutboxService = require('../services/emailOutboxService');
+const loginService = require('../services/loginService');
+const loginEventService = require('../services/loginEventService');
+const signupPolicyService = require('../services/signupPolicyService');
+const auditService = require('../services/auditService');
+const { normalizeEmail, findUserByEmail } = require('../services/userService');
+const { MAX_FAILURES_PER_EMAIL, MAX_FAILURES_PER_IP, OTP_TTL_MINUTES } = require('../config/auth');
 const { Pool } = require('pg');
 const pool = new Pool();
 
-const JWT_SECRET = process.env.JWT_SECRET || 'changeme';
-const JWT_EXPIRES_IN = '15m';
+// Public base URL used in emailed magic links
 const APP_URL = process.env.APP_URL || 'https://yourapp.com';
 
-// Google SMTP config from .env
-const transporter = nodemailer.createTransport({
-  service: 'gmail',
-  auth: {
-    user: process.env.GMAIL_USER,
-    pass: process.env.GMAIL_PASS
+// Confirmation page for the emailed magic link; only the POST signs in
+const CONFIRM_PAGE = path.join(__dirname, '../views/magic_link_confirm.ejs');
+
+// Language for outgoing emails: explicit body field, then the user's
+// preferred language, then Accept-Language
+function emailLanguage(req, user) {
+  return emailService.resolveLanguage(
+    req.body && req.body.language,
+    user && user.preferred_language,
+    req.acceptsLanguages(...emailService.SUPPORTED_LANGUAGES) || undefined
+  );
+}
+
+// Verify an emailed OTP, enforcing per-email and per-IP lockouts.
+// Resolves to { userId } on success or { status, error, retryAfter } on failure.
+async function verifyOtpWithThrottle(email, otp, req) {
+  const keys = [throttleService.emailKey(email), throttleService.ipKey(req.ip)];
+  const retryAfter = await throttleService.getLockout(pool, keys);
+  const existing = await findUserByEmail(pool, email);
+  const userId = existing ? existing.id : null;
+  if (retryAfter > 0) {
+    await loginEventService.recordFailure(pool, req, { userId, email, method: 'otp', reason: 'locked_out' });
+    return { status: 429, error: 'Too many failed attempts. Try again later.', retryAfter };
   }
-});
+
+  const valid = userId !== null && await otpService.verifyOtp(pool, userId, otp);
+  if (!valid) {
+    await throttleService.recordFailure(pool, keys[0], MAX_FAILURES_PER_EMAIL);
+    await throttleService.recordFailure(pool, keys[1], MAX_FAILURES_PER_IP);
+    await loginEventService.recordFailure(pool, req, { userId, email, method: 'otp', reason: userId ? 'invalid_otp' : 'unknown_user' });
+    return { status: 400, error: userId ? 'Invalid or expired OTP' : 'User not found' };
+  }
+
+  await throttleService.clearFailures(pool, keys[0]);
+  return { userId };
+}
+
+// Look up a user by email, creating an unverified placeholder account if the
+// signup policy allows it. Resolves to { user } or { error }.
+async function findOrCreateUserByEmail(email) {
+  const existing = await findUserByEmail(pool, email);
+  if (existing) {
+    return { user: existing };
+  }
+  const policy = signupPolicyService.checkSignup(email);
+  if (policy.error) {
+    return { error: policy.error };
+  }
+  const insert = await pool.query(
+    'INSERT INTO users (email, is_verified, name, address, approval_status) VALUES ($1, false, $2, $3, $4) RETURNING *',
+    [email, 'OTPUser', 'Unknown', policy.approvalStatus]
+  );
+  return { user: insert.rows[0] };
+}
+
+function sendOtpFailure(res, outcome) {
+  if (outcome.retryAfter) {
+    res.set('Retry-After', String(outcome.retryAfter));
+    return res.status(outcome.status).json({ success: false, error: outcome.error, retryAfter: outcome.retryAfter });
+  }
+  return res.status(outcome.status).json({ success: false, error: outcome.error });
+}
 /**
  * @swagger
  * /api/auth/signup:
  *   post:
  *     tags: [Auth]
  *     summary: Register a new user
+ *     description: |
+ *       Subject to the signup policy: invite-only mode, allowed/blocked email domains and
+ *       the disposable-address blocklist. When admin approval is required the account is
+ *       created as pending and cannot sign in until an admin approves it.
  *     requestBody:
  *       required: true
  *       content:
@@ -37,6 +107,10 @@ const transporter = nodemailer.createTransport({
  *               email:
  *                 type: string
  *                 example: 'user@example.com'
+ *               language:
+ *                 type: string
+ *                 example: 'en'
+ *                 description: Email language (en, es). Defaults to the Accept-Language header.
  *               firstname:
  *                 type: string
  *                 example: 'Sai'
@@ -55,6 +129,9 @@ const transporter = nodemailer.createTransport({
  *                   type: boolean
  *                 user:
  *                   type: object
+ *                 pendingApproval:
+ *                   type: boolean
+ *                   description: The account must be approved by an admin before it can sign in
  *       400:
  *         description: Invalid input or user exists
  *         content:
@@ -66,6 +143,8 @@ const transporter = nodemailer.createTransport({
  *                   type: boolean
  *                 error:
  *                   type: string
+ *       403:
+ *         description: Refused by the signup policy
  *       500:
  *         description: Server error
  *         content:
@@ -81,34 +160,41 @@ const transporter = nodemailer.createTransport({
 
 // POST /auth/signup
 router.post('/signup', async (req, res) => {
-  const { email, firstname, lastname } = req.body;
+  const { firstname, lastname } = req.body;
+  const email = normalizeEmail(req.body.email);
   if (!email || !firstname || !lastname) {
     return res.status(400).json({ success: false, error: 'Email, firstname, and lastname required' });
   }
   const name = `${firstname} ${lastname}`;
   try {
-    const exists = await pool.query('SELECT id FROM users WHERE email = $1', [email]);
-    if (exists.rows.length) {
+    if (await findUserByEmail(pool, email)) {
       return res.status(400).json({ success: false, error: 'User already exists' });
     }
+    const policy = signupPolicyService.checkSignup(email);
+    if (policy.error) {
+      return res.status(403).json({ success: false, error: policy.error });
+    }
     const result = await pool.query(
-      'INSERT INTO users (email, name, is_verified) VALUES ($1, $2, $3) RETURNING *',
-      [email, name, false]
-    );
-    // Generate OTP for signup
-    const otp = Math.floor(100000 + Math.random() * 900000).toString();
-    const expiresAt = new Date(Date.now() + 10 * 60 * 1000); // 10 min expiry
-    await pool.query(
-      'INSERT INTO otp_verifications (user_id, otp, expires_at) VALUES ($1, $2, $3)',
-      [result.rows[0].id, otp, expiresAt]
+      'INSERT INTO users (email, name, is_verified, approval_status) VALUES ($1, $2, $3, $4) RETURNING *',
+      [email, name, false, policy.approvalStatus]
     );
-    await transporter.sendMail({
-      from: process.env.GMAIL_USER,
+    // Generate OTP for signup (only its hash is stored)
+    const { otp } = await otpService.issueOtp(pool, result.rows[0].id);
+    await emailOutboxService.queueEmail(pool, {
       to: email,
-      subject: 'Your ThinkCyber Signup OTP',
-      html: `<p>Your signup OTP is: <b>${otp}</b><br>This code is valid for 10 minutes.</p>`
+      template: 'signup-otp',
+      language: emailLanguage(req),
+      data: { otp, expiresInMinutes: OTP_TTL_MINUTES }
+    });
+    const pendingApproval = policy.approvalStatus === 'pending';
+    res.status(201).json({
+      success: true,
+      user: result.rows[0],
+      pendingApproval,
+      message: pendingApproval
+        ? 'Signup successful, OTP sent to email. An administrator must approve the account before you can sign in.'
+        : 'Signup successful, OTP sent to email.'
     });
-    res.status(201).json({ success: true, user: result.rows[0], message: 'Signup successful, OTP sent to email.' });
   } catch (err) {
     console.error('Signup DB error:', err); // This will print the real error to your server logs
     res.status(500).json({ success: false, error: 'DB error' });
@@ -150,6 +236,25 @@ router.post('/signup', async (req, res) => {
  *                   type: object
  *                 sessionToken:
  *                   type: string
+ *                   description: Short-lived access token
+ *                 refreshToken:
+ *                   type: string
+ *                   description: Rotating refresh token for /api/auth/refresh
+ *                 expiresIn:
+ *                   type: string
+ *                 mfaRequired:
+ *                   type: boolean
+ *                   description: Present when the user has two-factor authentication enabled; no session is issued yet
+ *                 mfaToken:
+ *                   type: string
+ *                   description: Challenge token to send with the authenticator code to /api/auth/2fa/verify
+ *                 profileComplete:
+ *                   type: boolean
+ *                   description: False while name, phone or timezone is missing; prompt the user to update /api/me
+ *                 missingProfileFields:
+ *                   type: array
+ *                   items:
+ *                     type: string
  *       400:
  *         description: Invalid or expired OTP
  *         content:
@@ -161,6 +266,22 @@ router.post('/signup', async (req, res) => {
  *                   type: boolean
  *                 error:
  *                   type: string
+ *       429:
+ *         description: Too many failed attempts (email or IP locked out)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 error:
+ *                   type: string
+ *                 retryAfter:
+ *                   type: integer
+ *                   description: Seconds until another attempt is allowed
+ *       403:
+ *         description: Account deactivated or waiting for administrator approval
  *       500:
  *         description: Server error
  *         content:
@@ -176,42 +297,108 @@ router.post('/signup', async (req, res) => {
 
 // POST /auth/verify-signup-otp
 router.post('/verify-signup-otp', async (req, res) => {
-  const { email, otp } = req.body;
+  const { otp } = req.body;
+  const email = normalizeEmail(req.body.email);
   if (!email || !otp) {
     return res.status(400).json({ success: false, error: 'Email and OTP required' });
   }
   try {
-    const userRes = await pool.query('SELECT id FROM users WHERE email = $1', [email]);
-    if (!userRes.rows.length) {
-      return res.status(400).json({ success: false, error: 'User not found' });
-    }
-    const userId = userRes.rows[0].id;
-    const otpRes = await pool.query(
-      'SELECT * FROM otp_verifications WHERE user_id = $1 AND otp = $2 ORDER BY created_at DESC LIMIT 1',
-      [userId, otp]
-    );
-    if (!otpRes.rows.length || new Date() > new Date(otpRes.rows[0].expires_at)) {
-      return res.status(400).json({ success: false, error: 'Invalid or expired OTP' });
+    const outcome = await verifyOtpWithThrottle(email, otp, req);
+    if (!outcome.userId) {
+      return sendOtpFailure(res, outcome);
     }
+    const userId = outcome.userId;
     // Mark user as verified
     await pool.query('UPDATE users SET is_verified = true WHERE id = $1', [userId]);
     const userResult = await pool.query('SELECT * FROM users WHERE id = $1', [userId]);
     const user = userResult.rows[0];
-    // Issue session JWT
-    const sessionToken = jwt.sign({ userId: user.id, email: user.email }, JWT_SECRET, { expiresIn: '7d' });
-    // Delete OTP after use
-    await pool.query('DELETE FROM otp_verifications WHERE id = $1', [otpRes.rows[0].id]);
-    res.json({ success: true, user, sessionToken });
+    const login = await loginService.completeLogin(pool, user, req, { method: 'otp' });
+    if (login.error) {
+      return res.status(403).json({ success: false, error: login.error });
+    }
+    res.json({ success: true, ...login });
+  } catch (err) {
+    res.status(500).json({ success: false, error: 'DB error' });
+  }
+});
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Exchange a refresh token for a new access token and refresh token
+ *     description: Refresh tokens rotate on every use. Replaying an already-used refresh token revokes the whole session.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New tokens issued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 sessionToken:
+ *                   type: string
+ *                   description: Short-lived access token
+ *                 refreshToken:
+ *                   type: string
+ *                   description: Rotating refresh token for /api/auth/refresh
+ *                 expiresIn:
+ *                   type: string
+ *                 refreshExpiresAt:
+ *                   type: string
+ *                   format: date-time
+ *       401:
+ *         description: Invalid, expired or revoked refresh token
+ */
+
+// POST /auth/refresh
+router.post('/refresh', async (req, res) => {
+  const { refreshToken } = req.body;
+  if (!refreshToken) {
+    return res.status(400).json({ success: false, error: 'Refresh token required' });
+  }
+  try {
+    const rotated = await sessionService.rotateSession(pool, refreshToken);
+    if (!rotated) {
+      return res.status(401).json({ success: false, error: 'Invalid or expired refresh token' });
+    }
+    const { user, ...tokens } = rotated;
+    res.json({ success: true, user, ...tokens });
   } catch (err) {
+    console.error('Refresh token error:', err);
     res.status(500).json({ success: false, error: 'DB error' });
   }
 });
+
 /**
  * @swagger
  * /api/auth/logout:
  *   post:
  *     tags: [Auth]
- *     summary: Log out user (JWT client-side only)
+ *     summary: Log out the current session
+ *     description: Revokes the session behind the bearer access token, or the session a refresh token in the body belongs to. Access tokens for that session stop working immediately. Admins end an impersonation this way, with the impersonation token.
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken:
+ *                 type: string
  *     responses:
  *       200:
  *         description: Logged out
@@ -224,13 +411,193 @@ router.post('/verify-signup-otp', async (req, res) => {
  *                   type: boolean
  *                 message:
  *                   type: string
+ *       401:
+ *         description: No valid token supplied
  */
 
 // POST /auth/logout
-router.post('/logout', (req, res) => {
-  // For JWT, logout is client-side (delete token).
-  // For server-side sessions, destroy session here.
-  res.json({ success: true, message: 'Logged out. Please delete your token on client.' });
+router.post('/logout', async (req, res, next) => {
+  const { refreshToken } = req.body || {};
+  if (!refreshToken) {
+    // No refresh token: authenticate the access token and revoke its session below
+    return authenticateUser(req, res, next);
+  }
+  try {
+    const session = await sessionService.findSessionByRefreshToken(pool, refreshToken);
+    if (!session) {
+      return res.status(401).json({ success: false, error: 'Invalid refresh token' });
+    }
+    await sessionService.revokeSession(pool, session.id, 'logout');
+    res.json({ success: true, message: 'Logged out' });
+  } catch (err) {
+    console.error('Logout error:', err);
+    res.status(500).json({ success: false, error: 'DB error' });
+  }
+}, async (req, res) => {
+  try {
+    if (req.auth.impersonatedBy) {
+      await sessionService.revokeSession(pool, req.auth.sid, 'impersonation_ended');
+      await auditService.record(req, { action: 'user.impersonate_end', entityType: 'user', entityId: req.user.id, after: { sessionId: req.auth.sid } });
+      return res.json({ success: true, message: 'Impersonation ended' });
+    }
+    await sessionService.revokeSession(pool, req.auth.sid, 'logout');
+    res.json({ success: true, message: 'Logged out' });
+  } catch (err) {
+    console.error('Logout error:', err);
+    res.status(500).json({ success: false, error: 'DB error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/logout-all:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Log out everywhere
+ *     description: Revokes every active session of the authenticated user, including the current one.
+ *     responses:
+ *       200:
+ *         description: All sessions revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 revokedSessions:
+ *                   type: integer
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Not available while an admin is impersonating the user
+ */
+
+// POST /auth/logout-all
+router.post('/logout-all', authenticateUser, denyImpersonation, async (req, res) => {
+  try {
+    const revokedSessions = await sessionService.revokeAllSessions(pool, req.user.id, 'logout_all');
+    res.json({ success: true, revokedSessions, message: 'Logged out from all devices' });
+  } catch (err) {
+    console.error('Logout-all error:', err);
+    res.status(500).json({ success: false, error: 'DB error' });
+  }
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Session:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         userAgent:
+ *           type: string
+ *           nullable: true
+ *         ipAddress:
+ *           type: string
+ *           nullable: true
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         lastSeenAt:
+ *           type: string
+ *           format: date-time
+ *           description: Last request made with the session, to the nearest minute
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *         mfaVerified:
+ *           type: boolean
+ *         impersonatedBy:
+ *           type: integer
+ *           nullable: true
+ *           description: Admin using this session to impersonate the user
+ *         current:
+ *           type: boolean
+ *           description: The session the request was made with
+ */
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   get:
+ *     tags: [Auth]
+ *     summary: List the signed-in user's active sessions
+ *     description: |
+ *       One entry per signed-in device, most recently seen first. Accounts may be limited
+ *       to a number of concurrent sessions; logging in beyond the limit signs out the
+ *       least recently used ones.
+ *     responses:
+ *       200:
+ *         description: Active sessions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Session'
+ *       401:
+ *         description: Authentication required
+ */
+
+// GET /auth/sessions
+router.get('/sessions', authenticateUser, async (req, res) => {
+  try {
+    const sessions = await sessionService.listActiveSessions(pool, req.user.id);
+    res.json({
+      success: true,
+      data: sessions.map(session => ({ ...session, current: session.id === req.auth.sid }))
+    });
+  } catch (err) {
+    console.error('List sessions error:', err);
+    res.status(500).json({ success: false, error: 'DB error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/sessions/{id}:
+ *   delete:
+ *     tags: [Auth]
+ *     summary: Sign out one of the user's sessions
+ *     description: Access tokens for the session stop working immediately. Revoking the current session is the same as logging out.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Not available while an admin is impersonating the user
+ *       404:
+ *         description: Session not found or already ended
+ */
+
+// DELETE /auth/sessions/:id
+router.delete('/sessions/:id', authenticateUser, denyImpersonation, async (req, res) => {
+  try {
+    const session = await sessionService.revokeUserSession(pool, req.user.id, req.params.id, 'revoked_by_user');
+    if (!session) {
+      return res.status(404).json({ success: false, error: 'Session not found' });
+    }
+    res.json({ success: true, message: 'Session revoked' });
+  } catch (err) {
+    console.error('Revoke session error:', err);
+    res.status(500).json({ success: false, error: 'DB error' });
+  }
 });
 // ...existing code...
 
@@ -259,6 +626,10 @@ router.post('/logout', (req, res) => {
  *               email:
  *                 type: string
  *                 example: 'user@example.com'
+ *               language:
+ *                 type: string
+ *                 example: 'en'
+ *                 description: Email language (en, es). Defaults to the Accept-Language header.
  *     responses:
  *       200:
  *         description: OTP sent successfully
@@ -282,6 +653,22 @@ router.post('/logout', (req, res) => {
  *                   type: boolean
  *                 error:
  *                   type: string
+ *       429:
+ *         description: Resend cooldown active
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 error:
+ *                   type: string
+ *                 retryAfter:
+ *                   type: integer
+ *                   description: Seconds until another attempt is allowed
+ *       403:
+ *         description: Account deactivated, or no account exists and the signup policy refuses to create one
  *       500:
  *         description: Server or email error
  *         content:
@@ -331,6 +718,25 @@ router.post('/logout', (req, res) => {
  *                   type: object
  *                 sessionToken:
  *                   type: string
+ *                   description: Short-lived access token
+ *                 refreshToken:
+ *                   type: string
+ *                   description: Rotating refresh token for /api/auth/refresh
+ *                 expiresIn:
+ *                   type: string
+ *                 mfaRequired:
+ *                   type: boolean
+ *                   description: Present when the user has two-factor authentication enabled; no session is issued yet
+ *                 mfaToken:
+ *                   type: string
+ *                   description: Challenge token to send with the authenticator code to /api/auth/2fa/verify
+ *                 profileComplete:
+ *                   type: boolean
+ *                   description: False while name, phone or timezone is missing; prompt the user to update /api/me
+ *                 missingProfileFields:
+ *                   type: array
+ *                   items:
+ *                     type: string
  *       400:
  *         description: Invalid or expired OTP
  *         content:
@@ -342,6 +748,22 @@ router.post('/logout', (req, res) => {
  *                   type: boolean
  *                 error:
  *                   type: string
+ *       429:
+ *         description: Too many failed attempts (email or IP locked out)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 error:
+ *                   type: string
+ *                 retryAfter:
+ *                   type: integer
+ *                   description: Seconds until another attempt is allowed
+ *       403:
+ *         description: Account deactivated or waiting for administrator approval
  *       500:
  *         description: Server error
  *         content:
@@ -357,86 +779,167 @@ router.post('/logout', (req, res) => {
 
 // POST /auth/send-otp
 router.post('/send-otp', async (req, res) => {
-  const { email } = req.body;
+  const email = normalizeEmail(req.body.email);
   if (!email || !/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(email)) {
     return res.status(400).json({ success: false, error: 'Valid email required' });
   }
   let user;
   try {
-    const result = await pool.query('SELECT * FROM users WHERE email = $1', [email]);
-    if (result.rows.length) {
-      user = result.rows[0];
-    } else {
-      const insert = await pool.query(
-        'INSERT INTO users (email, is_verified, name, address) VALUES ($1, false, $2, $3) RETURNING *',
-        [email, 'OTPUser', 'Unknown']
-      );
-      user = insert.rows[0];
+    const found = await findOrCreateUserByEmail(email);
+    if (found.error) {
+      return res.status(403).json({ success: false, error: found.error });
+    }
+    user = found.user;
+    if (user.deleted_at) {
+      return res.status(403).json({ success: false, error: 'This account has been deactivated' });
+    }
+    // Throttle resends; a new code also invalidates the previous one
+    const retryAfter = await otpService.getResendCooldown(pool, user.id);
+    if (retryAfter > 0) {
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ success: false, error: 'Please wait before requesting another OTP', retryAfter });
     }
   } catch (err) {
     return res.status(500).json({ success: false, error: 'DB error' });
   }
-  // Generate OTP (6 digits)
-  const otp = Math.floor(100000 + Math.random() * 900000).toString();
-  // Store OTP in otp_verifications table
-  const expiresAt = new Date(Date.now() + 10 * 60 * 1000); // 10 min expiry
   try {
-    await pool.query(
-      'INSERT INTO otp_verifications (user_id, otp, expires_at) VALUES ($1, $2, $3)',
-      [user.id, otp, expiresAt]
-    );
-    await transporter.sendMail({
-      from: process.env.GMAIL_USER,
+    // Generate OTP (6 digits); only its salted hash is stored
+    const { otp } = await otpService.issueOtp(pool, user.id);
+    await emailOutboxService.queueEmail(pool, {
       to: email,
-      subject: 'Your ThinkCyber Login OTP',
-      html: `<p>Your OTP is: <b>${otp}</b><br>This code is valid for 10 minutes.</p>`
+      template: 'login-otp',
+      language: emailLanguage(req, user),
+      data: { otp, expiresInMinutes: OTP_TTL_MINUTES }
     });
     res.json({ success: true, message: 'OTP sent' });
   } catch (err) {
+    console.error('Send OTP error:', err);
     res.status(500).json({ success: false, error: 'Email send failed' });
   }
 });
 
 // POST /auth/verify-otp
 router.post('/verify-otp', async (req, res) => {
-  const { email, otp } = req.body;
+  const { otp } = req.body;
+  const email = normalizeEmail(req.body.email);
   if (!email || !otp) {
     return res.status(400).json({ success: false, error: 'Email and OTP required' });
   }
-  // Find OTP for user in DB
-  let userId;
   try {
-    const userRes = await pool.query('SELECT id FROM users WHERE email = $1', [email]);
-    if (!userRes.rows.length) {
-      return res.status(400).json({ success: false, error: 'User not found' });
-    }
-    userId = userRes.rows[0].id;
-    const otpRes = await pool.query(
-      'SELECT * FROM otp_verifications WHERE user_id = $1 AND otp = $2 ORDER BY created_at DESC LIMIT 1',
-      [userId, otp]
-    );
-    if (!otpRes.rows.length || new Date() > new Date(otpRes.rows[0].expires_at)) {
-      return res.status(400).json({ success: false, error: 'Invalid or expired OTP' });
+    const outcome = await verifyOtpWithThrottle(email, otp, req);
+    if (!outcome.userId) {
+      return sendOtpFailure(res, outcome);
     }
+    const userId = outcome.userId;
     // Mark user as verified
     await pool.query('UPDATE users SET is_verified = true WHERE id = $1', [userId]);
     const userResult = await pool.query('SELECT * FROM users WHERE id = $1', [userId]);
     const user = userResult.rows[0];
-    // Issue session JWT (longer expiry)
-    const sessionToken = jwt.sign({ userId: user.id, email: user.email }, JWT_SECRET, { expiresIn: '7d' });
-    // Delete OTP after use
-    await pool.query('DELETE FROM otp_verifications WHERE id = $1', [otpRes.rows[0].id]);
-    res.json({ success: true, user, sessionToken });
+    const login = await loginService.completeLogin(pool, user, req, { method: 'otp' });
+    if (login.error) {
+      return res.status(403).json({ success: false, error: login.error });
+    }
+    res.json({ success: true, ...login });
   } catch (err) {
     res.status(500).json({ success: false, error: 'DB error' });
   }
 });
+/**
+ * @swagger
+ * /api/auth/send-magic-link:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Email a single-use magic login link
+ *     description: The link points to /api/auth/callback and expires after 15 minutes. Requesting a new link invalidates earlier ones.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 example: 'user@example.com'
+ *               language:
+ *                 type: string
+ *                 example: 'en'
+ *                 description: Email language (en, es). Defaults to the Accept-Language header.
+ *     responses:
+ *       200:
+ *         description: Magic link sent
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *       400:
+ *         description: Invalid email
+ *       429:
+ *         description: Resend cooldown active
+ *       403:
+ *         description: Account deactivated, or no account exists and the signup policy refuses to create one
+ *       500:
+ *         description: Server or email error
+ */
+
+// POST /auth/send-magic-link
+router.post('/send-magic-link', async (req, res) => {
+  const email = normalizeEmail(req.body.email);
+  if (!email || !/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(email)) {
+    return res.status(400).json({ success: false, error: 'Valid email required' });
+  }
+  let user;
+  try {
+    const found = await findOrCreateUserByEmail(email);
+    if (found.error) {
+      return res.status(403).json({ success: false, error: found.error });
+    }
+    user = found.user;
+    if (user.deleted_at) {
+      return res.status(403).json({ success: false, error: 'This account has been deactivated' });
+    }
+    const retryAfter = await magicLinkService.getResendCooldown(pool, user.id);
+    if (retryAfter > 0) {
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ success: false, error: 'Please wait before requesting another link', retryAfter });
+    }
+  } catch (err) {
+    return res.status(500).json({ success: false, error: 'DB error' });
+  }
+  try {
+    const { token, expiresAt } = await magicLinkService.issueMagicLink(pool, user, req);
+    const link = `${APP_URL}/api/auth/callback?token=${encodeURIComponent(token)}`;
+    await emailOutboxService.queueEmail(pool, {
+      to: email,
+      template: 'magic-link',
+      language: emailLanguage(req, user),
+      data: { link, expiresInMinutes: Math.round((expiresAt.getTime() - Date.now()) / 60000) }
+    });
+    res.json({ success: true, message: 'Magic link sent' });
+  } catch (err) {
+    console.error('Magic link error:', err);
+    res.status(500).json({ success: false, error: 'Email send failed' });
+  }
+});
+
 /**
  * @swagger
  * /api/auth/callback:
  *   get:
  *     tags: [Auth]
- *     summary: Verify magic link token and log in
+ *     summary: Show a magic link before signing in with it
+ *     description: |
+ *       Target of the emailed magic link. Opening it changes nothing, so mail scanners and
+ *       link previews cannot use up the link or get a session. Browsers get a confirmation
+ *       page whose button posts the token to this path; other clients get the account's
+ *       email as JSON.
  *     parameters:
  *       - in: query
  *         name: token
@@ -446,6 +949,47 @@ router.post('/verify-otp', async (req, res) => {
  *         description: JWT token from magic link
  *     responses:
  *       200:
+ *         description: The link is valid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     email:
+ *                       type: string
+ *           text/html:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid, expired or already used token
+ *   post:
+ *     tags: [Auth]
+ *     summary: Verify magic link token and log in
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [token]
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: JWT token from magic link
+ *         application/x-www-form-urlencoded:
+ *           schema:
+ *             type: object
+ *             required: [token]
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
  *         description: User verified and session token issued
  *         content:
  *           application/json:
@@ -458,6 +1002,25 @@ router.post('/verify-otp', async (req, res) => {
  *                   type: object
  *                 sessionToken:
  *                   type: string
+ *                   description: Short-lived access token
+ *                 refreshToken:
+ *                   type: string
+ *                   description: Rotating refresh token for /api/auth/refresh
+ *                 expiresIn:
+ *                   type: string
+ *                 mfaRequired:
+ *                   type: boolean
+ *                   description: Present when the user has two-factor authentication enabled; no session is issued yet
+ *                 mfaToken:
+ *                   type: string
+ *                   description: Challenge token to send with the authenticator code to /api/auth/2fa/verify
+ *                 profileComplete:
+ *                   type: boolean
+ *                   description: False while name, phone or timezone is missing; prompt the user to update /api/me
+ *                 missingProfileFields:
+ *                   type: array
+ *                   items:
+ *                     type: string
  *       400:
  *         description: Invalid or expired token
  *         content:
@@ -469,6 +1032,8 @@ router.post('/verify-otp', async (req, res) => {
  *                   type: boolean
  *                 error:
  *                   type: string
+ *       403:
+ *         description: Account deactivated or waiting for administrator approval
  *       500:
  *         description: Server error
  *         content:
@@ -482,14 +1047,58 @@ router.post('/verify-otp', async (req, res) => {
  *                   type: string
  */
 
-module.exports = router;
+// GET /auth/callback
+router.get('/callback', async (req, res) => {
+  const { token } = req.query;
+  if (!token) {
+    return res.status(400).json({ success: false, error: 'Token required' });
+  }
+  try {
+    const link = await magicLinkService.findMagicLink(pool, token);
+    const error = link ? null : 'Invalid or expired token';
+    if (req.accepts(['json', 'html']) === 'html') {
+      const html = await ejs.renderFile(CONFIRM_PAGE, {
+        email: link ? link.email : null,
+        error,
+        token,
+        action: req.baseUrl + req.path
+      }, {});
+      return res.status(error ? 400 : 200).type('html').send(html);
+    }
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+    res.json({ success: true, data: { email: link.email } });
+  } catch (err) {
+    console.error('Magic link callback error:', err);
+    res.status(500).json({ success: false, error: 'DB error' });
+  }
+});
 
-// DEBUG: Inspect users table
-router.get('/debug/users', async (req, res) => {
+// POST /auth/callback
+router.post('/callback', async (req, res) => {
+  const { token } = req.body || {};
+  if (!token || typeof token !== 'string') {
+    return res.status(400).json({ success: false, error: 'Token required' });
+  }
   try {
-    const result = await pool.query('SELECT * FROM users LIMIT 5');
-    res.json({ success: true, users: result.rows });
+    const userId = await magicLinkService.consumeMagicLink(pool, token);
+    if (!userId) {
+      return res.status(400).json({ success: false, error: 'Invalid or expired token' });
+    }
+    // Following the link proves ownership of the mailbox
+    await pool.query('UPDATE users SET is_verified = true WHERE id = $1', [userId]);
+    const userResult = await pool.query('SELECT * FROM users WHERE id = $1', [userId]);
+    const user = userResult.rows[0];
+    const login = await loginService.completeLogin(pool, user, req, { method: 'magic_link' });
+    if (login.error) {
+      return res.status(403).json({ success: false, error: login.error });
+    }
+    res.json({ success: true, ...login });
   } catch (err) {
-    res.status(500).json({ success: false, error: err.message });
+    console.error('Magic link callback error:', err);
+    res.status(500).json({ success: false, error: 'DB error' });
   }
 });
+
+module.exports = router;
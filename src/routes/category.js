@@ -1,5 +1,7 @@
 const express = require('express');
 const router = express.Router();
+const { requirePermission } = require('../middleware/auth');
+const auditService = require('../services/auditService');
 
 /**
  * @swagger
@@ -238,7 +240,7 @@ router.get('/categories', async (req, res) => {
 });
 
 // Sample POST category
-router.post('/categories', async (req, res) => {
+router.post('/categories', requirePermission('categories:write'), async (req, res) => {
   const { name, description, status } = req.body;
   
   if (!name || name.trim() === '') {
@@ -264,6 +266,12 @@ router.post('/categories', async (req, res) => {
       'INSERT INTO category (name, description, status) VALUES ($1, $2, $3) RETURNING *', 
       [name.trim(), description.trim(), categoryStatus]
     );
+    await auditService.record(req, {
+      action: 'category.create',
+      entityType: 'category',
+      entityId: result.rows[0].id,
+      after: result.rows[0]
+    });
 
     // Format the response data
     const formattedData = {
@@ -291,7 +299,7 @@ router.post('/categories', async (req, res) => {
 });
 
 // PUT update category by ID
-router.put('/categories/:id', async (req, res) => {
+router.put('/categories/:id', requirePermission('categories:write'), async (req, res) => {
   const categoryId = parseInt(req.params.id);
   const { name, description, status } = req.body;
   
@@ -323,7 +331,7 @@ router.put('/categories/:id', async (req, res) => {
   try {
     // Check if category exists
     const existingCategory = await req.pool.query(
-      'SELECT id FROM category WHERE id = $1', 
+      'SELECT * FROM category WHERE id = $1', 
       [categoryId]
     );
     
@@ -339,6 +347,13 @@ router.put('/categories/:id', async (req, res) => {
       'UPDATE category SET name = $1, description = $2, status = $3, updated_at = CURRENT_TIMESTAMP WHERE id = $4 RETURNING *', 
       [name.trim(), description.trim(), categoryStatus, categoryId]
     );
+    await auditService.record(req, {
+      action: 'category.update',
+      entityType: 'category',
+      entityId: categoryId,
+      before: existingCategory.rows[0],
+      after: result.rows[0]
+    });
 
     // Format the response data
     const formattedData = {
@@ -366,7 +381,7 @@ router.put('/categories/:id', async (req, res) => {
 });
 
 // DELETE category by ID
-router.delete('/categories/:id', async (req, res) => {
+router.delete('/categories/:id', requirePermission('categories:write'), async (req, res) => {
   const categoryId = parseInt(req.params.id);
   
   if (!categoryId || isNaN(categoryId)) {
@@ -379,7 +394,7 @@ router.delete('/categories/:id', async (req, res) => {
   try {
     // Check if category exists
     const existingCategory = await req.pool.query(
-      'SELECT id, name FROM category WHERE id = $1', 
+      'SELECT * FROM category WHERE id = $1', 
       [categoryId]
     );
     
@@ -410,6 +425,12 @@ router.delete('/categories/:id', async (req, res) => {
       'DELETE FROM category WHERE id = $1', 
       [categoryId]
     );
+    await auditService.record(req, {
+      action: 'category.delete',
+      entityType: 'category',
+      entityId: categoryId,
+      before: existingCategory.rows[0]
+    });
 
     res.json({
       success: true,
@@ -1,50 +1,20 @@
-
 const express = require('express');
 const router = express.Router();
 const customerController = require('../controllers/customerController');
-
-// USERS
-router.get('/users', customerController.listUsers);
-router.post('/users/add', customerController.saveUser);
-router.get('/users/delete/:id', customerController.deleteUser);
-router.get('/users/edit/:id', customerController.editUser);
-router.post('/users/update/:id', customerController.updateUser);
+const { requirePermission } = require('../middleware/auth');
 
 // CATEGORY
 router.get('/categories', customerController.listCategories);
-router.post('/categories/add', customerController.saveCategory);
-router.get('/categories/delete/:id', customerController.deleteCategory);
+router.post('/categories/add', requirePermission('categories:write'), customerController.saveCategory);
+router.get('/categories/delete/:id', requirePermission('categories:write'), customerController.deleteCategory);
 router.get('/categories/edit/:id', customerController.editCategory);
-router.post('/categories/update/:id', customerController.updateCategory);
+router.post('/categories/update/:id', requirePermission('categories:write'), customerController.updateCategory);
 
 // SUBCATEGORY
 router.get('/subcategories', customerController.listSubcategories);
-router.post('/subcategories/add', customerController.saveSubcategory);
-router.get('/subcategories/delete/:id', customerController.deleteSubcategory);
+router.post('/subcategories/add', requirePermission('categories:write'), customerController.saveSubcategory);
+router.get('/subcategories/delete/:id', requirePermission('categories:write'), customerController.deleteSubcategory);
 router.get('/subcategories/edit/:id', customerController.editSubcategory);
-router.post('/subcategories/update/:id', customerController.updateSubcategory);
+router.post('/subcategories/update/:id', requirePermission('categories:write'), customerController.updateSubcategory);
 
 module.exports = router;
-
-// USERS
-router.get('/users', customerController.listUsers);
-router.post('/users/add', customerController.saveUser);
-router.get('/users/delete/:id', customerController.deleteUser);
-router.get('/users/edit/:id', customerController.editUser);
-router.post('/users/update/:id', customerController.updateUser);
-
-// CATEGORY
-router.get('/categories', customerController.listCategories);
-router.post('/categories/add', customerController.saveCategory);
-router.get('/categories/delete/:id', customerController.deleteCategory);
-router.get('/categories/edit/:id', customerController.editCategory);
-router.post('/categories/update/:id', customerController.updateCategory);
-
-// SUBCATEGORY
-router.get('/subcategories', customerController.listSubcategories);
-router.post('/subcategories/add', customerController.saveSubcategory);
-router.get('/subcategories/delete/:id', customerController.deleteSubcategory);
-router.get('/subcategories/edit/:id', customerController.editSubcategory);
-router.post('/subcategories/update/:id', customerController.updateSubcategory);
-
-module.exports = router;
\ No newline at end of file
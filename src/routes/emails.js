@@ -0,0 +1,479 @@
+const express = require('express');
+const router = express.Router();
+const { requirePermission } = require('../middleware/auth');
+const emailService = require('../services/emailService');
+const emailOutboxService = require('../services/emailOutboxService');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     EmailOutboxMessage:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 42
+ *         recipient:
+ *           type: string
+ *           example: 'user@example.com'
+ *         template:
+ *           type: string
+ *           example: 'login-otp'
+ *         language:
+ *           type: string
+ *           example: 'en'
+ *         subject:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [pending, sending, sent, failed]
+ *         attempts:
+ *           type: integer
+ *         max_attempts:
+ *           type: integer
+ *         next_attempt_at:
+ *           type: string
+ *           format: date-time
+ *         last_error:
+ *           type: string
+ *         provider_message_id:
+ *           type: string
+ *         sent_at:
+ *           type: string
+ *           format: date-time
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/emails/templates:
+ *   get:
+ *     tags: [Emails]
+ *     summary: List email templates (admin only)
+ *     responses:
+ *       200:
+ *         description: Templates with their available languages and sample data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       name:
+ *                         type: string
+ *                         example: 'login-otp'
+ *                       description:
+ *                         type: string
+ *                       languages:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *                         example: ['en', 'es']
+ *                       sampleData:
+ *                         type: object
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Insufficient permissions
+ */
+
+// GET /api/emails/templates - List available templates
+router.get('/emails/templates', requirePermission('emails:manage'), (req, res) => {
+  const data = Object.entries(emailService.TEMPLATES).map(([name, template]) => ({
+    name,
+    description: template.description,
+    languages: emailService.getTemplateLanguages(name),
+    sampleData: template.sampleData
+  }));
+
+  res.json({
+    success: true,
+    data
+  });
+});
+
+/**
+ * @swagger
+ * /api/emails/templates/{name}/preview:
+ *   get:
+ *     tags: [Emails]
+ *     summary: Render a template with its sample data (admin only)
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Template name
+ *       - in: query
+ *         name: language
+ *         schema:
+ *           type: string
+ *         description: Language variant (falls back to en)
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, html]
+ *         description: Return JSON (default) or the raw HTML for viewing in a browser
+ *     responses:
+ *       200:
+ *         description: Rendered email
+ *       404:
+ *         description: Template not found
+ *   post:
+ *     tags: [Emails]
+ *     summary: Render a template with custom data (admin only)
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Template name
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               language:
+ *                 type: string
+ *                 example: 'es'
+ *               format:
+ *                 type: string
+ *                 enum: [json, html]
+ *               data:
+ *                 type: object
+ *                 description: Values replacing the template's sample data; keys not in the sample data and non-scalar values are ignored
+ *     responses:
+ *       200:
+ *         description: Rendered email
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     template:
+ *                       type: string
+ *                     language:
+ *                       type: string
+ *                     subject:
+ *                       type: string
+ *                     html:
+ *                       type: string
+ *       404:
+ *         description: Template not found
+ */
+
+async function renderPreview(req, res) {
+  const { name } = req.params;
+  const template = emailService.TEMPLATES[name];
+  const options = req.method === 'POST' ? req.body || {} : req.query;
+
+  if (!template) {
+    return res.status(404).json({
+      success: false,
+      error: `Email template '${name}' not found`
+    });
+  }
+
+  try {
+    // Only the template's own variables can be overridden, and only with
+    // plain values
+    const overrides = options.data && typeof options.data === 'object' ? options.data : {};
+    const data = { ...template.sampleData };
+    for (const key of Object.keys(template.sampleData)) {
+      if (Object.prototype.hasOwnProperty.call(overrides, key) && ['string', 'number', 'boolean'].includes(typeof overrides[key])) {
+        data[key] = overrides[key];
+      }
+    }
+    const rendered = await emailService.renderTemplate(name, data, options.language);
+
+    if (options.format === 'html') {
+      return res.type('html').send(rendered.html);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        template: name,
+        language: rendered.language,
+        subject: rendered.subject,
+        html: rendered.html
+      }
+    });
+  } catch (err) {
+    console.error(`Error in ${req.method} /emails/templates/:name/preview:`, err);
+    res.status(500).json({
+      success: false,
+      error: err.message || 'Internal server error'
+    });
+  }
+}
+
+// GET/POST /api/emails/templates/:name/preview - Render a template
+router.get('/emails/templates/:name/preview', requirePermission('emails:manage'), renderPreview);
+router.post('/emails/templates/:name/preview', requirePermission('emails:manage'), renderPreview);
+
+/**
+ * @swagger
+ * /api/emails/outbox:
+ *   get:
+ *     tags: [Emails]
+ *     summary: List queued and delivered emails (admin only)
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, sending, sent, failed]
+ *       - in: query
+ *         name: template
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: recipient
+ *         schema:
+ *           type: string
+ *         description: Partial, case-insensitive match on the recipient address
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only messages queued at or after this time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only messages queued at or before this time
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *         description: Page number (default 1)
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         description: Items per page (default 20, max 100)
+ *     responses:
+ *       200:
+ *         description: Outbox messages, newest first, with pagination info
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/EmailOutboxMessage'
+ *                 pagination:
+ *                   type: object
+ *       400:
+ *         description: Invalid filter
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Insufficient permissions
+ */
+
+// GET /api/emails/outbox - List outbox messages
+router.get('/emails/outbox', requirePermission('emails:manage'), async (req, res) => {
+  const { status, template, recipient, from, to } = req.query;
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+  if (status && !emailOutboxService.STATUSES.includes(status)) {
+    return res.status(400).json({
+      success: false,
+      error: `Status must be one of: ${emailOutboxService.STATUSES.join(', ')}`
+    });
+  }
+  for (const [name, value] of Object.entries({ from, to })) {
+    if (value && isNaN(Date.parse(value))) {
+      return res.status(400).json({
+        success: false,
+        error: `'${name}' must be a valid date`
+      });
+    }
+  }
+
+  try {
+    const { messages, total } = await emailOutboxService.listMessages(req.pool, {
+      status,
+      template,
+      recipient,
+      from: from ? new Date(from) : undefined,
+      to: to ? new Date(to) : undefined,
+      page,
+      limit
+    });
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      data: messages,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      }
+    });
+  } catch (err) {
+    console.error('Error in GET /emails/outbox:', err);
+    res.status(500).json({
+      success: false,
+      error: err.message || 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/emails/outbox/{id}:
+ *   get:
+ *     tags: [Emails]
+ *     summary: Get an outbox message with its delivery log (admin only)
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Message and every delivery attempt
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/EmailOutboxMessage'
+ *                     - type: object
+ *                       properties:
+ *                         deliveryAttempts:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               attempt:
+ *                                 type: integer
+ *                               status:
+ *                                 type: string
+ *                                 enum: [sent, failed]
+ *                               error:
+ *                                 type: string
+ *                               provider_message_id:
+ *                                 type: string
+ *                               created_at:
+ *                                 type: string
+ *                                 format: date-time
+ *       404:
+ *         description: Message not found
+ */
+
+// GET /api/emails/outbox/:id - Message details and delivery log
+router.get('/emails/outbox/:id', requirePermission('emails:manage'), async (req, res) => {
+  const id = parseInt(req.params.id);
+  if (!id) {
+    return res.status(400).json({ success: false, error: 'Invalid message id' });
+  }
+
+  try {
+    const message = await emailOutboxService.getMessage(req.pool, id);
+    if (!message) {
+      return res.status(404).json({ success: false, error: 'Email not found' });
+    }
+    res.json({ success: true, data: message });
+  } catch (err) {
+    console.error('Error in GET /emails/outbox/:id:', err);
+    res.status(500).json({
+      success: false,
+      error: err.message || 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/emails/outbox/{id}/resend:
+ *   post:
+ *     tags: [Emails]
+ *     summary: Resend an outbox message (admin only)
+ *     description: |
+ *       Re-queues the message with a fresh set of retry attempts and tries to deliver it immediately.
+ *       OTP, magic link and invitation emails cannot be resent, since their codes and links are
+ *       not kept; the user requests a new one instead.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Message after the delivery attempt (check status and last_error)
+ *       404:
+ *         description: Message not found
+ *       409:
+ *         description: Message is currently being sent, or carries a one-time code or login link
+ */
+
+// POST /api/emails/outbox/:id/resend - Re-queue and deliver a message
+router.post('/emails/outbox/:id/resend', requirePermission('emails:manage'), async (req, res) => {
+  const id = parseInt(req.params.id);
+  if (!id) {
+    return res.status(400).json({ success: false, error: 'Invalid message id' });
+  }
+
+  try {
+    const { message, status, error } = await emailOutboxService.resendMessage(req.pool, id);
+    if (error) {
+      return res.status(status).json({ success: false, error });
+    }
+
+    res.json({
+      success: true,
+      data: message,
+      message: message.status === 'sent' ? 'Email resent' : 'Email queued for retry'
+    });
+  } catch (err) {
+    console.error('Error in POST /emails/outbox/:id/resend:', err);
+    res.status(500).json({
+      success: false,
+      error: err.message || 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
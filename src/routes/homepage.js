@@ -1,5 +1,31 @@
 const express = require('express');
 const router = express.Router();
+const { requirePermission } = require('../middleware/auth');
+const auditService = require('../services/auditService');
+
+// Section contents of a homepage for audit snapshots, without row bookkeeping
+// columns so an unchanged section does not show up in the diff
+async function getHomepageSnapshot(db, homepageId) {
+  const strip = row => {
+    if (!row) return null;
+    const { id, homepage_id, created_at, updated_at, ...content } = row;
+    return content;
+  };
+  const [homepage, hero, about, contact, faqs] = await Promise.all([
+    db.query('SELECT language, version, is_active FROM homepage WHERE id = $1', [homepageId]),
+    db.query('SELECT * FROM homepage_hero WHERE homepage_id = $1', [homepageId]),
+    db.query('SELECT * FROM homepage_about WHERE homepage_id = $1', [homepageId]),
+    db.query('SELECT * FROM homepage_contact WHERE homepage_id = $1', [homepageId]),
+    db.query('SELECT * FROM homepage_faqs WHERE homepage_id = $1 ORDER BY order_index', [homepageId])
+  ]);
+  return {
+    ...homepage.rows[0],
+    hero: strip(hero.rows[0]),
+    about: strip(about.rows[0]),
+    contact: strip(contact.rows[0]),
+    faqs: faqs.rows.map(strip)
+  };
+}
 
 /**
  * @swagger
@@ -477,7 +503,7 @@ router.get('/homepage/:language', async (req, res) => {
  *                   $ref: '#/components/schemas/Homepage'
  */
 // POST/PUT homepage content
-router.post('/homepage/content', async (req, res) => {
+router.post('/homepage/content', requirePermission('homepage:write'), async (req, res) => {
   try {
     const { language, hero, about, contact, faqs } = req.body;
 
@@ -567,9 +593,11 @@ router.post('/homepage/content', async (req, res) => {
         [language]
       );
 
+      let before = null;
       if (existingHomepage.rows.length > 0) {
         homepageId = existingHomepage.rows[0].id;
         isUpdate = true;
+        before = await getHomepageSnapshot(client, homepageId);
         
         // Update homepage version
         await client.query(
@@ -676,6 +704,13 @@ router.post('/homepage/content', async (req, res) => {
       }
 
       await client.query('COMMIT');
+      await auditService.record(req, {
+        action: isUpdate ? 'homepage.update' : 'homepage.create',
+        entityType: 'homepage',
+        entityId: homepageId,
+        before,
+        after: await getHomepageSnapshot(req.pool, homepageId)
+      });
 
       // Fetch the complete updated data
       const updatedHomepage = await req.pool.query(`
@@ -852,7 +887,7 @@ router.post('/homepage/content', async (req, res) => {
  *                   $ref: '#/components/schemas/FAQ'
  */
 // POST new FAQ
-router.post('/homepage/faqs', async (req, res) => {
+router.post('/homepage/faqs', requirePermission('homepage:write'), async (req, res) => {
   try {
     const { language, question, answer, order, isActive } = req.body;
 
@@ -917,6 +952,12 @@ router.post('/homepage/faqs', async (req, res) => {
     ]);
 
     const faq = result.rows[0];
+    await auditService.record(req, {
+      action: 'faq.create',
+      entityType: 'faq',
+      entityId: faq.id,
+      after: faq
+    });
 
     res.status(201).json({
       success: true,
@@ -1013,7 +1054,7 @@ router.post('/homepage/faqs', async (req, res) => {
  *         description: FAQ not found
  */
 // PUT update FAQ by ID
-router.put('/homepage/faqs/:id', async (req, res) => {
+router.put('/homepage/faqs/:id', requirePermission('homepage:write'), async (req, res) => {
   try {
     const faqId = parseInt(req.params.id);
     const { question, answer, order, isActive } = req.body;
@@ -1086,6 +1127,13 @@ router.put('/homepage/faqs/:id', async (req, res) => {
 
     const result = await req.pool.query(updateQuery, updateValues);
     const updatedFaq = result.rows[0];
+    await auditService.record(req, {
+      action: 'faq.update',
+      entityType: 'faq',
+      entityId: faqId,
+      before: existingFaq.rows[0],
+      after: updatedFaq
+    });
 
     res.json({
       success: true,
@@ -1110,7 +1158,7 @@ router.put('/homepage/faqs/:id', async (req, res) => {
 });
 
 // DELETE FAQ by ID
-router.delete('/homepage/faqs/:id', async (req, res) => {
+router.delete('/homepage/faqs/:id', requirePermission('homepage:write'), async (req, res) => {
   try {
     const faqId = parseInt(req.params.id);
 
@@ -1123,7 +1171,7 @@ router.delete('/homepage/faqs/:id', async (req, res) => {
 
     // Check if FAQ exists
     const existingFaq = await req.pool.query(
-      'SELECT id FROM homepage_faqs WHERE id = $1',
+      'SELECT * FROM homepage_faqs WHERE id = $1',
       [faqId]
     );
 
@@ -1136,6 +1184,12 @@ router.delete('/homepage/faqs/:id', async (req, res) => {
 
     // Delete FAQ
     await req.pool.query('DELETE FROM homepage_faqs WHERE id = $1', [faqId]);
+    await auditService.record(req, {
+      action: 'faq.delete',
+      entityType: 'faq',
+      entityId: faqId,
+      before: existingFaq.rows[0]
+    });
 
     res.json({
       success: true,
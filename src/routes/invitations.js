@@ -0,0 +1,409 @@
+const express = require('express');
+const ejs = require('ejs');
+const path = require('path');
+const router = express.Router();
+const { requirePermission } = require('../middleware/auth');
+const { ROLES } = require('../config/permissions');
+const emailService = require('../services/emailService');
+const invitationService = require('../services/invitationService');
+const loginService = require('../services/loginService');
+const auditService = require('../services/auditService');
+const userService = require('../services/userService');
+
+const EMAIL_PATTERN = /^[^@\s]+@[^@\s]+\.[^@\s]+$/;
+
+// Confirmation page for the emailed link; only the POST accepts
+const ACCEPT_PAGE = path.join(__dirname, '../views/invitation_accept.ejs');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Invitation:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         email:
+ *           type: string
+ *         name:
+ *           type: string
+ *           nullable: true
+ *         role:
+ *           type: string
+ *           enum: [learner, author, editor, admin]
+ *         language:
+ *           type: string
+ *           nullable: true
+ *           description: Language of the invitation email
+ *         organizationId:
+ *           type: integer
+ *           nullable: true
+ *         status:
+ *           type: string
+ *           enum: [pending, accepted, revoked, expired]
+ *         invitedBy:
+ *           type: integer
+ *           nullable: true
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *         sendCount:
+ *           type: integer
+ *           description: How many times the invitation email has been sent
+ *         lastSentAt:
+ *           type: string
+ *           format: date-time
+ *         acceptedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         acceptedUserId:
+ *           type: integer
+ *           nullable: true
+ *         revokedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/admin/invitations:
+ *   get:
+ *     tags: [Users]
+ *     summary: List invitations (admin only)
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, accepted, revoked, expired, all]
+ *           default: pending
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Matches email or name
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Page of invitations, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Invitation'
+ *                 pagination:
+ *                   type: object
+ *       400:
+ *         description: Invalid filter
+ *   post:
+ *     tags: [Users]
+ *     summary: Invite someone (admin only)
+ *     description: |
+ *       Emails a signed link. Following it creates the account with the given role,
+ *       already verified, and signs the user in. Invitations bypass the signup policy.
+ *       Only signed-in admins can invite; no API key scope allows it.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [email]
+ *             properties:
+ *               email:
+ *                 type: string
+ *               name:
+ *                 type: string
+ *               role:
+ *                 type: string
+ *                 enum: [learner, author, editor, admin]
+ *                 default: learner
+ *               organizationId:
+ *                 type: integer
+ *               language:
+ *                 type: string
+ *                 description: Email language (en, es)
+ *     responses:
+ *       201:
+ *         description: Invitation sent
+ *       400:
+ *         description: Validation error
+ *       409:
+ *         description: The email already has an account or a pending invitation
+ */
+
+// GET /api/admin/invitations - List invitations
+router.get('/admin/invitations', requirePermission('users:read'), async (req, res) => {
+  const { status = 'pending', search } = req.query;
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+  if (!invitationService.STATUSES.includes(status)) {
+    return res.status(400).json({ success: false, error: `Status must be one of: ${invitationService.STATUSES.join(', ')}` });
+  }
+
+  try {
+    const { invitations, total } = await invitationService.listInvitations(req.pool, { status, search, page, limit });
+    const totalPages = Math.ceil(total / limit);
+    res.json({
+      success: true,
+      data: invitations,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      }
+    });
+  } catch (err) {
+    console.error('Error in GET /admin/invitations:', err);
+    res.status(500).json({ success: false, error: err.message || 'Internal server error' });
+  }
+});
+
+// POST /api/admin/invitations - Invite a user
+router.post('/admin/invitations', requirePermission('users:assignRoles'), async (req, res) => {
+  const { name, role = 'learner', organizationId, language } = req.body || {};
+  const email = String((req.body && req.body.email) || '').trim().toLowerCase();
+
+  if (!EMAIL_PATTERN.test(email) || email.length > 100) {
+    return res.status(400).json({ success: false, error: 'Valid email required' });
+  }
+  if (!ROLES.includes(role)) {
+    return res.status(400).json({ success: false, error: `Role must be one of: ${ROLES.join(', ')}` });
+  }
+  if (name !== undefined && name !== null && (typeof name !== 'string' || name.trim().length > 100)) {
+    return res.status(400).json({ success: false, error: 'Name must be a string of at most 100 characters' });
+  }
+  if (organizationId !== undefined && organizationId !== null && !Number.isInteger(organizationId)) {
+    return res.status(400).json({ success: false, error: 'organizationId must be an integer or null' });
+  }
+
+  try {
+    const result = await invitationService.createInvitation(req.pool, {
+      email,
+      name: name ? name.trim() : null,
+      role,
+      language: emailService.resolveLanguage(language, req.acceptsLanguages(...emailService.SUPPORTED_LANGUAGES) || undefined),
+      organizationId,
+      invitedBy: req.user ? req.user.id : null,
+      inviterName: req.user ? req.user.name : null
+    });
+    if (result.error) {
+      return res.status(result.status).json({ success: false, error: result.error });
+    }
+    await auditService.record(req, { action: 'invitation.create', entityType: 'invitation', entityId: result.invitation.id, after: result.invitation });
+    res.status(201).json({ success: true, data: result.invitation, message: 'Invitation sent' });
+  } catch (err) {
+    console.error('Error in POST /admin/invitations:', err);
+    res.status(500).json({ success: false, error: err.message || 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/invitations/{id}/resend:
+ *   post:
+ *     tags: [Users]
+ *     summary: Resend an invitation (admin only)
+ *     description: Sends a new link and restarts the expiry. Links sent earlier stop working. Expired invitations can be resent.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Invitation resent
+ *       404:
+ *         description: Invitation not found, accepted or revoked
+ */
+router.post('/admin/invitations/:id/resend', requirePermission('users:assignRoles'), async (req, res) => {
+  try {
+    const before = await invitationService.getInvitation(req.pool, req.params.id);
+    const result = before
+      ? await invitationService.resendInvitation(req.pool, req.params.id, { inviterName: req.user ? req.user.name : null })
+      : { status: 404, error: 'Invitation not found or no longer pending' };
+    if (result.error) {
+      return res.status(result.status).json({ success: false, error: result.error });
+    }
+    await auditService.record(req, { action: 'invitation.resend', entityType: 'invitation', entityId: result.invitation.id, before, after: result.invitation });
+    res.json({ success: true, data: result.invitation, message: 'Invitation resent' });
+  } catch (err) {
+    console.error('Error in POST /admin/invitations/:id/resend:', err);
+    res.status(500).json({ success: false, error: err.message || 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/invitations/{id}:
+ *   delete:
+ *     tags: [Users]
+ *     summary: Revoke an invitation (admin only)
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Invitation revoked; its link no longer works
+ *       404:
+ *         description: Invitation not found, accepted or already revoked
+ */
+router.delete('/admin/invitations/:id', requirePermission('users:manage'), async (req, res) => {
+  try {
+    const before = await invitationService.getInvitation(req.pool, req.params.id);
+    const invitation = before && await invitationService.revokeInvitation(req.pool, req.params.id);
+    if (!invitation) {
+      return res.status(404).json({ success: false, error: 'Invitation not found or no longer pending' });
+    }
+    await auditService.record(req, { action: 'invitation.revoke', entityType: 'invitation', entityId: invitation.id, before, after: invitation });
+    res.json({ success: true, data: invitation, message: 'Invitation revoked' });
+  } catch (err) {
+    console.error('Error in DELETE /admin/invitations/:id:', err);
+    res.status(500).json({ success: false, error: err.message || 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/invitations/accept:
+ *   get:
+ *     tags: [Auth]
+ *     summary: Show an invitation before accepting it
+ *     description: |
+ *       Target of the emailed invitation link. Opening it changes nothing, so mail scanners
+ *       and link previews cannot use up the invitation. Browsers get a confirmation page
+ *       whose button posts the token to this path; other clients get the invitation as JSON.
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The pending invitation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Invitation'
+ *           text/html:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid, expired, revoked or already used link
+ *   post:
+ *     tags: [Auth]
+ *     summary: Accept an invitation
+ *     description: |
+ *       Creates the account with the invited role, marks the email as verified and signs
+ *       the user in, like /api/auth/callback.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [token]
+ *             properties:
+ *               token:
+ *                 type: string
+ *         application/x-www-form-urlencoded:
+ *           schema:
+ *             type: object
+ *             required: [token]
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Account created and session token issued
+ *       400:
+ *         description: Invalid, expired, revoked or already used link
+ *       409:
+ *         description: An account with the invited email already exists
+ */
+router.get('/auth/invitations/accept', async (req, res) => {
+  const { token } = req.query;
+  if (!token) {
+    return res.status(400).json({ success: false, error: 'Token required' });
+  }
+  try {
+    const { invitation, status, error } = await invitationService.findInvitationByToken(req.pool, token);
+    if (req.accepts(['json', 'html']) === 'html') {
+      const html = await ejs.renderFile(ACCEPT_PAGE, {
+        invitation: invitation || null,
+        error: error || null,
+        token,
+        action: req.baseUrl + req.path
+      }, {});
+      return res.status(error ? status : 200).type('html').send(html);
+    }
+    if (error) {
+      return res.status(status).json({ success: false, error });
+    }
+    res.json({ success: true, data: invitation });
+  } catch (err) {
+    console.error('Error in GET /auth/invitations/accept:', err);
+    res.status(500).json({ success: false, error: err.message || 'Internal server error' });
+  }
+});
+
+router.post('/auth/invitations/accept', async (req, res) => {
+  const { token } = req.body || {};
+  if (!token || typeof token !== 'string') {
+    return res.status(400).json({ success: false, error: 'Token required' });
+  }
+  try {
+    const result = await invitationService.acceptInvitation(req.pool, token);
+    if (result.error) {
+      return res.status(result.status).json({ success: false, error: result.error });
+    }
+    await auditService.record(req, { action: 'user.create', entityType: 'user', entityId: result.user.id, after: userService.formatUser(result.user) });
+    await auditService.record(req, { action: 'invitation.accept', entityType: 'invitation', entityId: result.invitation.id, after: result.invitation });
+    const login = await loginService.completeLogin(req.pool, result.user, req, { method: 'invitation' });
+    if (login.error) {
+      return res.status(403).json({ success: false, error: login.error });
+    }
+    res.json({ success: true, ...login });
+  } catch (err) {
+    console.error('Error in POST /auth/invitations/accept:', err);
+    res.status(500).json({ success: false, error: err.message || 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,560 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateUser, denyImpersonation } = require('../middleware/auth');
+const profileService = require('../services/profileService');
+const privacyService = require('../services/privacyService');
+const emailOutboxService = require('../services/emailOutboxService');
+const auditService = require('../services/auditService');
+const loginEventService = require('../services/loginEventService');
+const { ACCOUNT_DELETION_GRACE_DAYS } = require('../config/privacy');
+
+// Base for avatar URLs, matching the upload routes
+function baseUrl(req) {
+  return process.env.BASE_URL || `${req.protocol}://${req.get('host')}`;
+}
+
+function formatDeletionRequest(row) {
+  if (!row) {
+    return null;
+  }
+  return {
+    id: row.id,
+    status: row.status,
+    requestedAt: row.requested_at,
+    scheduledFor: row.scheduled_for,
+    cancelledAt: row.cancelled_at
+  };
+}
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Profile:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         email:
+ *           type: string
+ *           example: 'learner@example.com'
+ *         name:
+ *           type: string
+ *           nullable: true
+ *           example: 'Sai Kumar'
+ *         phone:
+ *           type: string
+ *           nullable: true
+ *           example: '+14155550123'
+ *         avatarUploadId:
+ *           type: string
+ *           nullable: true
+ *         avatarUrl:
+ *           type: string
+ *           nullable: true
+ *         timezone:
+ *           type: string
+ *           nullable: true
+ *           example: 'Asia/Kolkata'
+ *         preferredLanguage:
+ *           type: string
+ *           nullable: true
+ *           enum: [en, es]
+ *         role:
+ *           type: string
+ *         isVerified:
+ *           type: boolean
+ *         organizationId:
+ *           type: integer
+ *           nullable: true
+ *         profileUpdatedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         profileComplete:
+ *           type: boolean
+ *           description: False until name, phone and timezone are filled in. Also returned on login.
+ *         missingProfileFields:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: ['phone', 'timezone']
+ */
+
+/**
+ * @swagger
+ * /api/me:
+ *   get:
+ *     tags: [Profile]
+ *     summary: Get the signed-in user's profile
+ *     responses:
+ *       200:
+ *         description: Profile
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Profile'
+ *       401:
+ *         description: Authentication required
+ *   put:
+ *     tags: [Profile]
+ *     summary: Update the signed-in user's profile
+ *     description: Only the fields sent are changed. Send null for phone, timezone or avatarUploadId to clear them. Upload a picture with POST /api/upload/avatar first and pass its id as avatarUploadId.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: 'Sai Kumar'
+ *               phone:
+ *                 type: string
+ *                 nullable: true
+ *                 example: '+91 98765 43210'
+ *               timezone:
+ *                 type: string
+ *                 nullable: true
+ *                 example: 'Asia/Kolkata'
+ *               preferredLanguage:
+ *                 type: string
+ *                 enum: [en, es]
+ *               avatarUploadId:
+ *                 type: string
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: Profile updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Profile'
+ *                 message:
+ *                   type: string
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Authentication required
+ */
+
+// GET /api/me - Current user's profile
+router.get('/me', authenticateUser, async (req, res) => {
+  try {
+    const profile = await profileService.getProfile(req.pool, req.user.id, baseUrl(req));
+    res.json({ success: true, data: profile });
+  } catch (err) {
+    console.error('Error in GET /me:', err);
+    res.status(500).json({ success: false, error: err.message || 'Internal server error' });
+  }
+});
+
+// PUT /api/me - Update the current user's profile
+router.put('/me', authenticateUser, async (req, res) => {
+  try {
+    const { changes, error } = await profileService.validateUpdate(req.pool, req.user.id, req.body || {});
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+    const before = await profileService.getProfile(req.pool, req.user.id, baseUrl(req));
+    await profileService.updateProfile(req.pool, req.user.id, changes);
+    const profile = await profileService.getProfile(req.pool, req.user.id, baseUrl(req));
+    await auditService.record(req, { action: 'user.profile_update', entityType: 'user', entityId: req.user.id, before, after: profile });
+    res.json({
+      success: true,
+      data: profile,
+      message: 'Profile updated successfully'
+    });
+  } catch (err) {
+    console.error('Error in PUT /me:', err);
+    res.status(500).json({ success: false, error: err.message || 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/me/export:
+ *   get:
+ *     tags: [Profile]
+ *     summary: Download all personal data as a ZIP
+ *     description: Right of access. The archive holds one JSON file per data set (profile, topic_enrollments, topic_progress, topic_reviews, consents, uploads, sessions, login_history, passkeys, sso_identities, privacy_requests), copies of uploaded files and a README.
+ *     responses:
+ *       200:
+ *         description: ZIP archive
+ *         content:
+ *           application/zip:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Not available while an admin is impersonating the user
+ */
+
+// GET /api/me/export - Personal data export
+router.get('/me/export', authenticateUser, denyImpersonation, async (req, res) => {
+  const filename = `thinkcyber-export-${req.user.id}-${new Date().toISOString().slice(0, 10)}.zip`;
+  try {
+    res.attachment(filename);
+    res.type('application/zip');
+    await privacyService.writeExport(req.pool, req.user.id, res, { ip: req.ip });
+  } catch (err) {
+    console.error('Error in GET /me/export:', err);
+    if (res.headersSent) {
+      return res.destroy(err);
+    }
+    res.removeHeader('Content-Disposition');
+    res.status(500).json({ success: false, error: err.message || 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     DeletionRequest:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         status:
+ *           type: string
+ *           enum: [pending, completed, cancelled]
+ *         requestedAt:
+ *           type: string
+ *           format: date-time
+ *         scheduledFor:
+ *           type: string
+ *           format: date-time
+ *           description: When the account will be erased
+ *         cancelledAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ */
+
+/**
+ * @swagger
+ * /api/me/deletion:
+ *   get:
+ *     tags: [Profile]
+ *     summary: Get the pending account deletion, if any
+ *     responses:
+ *       200:
+ *         description: Pending deletion, or null
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/DeletionRequest'
+ *   post:
+ *     tags: [Profile]
+ *     summary: Request deletion of the account
+ *     description: Right to erasure. The account keeps working during the grace period (ACCOUNT_DELETION_GRACE_DAYS, 30 by default) and can be restored by cancelling. Afterwards learning records, reviews, consents, uploads, invitations and queued emails are deleted together with the account and any accounts merged into it; topics the user authored are kept without an author, and audit log entries keep only the user ID.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - confirmEmail
+ *             properties:
+ *               confirmEmail:
+ *                 type: string
+ *                 description: The account's email address, to guard against accidental requests
+ *     responses:
+ *       202:
+ *         description: Deletion scheduled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/DeletionRequest'
+ *                 message:
+ *                   type: string
+ *       400:
+ *         description: Email confirmation does not match
+ *       403:
+ *         description: Not available while an admin is impersonating the user
+ *       409:
+ *         description: Deletion already scheduled
+ *   delete:
+ *     tags: [Profile]
+ *     summary: Cancel a pending account deletion
+ *     responses:
+ *       200:
+ *         description: Deletion cancelled
+ *       403:
+ *         description: Not available while an admin is impersonating the user
+ *       404:
+ *         description: No deletion pending
+ */
+
+// GET /api/me/deletion - Pending deletion
+router.get('/me/deletion', authenticateUser, async (req, res) => {
+  try {
+    const request = await privacyService.getPendingDeletion(req.pool, req.user.id);
+    res.json({ success: true, data: formatDeletionRequest(request) });
+  } catch (err) {
+    console.error('Error in GET /me/deletion:', err);
+    res.status(500).json({ success: false, error: err.message || 'Internal server error' });
+  }
+});
+
+// POST /api/me/deletion - Schedule account deletion
+router.post('/me/deletion', authenticateUser, denyImpersonation, async (req, res) => {
+  const { confirmEmail } = req.body || {};
+  if (!confirmEmail || String(confirmEmail).trim().toLowerCase() !== req.user.email.toLowerCase()) {
+    return res.status(400).json({ success: false, error: 'confirmEmail must match your account email' });
+  }
+
+  try {
+    const { request, error } = await privacyService.requestDeletion(req.pool, req.user.id, { ip: req.ip });
+    if (error) {
+      return res.status(409).json({ success: false, error });
+    }
+    await auditService.record(req, {
+      action: 'user.deletion_request',
+      entityType: 'user',
+      entityId: req.user.id,
+      after: { deletion_scheduled_for: request.scheduled_for }
+    });
+    const profile = await profileService.getProfile(req.pool, req.user.id, baseUrl(req));
+    await emailOutboxService.queueEmail(req.pool, {
+      to: req.user.email,
+      template: 'account-deletion-scheduled',
+      language: profile.preferredLanguage,
+      data: {
+        deletionDate: new Date(request.scheduled_for).toISOString().slice(0, 10),
+        graceDays: ACCOUNT_DELETION_GRACE_DAYS
+      }
+    });
+    res.status(202).json({
+      success: true,
+      data: formatDeletionRequest(request),
+      message: `Your account will be deleted in ${ACCOUNT_DELETION_GRACE_DAYS} days unless you cancel`
+    });
+  } catch (err) {
+    console.error('Error in POST /me/deletion:', err);
+    res.status(500).json({ success: false, error: err.message || 'Internal server error' });
+  }
+});
+
+// DELETE /api/me/deletion - Cancel a pending deletion
+router.delete('/me/deletion', authenticateUser, denyImpersonation, async (req, res) => {
+  try {
+    const request = await privacyService.cancelDeletion(req.pool, req.user.id);
+    if (!request) {
+      return res.status(404).json({ success: false, error: 'No account deletion is pending' });
+    }
+    await auditService.record(req, {
+      action: 'user.deletion_cancel',
+      entityType: 'user',
+      entityId: req.user.id,
+      before: { deletion_scheduled_for: request.scheduled_for }
+    });
+    res.json({ success: true, data: formatDeletionRequest(request), message: 'Account deletion cancelled' });
+  } catch (err) {
+    console.error('Error in DELETE /me/deletion:', err);
+    res.status(500).json({ success: false, error: err.message || 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/me/consents:
+ *   get:
+ *     tags: [Profile]
+ *     summary: List the legal documents the user has accepted
+ *     responses:
+ *       200:
+ *         description: Consents, newest first
+ *   post:
+ *     tags: [Profile]
+ *     summary: Record acceptance of the terms or privacy policy
+ *     description: Stores the version of the active document the user accepted, with IP address and user agent.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - documentType
+ *               - documentId
+ *             properties:
+ *               documentType:
+ *                 type: string
+ *                 enum: [terms_conditions, privacy_policy]
+ *               documentId:
+ *                 type: integer
+ *     responses:
+ *       201:
+ *         description: Consent recorded
+ *       400:
+ *         description: Unknown or inactive document
+ *       403:
+ *         description: Not available while an admin is impersonating the user
+ */
+
+// GET /api/me/consents - Accepted legal documents
+router.get('/me/consents', authenticateUser, async (req, res) => {
+  try {
+    const consents = await privacyService.listConsents(req.pool, req.user.id);
+    res.json({ success: true, data: consents });
+  } catch (err) {
+    console.error('Error in GET /me/consents:', err);
+    res.status(500).json({ success: false, error: err.message || 'Internal server error' });
+  }
+});
+
+// POST /api/me/consents - Accept a legal document
+router.post('/me/consents', authenticateUser, denyImpersonation, async (req, res) => {
+  const { documentType, documentId } = req.body || {};
+  if (!documentType || !Number.isInteger(Number(documentId))) {
+    return res.status(400).json({ success: false, error: 'documentType and documentId are required' });
+  }
+
+  try {
+    const { consent, error } = await privacyService.recordConsent(req.pool, req.user.id, {
+      documentType,
+      documentId: Number(documentId),
+      ip: req.ip,
+      userAgent: req.get('user-agent')
+    });
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+    res.status(201).json({ success: true, data: consent, message: 'Consent recorded' });
+  } catch (err) {
+    console.error('Error in POST /me/consents:', err);
+    res.status(500).json({ success: false, error: err.message || 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     LoginEvent:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         userId:
+ *           type: integer
+ *         method:
+ *           type: string
+ *           enum: [otp, magic_link, passkey, sso, 2fa, invitation]
+ *         success:
+ *           type: boolean
+ *         failureReason:
+ *           type: string
+ *           nullable: true
+ *           enum: [invalid_otp, unknown_user, invalid_2fa_code, locked_out, account_deactivated, pending_approval]
+ *         ipAddress:
+ *           type: string
+ *           nullable: true
+ *         userAgent:
+ *           type: string
+ *           nullable: true
+ *         unfamiliar:
+ *           type: boolean
+ *           description: The login came from a device or network the account had not used before, and an alert email was sent
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/me/logins:
+ *   get:
+ *     tags: [Profile]
+ *     summary: Login history of the signed-in user
+ *     parameters:
+ *       - in: query
+ *         name: success
+ *         schema:
+ *           type: boolean
+ *         description: Only successful (true) or failed (false) attempts
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Login attempts, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/LoginEvent'
+ *                 pagination:
+ *                   type: object
+ *       401:
+ *         description: Authentication required
+ */
+
+// GET /api/me/logins - Login history
+router.get('/me/logins', authenticateUser, async (req, res) => {
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+  const success = req.query.success === undefined ? undefined : req.query.success === 'true';
+
+  try {
+    const { events, total } = await loginEventService.listEvents(req.pool, req.user.id, { success, page, limit });
+    const totalPages = Math.ceil(total / limit);
+    res.json({
+      success: true,
+      data: events,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      }
+    });
+  } catch (err) {
+    console.error('Error in GET /me/logins:', err);
+    res.status(500).json({ success: false, error: err.message || 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,503 @@
+const express = require('express');
+const router = express.Router();
+const { requirePermission } = require('../middleware/auth');
+const { ROLES } = require('../config/permissions');
+const oidcService = require('../services/oidcService');
+
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+// Lower-case, de-duplicated list of bare domains
+function normalizeDomains(domains) {
+  if (!Array.isArray(domains)) {
+    return null;
+  }
+  return [...new Set(domains.map(domain => String(domain).trim().toLowerCase().replace(/^@/, '')).filter(Boolean))];
+}
+
+// Connection as returned by the API: the client secret is never echoed back
+function formatConnection(row) {
+  if (!row) {
+    return null;
+  }
+  return {
+    id: row.id,
+    issuer: row.issuer,
+    clientId: row.client_id,
+    hasClientSecret: Boolean(row.client_secret),
+    scopes: row.scopes,
+    defaultRole: row.default_role,
+    jitProvisioning: row.jit_provisioning,
+    enabled: row.enabled,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function formatOrganization(row, connection) {
+  return {
+    id: row.id,
+    name: row.name,
+    slug: row.slug,
+    emailDomains: row.email_domains,
+    memberCount: row.member_count !== undefined ? parseInt(row.member_count) : undefined,
+    sso: formatConnection(connection),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+async function loadOrganization(db, id) {
+  const result = await db.query(
+    `SELECT o.*, (SELECT COUNT(*) FROM users u WHERE u.organization_id = o.id) AS member_count
+     FROM organizations o WHERE o.id = $1`,
+    [id]
+  );
+  if (result.rows.length === 0) {
+    return null;
+  }
+  const connection = await db.query('SELECT * FROM oidc_connections WHERE organization_id = $1', [id]);
+  return formatOrganization(result.rows[0], connection.rows[0]);
+}
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Organization:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 1
+ *         name:
+ *           type: string
+ *           example: 'Acme Corp'
+ *         slug:
+ *           type: string
+ *           example: 'acme'
+ *         emailDomains:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: ['acme.com']
+ *         memberCount:
+ *           type: integer
+ *         sso:
+ *           $ref: '#/components/schemas/OidcConnection'
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *     OidcConnection:
+ *       type: object
+ *       nullable: true
+ *       properties:
+ *         id:
+ *           type: integer
+ *         issuer:
+ *           type: string
+ *           example: 'https://login.acme.com'
+ *         clientId:
+ *           type: string
+ *         hasClientSecret:
+ *           type: boolean
+ *         scopes:
+ *           type: string
+ *           example: 'openid email profile'
+ *         defaultRole:
+ *           type: string
+ *           enum: [learner, author, editor, admin]
+ *         jitProvisioning:
+ *           type: boolean
+ *           description: Create accounts for unknown users on their first SSO login
+ *         enabled:
+ *           type: boolean
+ */
+
+/**
+ * @swagger
+ * /api/organizations:
+ *   get:
+ *     tags: [Organizations]
+ *     summary: List organizations (admin only)
+ *     responses:
+ *       200:
+ *         description: Organizations with their SSO configuration
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Organization'
+ *   post:
+ *     tags: [Organizations]
+ *     summary: Create an organization (admin only)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - slug
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: 'Acme Corp'
+ *               slug:
+ *                 type: string
+ *                 example: 'acme'
+ *               emailDomains:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ['acme.com']
+ *     responses:
+ *       201:
+ *         description: Organization created
+ *       400:
+ *         description: Validation error
+ *       409:
+ *         description: Slug already in use
+ */
+
+// GET /api/organizations - List organizations
+router.get('/organizations', requirePermission('organizations:manage'), async (req, res) => {
+  try {
+    const result = await req.pool.query(
+      `SELECT o.*, (SELECT COUNT(*) FROM users u WHERE u.organization_id = o.id) AS member_count
+       FROM organizations o ORDER BY o.name`
+    );
+    const connections = await req.pool.query('SELECT * FROM oidc_connections');
+    const byOrganization = new Map(connections.rows.map(row => [row.organization_id, row]));
+
+    res.json({
+      success: true,
+      data: result.rows.map(row => formatOrganization(row, byOrganization.get(row.id)))
+    });
+  } catch (err) {
+    console.error('Error in GET /organizations:', err);
+    res.status(500).json({ success: false, error: err.message || 'Internal server error' });
+  }
+});
+
+// POST /api/organizations - Create an organization
+router.post('/organizations', requirePermission('organizations:manage'), async (req, res) => {
+  const { name, slug, emailDomains = [] } = req.body;
+
+  if (!name || name.trim() === '') {
+    return res.status(400).json({ success: false, error: 'Organization name is required' });
+  }
+  if (!slug || !SLUG_PATTERN.test(slug)) {
+    return res.status(400).json({ success: false, error: 'Slug must contain only lowercase letters, numbers and hyphens' });
+  }
+  const domains = normalizeDomains(emailDomains);
+  if (!domains) {
+    return res.status(400).json({ success: false, error: 'emailDomains must be an array' });
+  }
+
+  try {
+    const result = await req.pool.query(
+      'INSERT INTO organizations (name, slug, email_domains) VALUES ($1, $2, $3) RETURNING id',
+      [name.trim(), slug, domains]
+    );
+    res.status(201).json({
+      success: true,
+      data: await loadOrganization(req.pool, result.rows[0].id),
+      message: 'Organization created successfully'
+    });
+  } catch (err) {
+    if (err.code === '23505') {
+      return res.status(409).json({ success: false, error: 'An organization with this slug already exists' });
+    }
+    console.error('Error in POST /organizations:', err);
+    res.status(500).json({ success: false, error: err.message || 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/organizations/{id}:
+ *   get:
+ *     tags: [Organizations]
+ *     summary: Get an organization (admin only)
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Organization
+ *       404:
+ *         description: Organization not found
+ *   put:
+ *     tags: [Organizations]
+ *     summary: Update an organization (admin only)
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               slug:
+ *                 type: string
+ *               emailDomains:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Organization updated
+ *       404:
+ *         description: Organization not found
+ *       409:
+ *         description: Slug already in use
+ *   delete:
+ *     tags: [Organizations]
+ *     summary: Delete an organization and its SSO connection (admin only)
+ *     description: Members keep their accounts but are no longer linked to the organization.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Organization deleted
+ *       404:
+ *         description: Organization not found
+ */
+
+// GET /api/organizations/:id - Get one organization
+router.get('/organizations/:id', requirePermission('organizations:manage'), async (req, res) => {
+  try {
+    const organization = await loadOrganization(req.pool, req.params.id);
+    if (!organization) {
+      return res.status(404).json({ success: false, error: 'Organization not found' });
+    }
+    res.json({ success: true, data: organization });
+  } catch (err) {
+    console.error('Error in GET /organizations/:id:', err);
+    res.status(500).json({ success: false, error: err.message || 'Internal server error' });
+  }
+});
+
+// PUT /api/organizations/:id - Update an organization
+router.put('/organizations/:id', requirePermission('organizations:manage'), async (req, res) => {
+  const { name, slug, emailDomains } = req.body;
+
+  if (name !== undefined && String(name).trim() === '') {
+    return res.status(400).json({ success: false, error: 'Organization name cannot be empty' });
+  }
+  if (slug !== undefined && !SLUG_PATTERN.test(slug)) {
+    return res.status(400).json({ success: false, error: 'Slug must contain only lowercase letters, numbers and hyphens' });
+  }
+  const domains = emailDomains === undefined ? undefined : normalizeDomains(emailDomains);
+  if (domains === null) {
+    return res.status(400).json({ success: false, error: 'emailDomains must be an array' });
+  }
+
+  try {
+    const result = await req.pool.query(
+      `UPDATE organizations
+       SET name = COALESCE($2, name), slug = COALESCE($3, slug), email_domains = COALESCE($4, email_domains)
+       WHERE id = $1 RETURNING id`,
+      [req.params.id, name !== undefined ? String(name).trim() : null, slug || null, domains || null]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Organization not found' });
+    }
+    res.json({
+      success: true,
+      data: await loadOrganization(req.pool, req.params.id),
+      message: 'Organization updated successfully'
+    });
+  } catch (err) {
+    if (err.code === '23505') {
+      return res.status(409).json({ success: false, error: 'An organization with this slug already exists' });
+    }
+    console.error('Error in PUT /organizations/:id:', err);
+    res.status(500).json({ success: false, error: err.message || 'Internal server error' });
+  }
+});
+
+// DELETE /api/organizations/:id - Delete an organization
+router.delete('/organizations/:id', requirePermission('organizations:manage'), async (req, res) => {
+  try {
+    const result = await req.pool.query('DELETE FROM organizations WHERE id = $1 RETURNING id', [req.params.id]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Organization not found' });
+    }
+    res.json({ success: true, message: 'Organization deleted successfully' });
+  } catch (err) {
+    console.error('Error in DELETE /organizations/:id:', err);
+    res.status(500).json({ success: false, error: err.message || 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/organizations/{id}/sso:
+ *   put:
+ *     tags: [Organizations]
+ *     summary: Configure OpenID Connect single sign-on (admin only)
+ *     description: Creates or replaces the organization's OIDC connection. The issuer's discovery document is fetched to check the configuration. Register /api/auth/sso/callback as the redirect URI at the identity provider. Omit clientSecret to keep the stored one.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - issuer
+ *               - clientId
+ *             properties:
+ *               issuer:
+ *                 type: string
+ *                 example: 'http://localhost:4000'
+ *               clientId:
+ *                 type: string
+ *                 example: 'thinkcyber'
+ *               clientSecret:
+ *                 type: string
+ *               scopes:
+ *                 type: string
+ *                 example: 'openid email profile'
+ *               defaultRole:
+ *                 type: string
+ *                 enum: [learner, author, editor, admin]
+ *               jitProvisioning:
+ *                 type: boolean
+ *               enabled:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: SSO configured
+ *       400:
+ *         description: Validation error or discovery failed
+ *       404:
+ *         description: Organization not found
+ *   delete:
+ *     tags: [Organizations]
+ *     summary: Remove single sign-on for an organization (admin only)
+ *     description: Also removes the links between users and the identity provider; the accounts remain.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: SSO removed
+ *       404:
+ *         description: Organization has no SSO configured
+ */
+
+// PUT /api/organizations/:id/sso - Create or replace the OIDC connection
+router.put('/organizations/:id/sso', requirePermission('organizations:manage'), async (req, res) => {
+  const {
+    issuer,
+    clientId,
+    clientSecret,
+    scopes = 'openid email profile',
+    defaultRole = 'learner',
+    jitProvisioning = true,
+    enabled = true
+  } = req.body;
+
+  if (!issuer || !/^https?:\/\//.test(issuer)) {
+    return res.status(400).json({ success: false, error: 'A valid issuer URL is required' });
+  }
+  if (!clientId) {
+    return res.status(400).json({ success: false, error: 'clientId is required' });
+  }
+  if (!String(scopes).split(' ').includes('openid')) {
+    return res.status(400).json({ success: false, error: "Scopes must include 'openid'" });
+  }
+  if (!ROLES.includes(defaultRole)) {
+    return res.status(400).json({ success: false, error: `defaultRole must be one of: ${ROLES.join(', ')}` });
+  }
+
+  try {
+    const organization = await req.pool.query('SELECT id FROM organizations WHERE id = $1', [req.params.id]);
+    if (organization.rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Organization not found' });
+    }
+
+    try {
+      await oidcService.discover(issuer);
+    } catch (err) {
+      return res.status(400).json({ success: false, error: `Issuer discovery failed: ${err.message}` });
+    }
+
+    await req.pool.query(
+      `INSERT INTO oidc_connections
+         (organization_id, issuer, client_id, client_secret, scopes, default_role, jit_provisioning, enabled)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       ON CONFLICT (organization_id) DO UPDATE SET
+         issuer = EXCLUDED.issuer,
+         client_id = EXCLUDED.client_id,
+         client_secret = COALESCE(EXCLUDED.client_secret, oidc_connections.client_secret),
+         scopes = EXCLUDED.scopes,
+         default_role = EXCLUDED.default_role,
+         jit_provisioning = EXCLUDED.jit_provisioning,
+         enabled = EXCLUDED.enabled`,
+      [req.params.id, issuer, clientId, clientSecret || null, scopes, defaultRole, Boolean(jitProvisioning), Boolean(enabled)]
+    );
+
+    res.json({
+      success: true,
+      data: await loadOrganization(req.pool, req.params.id),
+      message: 'Single sign-on configured successfully'
+    });
+  } catch (err) {
+    console.error('Error in PUT /organizations/:id/sso:', err);
+    res.status(500).json({ success: false, error: err.message || 'Internal server error' });
+  }
+});
+
+// DELETE /api/organizations/:id/sso - Remove the OIDC connection
+router.delete('/organizations/:id/sso', requirePermission('organizations:manage'), async (req, res) => {
+  try {
+    const result = await req.pool.query(
+      'DELETE FROM oidc_connections WHERE organization_id = $1 RETURNING id',
+      [req.params.id]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Single sign-on is not configured for this organization' });
+    }
+    res.json({ success: true, message: 'Single sign-on removed successfully' });
+  } catch (err) {
+    console.error('Error in DELETE /organizations/:id/sso:', err);
+    res.status(500).json({ success: false, error: err.message || 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -1,5 +1,7 @@
 const express = require('express');
 const router = express.Router();
+const { requirePermission } = require('../middleware/auth');
+const auditService = require('../services/auditService');
 
 /**
  * @swagger
@@ -355,7 +357,7 @@ router.get('/privacy', async (req, res) => {
 });
 
 // POST create privacy policy
-router.post('/privacy', async (req, res) => {
+router.post('/privacy', requirePermission('legal:write'), async (req, res) => {
   const { title, content, version, language, status, effectiveDate, createdBy } = req.body;
   
   if (!title || title.trim() === '') {
@@ -405,6 +407,12 @@ router.post('/privacy', async (req, res) => {
     if (!result || !result.rows || result.rows.length === 0) {
       throw new Error('Failed to create privacy policy');
     }
+    await auditService.record(req, {
+      action: 'privacy_policy.create',
+      entityType: 'privacy_policy',
+      entityId: result.rows[0].id,
+      after: result.rows[0]
+    });
 
     // Format the response data
     const formattedData = {
@@ -492,7 +500,7 @@ router.get('/privacy/:id', async (req, res) => {
 });
 
 // PUT update privacy policy by ID
-router.put('/privacy/:id', async (req, res) => {
+router.put('/privacy/:id', requirePermission('legal:write'), async (req, res) => {
   const policyId = parseInt(req.params.id);
   const { title, content, version, language, status, effectiveDate, updatedBy } = req.body;
   
@@ -533,7 +541,7 @@ router.put('/privacy/:id', async (req, res) => {
   try {
     // Check if policy exists
     const existingPolicy = await req.pool.query(
-      'SELECT id FROM privacy_policies WHERE id = $1', 
+      'SELECT * FROM privacy_policies WHERE id = $1', 
       [policyId]
     );
     
@@ -565,6 +573,13 @@ router.put('/privacy/:id', async (req, res) => {
     if (!result || !result.rows || result.rows.length === 0) {
       throw new Error('Failed to update privacy policy');
     }
+    await auditService.record(req, {
+      action: 'privacy_policy.update',
+      entityType: 'privacy_policy',
+      entityId: policyId,
+      before: existingPolicy.rows[0],
+      after: result.rows[0]
+    });
 
     // Format the response data
     const formattedData = {
@@ -596,7 +611,7 @@ router.put('/privacy/:id', async (req, res) => {
 });
 
 // DELETE privacy policy by ID
-router.delete('/privacy/:id', async (req, res) => {
+router.delete('/privacy/:id', requirePermission('legal:write'), async (req, res) => {
   const policyId = parseInt(req.params.id);
   
   if (!policyId || isNaN(policyId)) {
@@ -609,7 +624,7 @@ router.delete('/privacy/:id', async (req, res) => {
   try {
     // Check if policy exists
     const existingPolicy = await req.pool.query(
-      'SELECT id, title FROM privacy_policies WHERE id = $1', 
+      'SELECT * FROM privacy_policies WHERE id = $1', 
       [policyId]
     );
     
@@ -625,6 +640,12 @@ router.delete('/privacy/:id', async (req, res) => {
       'DELETE FROM privacy_policies WHERE id = $1', 
       [policyId]
     );
+    await auditService.record(req, {
+      action: 'privacy_policy.delete',
+      entityType: 'privacy_policy',
+      entityId: policyId,
+      before: existingPolicy.rows[0]
+    });
 
     res.json({
       success: true,
@@ -640,7 +661,7 @@ router.delete('/privacy/:id', async (req, res) => {
 });
 
 // POST publish privacy policy by ID
-router.post('/privacy/:id/publish', async (req, res) => {
+router.post('/privacy/:id/publish', requirePermission('legal:write'), async (req, res) => {
   const policyId = parseInt(req.params.id);
   const { effectiveDate, publishedBy } = req.body;
   
@@ -654,7 +675,7 @@ router.post('/privacy/:id/publish', async (req, res) => {
   try {
     // Check if privacy policy exists and get current status
     const existingPolicy = await req.pool.query(
-      'SELECT id, title, status FROM privacy_policies WHERE id = $1', 
+      'SELECT * FROM privacy_policies WHERE id = $1', 
       [policyId]
     );
     
@@ -701,6 +722,13 @@ router.post('/privacy/:id/publish', async (req, res) => {
     if (!result || !result.rows || result.rows.length === 0) {
       throw new Error('Failed to publish privacy policy');
     }
+    await auditService.record(req, {
+      action: 'privacy_policy.publish',
+      entityType: 'privacy_policy',
+      entityId: policyId,
+      before: existingPolicy.rows[0],
+      after: result.rows[0]
+    });
 
     // Format the response data
     const formattedData = {
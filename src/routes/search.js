@@ -0,0 +1,99 @@
+const express = require('express');
+const router = express.Router();
+const searchSuggestService = require('../services/searchSuggestService');
+const { SEARCH_SUGGEST_MIN_LENGTH } = require('../config/search');
+
+// Longer input is cut; nobody types this much into a search box
+const MAX_QUERY_LENGTH = 100;
+
+/**
+ * @swagger
+ * /api/search/suggest:
+ *   get:
+ *     summary: Search box suggestions
+ *     description: |
+ *       Lightweight typeahead for the catalog search box. Returns a mixed list of published
+ *       topic titles, category and subcategory names and tags close to the input, tolerating
+ *       typos. Names starting with the input rank first. Inputs shorter than two characters
+ *       get no suggestions. The lookup has a strict time budget: if it runs out the response
+ *       is an empty list with timedOut set. Use /api/topics/search for the full results.
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: 'phish'
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 8
+ *           maximum: 20
+ *     responses:
+ *       200:
+ *         description: Suggestions, best first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       type:
+ *                         type: string
+ *                         enum: [topic, category, subcategory, tag]
+ *                       id:
+ *                         type: integer
+ *                         nullable: true
+ *                         description: Null for tags
+ *                       label:
+ *                         type: string
+ *                       slug:
+ *                         type: string
+ *                         description: Topics only
+ *                       categoryId:
+ *                         type: integer
+ *                         description: Subcategories only
+ *                       topicCount:
+ *                         type: integer
+ *                         description: Tags only; published topics with the tag
+ *                 timedOut:
+ *                   type: boolean
+ *       400:
+ *         description: Missing query
+ */
+
+// GET /api/search/suggest - Typeahead suggestions
+router.get('/search/suggest', async (req, res) => {
+  if (typeof req.query.q !== 'string') {
+    return res.status(400).json({ success: false, error: 'Search query is required' });
+  }
+  const q = req.query.q.trim().slice(0, MAX_QUERY_LENGTH);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 8, 1), 20);
+
+  // Suggestions change only when the catalog does
+  res.set('Cache-Control', 'public, max-age=60');
+  if (q.length < SEARCH_SUGGEST_MIN_LENGTH) {
+    return res.json({ success: true, data: [], timedOut: false });
+  }
+
+  try {
+    const { suggestions, timedOut } = await searchSuggestService.suggest(req.pool, q, { limit });
+    if (timedOut) {
+      res.set('Cache-Control', 'no-store');
+    }
+    res.json({ success: true, data: suggestions, timedOut });
+  } catch (err) {
+    console.error('Error in GET /search/suggest:', err);
+    res.set('Cache-Control', 'no-store');
+    res.status(500).json({ success: false, error: err.message || 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,287 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateUser, denyImpersonation } = require('../middleware/auth');
+const auditService = require('../services/auditService');
+const loginService = require('../services/loginService');
+const oidcService = require('../services/oidcService');
+
+/**
+ * @swagger
+ * /api/auth/sso/discover:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Find the single sign-on login for an email address
+ *     description: Looks up the organization whose email domains include the address. Front ends can call this from the login form and send the user to loginUrl instead of requesting an OTP.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 example: 'jane@acme.com'
+ *     responses:
+ *       200:
+ *         description: Organization uses SSO
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     organization:
+ *                       type: object
+ *                       properties:
+ *                         name:
+ *                           type: string
+ *                         slug:
+ *                           type: string
+ *                     loginUrl:
+ *                       type: string
+ *                       example: '/api/auth/sso/acme/login?login_hint=jane%40acme.com'
+ *       404:
+ *         description: No SSO configured for this email domain
+ */
+
+// POST /auth/sso/discover
+router.post('/sso/discover', async (req, res) => {
+  const { email } = req.body;
+  if (!email) {
+    return res.status(400).json({ success: false, error: 'Email required' });
+  }
+
+  try {
+    const connection = await oidcService.findConnectionForEmail(req.pool, email);
+    if (!connection) {
+      return res.status(404).json({ success: false, error: 'Single sign-on is not configured for this email domain' });
+    }
+    res.json({
+      success: true,
+      data: {
+        organization: { name: connection.organization_name, slug: connection.organization_slug },
+        loginUrl: `/api/auth/sso/${connection.organization_slug}/login?login_hint=${encodeURIComponent(email)}`
+      }
+    });
+  } catch (err) {
+    console.error('Error in POST /auth/sso/discover:', err);
+    res.status(500).json({ success: false, error: err.message || 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/sso/{slug}/login:
+ *   get:
+ *     tags: [Auth]
+ *     summary: Start single sign-on for an organization
+ *     description: Redirects the browser to the organization's identity provider (authorization code flow with PKCE). The provider sends the user back to /api/auth/sso/callback.
+ *     parameters:
+ *       - in: path
+ *         name: slug
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Organization slug
+ *       - in: query
+ *         name: login_hint
+ *         schema:
+ *           type: string
+ *         description: Email to pre-fill at the identity provider
+ *     responses:
+ *       302:
+ *         description: Redirect to the identity provider
+ *       404:
+ *         description: Organization not found or SSO not enabled
+ *       502:
+ *         description: Identity provider discovery failed
+ */
+
+// GET /auth/sso/:slug/login
+router.get('/sso/:slug/login', async (req, res) => {
+  try {
+    const connection = await oidcService.getConnectionBySlug(req.pool, req.params.slug);
+    if (!connection) {
+      return res.status(404).json({ success: false, error: 'Single sign-on is not enabled for this organization' });
+    }
+
+    let authorizationUrl;
+    try {
+      authorizationUrl = await oidcService.beginLogin(req.pool, connection, { loginHint: req.query.login_hint });
+    } catch (err) {
+      console.error(`OIDC discovery failed for ${connection.issuer}:`, err.message);
+      return res.status(502).json({ success: false, error: 'Could not reach the identity provider' });
+    }
+    res.redirect(authorizationUrl);
+  } catch (err) {
+    console.error('Error in GET /auth/sso/:slug/login:', err);
+    res.status(500).json({ success: false, error: err.message || 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/sso/{slug}/link:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Link the signed-in account to an organization's identity provider
+ *     description: |
+ *       Admins and members of other organizations are never linked to an identity provider by
+ *       email alone. They sign in another way, call this, and send the browser to the returned
+ *       authorizationUrl; the callback then links the identity to their account instead of
+ *       signing in.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: slug
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Organization slug
+ *     responses:
+ *       200:
+ *         description: Identity provider URL to open
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     authorizationUrl:
+ *                       type: string
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Not available while an admin is impersonating the user
+ *       404:
+ *         description: Organization not found or SSO not enabled
+ *       502:
+ *         description: Identity provider discovery failed
+ */
+
+// POST /auth/sso/:slug/link
+router.post('/sso/:slug/link', authenticateUser, denyImpersonation, async (req, res) => {
+  try {
+    const connection = await oidcService.getConnectionBySlug(req.pool, req.params.slug);
+    if (!connection) {
+      return res.status(404).json({ success: false, error: 'Single sign-on is not enabled for this organization' });
+    }
+
+    let authorizationUrl;
+    try {
+      authorizationUrl = await oidcService.beginLogin(req.pool, connection, {
+        loginHint: req.user.email,
+        linkUserId: req.user.id
+      });
+    } catch (err) {
+      console.error(`OIDC discovery failed for ${connection.issuer}:`, err.message);
+      return res.status(502).json({ success: false, error: 'Could not reach the identity provider' });
+    }
+    res.json({ success: true, data: { authorizationUrl } });
+  } catch (err) {
+    console.error('Error in POST /auth/sso/:slug/link:', err);
+    res.status(500).json({ success: false, error: err.message || 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/sso/callback:
+ *   get:
+ *     tags: [Auth]
+ *     summary: Identity provider redirect target
+ *     description: |
+ *       Exchanges the authorization code, validates the ID token against the provider's JWKS, then
+ *       signs the user in. Users are linked by IdP subject, then by verified email, and otherwise
+ *       created just in time. The email must be in one of the organization's email domains, and
+ *       admins or members of other organizations are only found through an identity they linked
+ *       themselves (POST /api/auth/sso/{slug}/link). Returns the same response as
+ *       /api/auth/verify-otp, or a confirmation when the flow was started to link an account.
+ *     parameters:
+ *       - in: query
+ *         name: code
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: state
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: error
+ *         schema:
+ *           type: string
+ *         description: Set by the identity provider when the login was refused
+ *     responses:
+ *       200:
+ *         description: Login successful (or two-factor challenge)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 user:
+ *                   type: object
+ *                 sessionToken:
+ *                   type: string
+ *                 refreshToken:
+ *                   type: string
+ *                 expiresIn:
+ *                   type: string
+ *                 mfaRequired:
+ *                   type: boolean
+ *                 mfaToken:
+ *                   type: string
+ *       400:
+ *         description: Login refused, expired or could not be linked to an account
+ */
+
+// GET /auth/sso/callback
+router.get('/sso/callback', async (req, res) => {
+  const { code, state, error, error_description: errorDescription } = req.query;
+  if (error) {
+    return res.status(400).json({ success: false, error: errorDescription || error });
+  }
+  if (!code || !state) {
+    return res.status(400).json({ success: false, error: 'Code and state required' });
+  }
+
+  try {
+    const result = await oidcService.handleCallback(req.pool, { code, state });
+    if (result.error) {
+      return res.status(400).json({ success: false, error: result.error });
+    }
+    if (result.linked) {
+      await auditService.record(req, {
+        action: 'user.sso_link',
+        entityType: 'user',
+        entityId: result.user.id
+      });
+      return res.json({ success: true, message: 'Single sign-on linked to your account' });
+    }
+    const login = await loginService.completeLogin(req.pool, result.user, req, { method: 'sso' });
+    if (login.error) {
+      return res.status(403).json({ success: false, error: login.error });
+    }
+    res.json({ success: true, ...login });
+  } catch (err) {
+    console.error('Error in GET /auth/sso/callback:', err);
+    res.status(500).json({ success: false, error: err.message || 'Internal server error' });
+  }
+});
+
+module.exports = router;
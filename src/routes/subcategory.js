@@ -1,5 +1,7 @@
 const express = require('express');
 const router = express.Router();
+const { requirePermission } = require('../middleware/auth');
+const auditService = require('../services/auditService');
 
 /**
  * @swagger
@@ -352,7 +354,7 @@ router.get('/subcategories', async (req, res) => {
 });
 
 // POST subcategory
-router.post('/subcategories', async (req, res) => {
+router.post('/subcategories', requirePermission('categories:write'), async (req, res) => {
   const { name, category_id, categoryId, description, status } = req.body;
   
   if (!name || name.trim() === '') {
@@ -398,6 +400,12 @@ router.post('/subcategories', async (req, res) => {
     if (!result || !result.rows || result.rows.length === 0) {
       throw new Error('Failed to create subcategory');
     }
+    await auditService.record(req, {
+      action: 'subcategory.create',
+      entityType: 'subcategory',
+      entityId: result.rows[0].id,
+      after: result.rows[0]
+    });
 
     // Format the response data
     const formattedData = {
@@ -489,7 +497,7 @@ router.get('/subcategories/:id', async (req, res) => {
 });
 
 // PUT update subcategory by ID
-router.put('/subcategories/:id', async (req, res) => {
+router.put('/subcategories/:id', requirePermission('categories:write'), async (req, res) => {
   const subcategoryId = parseInt(req.params.id);
   const { name, category_id, categoryId, description, status } = req.body;
   
@@ -524,7 +532,7 @@ router.put('/subcategories/:id', async (req, res) => {
   try {
     // Check if subcategory exists
     const existingSubcategory = await req.pool.query(
-      'SELECT id FROM subcategory WHERE id = $1', 
+      'SELECT * FROM subcategory WHERE id = $1', 
       [subcategoryId]
     );
     
@@ -557,6 +565,13 @@ router.put('/subcategories/:id', async (req, res) => {
     if (!result || !result.rows || result.rows.length === 0) {
       throw new Error('Failed to update subcategory');
     }
+    await auditService.record(req, {
+      action: 'subcategory.update',
+      entityType: 'subcategory',
+      entityId: subcategoryId,
+      before: existingSubcategory.rows[0],
+      after: result.rows[0]
+    });
 
     // Format the response data
     const formattedData = {
@@ -586,7 +601,7 @@ router.put('/subcategories/:id', async (req, res) => {
 });
 
 // DELETE subcategory by ID
-router.delete('/subcategories/:id', async (req, res) => {
+router.delete('/subcategories/:id', requirePermission('categories:write'), async (req, res) => {
   const subcategoryId = parseInt(req.params.id);
   
   if (!subcategoryId || isNaN(subcategoryId)) {
@@ -599,7 +614,7 @@ router.delete('/subcategories/:id', async (req, res) => {
   try {
     // Check if subcategory exists
     const existingSubcategory = await req.pool.query(
-      'SELECT id, name FROM subcategory WHERE id = $1', 
+      'SELECT * FROM subcategory WHERE id = $1', 
       [subcategoryId]
     );
     
@@ -615,6 +630,12 @@ router.delete('/subcategories/:id', async (req, res) => {
       'DELETE FROM subcategory WHERE id = $1', 
       [subcategoryId]
     );
+    await auditService.record(req, {
+      action: 'subcategory.delete',
+      entityType: 'subcategory',
+      entityId: subcategoryId,
+      before: existingSubcategory.rows[0]
+    });
 
     res.json({
       success: true,
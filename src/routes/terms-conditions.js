@@ -1,5 +1,7 @@
 const express = require('express');
 const router = express.Router();
+const { requirePermission } = require('../middleware/auth');
+const auditService = require('../services/auditService');
 
 /**
  * @swagger
@@ -355,7 +357,7 @@ router.get('/terms', async (req, res) => {
 });
 
 // POST create terms and conditions
-router.post('/terms', async (req, res) => {
+router.post('/terms', requirePermission('legal:write'), async (req, res) => {
   const { title, content, version, language, status, effectiveDate, createdBy } = req.body;
   
   if (!title || title.trim() === '') {
@@ -405,6 +407,12 @@ router.post('/terms', async (req, res) => {
     if (!result || !result.rows || result.rows.length === 0) {
       throw new Error('Failed to create terms and conditions');
     }
+    await auditService.record(req, {
+      action: 'terms_conditions.create',
+      entityType: 'terms_conditions',
+      entityId: result.rows[0].id,
+      after: result.rows[0]
+    });
 
     // Format the response data
     const formattedData = {
@@ -492,7 +500,7 @@ router.get('/terms/:id', async (req, res) => {
 });
 
 // PUT update terms and conditions by ID
-router.put('/terms/:id', async (req, res) => {
+router.put('/terms/:id', requirePermission('legal:write'), async (req, res) => {
   const termsId = parseInt(req.params.id);
   const { title, content, version, language, status, effectiveDate, updatedBy } = req.body;
   
@@ -533,7 +541,7 @@ router.put('/terms/:id', async (req, res) => {
   try {
     // Check if terms exists
     const existingTerms = await req.pool.query(
-      'SELECT id FROM terms_conditions WHERE id = $1', 
+      'SELECT * FROM terms_conditions WHERE id = $1', 
       [termsId]
     );
     
@@ -565,6 +573,13 @@ router.put('/terms/:id', async (req, res) => {
     if (!result || !result.rows || result.rows.length === 0) {
       throw new Error('Failed to update terms and conditions');
     }
+    await auditService.record(req, {
+      action: 'terms_conditions.update',
+      entityType: 'terms_conditions',
+      entityId: termsId,
+      before: existingTerms.rows[0],
+      after: result.rows[0]
+    });
 
     // Format the response data
     const formattedData = {
@@ -596,7 +611,7 @@ router.put('/terms/:id', async (req, res) => {
 });
 
 // DELETE terms and conditions by ID
-router.delete('/terms/:id', async (req, res) => {
+router.delete('/terms/:id', requirePermission('legal:write'), async (req, res) => {
   const termsId = parseInt(req.params.id);
   
   if (!termsId || isNaN(termsId)) {
@@ -609,7 +624,7 @@ router.delete('/terms/:id', async (req, res) => {
   try {
     // Check if terms exists
     const existingTerms = await req.pool.query(
-      'SELECT id, title FROM terms_conditions WHERE id = $1', 
+      'SELECT * FROM terms_conditions WHERE id = $1', 
       [termsId]
     );
     
@@ -625,6 +640,12 @@ router.delete('/terms/:id', async (req, res) => {
       'DELETE FROM terms_conditions WHERE id = $1', 
       [termsId]
     );
+    await auditService.record(req, {
+      action: 'terms_conditions.delete',
+      entityType: 'terms_conditions',
+      entityId: termsId,
+      before: existingTerms.rows[0]
+    });
 
     res.json({
       success: true,
@@ -640,7 +661,7 @@ router.delete('/terms/:id', async (req, res) => {
 });
 
 // POST publish terms and conditions by ID
-router.post('/terms/:id/publish', async (req, res) => {
+router.post('/terms/:id/publish', requirePermission('legal:write'), async (req, res) => {
   const termsId = parseInt(req.params.id);
   const { effectiveDate, publishedBy } = req.body;
   
@@ -654,7 +675,7 @@ router.post('/terms/:id/publish', async (req, res) => {
   try {
     // Check if terms exist and get current status
     const existingTerms = await req.pool.query(
-      'SELECT id, title, status FROM terms_conditions WHERE id = $1', 
+      'SELECT * FROM terms_conditions WHERE id = $1', 
       [termsId]
     );
     
@@ -701,6 +722,13 @@ router.post('/terms/:id/publish', async (req, res) => {
     if (!result || !result.rows || result.rows.length === 0) {
       throw new Error('Failed to publish terms and conditions');
     }
+    await auditService.record(req, {
+      action: 'terms_conditions.publish',
+      entityType: 'terms_conditions',
+      entityId: termsId,
+      before: existingTerms.rows[0],
+      after: result.rows[0]
+    });
 
     // Format the response data
     const formattedData = {
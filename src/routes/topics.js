@@ -1,5 +1,97 @@
 const express = require('express');
 const router = express.Router();
+const { requirePermission } = require('../middleware/auth');
+const auditService = require('../services/auditService');
+const topicSearchService = require('../services/topicSearchService');
+const topicQueryService = require('../services/topicQueryService');
+const topicRevisionService = require('../services/topicRevisionService');
+
+// Module and video outline of a topic, for audit snapshots of nested edits
+async function getModuleOutline(db, topicId) {
+  const result = await db.query(`
+    SELECT tm.id, tm.title, tm.order_index,
+      COALESCE(
+        json_agg(json_build_object('id', tv.id, 'title', tv.title, 'order_index', tv.order_index)
+          ORDER BY tv.order_index) FILTER (WHERE tv.id IS NOT NULL),
+        '[]'
+      ) AS videos
+    FROM topic_modules tm
+    LEFT JOIN topic_videos tv ON tv.module_id = tm.id
+    WHERE tm.topic_id = $1
+    GROUP BY tm.id
+    ORDER BY tm.order_index
+  `, [topicId]);
+  return result.rows;
+}
+
+function formatVideo(video) {
+  return {
+    id: video.id,
+    topicId: video.topic_id,
+    moduleId: video.module_id,
+    title: video.title,
+    description: video.description,
+    videoUrl: video.video_url,
+    videoType: video.video_type,
+    thumbnailUrl: video.thumbnail_url,
+    thumbnail: video.thumbnail_url, // Alternative field name
+    durationSeconds: video.duration_seconds,
+    duration: video.duration_seconds ? (video.duration_seconds / 60).toFixed(0) : "0", // Convert to minutes
+    orderIndex: video.order_index,
+    order: video.order_index, // Alternative field name
+    isActive: video.is_active,
+    isPreview: video.is_preview,
+    transcript: video.transcript,
+    resources: video.resources || [],
+    createdAt: video.created_at?.toISOString(),
+    updatedAt: video.updated_at?.toISOString()
+  };
+}
+
+function formatModule(module, videos) {
+  const formatted = {
+    id: module.id,
+    topicId: module.topic_id,
+    title: module.title,
+    description: module.description,
+    orderIndex: module.order_index,
+    order: module.order_index, // Alternative field name
+    isActive: module.is_active,
+    durationMinutes: module.duration_minutes,
+    createdAt: module.created_at?.toISOString(),
+    updatedAt: module.updated_at?.toISOString()
+  };
+  if (videos) {
+    formatted.videos = videos.filter(video => video.module_id === module.id).map(formatVideo);
+  }
+  return formatted;
+}
+
+// Modules (and optionally their videos) of several topics in two queries,
+// as a Map of topic ID to formatted modules
+async function getModulesByTopic(db, topicIds, { videos = false } = {}) {
+  const modulesByTopic = new Map();
+  if (topicIds.length === 0) {
+    return modulesByTopic;
+  }
+  const modulesResult = await db.query(
+    'SELECT * FROM topic_modules WHERE topic_id = ANY($1) ORDER BY topic_id, order_index ASC, id',
+    [topicIds]
+  );
+  const videoRows = videos
+    ? (await db.query(
+      'SELECT * FROM topic_videos WHERE topic_id = ANY($1) ORDER BY module_id ASC, order_index ASC, id',
+      [topicIds]
+    )).rows
+    : null;
+  for (const module of modulesResult.rows) {
+    if (!modulesByTopic.has(module.topic_id)) {
+      modulesByTopic.set(module.topic_id, []);
+    }
+    modulesByTopic.get(module.topic_id).push(formatModule(module, videoRows));
+  }
+  return modulesByTopic;
+}
 
 // Helper function to format topic data consistently
 function formatTopicData(topic, modules = []) {
@@ -208,22 +300,22 @@ function generateSlug(title) {
  *         name: status
  *         schema:
  *           type: string
- *         description: Filter by status
+ *         description: Filter by status; comma-separate several (draft,published)
  *       - in: query
  *         name: difficulty
  *         schema:
  *           type: string
- *         description: Filter by difficulty
+ *         description: Filter by difficulty; comma-separate several (beginner,intermediate)
  *       - in: query
  *         name: category
  *         schema:
- *           type: integer
- *         description: Filter by category ID
+ *           type: string
+ *         description: Filter by category ID; comma-separate several
  *       - in: query
  *         name: subcategory
  *         schema:
- *           type: integer
- *         description: Filter by subcategory ID
+ *           type: string
+ *         description: Filter by subcategory ID; comma-separate several
  *       - in: query
  *         name: featured
  *         schema:
@@ -235,13 +327,94 @@ function generateSlug(title) {
  *           type: boolean
  *         description: Filter free topics
  *       - in: query
+ *         name: tags
+ *         schema:
+ *           type: string
+ *         description: Comma-separated tags; see tagsMatch. The older tag parameter takes a single tag.
+ *       - in: query
+ *         name: tagsMatch
+ *         schema:
+ *           type: string
+ *           enum: [any, all]
+ *           default: any
+ *         description: Whether topics need any or all of the tags
+ *       - in: query
+ *         name: targetAudience
+ *         schema:
+ *           type: string
+ *         description: Comma-separated audiences from target_audience; see targetAudienceMatch
+ *       - in: query
+ *         name: targetAudienceMatch
+ *         schema:
+ *           type: string
+ *           enum: [any, all]
+ *           default: any
+ *       - in: query
+ *         name: priceMin
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: priceMax
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: durationMin
+ *         schema:
+ *           type: integer
+ *         description: Minimum duration in minutes
+ *       - in: query
+ *         name: durationMax
+ *         schema:
+ *           type: integer
+ *         description: Maximum duration in minutes
+ *       - in: query
+ *         name: publishedAfter
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Published at or after this time
+ *       - in: query
+ *         name: publishedBefore
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Published before this time
+ *       - in: query
  *         name: search
  *         schema:
  *           type: string
  *         description: Search in title and description
+ *       - in: query
+ *         name: facets
+ *         schema:
+ *           type: boolean
+ *         description: |
+ *           Add a facets block with counts per status, difficulty, category, subcategory,
+ *           free/paid, tag and target audience. Each facet's counts apply every other filter
+ *           but not its own, so they show what selecting another value would give.
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: |
+ *           Keyset paging. Send an empty cursor for the first page, then pagination.nextCursor
+ *           for each following one; page is ignored and no total count is returned. A cursor
+ *           only works with the sort and order it was issued for.
+ *       - in: query
+ *         name: fields
+ *         schema:
+ *           type: string
+ *         description: Comma-separated topic attributes to return (e.g. id,title,slug,thumbnailUrl); id is always included
+ *       - in: query
+ *         name: include
+ *         schema:
+ *           type: string
+ *         description: Comma-separated expansions, modules and/or videos; videos are nested in their modules
  *     responses:
  *       200:
  *         description: Topics retrieved successfully
+ *       400:
+ *         description: Invalid filter, field, include or cursor value
  *   post:
  *     summary: Create a new topic
  *     requestBody:
@@ -261,101 +434,81 @@ router.get('/topics', async (req, res) => {
     const {
       page = 1,
       limit = 10,
-      status,
-      difficulty,
-      category,
-      subcategory,
-      featured,
-      free,
-      search,
-      tag,
       sort = 'created_at',
       order = 'DESC'
     } = req.query;
 
-    const offset = (page - 1) * limit;
-    const whereConditions = [];
-    const queryParams = [];
-    let paramCount = 1;
-
-    // Build WHERE conditions
-    if (status) {
-      whereConditions.push(`t.status = $${paramCount}`);
-      queryParams.push(status);
-      paramCount++;
-    }
-
-    if (difficulty) {
-      whereConditions.push(`t.difficulty = $${paramCount}`);
-      queryParams.push(difficulty);
-      paramCount++;
-    }
-
-    if (category) {
-      whereConditions.push(`t.category_id = $${paramCount}`);
-      queryParams.push(parseInt(category));
-      paramCount++;
-    }
-
-    if (subcategory) {
-      whereConditions.push(`t.subcategory_id = $${paramCount}`);
-      queryParams.push(parseInt(subcategory));
-      paramCount++;
-    }
-
-    if (featured !== undefined) {
-      whereConditions.push(`t.is_featured = $${paramCount}`);
-      queryParams.push(featured === 'true');
-      paramCount++;
-    }
-
-    if (free !== undefined) {
-      whereConditions.push(`t.is_free = $${paramCount}`);
-      queryParams.push(free === 'true');
-      paramCount++;
-    }
-
-    if (search) {
-      whereConditions.push(`(t.title ILIKE $${paramCount} OR t.description ILIKE $${paramCount})`);
-      queryParams.push(`%${search}%`);
-      paramCount++;
+    const { filters, error } = topicQueryService.parseFilters(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
     }
 
-    if (tag) {
-      whereConditions.push(`t.tags ? $${paramCount}`);
-      queryParams.push(tag);
-      paramCount++;
+    const { fields, error: fieldsError } = topicQueryService.parseFields(req.query.fields);
+    const { include, error: includeError } = topicQueryService.parseInclude(req.query.include);
+    if (fieldsError || includeError) {
+      return res.status(400).json({
+        success: false,
+        error: fieldsError || includeError
+      });
     }
 
-    const whereClause = whereConditions.length > 0 ? `WHERE ${whereConditions.join(' AND ')}` : '';
-
     // Valid sort columns
     const validSortColumns = ['created_at', 'updated_at', 'title', 'view_count', 'enrollment_count', 'published_at'];
     const sortColumn = validSortColumns.includes(sort) ? sort : 'created_at';
     const sortOrder = order.toLowerCase() === 'asc' ? 'ASC' : 'DESC';
 
-    // Main query
+    // Sending `cursor` (empty for the first page) switches to keyset paging,
+    // which skips the total count and stays fast however deep the client goes
+    const useCursor = req.query.cursor !== undefined;
+    const rowFilters = [...filters];
+    if (useCursor) {
+      const { cursor, error: cursorError } = topicQueryService.decodeCursor(req.query.cursor, sortColumn, sortOrder);
+      if (cursorError) {
+        return res.status(400).json({
+          success: false,
+          error: cursorError
+        });
+      }
+      if (cursor) {
+        rowFilters.push(topicQueryService.cursorFilter(sortColumn, sortOrder, cursor));
+      }
+    }
+
+    const pageSize = parseInt(limit);
+    const offset = (page - 1) * limit;
+    const queryParams = [];
+    const whereClause = topicQueryService.buildWhere(rowFilters, queryParams);
+    const paramCount = queryParams.length + 1;
+
+    // Main query. The id tiebreaker keeps the order stable between pages.
     const query = `
       SELECT 
-        t.*,
+        ${topicQueryService.selectColumns(fields)},
+        t.${sortColumn}::text as sort_value,
         c.name as category_name,
-        sc.name as subcategory_name,
-        COUNT(*) OVER() as total_count
+        sc.name as subcategory_name
+        ${useCursor ? '' : ', COUNT(*) OVER() as total_count'}
       FROM topics t
       LEFT JOIN category c ON t.category_id = c.id
       LEFT JOIN subcategory sc ON t.subcategory_id = sc.id
       ${whereClause}
-      ORDER BY t.${sortColumn} ${sortOrder}
-      LIMIT $${paramCount} OFFSET $${paramCount + 1}
+      ORDER BY t.${sortColumn} ${sortOrder}, t.id ${sortOrder}
+      LIMIT $${paramCount}${useCursor ? '' : ` OFFSET $${paramCount + 1}`}
     `;
 
-    queryParams.push(parseInt(limit), offset);
+    // Keyset pages fetch one extra row to learn whether another page follows
+    queryParams.push(useCursor ? pageSize + 1 : pageSize);
+    if (!useCursor) {
+      queryParams.push(offset);
+    }
 
     const result = await req.pool.query(query, queryParams);
-    const totalCount = result.rows.length > 0 ? parseInt(result.rows[0].total_count) : 0;
-    const totalPages = Math.ceil(totalCount / limit);
+    const rows = useCursor ? result.rows.slice(0, pageSize) : result.rows;
 
-    const topics = result.rows.map(row => ({
+    let topics = rows.map(row => ({
       id: row.id,
       title: row.title,
       description: row.description,
@@ -384,19 +537,47 @@ router.get('/topics', async (req, res) => {
       createdAt: row.created_at?.toISOString(),
       updatedAt: row.updated_at?.toISOString()
     }));
+    if (fields) {
+      topics = topics.map(topic => Object.fromEntries(fields.map(field => [field, topic[field]])));
+    }
+    if (include.modules) {
+      const modulesByTopic = await getModulesByTopic(req.pool, topics.map(topic => topic.id), { videos: include.videos });
+      topics.forEach(topic => {
+        topic.modules = modulesByTopic.get(topic.id) || [];
+      });
+    }
 
-    res.json({
-      success: true,
-      data: topics,
-      pagination: {
+    let pagination;
+    if (useCursor) {
+      const last = rows[rows.length - 1];
+      const hasNextPage = result.rows.length > pageSize;
+      pagination = {
+        limit: pageSize,
+        nextCursor: hasNextPage ? topicQueryService.encodeCursor(sortColumn, sortOrder, last.sort_value, last.id) : null,
+        hasNextPage
+      };
+    } else {
+      const totalCount = result.rows.length > 0 ? parseInt(result.rows[0].total_count) : 0;
+      const totalPages = Math.ceil(totalCount / limit);
+      pagination = {
         currentPage: parseInt(page),
         totalPages,
         totalCount,
-        limit: parseInt(limit),
+        limit: pageSize,
         hasNextPage: page < totalPages,
         hasPrevPage: page > 1
-      }
-    });
+      };
+    }
+
+    const response = {
+      success: true,
+      data: topics,
+      pagination
+    };
+    if (req.query.facets === 'true') {
+      response.facets = await topicQueryService.getFacets(req.pool, filters);
+    }
+    res.json(response);
 
   } catch (err) {
     console.error('Error in GET /topics:', err);
@@ -408,7 +589,7 @@ router.get('/topics', async (req, res) => {
 });
 
 // POST /api/topics - Create new topic
-router.post('/topics', async (req, res) => {
+router.post('/topics', requirePermission('topics:write'), async (req, res) => {
   try {
     const {
       title,
@@ -680,7 +861,17 @@ router.post('/topics', async (req, res) => {
         }
       }
 
+      await topicRevisionService.addRevision(client, topic.id, {
+        action: 'create',
+        createdBy: req.user ? req.user.id : null
+      });
       await client.query('COMMIT');
+      await auditService.record(req, {
+        action: 'topic.create',
+        entityType: 'topic',
+        entityId: topic.id,
+        after: topic
+      });
 
       res.status(201).json({
         success: true,
@@ -737,6 +928,181 @@ router.post('/topics', async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/topics/search:
+ *   get:
+ *     summary: Full-text search of published topics
+ *     description: |
+ *       Matches topic titles, tags, descriptions and content, and the titles and transcripts
+ *       of their modules and videos. Results are ranked by relevance with title matches
+ *       weighted highest, then tags, then descriptions and module and video titles, then
+ *       content and transcripts. Highlights wrap matched words in <mark> tags; the rest
+ *       of the text is HTML-escaped. Facet counts cover every topic matching q, before
+ *       the category, difficulty, free and tag filters are applied.
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 'Web search syntax: "exact phrase", either OR other, -excluded'
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: difficulty
+ *         schema:
+ *           type: string
+ *           enum: [beginner, intermediate, advanced]
+ *       - in: query
+ *         name: free
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: tag
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Matching topics, best match first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                       title:
+ *                         type: string
+ *                       rank:
+ *                         type: number
+ *                       highlights:
+ *                         type: object
+ *                         properties:
+ *                           title:
+ *                             type: string
+ *                             example: 'Intro to <mark>Phishing</mark>'
+ *                           snippet:
+ *                             type: string
+ *                 facets:
+ *                   type: object
+ *                   properties:
+ *                     categories:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           id:
+ *                             type: integer
+ *                             nullable: true
+ *                           name:
+ *                             type: string
+ *                             nullable: true
+ *                           count:
+ *                             type: integer
+ *                     difficulty:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           value:
+ *                             type: string
+ *                           count:
+ *                             type: integer
+ *                     price:
+ *                       type: object
+ *                       properties:
+ *                         free:
+ *                           type: integer
+ *                         paid:
+ *                           type: integer
+ *                     tags:
+ *                       type: array
+ *                       description: The 20 most common tags among the matches
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           value:
+ *                             type: string
+ *                           count:
+ *                             type: integer
+ *                 pagination:
+ *                   type: object
+ *       400:
+ *         description: Missing query or invalid filter
+ */
+
+// GET /api/topics/search - Search topics. Registered before /topics/:id,
+// which would otherwise take "search" as an ID.
+router.get('/topics/search', async (req, res) => {
+  const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 100);
+  const { difficulty, tag } = req.query;
+  const category = req.query.category ? parseInt(req.query.category) : undefined;
+  const free = req.query.free === undefined ? undefined : req.query.free === 'true';
+
+  if (!q) {
+    return res.status(400).json({
+      success: false,
+      error: 'Search query is required'
+    });
+  }
+  if (Number.isNaN(category)) {
+    return res.status(400).json({ success: false, error: 'category must be an integer' });
+  }
+  if (difficulty && !topicSearchService.DIFFICULTIES.includes(difficulty)) {
+    return res.status(400).json({ success: false, error: `difficulty must be one of: ${topicSearchService.DIFFICULTIES.join(', ')}` });
+  }
+
+  try {
+    const { topics, total, facets } = await topicSearchService.searchTopics(req.pool, {
+      q, category, difficulty, free, tag, page, limit
+    });
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      data: topics,
+      facets,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalCount: total,
+        limit,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1
+      }
+    });
+  } catch (err) {
+    console.error('Error in GET /topics/search:', err);
+    res.status(500).json({
+      success: false,
+      error: err.message || 'Internal server error'
+    });
+  }
+});
+
 /**
  * @swagger
  * /api/topics/{id}:
@@ -821,41 +1187,7 @@ router.get('/topics/:id', async (req, res) => {
       ORDER BY module_id ASC, order_index ASC
     `, [id]);
 
-    const modules = modulesResult.rows.map(module => ({
-      id: module.id,
-      topicId: module.topic_id,
-      title: module.title,
-      description: module.description,
-      orderIndex: module.order_index,
-      order: module.order_index, // Alternative field name
-      isActive: module.is_active,
-      durationMinutes: module.duration_minutes,
-      createdAt: module.created_at?.toISOString(),
-      updatedAt: module.updated_at?.toISOString(),
-      videos: videosResult.rows
-        .filter(video => video.module_id === module.id)
-        .map(video => ({
-          id: video.id,
-          topicId: video.topic_id,
-          moduleId: video.module_id,
-          title: video.title,
-          description: video.description,
-          videoUrl: video.video_url,
-          videoType: video.video_type,
-          thumbnailUrl: video.thumbnail_url,
-          thumbnail: video.thumbnail_url, // Alternative field name
-          durationSeconds: video.duration_seconds,
-          duration: video.duration_seconds ? (video.duration_seconds / 60).toFixed(0) : "0", // Convert to minutes
-          orderIndex: video.order_index,
-          order: video.order_index, // Alternative field name
-          isActive: video.is_active,
-          isPreview: video.is_preview,
-          transcript: video.transcript,
-          resources: video.resources || [],
-          createdAt: video.created_at?.toISOString(),
-          updatedAt: video.updated_at?.toISOString()
-        }))
-    }));
+    const modules = modulesResult.rows.map(module => formatModule(module, videosResult.rows));
 
     // Add additional fields to topic
     topic.category = topic.category_slug;
@@ -878,7 +1210,7 @@ router.get('/topics/:id', async (req, res) => {
 });
 
 // PUT /api/topics/:id - Update topic
-router.put('/topics/:id', async (req, res) => {
+router.put('/topics/:id', requirePermission('topics:write'), async (req, res) => {
   try {
     const { id } = req.params;
     const updateData = req.body;
@@ -1014,15 +1346,26 @@ router.put('/topics/:id', async (req, res) => {
       RETURNING *
     `;
 
-    const result = await req.pool.query(updateQuery, updateValues);
-    const topic = result.rows[0];
+    const syncModules = updateData.modules && Array.isArray(updateData.modules);
+    const before = syncModules
+      ? { ...existing.rows[0], modules: await getModuleOutline(req.pool, id) }
+      : existing.rows[0];
+
+    // The save and its revision commit together
+    const client = await req.pool.connect();
+    let topic;
+    try {
+      await client.query('BEGIN');
+
+      // Topics saved before revisions existed get their current state recorded
+      // first, so the history starts from what this save replaces
+      await topicRevisionService.addRevision(client, id, { action: 'baseline' });
 
-    // Handle modules update if provided
-    if (updateData.modules && Array.isArray(updateData.modules)) {
-      const client = await req.pool.connect();
-      try {
-        await client.query('BEGIN');
+      const result = await client.query(updateQuery, updateValues);
+      topic = result.rows[0];
 
+      // Handle modules update if provided
+      if (syncModules) {
         // Get existing modules for comparison
         const existingModules = await client.query(
           'SELECT id FROM topic_modules WHERE topic_id = $1',
@@ -1228,16 +1571,28 @@ router.put('/topics/:id', async (req, res) => {
         for (const moduleId of existingModuleIds) {
           await client.query('DELETE FROM topic_modules WHERE id = $1', [moduleId]);
         }
-
-        await client.query('COMMIT');
-      } catch (error) {
-        await client.query('ROLLBACK');
-        throw error;
-      } finally {
-        client.release();
       }
+
+      await topicRevisionService.addRevision(client, id, {
+        action: 'update',
+        createdBy: req.user ? req.user.id : null
+      });
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
     }
 
+    await auditService.record(req, {
+      action: 'topic.update',
+      entityType: 'topic',
+      entityId: topic.id,
+      before,
+      after: syncModules ? { ...topic, modules: await getModuleOutline(req.pool, id) } : topic
+    });
+
     // Fetch updated modules to include in response
     const modulesResult = await req.pool.query(`
       SELECT 
@@ -1318,12 +1673,12 @@ router.put('/topics/:id', async (req, res) => {
 });
 
 // DELETE /api/topics/:id - Delete topic
-router.delete('/topics/:id', async (req, res) => {
+router.delete('/topics/:id', requirePermission('topics:delete'), async (req, res) => {
   try {
     const { id } = req.params;
 
     // Check if topic exists
-    const existing = await req.pool.query('SELECT id FROM topics WHERE id = $1', [id]);
+    const existing = await req.pool.query('SELECT * FROM topics WHERE id = $1', [id]);
     if (existing.rows.length === 0) {
       return res.status(404).json({
         success: false,
@@ -1333,6 +1688,12 @@ router.delete('/topics/:id', async (req, res) => {
 
     // Delete topic (cascade will handle related records)
     await req.pool.query('DELETE FROM topics WHERE id = $1', [id]);
+    await auditService.record(req, {
+      action: 'topic.delete',
+      entityType: 'topic',
+      entityId: id,
+      before: existing.rows[0]
+    });
 
     res.json({
       success: true,
@@ -1463,7 +1824,7 @@ router.get('/topics/category/:categoryId', async (req, res) => {
 });
 
 // DELETE /api/topics/bulk-delete - Bulk delete topics
-router.delete('/topics/bulk-delete', async (req, res) => {
+router.delete('/topics/bulk-delete', requirePermission('topics:delete'), async (req, res) => {
   try {
     const { ids } = req.body;
 
@@ -1476,9 +1837,17 @@ router.delete('/topics/bulk-delete', async (req, res) => {
 
     const placeholders = ids.map((_, index) => `$${index + 1}`).join(',');
     const result = await req.pool.query(
-      `DELETE FROM topics WHERE id IN (${placeholders})`,
+      `DELETE FROM topics WHERE id IN (${placeholders}) RETURNING *`,
       ids
     );
+    for (const topic of result.rows) {
+      await auditService.record(req, {
+        action: 'topic.delete',
+        entityType: 'topic',
+        entityId: topic.id,
+        before: topic
+      });
+    }
 
     res.json({
       success: true,
@@ -1496,69 +1865,6 @@ router.delete('/topics/bulk-delete', async (req, res) => {
   }
 });
 
-// GET /api/topics/search - Search topics
-router.get('/topics/search', async (req, res) => {
-  try {
-    const { q, page = 1, limit = 10 } = req.query;
-    const offset = (page - 1) * limit;
-
-    if (!q || q.trim() === '') {
-      return res.status(400).json({
-        success: false,
-        error: 'Search query is required'
-      });
-    }
-
-    const result = await req.pool.query(`
-      SELECT t.*, c.name as category_name, sc.name as subcategory_name,
-             COUNT(*) OVER() as total_count
-      FROM topics t
-      LEFT JOIN category c ON t.category_id = c.id
-      LEFT JOIN subcategory sc ON t.subcategory_id = sc.id
-      WHERE (t.title ILIKE $1 OR t.description ILIKE $1 OR t.content ILIKE $1)
-        AND t.status = 'published'
-      ORDER BY t.view_count DESC, t.created_at DESC
-      LIMIT $2 OFFSET $3
-    `, [`%${q}%`, limit, offset]);
-
-    const totalCount = result.rows.length > 0 ? parseInt(result.rows[0].total_count) : 0;
-    const topics = result.rows.map(row => ({
-      id: row.id,
-      title: row.title,
-      description: row.description,
-      slug: row.slug,
-      difficulty: row.difficulty,
-      isFeatured: row.is_featured,
-      isFree: row.is_free,
-      price: parseFloat(row.price || 0),
-      durationMinutes: row.duration_minutes,
-      thumbnailUrl: row.thumbnail_url,
-      tags: row.tags || [],
-      viewCount: row.view_count,
-      enrollmentCount: row.enrollment_count,
-      createdAt: row.created_at?.toISOString()
-    }));
-
-    res.json({
-      success: true,
-      data: topics,
-      pagination: {
-        currentPage: parseInt(page),
-        totalPages: Math.ceil(totalCount / limit),
-        totalCount,
-        limit: parseInt(limit)
-      }
-    });
-
-  } catch (err) {
-    console.error('Error in GET /topics/search:', err);
-    res.status(500).json({
-      success: false,
-      error: err.message || 'Internal server error'
-    });
-  }
-});
-
 // GET /api/topics/list - Simple list without pagination (for dropdowns)
 router.get('/topics/list', async (req, res) => {
   try {
@@ -1,13 +1,16 @@
 const express = require('express');
 const router = express.Router();
+const { requirePermission } = require('../middleware/auth');
+const auditService = require('../services/auditService');
+const topicRevisionService = require('../services/topicRevisionService');
 
 // POST /api/topics/:id/toggle-status - Toggle topic status
-router.post('/topics/:id/toggle-status', async (req, res) => {
+router.post('/topics/:id/toggle-status', requirePermission('topics:publish'), async (req, res) => {
   try {
     const { id } = req.params;
 
     // Get current status
-    const current = await req.pool.query('SELECT status FROM topics WHERE id = $1', [id]);
+    const current = await req.pool.query('SELECT * FROM topics WHERE id = $1', [id]);
     if (current.rows.length === 0) {
       return res.status(404).json({
         success: false,
@@ -43,8 +46,17 @@ router.post('/topics/:id/toggle-status', async (req, res) => {
 
     updateQuery += ' WHERE id = $2 RETURNING *';
 
-    const result = await req.pool.query(updateQuery, queryParams);
+    const result = await topicRevisionService.saveWithRevision(req.pool, id, req.user ? req.user.id : null, client =>
+      client.query(updateQuery, queryParams)
+    );
     const topic = result.rows[0];
+    await auditService.record(req, {
+      action: 'topic.status_change',
+      entityType: 'topic',
+      entityId: topic.id,
+      before: current.rows[0],
+      after: topic
+    });
 
     res.json({
       success: true,
@@ -66,16 +78,18 @@ router.post('/topics/:id/toggle-status', async (req, res) => {
 });
 
 // POST /api/topics/:id/toggle-featured - Toggle featured status
-router.post('/topics/:id/toggle-featured', async (req, res) => {
+router.post('/topics/:id/toggle-featured', requirePermission('topics:publish'), async (req, res) => {
   try {
     const { id } = req.params;
 
-    const result = await req.pool.query(`
-      UPDATE topics 
-      SET is_featured = NOT is_featured, updated_at = CURRENT_TIMESTAMP
-      WHERE id = $1 
-      RETURNING id, is_featured, updated_at
-    `, [id]);
+    const result = await topicRevisionService.saveWithRevision(req.pool, id, req.user ? req.user.id : null, client =>
+      client.query(`
+        UPDATE topics 
+        SET is_featured = NOT is_featured, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1 
+        RETURNING id, is_featured, updated_at
+      `, [id])
+    );
 
     if (result.rows.length === 0) {
       return res.status(404).json({
@@ -85,6 +99,13 @@ router.post('/topics/:id/toggle-featured', async (req, res) => {
     }
 
     const topic = result.rows[0];
+    await auditService.record(req, {
+      action: 'topic.feature_toggle',
+      entityType: 'topic',
+      entityId: topic.id,
+      before: { is_featured: !topic.is_featured },
+      after: { is_featured: topic.is_featured }
+    });
 
     res.json({
       success: true,
@@ -105,7 +126,7 @@ router.post('/topics/:id/toggle-featured', async (req, res) => {
 });
 
 // POST /api/topics/:id/duplicate - Duplicate a topic
-router.post('/topics/:id/duplicate', async (req, res) => {
+router.post('/topics/:id/duplicate', requirePermission('topics:write'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -169,6 +190,12 @@ router.post('/topics/:id/duplicate', async (req, res) => {
     ]);
 
     const newTopic = result.rows[0];
+    await auditService.record(req, {
+      action: 'topic.duplicate',
+      entityType: 'topic',
+      entityId: newTopic.id,
+      after: { ...newTopic, duplicated_from: topic.id }
+    });
 
     res.status(201).json({
       success: true,
@@ -191,16 +218,19 @@ router.post('/topics/:id/duplicate', async (req, res) => {
 });
 
 // POST /api/topics/:id/publish - Publish a topic
-router.post('/topics/:id/publish', async (req, res) => {
+router.post('/topics/:id/publish', requirePermission('topics:publish'), async (req, res) => {
   try {
     const { id } = req.params;
 
-    const result = await req.pool.query(`
-      UPDATE topics 
-      SET status = 'published', published_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
-      WHERE id = $1 AND status != 'published'
-      RETURNING id, status, published_at, updated_at
-    `, [id]);
+    const before = await req.pool.query('SELECT status, published_at FROM topics WHERE id = $1', [id]);
+    const result = await topicRevisionService.saveWithRevision(req.pool, id, req.user ? req.user.id : null, client =>
+      client.query(`
+        UPDATE topics 
+        SET status = 'published', published_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1 AND status != 'published'
+        RETURNING id, status, published_at, updated_at
+      `, [id])
+    );
 
     if (result.rows.length === 0) {
       return res.status(404).json({
@@ -210,6 +240,13 @@ router.post('/topics/:id/publish', async (req, res) => {
     }
 
     const topic = result.rows[0];
+    await auditService.record(req, {
+      action: 'topic.publish',
+      entityType: 'topic',
+      entityId: topic.id,
+      before: before.rows[0],
+      after: { status: topic.status, published_at: topic.published_at }
+    });
 
     res.json({
       success: true,
@@ -231,16 +268,19 @@ router.post('/topics/:id/publish', async (req, res) => {
 });
 
 // POST /api/topics/:id/archive - Archive a topic
-router.post('/topics/:id/archive', async (req, res) => {
+router.post('/topics/:id/archive', requirePermission('topics:publish'), async (req, res) => {
   try {
     const { id } = req.params;
 
-    const result = await req.pool.query(`
-      UPDATE topics 
-      SET status = 'archived', updated_at = CURRENT_TIMESTAMP
-      WHERE id = $1 AND status != 'archived'
-      RETURNING id, status, updated_at
-    `, [id]);
+    const before = await req.pool.query('SELECT status FROM topics WHERE id = $1', [id]);
+    const result = await topicRevisionService.saveWithRevision(req.pool, id, req.user ? req.user.id : null, client =>
+      client.query(`
+        UPDATE topics 
+        SET status = 'archived', updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1 AND status != 'archived'
+        RETURNING id, status, updated_at
+      `, [id])
+    );
 
     if (result.rows.length === 0) {
       return res.status(404).json({
@@ -250,6 +290,13 @@ router.post('/topics/:id/archive', async (req, res) => {
     }
 
     const topic = result.rows[0];
+    await auditService.record(req, {
+      action: 'topic.archive',
+      entityType: 'topic',
+      entityId: topic.id,
+      before: before.rows[0],
+      after: { status: topic.status }
+    });
 
     res.json({
       success: true,
@@ -350,7 +397,7 @@ router.get('/topics/export', async (req, res) => {
 });
 
 // POST /api/topics/import - Import topics from JSON
-router.post('/topics/import', async (req, res) => {
+router.post('/topics/import', requirePermission('topics:import'), async (req, res) => {
   try {
     const { topics } = req.body;
 
@@ -398,7 +445,7 @@ router.post('/topics/import', async (req, res) => {
             thumbnail_url, tags, meta_title, meta_description, meta_keywords
           ) VALUES (
             $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17
-          ) RETURNING id, title, slug
+          ) RETURNING *
         `, [
           topic.title,
           topic.description || null,
@@ -419,6 +466,13 @@ router.post('/topics/import', async (req, res) => {
           topic.metaKeywords || null
         ]);
 
+        await auditService.record(req, {
+          action: 'topic.import',
+          entityType: 'topic',
+          entityId: result.rows[0].id,
+          after: result.rows[0]
+        });
+
         results.push({
           index: i,
           id: result.rows[0].id,
@@ -1,5 +1,8 @@
 const express = require('express');
 const router = express.Router();
+const { requirePermission } = require('../middleware/auth');
+const auditService = require('../services/auditService');
+const topicRevisionService = require('../services/topicRevisionService');
 
 /**
  * @swagger
@@ -176,7 +179,7 @@ router.get('/topics/:topicId/modules', async (req, res) => {
 });
 
 // POST /api/topics/:topicId/modules - Create new module
-router.post('/topics/:topicId/modules', async (req, res) => {
+router.post('/topics/:topicId/modules', requirePermission('topics:write'), async (req, res) => {
   try {
     const { topicId } = req.params;
     const { title, description, orderIndex, durationMinutes = 0, isActive = true } = req.body;
@@ -207,13 +210,21 @@ router.post('/topics/:topicId/modules', async (req, res) => {
       moduleOrder = maxOrderResult.rows[0].next_order;
     }
 
-    const result = await req.pool.query(`
-      INSERT INTO topic_modules (topic_id, title, description, order_index, is_active, duration_minutes)
-      VALUES ($1, $2, $3, $4, $5, $6)
-      RETURNING *
-    `, [topicId, title.trim(), description || null, moduleOrder, isActive, parseInt(durationMinutes)]);
+    const result = await topicRevisionService.saveWithRevision(req.pool, topicId, req.user ? req.user.id : null, client =>
+      client.query(`
+        INSERT INTO topic_modules (topic_id, title, description, order_index, is_active, duration_minutes)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING *
+      `, [topicId, title.trim(), description || null, moduleOrder, isActive, parseInt(durationMinutes)])
+    );
 
     const module = result.rows[0];
+    await auditService.record(req, {
+      action: 'module.create',
+      entityType: 'module',
+      entityId: module.id,
+      after: module
+    });
 
     res.status(201).json({
       success: true,
@@ -363,7 +374,7 @@ router.get('/topics/:topicId/modules/:moduleId', async (req, res) => {
 });
 
 // PUT /api/topics/:topicId/modules/:moduleId - Update module
-router.put('/topics/:topicId/modules/:moduleId', async (req, res) => {
+router.put('/topics/:topicId/modules/:moduleId', requirePermission('topics:write'), async (req, res) => {
   try {
     const { topicId, moduleId } = req.params;
     const updateData = req.body;
@@ -414,8 +425,17 @@ router.put('/topics/:topicId/modules/:moduleId', async (req, res) => {
       RETURNING *
     `;
 
-    const result = await req.pool.query(updateQuery, updateValues);
+    const result = await topicRevisionService.saveWithRevision(req.pool, topicId, req.user ? req.user.id : null, client =>
+      client.query(updateQuery, updateValues)
+    );
     const module = result.rows[0];
+    await auditService.record(req, {
+      action: 'module.update',
+      entityType: 'module',
+      entityId: module.id,
+      before: existing.rows[0],
+      after: module
+    });
 
     res.json({
       success: true,
@@ -442,13 +462,13 @@ router.put('/topics/:topicId/modules/:moduleId', async (req, res) => {
 });
 
 // DELETE /api/topics/:topicId/modules/:moduleId - Delete module
-router.delete('/topics/:topicId/modules/:moduleId', async (req, res) => {
+router.delete('/topics/:topicId/modules/:moduleId', requirePermission('topics:write'), async (req, res) => {
   try {
     const { topicId, moduleId } = req.params;
 
     // Check if module exists
     const existing = await req.pool.query(
-      'SELECT id FROM topic_modules WHERE id = $1 AND topic_id = $2',
+      'SELECT * FROM topic_modules WHERE id = $1 AND topic_id = $2',
       [moduleId, topicId]
     );
 
@@ -460,7 +480,15 @@ router.delete('/topics/:topicId/modules/:moduleId', async (req, res) => {
     }
 
     // Delete module (cascade will handle videos)
-    await req.pool.query('DELETE FROM topic_modules WHERE id = $1', [moduleId]);
+    await topicRevisionService.saveWithRevision(req.pool, topicId, req.user ? req.user.id : null, client =>
+      client.query('DELETE FROM topic_modules WHERE id = $1', [moduleId])
+    );
+    await auditService.record(req, {
+      action: 'module.delete',
+      entityType: 'module',
+      entityId: moduleId,
+      before: existing.rows[0]
+    });
 
     res.json({
       success: true,
@@ -479,7 +507,7 @@ router.delete('/topics/:topicId/modules/:moduleId', async (req, res) => {
 });
 
 // POST /api/topics/:topicId/modules/reorder - Reorder modules
-router.post('/topics/:topicId/modules/reorder', async (req, res) => {
+router.post('/topics/:topicId/modules/reorder', requirePermission('topics:write'), async (req, res) => {
   try {
     const { topicId } = req.params;
     const { moduleIds } = req.body;
@@ -496,6 +524,12 @@ router.post('/topics/:topicId/modules/reorder', async (req, res) => {
     
     try {
       await client.query('BEGIN');
+      await topicRevisionService.addRevision(client, topicId, { action: 'baseline' });
+
+      const previous = await client.query(
+        'SELECT id FROM topic_modules WHERE topic_id = $1 ORDER BY order_index, id',
+        [topicId]
+      );
 
       for (let i = 0; i < moduleIds.length; i++) {
         await client.query(
@@ -504,7 +538,18 @@ router.post('/topics/:topicId/modules/reorder', async (req, res) => {
         );
       }
 
+      await topicRevisionService.addRevision(client, topicId, {
+        action: 'update',
+        createdBy: req.user ? req.user.id : null
+      });
       await client.query('COMMIT');
+      await auditService.record(req, {
+        action: 'module.reorder',
+        entityType: 'topic',
+        entityId: topicId,
+        before: { module_order: previous.rows.map(row => row.id) },
+        after: { module_order: moduleIds.map(moduleId => parseInt(moduleId)) }
+      });
 
       res.json({
         success: true,
@@ -0,0 +1,387 @@
+const express = require('express');
+const router = express.Router();
+const { requirePermission } = require('../middleware/auth');
+const auditService = require('../services/auditService');
+const topicRevisionService = require('../services/topicRevisionService');
+
+function parseRevisionNumber(value) {
+  const number = Number(value);
+  return Number.isInteger(number) && number > 0 ? number : null;
+}
+
+async function topicExists(db, id) {
+  const result = await db.query('SELECT id FROM topics WHERE id = $1', [id]);
+  return result.rows.length > 0;
+}
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     TopicRevision:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         topicId:
+ *           type: integer
+ *         revisionNumber:
+ *           type: integer
+ *           example: 3
+ *         action:
+ *           type: string
+ *           enum: [baseline, create, update, restore]
+ *           description: baseline records a topic that was saved before revisions existed
+ *         title:
+ *           type: string
+ *         moduleCount:
+ *           type: integer
+ *         videoCount:
+ *           type: integer
+ *         createdBy:
+ *           type: object
+ *           nullable: true
+ *           properties:
+ *             id:
+ *               type: integer
+ *             name:
+ *               type: string
+ *             email:
+ *               type: string
+ *         restoredFrom:
+ *           type: object
+ *           nullable: true
+ *           description: The revision a restored draft was created from
+ *           properties:
+ *             topicId:
+ *               type: integer
+ *             revisionNumber:
+ *               type: integer
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         snapshot:
+ *           type: object
+ *           description: |
+ *             The topic tree as saved: { topic, modules[] } with each module's videos, in
+ *             database column names. Only returned for a single revision.
+ */
+
+/**
+ * @swagger
+ * /api/topics/{id}/revisions:
+ *   get:
+ *     summary: List a topic's revisions, newest first
+ *     description: A revision is recorded each time the topic, its modules or videos, or its status or featured flag are saved with changes.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Revisions without their snapshots
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/TopicRevision'
+ *                 pagination:
+ *                   type: object
+ *       404:
+ *         description: Topic not found
+ */
+router.get('/topics/:id/revisions', requirePermission('topics:write'), async (req, res) => {
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+  try {
+    if (!await topicExists(req.pool, req.params.id)) {
+      return res.status(404).json({ success: false, error: 'Topic not found' });
+    }
+    const { revisions, total } = await topicRevisionService.listRevisions(req.pool, req.params.id, { page, limit });
+    const totalPages = Math.ceil(total / limit);
+    res.json({
+      success: true,
+      data: revisions,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      }
+    });
+  } catch (err) {
+    console.error('Error in GET /topics/:id/revisions:', err);
+    res.status(500).json({ success: false, error: err.message || 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/topics/{id}/revisions/diff:
+ *   get:
+ *     summary: Field-level differences between two revisions of a topic
+ *     description: |
+ *       Topic fields that differ are listed as { field: { from, to } }. Modules are matched by
+ *       ID and reported as added, removed or changed; a changed module lists its own field
+ *       changes and its videos' added, removed and changed entries in the same way.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: integer
+ *         description: Earlier revision number; defaults to the one before `to`
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: integer
+ *         description: Later revision number; defaults to the latest
+ *     responses:
+ *       200:
+ *         description: The two revisions (without snapshots) and their differences
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     from:
+ *                       $ref: '#/components/schemas/TopicRevision'
+ *                     to:
+ *                       $ref: '#/components/schemas/TopicRevision'
+ *                     identical:
+ *                       type: boolean
+ *                     topic:
+ *                       type: object
+ *                       nullable: true
+ *                     modules:
+ *                       type: object
+ *                       properties:
+ *                         added:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                         removed:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                         changed:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *       400:
+ *         description: Invalid revision number
+ *       404:
+ *         description: Topic or revision not found
+ */
+router.get('/topics/:id/revisions/diff', requirePermission('topics:write'), async (req, res) => {
+  const to = req.query.to === undefined ? undefined : parseRevisionNumber(req.query.to);
+  const from = req.query.from === undefined ? undefined : parseRevisionNumber(req.query.from);
+  if (to === null || from === null) {
+    return res.status(400).json({ success: false, error: 'from and to must be revision numbers' });
+  }
+
+  try {
+    if (!await topicExists(req.pool, req.params.id)) {
+      return res.status(404).json({ success: false, error: 'Topic not found' });
+    }
+    const toRevision = await topicRevisionService.getRevision(req.pool, req.params.id, to);
+    const fromNumber = from || (toRevision && toRevision.revisionNumber - 1);
+    const fromRevision = fromNumber && await topicRevisionService.getRevision(req.pool, req.params.id, fromNumber);
+    if (!toRevision || !fromRevision) {
+      return res.status(404).json({ success: false, error: 'Revision not found' });
+    }
+
+    const { snapshot: fromSnapshot, ...fromSummary } = fromRevision;
+    const { snapshot: toSnapshot, ...toSummary } = toRevision;
+    res.json({
+      success: true,
+      data: {
+        from: fromSummary,
+        to: toSummary,
+        ...topicRevisionService.diffSnapshots(fromSnapshot, toSnapshot)
+      }
+    });
+  } catch (err) {
+    console.error('Error in GET /topics/:id/revisions/diff:', err);
+    res.status(500).json({ success: false, error: err.message || 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/topics/{id}/revisions/{revisionNumber}:
+ *   get:
+ *     summary: Get a topic revision with its snapshot
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: revisionNumber
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The revision
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/TopicRevision'
+ *       400:
+ *         description: Invalid revision number
+ *       404:
+ *         description: Revision not found
+ */
+router.get('/topics/:id/revisions/:revisionNumber', requirePermission('topics:write'), async (req, res) => {
+  const revisionNumber = parseRevisionNumber(req.params.revisionNumber);
+  if (!revisionNumber) {
+    return res.status(400).json({ success: false, error: 'Invalid revision number' });
+  }
+
+  try {
+    const revision = await topicRevisionService.getRevision(req.pool, req.params.id, revisionNumber);
+    if (!revision) {
+      return res.status(404).json({ success: false, error: 'Revision not found' });
+    }
+    res.json({ success: true, data: revision });
+  } catch (err) {
+    console.error('Error in GET /topics/:id/revisions/:revisionNumber:', err);
+    res.status(500).json({ success: false, error: err.message || 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/topics/{id}/revisions/{revisionNumber}/restore:
+ *   post:
+ *     summary: Restore a revision as a new draft topic
+ *     description: |
+ *       Creates a new draft topic, with its modules and videos, from the revision's snapshot.
+ *       The original topic is left as it is, so a published topic stays live while the draft
+ *       is reviewed. The draft gets a new slug, is not featured, and its history starts with
+ *       a restore revision pointing back at this one.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: revisionNumber
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       201:
+ *         description: Draft created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: integer
+ *                     title:
+ *                       type: string
+ *                     slug:
+ *                       type: string
+ *                     status:
+ *                       type: string
+ *                       example: draft
+ *                     createdAt:
+ *                       type: string
+ *                       format: date-time
+ *                     revision:
+ *                       $ref: '#/components/schemas/TopicRevision'
+ *                 message:
+ *                   type: string
+ *       400:
+ *         description: Invalid revision number
+ *       404:
+ *         description: Revision not found
+ */
+router.post('/topics/:id/revisions/:revisionNumber/restore', requirePermission('topics:write'), async (req, res) => {
+  const revisionNumber = parseRevisionNumber(req.params.revisionNumber);
+  if (!revisionNumber) {
+    return res.status(400).json({ success: false, error: 'Invalid revision number' });
+  }
+
+  try {
+    const result = await topicRevisionService.restoreAsDraft(
+      req.pool, req.params.id, revisionNumber, req.user ? req.user.id : null
+    );
+    if (result.error) {
+      return res.status(result.status).json({ success: false, error: result.error });
+    }
+
+    const { topic, revision, source } = result;
+    await auditService.record(req, {
+      action: 'topic.restore_revision',
+      entityType: 'topic',
+      entityId: topic.id,
+      after: { ...topic, restored_from: { topic_id: source.topicId, revision_number: source.revisionNumber } }
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        id: topic.id,
+        title: topic.title,
+        slug: topic.slug,
+        status: topic.status,
+        createdAt: topic.created_at?.toISOString(),
+        revision
+      },
+      message: `Revision ${source.revisionNumber} restored as a new draft`
+    });
+  } catch (err) {
+    console.error('Error in POST /topics/:id/revisions/:revisionNumber/restore:', err);
+    res.status(500).json({ success: false, error: err.message || 'Internal server error' });
+  }
+});
+
+module.exports = router;
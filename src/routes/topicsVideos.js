@@ -4,6 +4,9 @@ const path = require('path');
 const fs = require('fs').promises;
 const crypto = require('crypto');
 const router = express.Router();
+const { requirePermission } = require('../middleware/auth');
+const auditService = require('../services/auditService');
+const topicRevisionService = require('../services/topicRevisionService');
 
 // Configure multer for video uploads
 const storage = multer.diskStorage({
@@ -202,7 +205,7 @@ router.get('/topics/:topicId/modules/:moduleId/videos', async (req, res) => {
 });
 
 // POST /api/topics/:topicId/modules/:moduleId/videos - Create new video
-router.post('/topics/:topicId/modules/:moduleId/videos', async (req, res) => {
+router.post('/topics/:topicId/modules/:moduleId/videos', requirePermission('topics:write'), async (req, res) => {
   try {
     const { topicId, moduleId } = req.params;
     const {
@@ -258,31 +261,39 @@ router.post('/topics/:topicId/modules/:moduleId/videos', async (req, res) => {
       });
     }
 
-    const result = await req.pool.query(`
-      INSERT INTO topic_videos (
-        topic_id, module_id, title, description, video_url, video_type,
-        thumbnail_url, duration_seconds, order_index, is_active, is_preview,
-        transcript, resources
-      ) VALUES (
-        $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13
-      ) RETURNING *
-    `, [
-      topicId,
-      moduleId,
-      title.trim(),
-      description || null,
-      videoUrl || null,
-      videoType,
-      thumbnailUrl || null,
-      parseInt(durationSeconds),
-      videoOrder,
-      isActive,
-      isPreview,
-      transcript || null,
-      JSON.stringify(resources)
-    ]);
+    const result = await topicRevisionService.saveWithRevision(req.pool, topicId, req.user ? req.user.id : null, client =>
+      client.query(`
+        INSERT INTO topic_videos (
+          topic_id, module_id, title, description, video_url, video_type,
+          thumbnail_url, duration_seconds, order_index, is_active, is_preview,
+          transcript, resources
+        ) VALUES (
+          $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13
+        ) RETURNING *
+      `, [
+        topicId,
+        moduleId,
+        title.trim(),
+        description || null,
+        videoUrl || null,
+        videoType,
+        thumbnailUrl || null,
+        parseInt(durationSeconds),
+        videoOrder,
+        isActive,
+        isPreview,
+        transcript || null,
+        JSON.stringify(resources)
+      ])
+    );
 
     const video = result.rows[0];
+    await auditService.record(req, {
+      action: 'video.create',
+      entityType: 'video',
+      entityId: video.id,
+      after: video
+    });
 
     res.status(201).json({
       success: true,
@@ -434,7 +445,7 @@ router.get('/topics/:topicId/modules/:moduleId/videos/:videoId', async (req, res
 });
 
 // PUT /api/topics/:topicId/modules/:moduleId/videos/:videoId - Update video
-router.put('/topics/:topicId/modules/:moduleId/videos/:videoId', async (req, res) => {
+router.put('/topics/:topicId/modules/:moduleId/videos/:videoId', requirePermission('topics:write'), async (req, res) => {
   try {
     const { topicId, moduleId, videoId } = req.params;
     const updateData = req.body;
@@ -504,8 +515,17 @@ router.put('/topics/:topicId/modules/:moduleId/videos/:videoId', async (req, res
       RETURNING *
     `;
 
-    const result = await req.pool.query(updateQuery, updateValues);
+    const result = await topicRevisionService.saveWithRevision(req.pool, existing.rows[0].topic_id, req.user ? req.user.id : null, client =>
+      client.query(updateQuery, updateValues)
+    );
     const video = result.rows[0];
+    await auditService.record(req, {
+      action: 'video.update',
+      entityType: 'video',
+      entityId: video.id,
+      before: existing.rows[0],
+      after: video
+    });
 
     res.json({
       success: true,
@@ -539,13 +559,13 @@ router.put('/topics/:topicId/modules/:moduleId/videos/:videoId', async (req, res
 });
 
 // DELETE /api/topics/:topicId/modules/:moduleId/videos/:videoId - Delete video
-router.delete('/topics/:topicId/modules/:moduleId/videos/:videoId', async (req, res) => {
+router.delete('/topics/:topicId/modules/:moduleId/videos/:videoId', requirePermission('topics:write'), async (req, res) => {
   try {
     const { topicId, moduleId, videoId } = req.params;
 
     // Check if video exists
     const existing = await req.pool.query(
-      'SELECT id FROM topic_videos WHERE id = $1 AND module_id = $2',
+      'SELECT * FROM topic_videos WHERE id = $1 AND module_id = $2',
       [videoId, moduleId]
     );
 
@@ -557,7 +577,15 @@ router.delete('/topics/:topicId/modules/:moduleId/videos/:videoId', async (req,
     }
 
     // Delete video
-    await req.pool.query('DELETE FROM topic_videos WHERE id = $1', [videoId]);
+    await topicRevisionService.saveWithRevision(req.pool, existing.rows[0].topic_id, req.user ? req.user.id : null, client =>
+      client.query('DELETE FROM topic_videos WHERE id = $1', [videoId])
+    );
+    await auditService.record(req, {
+      action: 'video.delete',
+      entityType: 'video',
+      entityId: videoId,
+      before: existing.rows[0]
+    });
 
     res.json({
       success: true,
@@ -576,7 +604,7 @@ router.delete('/topics/:topicId/modules/:moduleId/videos/:videoId', async (req,
 });
 
 // POST /api/topics/:topicId/modules/:moduleId/videos/upload - Upload video file
-router.post('/topics/:topicId/modules/:moduleId/videos/upload', upload.single('video'), async (req, res) => {
+router.post('/topics/:topicId/modules/:moduleId/videos/upload', requirePermission('topics:write'), upload.single('video'), async (req, res) => {
   try {
     const { topicId, moduleId } = req.params;
     const { title, description, duration, order } = req.body;
@@ -647,60 +675,68 @@ router.post('/topics/:topicId/modules/:moduleId/videos/upload', upload.single('v
       try {
         const durationSeconds = duration ? parseFloat(duration) * 60 : 0;
         
-        const videoResult = await req.pool.query(`
-          INSERT INTO topic_videos (
-            topic_id,
-            module_id, 
-            title, 
-            description, 
-            video_url, 
-            duration_seconds, 
-            video_type, 
-            order_index,
-            created_at,
-            updated_at
-          )
-          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
-          RETURNING id, title, description, video_url, duration_seconds, order_index, created_at, updated_at
-        `, [
-          topicId,
-          moduleId,
-          fileData.title,
-          fileData.description,
-          fileData.url,
-          durationSeconds,
-          'mp4',
-          fileData.order,
-          new Date(),
-          new Date()
-        ]);
-        
-        const video = videoResult.rows[0];
-        videoId = video.id;
+        const video = await topicRevisionService.saveWithRevision(req.pool, topicId, req.user ? req.user.id : null, async client => {
+          const videoResult = await client.query(`
+            INSERT INTO topic_videos (
+              topic_id,
+              module_id, 
+              title, 
+              description, 
+              video_url, 
+              duration_seconds, 
+              video_type, 
+              order_index,
+              created_at,
+              updated_at
+            )
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+            RETURNING *
+          `, [
+            topicId,
+            moduleId,
+            fileData.title,
+            fileData.description,
+            fileData.url,
+            durationSeconds,
+            'mp4',
+            fileData.order,
+            new Date(),
+            new Date()
+          ]);
 
-        // Update module duration
-        await req.pool.query(`
-          UPDATE topic_modules 
-          SET duration_minutes = (
-            SELECT COALESCE(SUM(duration_seconds), 0) / 60 
-            FROM topic_videos 
-            WHERE module_id = $1
-          ),
-          updated_at = CURRENT_TIMESTAMP
-          WHERE id = $1
-        `, [moduleId]);
-
-        // Update topic duration
-        await req.pool.query(`
-          UPDATE topics 
-          SET duration_minutes = (
-            SELECT COALESCE(SUM(tm.duration_minutes), 0)
-            FROM topic_modules tm 
-            WHERE tm.topic_id = $1
-          ),
-          updated_at = CURRENT_TIMESTAMP
-          WHERE id = $1
-        `, [topicId]);
+          // Update module duration
+          await client.query(`
+            UPDATE topic_modules 
+            SET duration_minutes = (
+              SELECT COALESCE(SUM(duration_seconds), 0) / 60 
+              FROM topic_videos 
+              WHERE module_id = $1
+            ),
+            updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1
+          `, [moduleId]);
+
+          // Update topic duration
+          await client.query(`
+            UPDATE topics 
+            SET duration_minutes = (
+              SELECT COALESCE(SUM(tm.duration_minutes), 0)
+              FROM topic_modules tm 
+              WHERE tm.topic_id = $1
+            ),
+            updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1
+          `, [topicId]);
+
+          return videoResult.rows[0];
+        });
+        videoId = video.id;
+        await auditService.record(req, {
+          action: 'video.upload',
+          entityType: 'video',
+          entityId: video.id,
+          after: video
+        });
 
         // Save upload metadata with proper linking
         await req.pool.query(`
@@ -784,7 +820,7 @@ router.post('/topics/:topicId/modules/:moduleId/videos/upload', upload.single('v
 });
 
 // POST /api/topics/:topicId/modules/:moduleId/videos/upload-multiple - Upload multiple videos
-router.post('/topics/:topicId/modules/:moduleId/videos/upload-multiple', upload.array('videos', 10), async (req, res) => {
+router.post('/topics/:topicId/modules/:moduleId/videos/upload-multiple', requirePermission('topics:write'), upload.array('videos', 10), async (req, res) => {
   try {
     const { topicId, moduleId } = req.params;
     
@@ -853,36 +889,67 @@ router.post('/topics/:topicId/modules/:moduleId/videos/upload-multiple', upload.
         if (req.pool) {
           const durationSeconds = fileData.duration ? parseFloat(fileData.duration) * 60 : 0;
           
-          const videoResult = await req.pool.query(`
-            INSERT INTO topic_videos (
-              topic_id,
-              module_id, 
-              title, 
-              description, 
-              video_url, 
-              duration_seconds, 
-              video_type, 
-              order_index,
-              created_at,
-              updated_at
-            )
-            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
-            RETURNING id, title, description, video_url, duration_seconds, order_index, created_at, updated_at
-          `, [
-            topicId,
-            moduleId,
-            fileData.title,
-            fileData.description,
-            fileData.url,
-            durationSeconds,
-            'mp4',
-            fileData.order,
-            new Date(),
-            new Date()
-          ]);
-          
-          const video = videoResult.rows[0];
+          const video = await topicRevisionService.saveWithRevision(req.pool, topicId, req.user ? req.user.id : null, async client => {
+            const videoResult = await client.query(`
+              INSERT INTO topic_videos (
+                topic_id,
+                module_id, 
+                title, 
+                description, 
+                video_url, 
+                duration_seconds, 
+                video_type, 
+                order_index,
+                created_at,
+                updated_at
+              )
+              VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+              RETURNING *
+            `, [
+              topicId,
+              moduleId,
+              fileData.title,
+              fileData.description,
+              fileData.url,
+              durationSeconds,
+              'mp4',
+              fileData.order,
+              new Date(),
+              new Date()
+            ]);
+
+            // Keep the module and topic durations in step with each video
+            await client.query(`
+              UPDATE topic_modules 
+              SET duration_minutes = (
+                SELECT COALESCE(SUM(duration_seconds), 0) / 60 
+                FROM topic_videos 
+                WHERE module_id = $1
+              ),
+              updated_at = CURRENT_TIMESTAMP
+              WHERE id = $1
+            `, [moduleId]);
+
+            await client.query(`
+              UPDATE topics 
+              SET duration_minutes = (
+                SELECT COALESCE(SUM(tm.duration_minutes), 0)
+                FROM topic_modules tm 
+                WHERE tm.topic_id = $1
+              ),
+              updated_at = CURRENT_TIMESTAMP
+              WHERE id = $1
+            `, [topicId]);
+
+            return videoResult.rows[0];
+          });
           videoId = video.id;
+          await auditService.record(req, {
+            action: 'video.upload',
+            entityType: 'video',
+            entityId: video.id,
+            after: video
+          });
 
           // Save upload metadata with proper linking
           await req.pool.query(`
@@ -946,35 +1013,6 @@ router.post('/topics/:topicId/modules/:moduleId/videos/upload-multiple', upload.
       }
     }
 
-    // Update module and topic durations after all uploads
-    if (req.pool && results.length > 0) {
-      try {
-        await req.pool.query(`
-          UPDATE topic_modules 
-          SET duration_minutes = (
-            SELECT COALESCE(SUM(duration_seconds), 0) / 60 
-            FROM topic_videos 
-            WHERE module_id = $1
-          ),
-          updated_at = CURRENT_TIMESTAMP
-          WHERE id = $1
-        `, [moduleId]);
-
-        await req.pool.query(`
-          UPDATE topics 
-          SET duration_minutes = (
-            SELECT COALESCE(SUM(tm.duration_minutes), 0)
-            FROM topic_modules tm 
-            WHERE tm.topic_id = $1
-          ),
-          updated_at = CURRENT_TIMESTAMP
-          WHERE id = $1
-        `, [topicId]);
-      } catch (updateError) {
-        console.warn('Failed to update durations:', updateError);
-      }
-    }
-
     res.json({
       success: true,
       data: {
@@ -996,7 +1034,7 @@ router.post('/topics/:topicId/modules/:moduleId/videos/upload-multiple', upload.
 });
 
 // POST /api/topics/:topicId/modules/:moduleId/videos/reorder - Reorder videos
-router.post('/topics/:topicId/modules/:moduleId/videos/reorder', async (req, res) => {
+router.post('/topics/:topicId/modules/:moduleId/videos/reorder', requirePermission('topics:write'), async (req, res) => {
   try {
     const { topicId, moduleId } = req.params;
     const { videoIds } = req.body;
@@ -1013,6 +1051,12 @@ router.post('/topics/:topicId/modules/:moduleId/videos/reorder', async (req, res
     
     try {
       await client.query('BEGIN');
+      await topicRevisionService.addRevision(client, topicId, { action: 'baseline' });
+
+      const previous = await client.query(
+        'SELECT id FROM topic_videos WHERE module_id = $1 ORDER BY order_index, id',
+        [moduleId]
+      );
 
       for (let i = 0; i < videoIds.length; i++) {
         await client.query(
@@ -1021,7 +1065,18 @@ router.post('/topics/:topicId/modules/:moduleId/videos/reorder', async (req, res
         );
       }
 
+      await topicRevisionService.addRevision(client, topicId, {
+        action: 'update',
+        createdBy: req.user ? req.user.id : null
+      });
       await client.query('COMMIT');
+      await auditService.record(req, {
+        action: 'video.reorder',
+        entityType: 'module',
+        entityId: moduleId,
+        before: { video_order: previous.rows.map(row => row.id) },
+        after: { video_order: videoIds.map(videoId => parseInt(videoId)) }
+      });
 
       res.json({
         success: true,
@@ -0,0 +1,409 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateUser, denyImpersonation } = require('../middleware/auth');
+const sessionService = require('../services/sessionService');
+const throttleService = require('../services/throttleService');
+const loginService = require('../services/loginService');
+const loginEventService = require('../services/loginEventService');
+const totpService = require('../services/totpService');
+const { MAX_FAILURES_PER_EMAIL, MAX_FAILURES_PER_IP } = require('../config/auth');
+
+// Run a second-factor check with the same lockouts as emailed OTPs.
+// `check` resolves to a truthy result when the code is valid.
+// Resolves to { ok: true, result } or { status, error, retryAfter }.
+async function checkSecondFactor(req, userId, check) {
+  const keys = [throttleService.mfaKey(userId), throttleService.ipKey(req.ip)];
+  const retryAfter = await throttleService.getLockout(req.pool, keys);
+  if (retryAfter > 0) {
+    return { status: 429, error: 'Too many failed attempts. Try again later.', retryAfter };
+  }
+
+  const result = await check();
+  if (!result) {
+    await throttleService.recordFailure(req.pool, keys[0], MAX_FAILURES_PER_EMAIL);
+    await throttleService.recordFailure(req.pool, keys[1], MAX_FAILURES_PER_IP);
+    return { status: 400, error: 'Invalid authentication code' };
+  }
+
+  await throttleService.clearFailures(req.pool, keys[0]);
+  return { ok: true, result };
+}
+
+// Accept either an authenticator code or a single-use recovery code
+function codeOrRecoveryCode(req, userId) {
+  const { code, recoveryCode } = req.body;
+  return () => code
+    ? totpService.verifyCode(req.pool, userId, code)
+    : totpService.useRecoveryCode(req.pool, userId, recoveryCode);
+}
+
+function sendFailure(res, outcome) {
+  if (outcome.retryAfter) {
+    res.set('Retry-After', String(outcome.retryAfter));
+    return res.status(outcome.status).json({ success: false, error: outcome.error, retryAfter: outcome.retryAfter });
+  }
+  return res.status(outcome.status).json({ success: false, error: outcome.error });
+}
+
+/**
+ * @swagger
+ * /api/auth/2fa/status:
+ *   get:
+ *     tags: [Auth]
+ *     summary: Two-factor authentication status for the current user
+ *     responses:
+ *       200:
+ *         description: Enrollment status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     enabled:
+ *                       type: boolean
+ *                     enabledAt:
+ *                       type: string
+ *                       format: date-time
+ *                     pendingSetup:
+ *                       type: boolean
+ *                     required:
+ *                       type: boolean
+ *                       description: Whether the user's role must use two-factor authentication
+ *                     recoveryCodesRemaining:
+ *                       type: integer
+ *       401:
+ *         description: Authentication required
+ */
+
+// GET /auth/2fa/status
+router.get('/2fa/status', authenticateUser, async (req, res) => {
+  try {
+    const status = await totpService.getStatus(req.pool, req.user.id);
+    res.json({
+      success: true,
+      data: { ...status, required: totpService.isRequiredForRole(req.user.role) }
+    });
+  } catch (err) {
+    console.error('Error in GET /auth/2fa/status:', err);
+    res.status(500).json({ success: false, error: err.message || 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/setup:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Start TOTP enrollment
+ *     description: Generates a new secret. Show otpauthUrl as a QR code (or the secret for manual entry), then confirm with /api/auth/2fa/enable. Calling it again before confirming replaces the secret.
+ *     responses:
+ *       200:
+ *         description: Provisioning details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     secret:
+ *                       type: string
+ *                       example: 'JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP'
+ *                     otpauthUrl:
+ *                       type: string
+ *                       example: 'otpauth://totp/ThinkCyber%3Auser%40example.com?secret=JBSWY3DPEHPK3PXP&issuer=ThinkCyber&algorithm=SHA1&digits=6&period=30'
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Not available while an admin is impersonating the user
+ *       409:
+ *         description: Two-factor authentication is already enabled
+ */
+
+// POST /auth/2fa/setup
+router.post('/2fa/setup', authenticateUser, denyImpersonation, async (req, res) => {
+  try {
+    const enrollment = await totpService.beginEnrollment(req.pool, req.user);
+    if (!enrollment) {
+      return res.status(409).json({ success: false, error: 'Two-factor authentication is already enabled' });
+    }
+    res.json({ success: true, data: enrollment });
+  } catch (err) {
+    console.error('Error in POST /auth/2fa/setup:', err);
+    res.status(500).json({ success: false, error: err.message || 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/enable:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Confirm TOTP enrollment with a code from the authenticator app
+ *     description: Returns recovery codes. They are shown only once; each can replace an authenticator code a single time.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: '123456'
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 recoveryCodes:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                   example: ['a1b2c-3d4e5', 'f6a7b-8c9d0']
+ *       400:
+ *         description: Invalid code, or no enrollment in progress
+ *       403:
+ *         description: Not available while an admin is impersonating the user
+ *       429:
+ *         description: Too many failed attempts
+ */
+
+// POST /auth/2fa/enable
+router.post('/2fa/enable', authenticateUser, denyImpersonation, async (req, res) => {
+  const { code } = req.body;
+  if (!code) {
+    return res.status(400).json({ success: false, error: 'Code required' });
+  }
+
+  try {
+    const outcome = await checkSecondFactor(req, req.user.id,
+      () => totpService.confirmEnrollment(req.pool, req.user.id, code));
+    if (!outcome.ok) {
+      return sendFailure(res, outcome);
+    }
+
+    // The user just proved possession of the authenticator in this session
+    await sessionService.markMfaVerified(req.pool, req.auth.sid);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled',
+      recoveryCodes: outcome.result
+    });
+  } catch (err) {
+    console.error('Error in POST /auth/2fa/enable:', err);
+    res.status(500).json({ success: false, error: err.message || 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/verify:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Complete login with an authenticator or recovery code
+ *     description: Second login step for users with two-factor authentication. Takes the mfaToken returned by /api/auth/verify-otp or /api/auth/callback.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - mfaToken
+ *             properties:
+ *               mfaToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 example: '123456'
+ *               recoveryCode:
+ *                 type: string
+ *                 example: 'a1b2c-3d4e5'
+ *                 description: Use instead of code if the authenticator is unavailable
+ *     responses:
+ *       200:
+ *         description: Login complete
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 user:
+ *                   type: object
+ *                 sessionToken:
+ *                   type: string
+ *                 refreshToken:
+ *                   type: string
+ *                 expiresIn:
+ *                   type: string
+ *       400:
+ *         description: Invalid code
+ *       401:
+ *         description: Invalid or expired mfaToken
+ *       429:
+ *         description: Too many failed attempts
+ */
+
+// POST /auth/2fa/verify
+router.post('/2fa/verify', async (req, res) => {
+  const { mfaToken, code, recoveryCode } = req.body;
+  if (!mfaToken || (!code && !recoveryCode)) {
+    return res.status(400).json({ success: false, error: 'mfaToken and code or recoveryCode required' });
+  }
+
+  const userId = totpService.verifyChallenge(mfaToken);
+  if (!userId) {
+    return res.status(401).json({ success: false, error: 'Login attempt expired, please sign in again' });
+  }
+
+  try {
+    const outcome = await checkSecondFactor(req, userId, codeOrRecoveryCode(req, userId));
+    if (!outcome.ok) {
+      await loginEventService.recordFailure(req.pool, req, {
+        userId,
+        method: '2fa',
+        reason: outcome.retryAfter ? 'locked_out' : 'invalid_2fa_code'
+      });
+      return sendFailure(res, outcome);
+    }
+
+    const userResult = await req.pool.query('SELECT * FROM users WHERE id = $1', [userId]);
+    if (userResult.rows.length === 0) {
+      return res.status(401).json({ success: false, error: 'User no longer exists' });
+    }
+    const login = await loginService.completeLogin(req.pool, userResult.rows[0], req, { mfaVerified: true, method: '2fa' });
+    if (login.error) {
+      return res.status(403).json({ success: false, error: login.error });
+    }
+    res.json({ success: true, ...login });
+  } catch (err) {
+    console.error('Error in POST /auth/2fa/verify:', err);
+    res.status(500).json({ success: false, error: err.message || 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/recovery-codes:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Replace recovery codes
+ *     description: Invalidates all existing recovery codes and returns a new set.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: '123456'
+ *                 description: Current authenticator code
+ *     responses:
+ *       200:
+ *         description: New recovery codes
+ *       400:
+ *         description: Invalid code
+ *       403:
+ *         description: Not available while an admin is impersonating the user
+ *       429:
+ *         description: Too many failed attempts
+ */
+
+// POST /auth/2fa/recovery-codes
+router.post('/2fa/recovery-codes', authenticateUser, denyImpersonation, async (req, res) => {
+  const { code } = req.body;
+  if (!code) {
+    return res.status(400).json({ success: false, error: 'Code required' });
+  }
+
+  try {
+    const outcome = await checkSecondFactor(req, req.user.id,
+      () => totpService.verifyCode(req.pool, req.user.id, code));
+    if (!outcome.ok) {
+      return sendFailure(res, outcome);
+    }
+    const recoveryCodes = await totpService.regenerateRecoveryCodes(req.pool, req.user.id);
+    res.json({ success: true, recoveryCodes });
+  } catch (err) {
+    console.error('Error in POST /auth/2fa/recovery-codes:', err);
+    res.status(500).json({ success: false, error: err.message || 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/disable:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Turn off two-factor authentication
+ *     description: Not allowed for roles that require two-factor authentication.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: '123456'
+ *               recoveryCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication disabled
+ *       400:
+ *         description: Invalid code
+ *       403:
+ *         description: Two-factor authentication is required for this role, or an admin is impersonating the user
+ *       429:
+ *         description: Too many failed attempts
+ */
+
+// POST /auth/2fa/disable
+router.post('/2fa/disable', authenticateUser, denyImpersonation, async (req, res) => {
+  const { code, recoveryCode } = req.body;
+  if (!code && !recoveryCode) {
+    return res.status(400).json({ success: false, error: 'Code or recoveryCode required' });
+  }
+  if (totpService.isRequiredForRole(req.user.role)) {
+    return res.status(403).json({ success: false, error: 'Two-factor authentication is required for your role' });
+  }
+
+  try {
+    const outcome = await checkSecondFactor(req, req.user.id, codeOrRecoveryCode(req, req.user.id));
+    if (!outcome.ok) {
+      return sendFailure(res, outcome);
+    }
+    await totpService.disable(req.pool, req.user.id);
+    res.json({ success: true, message: 'Two-factor authentication disabled' });
+  } catch (err) {
+    console.error('Error in POST /auth/2fa/disable:', err);
+    res.status(500).json({ success: false, error: err.message || 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -4,6 +4,9 @@ const path = require('path');
 const fs = require('fs').promises;
 const crypto = require('crypto');
 const router = express.Router();
+const { authenticateUser, requirePermission } = require('../middleware/auth');
+const auditService = require('../services/auditService');
+const topicRevisionService = require('../services/topicRevisionService');
 
 // Configure multer for file uploads
 const storage = multer.diskStorage({
@@ -33,7 +36,8 @@ const fileFilter = (req, file, cb) => {
     image: ['image/jpeg', 'image/png', 'image/gif', 'image/webp'],
     video: ['video/mp4', 'video/webm', 'video/avi', 'video/mov', 'video/wmv'],
     document: ['application/pdf', 'application/msword', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', 'text/plain'],
-    thumbnail: ['image/jpeg', 'image/png', 'image/webp']
+    thumbnail: ['image/jpeg', 'image/png', 'image/webp'],
+    avatar: ['image/jpeg', 'image/png', 'image/webp']
   };
 
   const uploadType = req.path.split('/')[1] || 'general';
@@ -51,7 +55,8 @@ const fileLimits = {
   image: 10 * 1024 * 1024, // 10MB
   video: 500 * 1024 * 1024, // 500MB
   document: 50 * 1024 * 1024, // 50MB
-  thumbnail: 5 * 1024 * 1024 // 5MB
+  thumbnail: 5 * 1024 * 1024, // 5MB
+  avatar: 2 * 1024 * 1024 // 2MB
 };
 
 const upload = multer({
@@ -76,6 +81,34 @@ const validateFileSize = (file, type) => {
   }
 };
 
+// Helper function to point a topic or video at a new thumbnail, recording the
+// topic's revision, and audit the change
+const setThumbnail = async (req, entityType, id, url) => {
+  const table = entityType === 'topic' ? 'topics' : 'topic_videos';
+  const topicColumn = entityType === 'topic' ? 'id' : 'topic_id';
+  const before = await req.pool.query(
+    `SELECT ${topicColumn} AS topic_id, thumbnail_url FROM ${table} WHERE id = $1`,
+    [id]
+  );
+  if (before.rows.length === 0) {
+    return;
+  }
+  const { topic_id: topicId, ...previous } = before.rows[0];
+  await topicRevisionService.saveWithRevision(req.pool, topicId, req.user ? req.user.id : null, client =>
+    client.query(
+      `UPDATE ${table} SET thumbnail_url = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2`,
+      [url, id]
+    )
+  );
+  await auditService.record(req, {
+    action: `${entityType}.thumbnail_change`,
+    entityType,
+    entityId: id,
+    before: previous,
+    after: { thumbnail_url: url }
+  });
+};
+
 /**
  * @swagger
  * components:
@@ -140,7 +173,7 @@ const validateFileSize = (file, type) => {
  *       413:
  *         description: File too large
  */
-router.post('/image', upload.single('image'), async (req, res) => {
+router.post('/image', requirePermission('uploads:write'), upload.single('image'), async (req, res) => {
   try {
     console.log('POST /api/upload/image called');
     if (!req.file) {
@@ -242,7 +275,7 @@ router.post('/image', upload.single('image'), async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/UploadResponse'
  */
-router.post('/video', upload.single('video'), async (req, res) => {
+router.post('/video', requirePermission('uploads:write'), upload.single('video'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({
@@ -274,22 +307,30 @@ router.post('/video', upload.single('video'), async (req, res) => {
     if (req.pool && moduleId && topicId) {
       try {
         const durationSeconds = duration ? parseInt(duration) * 60 : 0;
-        const videoResult = await req.pool.query(`
-          INSERT INTO topic_videos (topic_id, module_id, title, description, video_url, duration_seconds, video_type, created_at)
-          VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
-          RETURNING id
-        `, [
-          topicId,
-          moduleId,
-          fileData.title,
-          fileData.description,
-          fileData.url,
-          durationSeconds,
-          'mp4',
-          new Date()
-        ]);
+        const videoResult = await topicRevisionService.saveWithRevision(req.pool, topicId, req.user ? req.user.id : null, client =>
+          client.query(`
+            INSERT INTO topic_videos (topic_id, module_id, title, description, video_url, duration_seconds, video_type, created_at)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+            RETURNING *
+          `, [
+            topicId,
+            moduleId,
+            fileData.title,
+            fileData.description,
+            fileData.url,
+            durationSeconds,
+            'mp4',
+            new Date()
+          ])
+        );
         
         fileData.videoId = videoResult.rows[0].id;
+        await auditService.record(req, {
+          action: 'video.upload',
+          entityType: 'video',
+          entityId: fileData.videoId,
+          after: videoResult.rows[0]
+        });
       } catch (dbError) {
         console.warn('Failed to save video to database:', dbError);
       }
@@ -361,7 +402,7 @@ router.post('/video', upload.single('video'), async (req, res) => {
  *       200:
  *         description: Document uploaded successfully
  */
-router.post('/document', upload.single('document'), async (req, res) => {
+router.post('/document', requirePermission('uploads:write'), upload.single('document'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({
@@ -450,7 +491,7 @@ router.post('/document', upload.single('document'), async (req, res) => {
  *       200:
  *         description: Thumbnail uploaded successfully
  */
-router.post('/thumbnail', upload.single('thumbnail'), async (req, res) => {
+router.post('/thumbnail', requirePermission('uploads:write'), upload.single('thumbnail'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({
@@ -479,17 +520,11 @@ router.post('/thumbnail', upload.single('thumbnail'), async (req, res) => {
     if (req.pool) {
       try {
         if (videoId) {
-          await req.pool.query(
-            'UPDATE topic_videos SET thumbnail_url = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
-            [fileData.url, videoId]
-          );
+          await setThumbnail(req, 'video', videoId, fileData.url);
         }
         
         if (topicId) {
-          await req.pool.query(
-            'UPDATE topics SET thumbnail_url = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
-            [fileData.url, topicId]
-          );
+          await setThumbnail(req, 'topic', topicId, fileData.url);
         }
 
         // Save upload metadata
@@ -527,6 +562,85 @@ router.post('/thumbnail', upload.single('thumbnail'), async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/upload/avatar:
+ *   post:
+ *     summary: Upload a profile picture
+ *     description: Open to any signed-in user. Set the returned id as avatarUploadId with PUT /api/me to use it.
+ *     consumes:
+ *       - multipart/form-data
+ *     parameters:
+ *       - in: formData
+ *         name: avatar
+ *         type: file
+ *         required: true
+ *         description: JPEG, PNG or WebP image, at most 2MB
+ *     responses:
+ *       200:
+ *         description: Avatar uploaded successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/UploadResponse'
+ *       400:
+ *         description: Invalid file or request
+ *       401:
+ *         description: Authentication required
+ */
+router.post('/avatar', authenticateUser, upload.single('avatar'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: 'No avatar file provided'
+      });
+    }
+
+    validateFileSize(req.file, 'avatar');
+
+    const fileData = {
+      id: crypto.randomUUID(),
+      url: getFileUrl(req, req.file.filename, path.basename(req.file.destination)),
+      filename: req.file.filename,
+      originalName: req.file.originalname,
+      size: req.file.size,
+      mimeType: req.file.mimetype,
+      uploadedAt: new Date().toISOString()
+    };
+
+    // The metadata ties the upload to its owner so only they can use it
+    await req.pool.query(`
+      INSERT INTO uploads (id, filename, original_name, file_path, file_size, mime_type, upload_type, category, metadata, created_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+    `, [
+      fileData.id,
+      fileData.filename,
+      fileData.originalName,
+      req.file.path,
+      fileData.size,
+      fileData.mimeType,
+      'avatar',
+      'avatar',
+      JSON.stringify({ userId: req.user.id }),
+      new Date()
+    ]);
+
+    res.json({
+      success: true,
+      data: fileData,
+      message: 'Avatar uploaded successfully'
+    });
+
+  } catch (error) {
+    console.error('Avatar upload error:', error);
+    res.status(400).json({
+      success: false,
+      error: error.message || 'Failed to upload avatar'
+    });
+  }
+});
+
 /**
  * @swagger
  * /api/upload/topics/{topicId}/modules/{moduleId}/video:
@@ -573,7 +687,7 @@ router.post('/thumbnail', upload.single('thumbnail'), async (req, res) => {
  *       200:
  *         description: Video uploaded successfully
  */
-router.post('/topics/:topicId/modules/:moduleId/video', upload.single('video'), async (req, res) => {
+router.post('/topics/:topicId/modules/:moduleId/video', requirePermission('uploads:write'), upload.single('video'), async (req, res) => {
   try {
     const { topicId, moduleId } = req.params;
     const { title, description, duration, order } = req.body;
@@ -644,49 +758,59 @@ router.post('/topics/:topicId/modules/:moduleId/video', upload.single('video'),
       try {
         const durationSeconds = duration ? parseFloat(duration) * 60 : 0;
         
-        const videoResult = await req.pool.query(`
-          INSERT INTO topic_videos (topic_id, module_id, title, description, video_url, duration_seconds, video_type, order_index, created_at, updated_at)
-          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
-          RETURNING id
-        `, [
-          topicId,
-          moduleId,
-          fileData.title,
-          fileData.description,
-          fileData.url,
-          durationSeconds,
-          'mp4',
-          fileData.order,
-          new Date(),
-          new Date()
-        ]);
-        
-        videoId = videoResult.rows[0].id;
-        fileData.videoId = videoId;
+        const video = await topicRevisionService.saveWithRevision(req.pool, topicId, req.user ? req.user.id : null, async client => {
+          const videoResult = await client.query(`
+            INSERT INTO topic_videos (topic_id, module_id, title, description, video_url, duration_seconds, video_type, order_index, created_at, updated_at)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+            RETURNING *
+          `, [
+            topicId,
+            moduleId,
+            fileData.title,
+            fileData.description,
+            fileData.url,
+            durationSeconds,
+            'mp4',
+            fileData.order,
+            new Date(),
+            new Date()
+          ]);
+
+          // Update module duration
+          await client.query(`
+            UPDATE topic_modules 
+            SET duration_minutes = (
+              SELECT COALESCE(SUM(duration_seconds), 0) / 60 
+              FROM topic_videos 
+              WHERE module_id = $1
+            ),
+            updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1
+          `, [moduleId]);
 
-        // Update module duration
-        await req.pool.query(`
-          UPDATE topic_modules 
-          SET duration_minutes = (
-            SELECT COALESCE(SUM(duration_seconds), 0) / 60 
-            FROM topic_videos 
-            WHERE module_id = $1
-          ),
-          updated_at = CURRENT_TIMESTAMP
-          WHERE id = $1
-        `, [moduleId]);
-
-        // Update topic duration
-        await req.pool.query(`
-          UPDATE topics 
-          SET duration_minutes = (
-            SELECT COALESCE(SUM(tm.duration_minutes), 0)
-            FROM topic_modules tm 
-            WHERE tm.topic_id = $1
-          ),
-          updated_at = CURRENT_TIMESTAMP
-          WHERE id = $1
-        `, [topicId]);
+          // Update topic duration
+          await client.query(`
+            UPDATE topics 
+            SET duration_minutes = (
+              SELECT COALESCE(SUM(tm.duration_minutes), 0)
+              FROM topic_modules tm 
+              WHERE tm.topic_id = $1
+            ),
+            updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1
+          `, [topicId]);
+
+          return videoResult.rows[0];
+        });
+
+        videoId = video.id;
+        fileData.videoId = videoId;
+        await auditService.record(req, {
+          action: 'video.upload',
+          entityType: 'video',
+          entityId: videoId,
+          after: video
+        });
 
       } catch (dbError) {
         console.error('Failed to save video to database:', dbError);
@@ -769,7 +893,7 @@ router.post('/topics/:topicId/modules/:moduleId/video', upload.single('video'),
  *       200:
  *         description: Thumbnail uploaded successfully
  */
-router.post('/topics/:topicId/thumbnail', upload.single('thumbnail'), async (req, res) => {
+router.post('/topics/:topicId/thumbnail', requirePermission('uploads:write'), upload.single('thumbnail'), async (req, res) => {
   try {
     const { topicId } = req.params;
 
@@ -811,10 +935,7 @@ router.post('/topics/:topicId/thumbnail', upload.single('thumbnail'), async (req
     // Update topic with thumbnail
     if (req.pool) {
       try {
-        await req.pool.query(
-          'UPDATE topics SET thumbnail_url = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
-          [fileData.url, topicId]
-        );
+        await setThumbnail(req, 'topic', topicId, fileData.url);
 
         // Save upload metadata
         await req.pool.query(`
@@ -878,7 +999,7 @@ router.post('/topics/:topicId/thumbnail', upload.single('thumbnail'), async (req
  *       200:
  *         description: Video thumbnail uploaded successfully
  */
-router.post('/videos/:videoId/thumbnail', upload.single('thumbnail'), async (req, res) => {
+router.post('/videos/:videoId/thumbnail', requirePermission('uploads:write'), upload.single('thumbnail'), async (req, res) => {
   try {
     const { videoId } = req.params;
 
@@ -920,10 +1041,7 @@ router.post('/videos/:videoId/thumbnail', upload.single('thumbnail'), async (req
     // Update video with thumbnail
     if (req.pool) {
       try {
-        await req.pool.query(
-          'UPDATE topic_videos SET thumbnail_url = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
-          [fileData.url, videoId]
-        );
+        await setThumbnail(req, 'video', videoId, fileData.url);
 
         // Save upload metadata
         await req.pool.query(`
@@ -987,7 +1105,7 @@ router.post('/videos/:videoId/thumbnail', upload.single('thumbnail'), async (req
  *       200:
  *         description: Files uploaded successfully
  */
-router.post('/bulk', upload.array('files', 10), async (req, res) => {
+router.post('/bulk', requirePermission('uploads:write'), upload.array('files', 10), async (req, res) => {
   try {
     if (!req.files || req.files.length === 0) {
       return res.status(400).json({
@@ -1101,7 +1219,7 @@ router.post('/bulk', upload.array('files', 10), async (req, res) => {
  *       200:
  *         description: Video replaced successfully
  */
-router.put('/videos/:videoId/replace', upload.single('video'), async (req, res) => {
+router.put('/videos/:videoId/replace', requirePermission('uploads:write'), upload.single('video'), async (req, res) => {
   try {
     const { videoId } = req.params;
     const { title, description, duration } = req.body;
@@ -1152,55 +1270,68 @@ router.put('/videos/:videoId/replace', upload.single('video'), async (req, res)
       try {
         const durationSeconds = duration ? parseFloat(duration) * 60 : existingVideo?.duration_seconds || 0;
         
-        await req.pool.query(`
-          UPDATE topic_videos 
-          SET 
-            title = $1,
-            description = $2,
-            video_url = $3,
-            duration_seconds = $4,
-            updated_at = CURRENT_TIMESTAMP
-          WHERE id = $5
-        `, [
-          fileData.title,
-          fileData.description,
-          fileData.url,
-          durationSeconds,
-          videoId
-        ]);
-
-        // Update module duration
-        if (existingVideo?.module_id) {
-          await req.pool.query(`
-            UPDATE topic_modules 
-            SET duration_minutes = (
-              SELECT COALESCE(SUM(duration_seconds), 0) / 60 
-              FROM topic_videos 
-              WHERE module_id = $1
-            ),
-            updated_at = CURRENT_TIMESTAMP
-            WHERE id = $1
-          `, [existingVideo.module_id]);
-
-          // Update topic duration
-          const moduleResult = await req.pool.query(
-            'SELECT topic_id FROM topic_modules WHERE id = $1',
-            [existingVideo.module_id]
-          );
-          
-          if (moduleResult.rows.length > 0) {
-            await req.pool.query(`
-              UPDATE topics 
+        const replaced = await topicRevisionService.saveWithRevision(req.pool, existingVideo.topic_id, req.user ? req.user.id : null, async client => {
+          const result = await client.query(`
+            UPDATE topic_videos 
+            SET 
+              title = $1,
+              description = $2,
+              video_url = $3,
+              duration_seconds = $4,
+              updated_at = CURRENT_TIMESTAMP
+            WHERE id = $5
+            RETURNING *
+          `, [
+            fileData.title,
+            fileData.description,
+            fileData.url,
+            durationSeconds,
+            videoId
+          ]);
+
+          // Update module duration
+          if (existingVideo?.module_id) {
+            await client.query(`
+              UPDATE topic_modules 
               SET duration_minutes = (
-                SELECT COALESCE(SUM(tm.duration_minutes), 0)
-                FROM topic_modules tm 
-                WHERE tm.topic_id = $1
+                SELECT COALESCE(SUM(duration_seconds), 0) / 60 
+                FROM topic_videos 
+                WHERE module_id = $1
               ),
               updated_at = CURRENT_TIMESTAMP
               WHERE id = $1
-            `, [moduleResult.rows[0].topic_id]);
+            `, [existingVideo.module_id]);
+
+            // Update topic duration
+            const moduleResult = await client.query(
+              'SELECT topic_id FROM topic_modules WHERE id = $1',
+              [existingVideo.module_id]
+            );
+          
+            if (moduleResult.rows.length > 0) {
+              await client.query(`
+                UPDATE topics 
+                SET duration_minutes = (
+                  SELECT COALESCE(SUM(tm.duration_minutes), 0)
+                  FROM topic_modules tm 
+                  WHERE tm.topic_id = $1
+                ),
+                updated_at = CURRENT_TIMESTAMP
+                WHERE id = $1
+              `, [moduleResult.rows[0].topic_id]);
+            }
           }
-        }
+
+          return result;
+        });
+
+        await auditService.record(req, {
+          action: 'video.replace',
+          entityType: 'video',
+          entityId: videoId,
+          before: existingVideo,
+          after: replaced.rows[0]
+        });
 
         // Save upload metadata
         await req.pool.query(`
@@ -1362,7 +1493,7 @@ router.get('/files', async (req, res) => {
  *       404:
  *         description: File not found
  */
-router.delete('/files/:id', async (req, res) => {
+router.delete('/files/:id', requirePermission('uploads:delete'), async (req, res) => {
   try {
     const { id } = req.params;
 
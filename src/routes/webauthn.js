@@ -0,0 +1,339 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateUser, denyImpersonation } = require('../middleware/auth');
+const loginService = require('../services/loginService');
+const webauthnService = require('../services/webauthnService');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Passkey:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: Base64url credential ID
+ *         name:
+ *           type: string
+ *           example: 'MacBook Touch ID'
+ *         device_type:
+ *           type: string
+ *           enum: [singleDevice, multiDevice]
+ *         backed_up:
+ *           type: boolean
+ *         transports:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: ['internal', 'hybrid']
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         last_used_at:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/auth/webauthn/register/options:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Start adding a passkey to the current account
+ *     description: Returns PublicKeyCredentialCreationOptions (JSON) for navigator.credentials.create(). The authenticator must verify the user (PIN or biometric), as passkey sign-in requires it. The challenge expires after 5 minutes.
+ *     responses:
+ *       200:
+ *         description: Registration options
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Not available while an admin is impersonating the user
+ */
+
+// POST /auth/webauthn/register/options
+router.post('/webauthn/register/options', authenticateUser, denyImpersonation, async (req, res) => {
+  try {
+    const options = await webauthnService.generateRegistration(req.pool, req.user);
+    res.json({ success: true, options });
+  } catch (err) {
+    console.error('Error in POST /auth/webauthn/register/options:', err);
+    res.status(500).json({ success: false, error: err.message || 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/webauthn/register/verify:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Finish adding a passkey
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - response
+ *             properties:
+ *               response:
+ *                 type: object
+ *                 description: RegistrationResponseJSON from the browser
+ *               name:
+ *                 type: string
+ *                 example: 'MacBook Touch ID'
+ *     responses:
+ *       201:
+ *         description: Passkey registered
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Passkey'
+ *       400:
+ *         description: Verification failed or challenge expired
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Not available while an admin is impersonating the user
+ */
+
+// POST /auth/webauthn/register/verify
+router.post('/webauthn/register/verify', authenticateUser, denyImpersonation, async (req, res) => {
+  const { response, name } = req.body;
+  if (!response || !response.id || !response.response) {
+    return res.status(400).json({ success: false, error: 'Registration response required' });
+  }
+
+  try {
+    const result = await webauthnService.verifyRegistration(req.pool, req.user, response, name);
+    if (result.error) {
+      return res.status(400).json({ success: false, error: result.error });
+    }
+    res.status(201).json({ success: true, data: result.credential, message: 'Passkey registered' });
+  } catch (err) {
+    console.error('Error in POST /auth/webauthn/register/verify:', err);
+    res.status(500).json({ success: false, error: err.message || 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/webauthn/login/options:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Start a passkey login
+ *     description: Returns PublicKeyCredentialRequestOptions (JSON) for navigator.credentials.get(). Omit email to let the browser offer any saved passkey for this site.
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 example: 'user@example.com'
+ *     responses:
+ *       200:
+ *         description: Authentication options
+ */
+
+// POST /auth/webauthn/login/options
+router.post('/webauthn/login/options', async (req, res) => {
+  try {
+    const options = await webauthnService.generateAuthentication(req.pool, req.body && req.body.email);
+    res.json({ success: true, options });
+  } catch (err) {
+    console.error('Error in POST /auth/webauthn/login/options:', err);
+    res.status(500).json({ success: false, error: err.message || 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/webauthn/login/verify:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Finish a passkey login
+ *     description: Issues the same session and refresh tokens as /api/auth/verify-otp. Passkey logins require user verification on the device, so they also satisfy two-factor requirements.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - response
+ *             properties:
+ *               response:
+ *                 type: object
+ *                 description: AuthenticationResponseJSON from the browser
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 user:
+ *                   type: object
+ *                 sessionToken:
+ *                   type: string
+ *                 refreshToken:
+ *                   type: string
+ *                 expiresIn:
+ *                   type: string
+ *       400:
+ *         description: Authentication response missing
+ *       401:
+ *         description: Passkey could not be verified, or the challenge expired
+ */
+
+// POST /auth/webauthn/login/verify
+router.post('/webauthn/login/verify', async (req, res) => {
+  const { response } = req.body;
+  if (!response || !response.id || !response.response) {
+    return res.status(400).json({ success: false, error: 'Authentication response required' });
+  }
+
+  try {
+    const result = await webauthnService.verifyAuthentication(req.pool, response);
+    if (result.error) {
+      return res.status(401).json({ success: false, error: result.error });
+    }
+    const login = await loginService.completeLogin(req.pool, result.user, req, { mfaVerified: true, method: 'passkey' });
+    if (login.error) {
+      return res.status(403).json({ success: false, error: login.error });
+    }
+    res.json({ success: true, ...login });
+  } catch (err) {
+    console.error('Error in POST /auth/webauthn/login/verify:', err);
+    res.status(500).json({ success: false, error: err.message || 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/webauthn/credentials:
+ *   get:
+ *     tags: [Auth]
+ *     summary: List the current user's passkeys
+ *     responses:
+ *       200:
+ *         description: Registered passkeys
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Passkey'
+ *       401:
+ *         description: Authentication required
+ */
+
+// GET /auth/webauthn/credentials
+router.get('/webauthn/credentials', authenticateUser, async (req, res) => {
+  try {
+    const credentials = await webauthnService.listCredentials(req.pool, req.user.id);
+    res.json({ success: true, data: credentials });
+  } catch (err) {
+    console.error('Error in GET /auth/webauthn/credentials:', err);
+    res.status(500).json({ success: false, error: err.message || 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/webauthn/credentials/{id}:
+ *   put:
+ *     tags: [Auth]
+ *     summary: Rename a passkey
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Passkey renamed
+ *       403:
+ *         description: Not available while an admin is impersonating the user
+ *       404:
+ *         description: Passkey not found
+ *   delete:
+ *     tags: [Auth]
+ *     summary: Remove a passkey
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Passkey removed
+ *       403:
+ *         description: Not available while an admin is impersonating the user
+ *       404:
+ *         description: Passkey not found
+ */
+
+// PUT /auth/webauthn/credentials/:id
+router.put('/webauthn/credentials/:id', authenticateUser, denyImpersonation, async (req, res) => {
+  const { name } = req.body;
+  if (!name || name.trim() === '') {
+    return res.status(400).json({ success: false, error: 'Name is required' });
+  }
+
+  try {
+    const credential = await webauthnService.renameCredential(req.pool, req.user.id, req.params.id, name.trim());
+    if (!credential) {
+      return res.status(404).json({ success: false, error: 'Passkey not found' });
+    }
+    res.json({ success: true, data: credential });
+  } catch (err) {
+    console.error('Error in PUT /auth/webauthn/credentials/:id:', err);
+    res.status(500).json({ success: false, error: err.message || 'Internal server error' });
+  }
+});
+
+// DELETE /auth/webauthn/credentials/:id
+router.delete('/webauthn/credentials/:id', authenticateUser, denyImpersonation, async (req, res) => {
+  try {
+    const deleted = await webauthnService.deleteCredential(req.pool, req.user.id, req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: 'Passkey not found' });
+    }
+    res.json({ success: true, message: 'Passkey removed' });
+  } catch (err) {
+    console.error('Error in DELETE /auth/webauthn/credentials/:id:', err);
+    res.status(500).json({ success: false, error: err.message || 'Internal server error' });
+  }
+});
+
+module.exports = router;
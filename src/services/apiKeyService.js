@@ -0,0 +1,146 @@
+const crypto = require('crypto');
+
+// Keys look like "tck_<prefix><secret>". The prefix is stored in clear so the
+// key can be looked up and recognised in listings; only a hash of the whole
+// key is kept, so a key is shown once at creation and never again.
+const KEY_TAG = 'tck_';
+const PREFIX_LENGTH = 12;
+
+const KEY_COLUMNS = `id, name, key_prefix, scopes, created_by, expires_at, last_used_at, last_used_ip,
+  rotated_at, revoked_at, created_at, updated_at`;
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function hashesMatch(a, b) {
+  if (!a || !b || a.length !== b.length) {
+    return false;
+  }
+  return crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+}
+
+function generateKey() {
+  const prefix = crypto.randomBytes(PREFIX_LENGTH / 2).toString('hex');
+  const key = `${KEY_TAG}${prefix}${crypto.randomBytes(32).toString('base64url')}`;
+  return { key, prefix, hash: hashKey(key) };
+}
+
+function parsePrefix(key) {
+  if (typeof key !== 'string' || !key.startsWith(KEY_TAG) || key.length <= KEY_TAG.length + PREFIX_LENGTH) {
+    return null;
+  }
+  return key.slice(KEY_TAG.length, KEY_TAG.length + PREFIX_LENGTH);
+}
+
+function formatKey(row) {
+  const now = new Date();
+  let status = 'active';
+  if (row.revoked_at) {
+    status = 'revoked';
+  } else if (row.expires_at && new Date(row.expires_at) <= now) {
+    status = 'expired';
+  }
+  return {
+    id: row.id,
+    name: row.name,
+    keyPrefix: `${KEY_TAG}${row.key_prefix}`,
+    scopes: row.scopes,
+    status,
+    createdBy: row.created_by,
+    expiresAt: row.expires_at,
+    lastUsedAt: row.last_used_at,
+    lastUsedIp: row.last_used_ip,
+    rotatedAt: row.rotated_at,
+    revokedAt: row.revoked_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+// Create a key. Resolves to { apiKey, key } where key is the plain value.
+async function createKey(db, { name, scopes, expiresAt, createdBy }) {
+  const { key, prefix, hash } = generateKey();
+  const result = await db.query(
+    `INSERT INTO api_keys (name, key_prefix, key_hash, scopes, created_by, expires_at)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING ${KEY_COLUMNS}`,
+    [name, prefix, hash, scopes, createdBy || null, expiresAt || null]
+  );
+  return { apiKey: formatKey(result.rows[0]), key };
+}
+
+// Resolve a presented key to its record, recording the use. Returns null if
+// the key is unknown, revoked or expired.
+async function authenticateKey(db, key, ip) {
+  const prefix = parsePrefix(key);
+  if (!prefix) {
+    return null;
+  }
+  const result = await db.query(
+    'SELECT id, name, key_hash, scopes, expires_at FROM api_keys WHERE key_prefix = $1 AND revoked_at IS NULL',
+    [prefix]
+  );
+  const row = result.rows[0];
+  if (!row || !hashesMatch(row.key_hash, hashKey(key))) {
+    return null;
+  }
+  if (row.expires_at && new Date(row.expires_at) <= new Date()) {
+    return null;
+  }
+
+  await db.query(
+    'UPDATE api_keys SET last_used_at = $2, last_used_ip = $3 WHERE id = $1',
+    [row.id, new Date(), ip || null]
+  );
+  return { id: row.id, name: row.name, scopes: row.scopes };
+}
+
+async function listKeys(db, { includeRevoked = false } = {}) {
+  const result = await db.query(
+    `SELECT ${KEY_COLUMNS} FROM api_keys
+     ${includeRevoked ? '' : 'WHERE revoked_at IS NULL'}
+     ORDER BY created_at DESC`
+  );
+  return result.rows.map(formatKey);
+}
+
+async function getKey(db, id) {
+  const result = await db.query(`SELECT ${KEY_COLUMNS} FROM api_keys WHERE id = $1`, [id]);
+  return result.rows[0] ? formatKey(result.rows[0]) : null;
+}
+
+// Issue a new secret for an existing key; the old value stops working at once.
+// Resolves to { apiKey, key }, or null if the key is missing or revoked.
+async function rotateKey(db, id) {
+  const { key, prefix, hash } = generateKey();
+  const result = await db.query(
+    `UPDATE api_keys SET key_prefix = $2, key_hash = $3, rotated_at = $4
+     WHERE id = $1 AND revoked_at IS NULL
+     RETURNING ${KEY_COLUMNS}`,
+    [id, prefix, hash, new Date()]
+  );
+  if (result.rows.length === 0) {
+    return null;
+  }
+  return { apiKey: formatKey(result.rows[0]), key };
+}
+
+async function revokeKey(db, id) {
+  const result = await db.query(
+    `UPDATE api_keys SET revoked_at = $2
+     WHERE id = $1 AND revoked_at IS NULL
+     RETURNING ${KEY_COLUMNS}`,
+    [id, new Date()]
+  );
+  return result.rows[0] ? formatKey(result.rows[0]) : null;
+}
+
+module.exports = {
+  createKey,
+  authenticateKey,
+  listKeys,
+  getKey,
+  rotateKey,
+  revokeKey
+};
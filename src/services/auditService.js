@@ -0,0 +1,176 @@
+// Fields that change on every write and would only add noise to diffs
+const IGNORED_FIELDS = ['updated_at', 'updatedAt'];
+
+const CSV_COLUMNS = [
+  'id', 'created_at', 'actor_user_id', 'actor_email', 'actor_api_key_id', 'impersonated_by', 'action',
+  'entity_type', 'entity_id', 'changes', 'ip_address', 'request_id'
+];
+
+// Keys in entry snapshots that identify a person, cleared when they are erased
+const PERSONAL_FIELDS = ['email', 'name', 'phone', 'address', 'avatarUploadId', 'avatarUrl', 'avatar_upload_id'];
+
+// Most exports are far smaller; this keeps a runaway query in check
+const CSV_MAX_ROWS = 50000;
+
+// Round-trip through JSON so dates and numerics compare the way they are stored
+function snapshot(data) {
+  return data === undefined || data === null ? null : JSON.parse(JSON.stringify(data));
+}
+
+// Field-level diff of two row snapshots: { field: { from, to } }, or null
+// when nothing but ignored fields changed
+function diff(before, after) {
+  const changes = {};
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  for (const key of keys) {
+    if (IGNORED_FIELDS.includes(key)) {
+      continue;
+    }
+    const from = before ? before[key] : undefined;
+    const to = after ? after[key] : undefined;
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[key] = { from: from === undefined ? null : from, to: to === undefined ? null : to };
+    }
+  }
+  return Object.keys(changes).length ? changes : null;
+}
+
+// Append an entry for a change made by the current request. `before` and
+// `after` are row snapshots (omit `before` for creates, `after` for deletes).
+// The change has already happened by the time this runs, so a failure is
+// logged rather than turned into an error response. Changes made while an
+// admin impersonates the user also record the admin.
+async function record(req, { action, entityType, entityId, before, after }) {
+  const beforeData = snapshot(before);
+  const afterData = snapshot(after);
+  const changes = diff(beforeData, afterData);
+  try {
+    await req.pool.query(
+      `INSERT INTO audit_log (
+        actor_user_id, actor_email, actor_api_key_id, impersonated_by, action, entity_type, entity_id,
+        before_data, after_data, changes, ip_address, user_agent, request_id
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)`,
+      [
+        req.user ? req.user.id : null,
+        req.user ? req.user.email : null,
+        req.apiKey ? req.apiKey.id : null,
+        req.auth && req.auth.impersonatedBy ? req.auth.impersonatedBy : null,
+        action,
+        entityType,
+        entityId === undefined || entityId === null ? null : String(entityId),
+        beforeData === null ? null : JSON.stringify(beforeData),
+        afterData === null ? null : JSON.stringify(afterData),
+        changes === null ? null : JSON.stringify(changes),
+        req.ip || null,
+        req.get('user-agent') || null,
+        req.id || null
+      ]
+    );
+  } catch (err) {
+    console.error(`Failed to write audit entry ${action} for ${entityType} ${entityId}:`, err);
+  }
+}
+
+// Pseudonymise the log for an erased user, using a client inside the
+// erasure transaction. Entries keep their user ID, action and entity, but
+// lose the actor's email, IP address and user agent, and snapshots of the
+// user (or of anything carrying their email) lose PERSONAL_FIELDS. The
+// append-only trigger allows only this, and only while audit_log.erasure is
+// set for the transaction. Resolves to the number of entries changed.
+async function eraseUser(client, userId, email) {
+  await client.query(`SELECT set_config('audit_log.erasure', 'on', true)`);
+  const actorResult = await client.query(
+    `UPDATE audit_log SET actor_email = NULL, ip_address = NULL, user_agent = NULL
+     WHERE actor_user_id = $1 AND (actor_email IS NOT NULL OR ip_address IS NOT NULL OR user_agent IS NOT NULL)`,
+    [userId]
+  );
+  const subjectResult = await client.query(
+    `UPDATE audit_log
+     SET before_data = CASE WHEN jsonb_typeof(before_data) = 'object' THEN before_data - $3::text[] ELSE before_data END,
+         after_data = CASE WHEN jsonb_typeof(after_data) = 'object' THEN after_data - $3::text[] ELSE after_data END,
+         changes = CASE WHEN jsonb_typeof(changes) = 'object' THEN changes - $3::text[] ELSE changes END
+     WHERE (entity_type = 'user' AND entity_id = $1::text)
+        OR LOWER(before_data->>'email') = LOWER($2)
+        OR LOWER(after_data->>'email') = LOWER($2)`,
+    [String(userId), email, PERSONAL_FIELDS]
+  );
+  await client.query(`SELECT set_config('audit_log.erasure', 'off', true)`);
+  return actorResult.rowCount + subjectResult.rowCount;
+}
+
+function buildFilters({ actorUserId, actorApiKeyId, impersonatedBy, action, entityType, entityId, requestId, from, to }) {
+  const conditions = [];
+  const params = [];
+  const add = (sql, value) => {
+    params.push(value);
+    conditions.push(sql.replace('?', `$${params.length}`));
+  };
+
+  if (actorUserId) add('actor_user_id = ?', actorUserId);
+  if (actorApiKeyId) add('actor_api_key_id = ?', actorApiKeyId);
+  if (impersonatedBy) add('impersonated_by = ?', impersonatedBy);
+  // "topic." matches every topic action
+  if (action) add(action.endsWith('.') ? 'action LIKE ?' : 'action = ?', action.endsWith('.') ? `${action}%` : action);
+  if (entityType) add('entity_type = ?', entityType);
+  if (entityId) add('entity_id = ?', String(entityId));
+  if (requestId) add('request_id = ?', requestId);
+  if (from) add('created_at >= ?', from);
+  if (to) add('created_at <= ?', to);
+
+  return { where: conditions.length ? `WHERE ${conditions.join(' AND ')}` : '', params };
+}
+
+// Newest first. Resolves to { entries, total }.
+async function listEntries(db, filters, { page = 1, limit = 50 } = {}) {
+  const { where, params } = buildFilters(filters);
+  const countResult = await db.query(`SELECT COUNT(*) FROM audit_log ${where}`, params);
+  const result = await db.query(
+    `SELECT * FROM audit_log ${where}
+     ORDER BY created_at DESC, id DESC
+     LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+    [...params, limit, (page - 1) * limit]
+  );
+  return { entries: result.rows, total: parseInt(countResult.rows[0].count) };
+}
+
+async function getEntry(db, id) {
+  const result = await db.query('SELECT * FROM audit_log WHERE id = $1', [id]);
+  return result.rows[0] || null;
+}
+
+function csvValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  let text = value instanceof Date ? value.toISOString() : typeof value === 'object' ? JSON.stringify(value) : String(value);
+  // Stop spreadsheets from evaluating cell contents as formulas
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Matching entries as CSV text, oldest first
+async function exportCsv(db, filters) {
+  const { where, params } = buildFilters(filters);
+  const result = await db.query(
+    `SELECT ${CSV_COLUMNS.join(', ')} FROM audit_log ${where}
+     ORDER BY created_at, id
+     LIMIT ${CSV_MAX_ROWS}`,
+    params
+  );
+  const lines = [CSV_COLUMNS.join(',')];
+  for (const row of result.rows) {
+    lines.push(CSV_COLUMNS.map(column => csvValue(row[column])).join(','));
+  }
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+module.exports = {
+  diff,
+  record,
+  eraseUser,
+  listEntries,
+  getEntry,
+  exportCsv
+};
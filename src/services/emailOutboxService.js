@@ -0,0 +1,250 @@
+const emailService = require('./emailService');
+const {
+  OUTBOX_MAX_ATTEMPTS,
+  OUTBOX_RETRY_BASE_SECONDS,
+  OUTBOX_RETRY_MAX_SECONDS,
+  OUTBOX_BATCH_SIZE,
+  OUTBOX_STALE_LOCK_MINUTES
+} = require('../config/email');
+
+const STATUSES = ['pending', 'sending', 'sent', 'failed'];
+
+// Columns returned to admins. Template data is left out because it can hold
+// one-time codes and login links.
+const LIST_COLUMNS = `id, recipient, template, language, subject, status, attempts, max_attempts,
+  next_attempt_at, last_error, provider_message_id, sent_at, created_at, updated_at`;
+
+function isSecretTemplate(template) {
+  return Boolean(emailService.TEMPLATES[template] && emailService.TEMPLATES[template].secret);
+}
+
+// When the code or link in a secret template's data stops working, from the
+// expiresInMinutes/expiresInDays it is rendered with; null for other templates
+function secretExpiresAt(template, data) {
+  if (!isSecretTemplate(template)) {
+    return null;
+  }
+  const seconds = data.expiresInDays ? data.expiresInDays * 24 * 60 * 60 : (data.expiresInMinutes || 0) * 60;
+  return new Date(Date.now() + seconds * 1000);
+}
+
+// Delay before the next attempt after `attempts` failures
+function retryDelaySeconds(attempts) {
+  return Math.min(OUTBOX_RETRY_BASE_SECONDS * Math.pow(2, attempts - 1), OUTBOX_RETRY_MAX_SECONDS);
+}
+
+// Send a claimed message once and record the outcome
+async function deliver(db, message) {
+  const attempt = message.attempts + 1;
+
+  try {
+    const info = await emailService.sendTemplate({
+      to: message.recipient,
+      template: message.template,
+      language: message.language,
+      data: message.data
+    });
+    const messageId = (info && info.messageId) || null;
+
+    await db.query(
+      `UPDATE email_outbox
+       SET status = 'sent', attempts = $2, sent_at = $3, locked_at = NULL, last_error = NULL,
+           next_attempt_at = NULL, provider_message_id = $4,
+           data = CASE WHEN secret_expires_at IS NULL THEN data ELSE '{}' END
+       WHERE id = $1`,
+      [message.id, attempt, new Date(), messageId]
+    );
+    await db.query(
+      `INSERT INTO email_delivery_attempts (outbox_id, attempt, status, provider_message_id)
+       VALUES ($1, $2, 'sent', $3)`,
+      [message.id, attempt, messageId]
+    );
+    return 'sent';
+  } catch (err) {
+    const error = err.message || String(err);
+    const exhausted = attempt >= message.max_attempts;
+    const nextAttemptAt = exhausted ? null : new Date(Date.now() + retryDelaySeconds(attempt) * 1000);
+
+    console.error(`Email ${message.id} to ${message.recipient} failed (attempt ${attempt}):`, error);
+    await db.query(
+      `UPDATE email_outbox
+       SET status = $2, attempts = $3, locked_at = NULL, last_error = $4, next_attempt_at = $5,
+           data = CASE WHEN $6 AND secret_expires_at IS NOT NULL THEN '{}' ELSE data END
+       WHERE id = $1`,
+      [message.id, exhausted ? 'failed' : 'pending', attempt, error, nextAttemptAt, exhausted]
+    );
+    await db.query(
+      `INSERT INTO email_delivery_attempts (outbox_id, attempt, status, error)
+       VALUES ($1, $2, 'failed', $3)`,
+      [message.id, attempt, error]
+    );
+    return exhausted ? 'failed' : 'pending';
+  }
+}
+
+// Queue a templated email and try to deliver it straight away. If that
+// attempt fails the worker retries it later, so callers only see an error
+// when the message could not be queued at all. The data of secret templates
+// is kept only until the message is sent, fails for good or its code or
+// link expires.
+async function queueEmail(db, { to, template, data = {}, language }) {
+  const rendered = await emailService.renderTemplate(template, data, language);
+
+  const result = await db.query(
+    `INSERT INTO email_outbox (recipient, template, language, subject, data, status, max_attempts, locked_at, secret_expires_at)
+     VALUES ($1, $2, $3, $4, $5, 'sending', $6, $7, $8)
+     RETURNING *`,
+    [
+      to, template, rendered.language, rendered.subject, JSON.stringify(data), OUTBOX_MAX_ATTEMPTS, new Date(),
+      secretExpiresAt(template, data)
+    ]
+  );
+  const message = result.rows[0];
+  const status = await deliver(db, message);
+  return { id: message.id, status };
+}
+
+// Fail undelivered messages whose one-time code or link has expired, and
+// drop the secret data of every such message
+async function expireSecrets(db) {
+  const now = new Date();
+  const staleBefore = new Date(now.getTime() - OUTBOX_STALE_LOCK_MINUTES * 60 * 1000);
+  const result = await db.query(
+    `UPDATE email_outbox
+     SET data = '{}',
+         status = CASE WHEN status IN ('pending', 'sending') THEN 'failed' ELSE status END,
+         last_error = CASE WHEN status IN ('pending', 'sending') THEN 'Expired before delivery' ELSE last_error END,
+         next_attempt_at = NULL, locked_at = NULL
+     WHERE secret_expires_at <= $1 AND data <> '{}'
+       AND (status <> 'sending' OR locked_at < $2)`,
+    [now, staleBefore]
+  );
+  return result.rowCount;
+}
+
+// Claim due messages (plus any left 'sending' by a crashed worker) so that
+// concurrent workers never pick up the same row
+async function claimDueMessages(db, limit) {
+  const now = new Date();
+  const staleBefore = new Date(now.getTime() - OUTBOX_STALE_LOCK_MINUTES * 60 * 1000);
+
+  const result = await db.query(
+    `UPDATE email_outbox SET status = 'sending', locked_at = $1
+     WHERE id IN (
+       SELECT id FROM email_outbox
+       WHERE ((status = 'pending' AND next_attempt_at <= $1)
+          OR (status = 'sending' AND locked_at < $2))
+         AND (secret_expires_at IS NULL OR secret_expires_at > $1)
+       ORDER BY next_attempt_at
+       LIMIT $3
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING *`,
+    [now, staleBefore, limit]
+  );
+  return result.rows;
+}
+
+// Deliver one batch of due messages. Returns counts by outcome.
+async function processOutbox(db, limit = OUTBOX_BATCH_SIZE) {
+  const expired = await expireSecrets(db);
+  const messages = await claimDueMessages(db, limit);
+  const summary = { processed: messages.length, sent: 0, pending: 0, failed: 0, expired };
+
+  for (const message of messages) {
+    const status = await deliver(db, message);
+    summary[status] += 1;
+  }
+  return summary;
+}
+
+// List outbox messages, newest first, with optional filters
+async function listMessages(db, { status, template, recipient, from, to, page = 1, limit = 20 } = {}) {
+  const conditions = [];
+  const params = [];
+
+  if (status) {
+    params.push(status);
+    conditions.push(`status = $${params.length}`);
+  }
+  if (template) {
+    params.push(template);
+    conditions.push(`template = $${params.length}`);
+  }
+  if (recipient) {
+    params.push(`%${recipient}%`);
+    conditions.push(`recipient ILIKE $${params.length}`);
+  }
+  if (from) {
+    params.push(from);
+    conditions.push(`created_at >= $${params.length}`);
+  }
+  if (to) {
+    params.push(to);
+    conditions.push(`created_at <= $${params.length}`);
+  }
+
+  const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+  const countResult = await db.query(`SELECT COUNT(*) FROM email_outbox ${where}`, params);
+
+  params.push(limit, (page - 1) * limit);
+  const result = await db.query(
+    `SELECT ${LIST_COLUMNS} FROM email_outbox ${where}
+     ORDER BY created_at DESC, id DESC
+     LIMIT $${params.length - 1} OFFSET $${params.length}`,
+    params
+  );
+
+  return { messages: result.rows, total: parseInt(countResult.rows[0].count) };
+}
+
+// A single message with its delivery attempts, or null
+async function getMessage(db, id) {
+  const result = await db.query(`SELECT ${LIST_COLUMNS} FROM email_outbox WHERE id = $1`, [id]);
+  if (result.rows.length === 0) {
+    return null;
+  }
+  const attempts = await db.query(
+    `SELECT attempt, status, error, provider_message_id, created_at
+     FROM email_delivery_attempts WHERE outbox_id = $1 ORDER BY attempt, id`,
+    [id]
+  );
+  return { ...result.rows[0], deliveryAttempts: attempts.rows };
+}
+
+// Put a message back in the queue with a fresh set of attempts and deliver
+// it now. Messages currently being sent are left alone, and messages carrying
+// a one-time code or login link are never resent: the user asks for a new one.
+// Resolves to { message } or { status, error }.
+async function resendMessage(db, id) {
+  const existing = await db.query('SELECT template FROM email_outbox WHERE id = $1', [id]);
+  if (existing.rows.length === 0) {
+    return { status: 404, error: 'Email not found' };
+  }
+  if (isSecretTemplate(existing.rows[0].template)) {
+    return { status: 409, error: 'Emails with one-time codes or login links cannot be resent; a new one has to be requested' };
+  }
+
+  const result = await db.query(
+    `UPDATE email_outbox
+     SET status = 'sending', locked_at = $2, next_attempt_at = $2,
+         max_attempts = attempts + $3
+     WHERE id = $1 AND status <> 'sending'
+     RETURNING *`,
+    [id, new Date(), OUTBOX_MAX_ATTEMPTS]
+  );
+  if (result.rows.length === 0) {
+    return { status: 409, error: 'Email is currently being sent' };
+  }
+  await deliver(db, result.rows[0]);
+  return { message: await getMessage(db, id) };
+}
+
+module.exports = {
+  STATUSES,
+  queueEmail,
+  processOutbox,
+  listMessages,
+  getMessage,
+  resendMessage
+};
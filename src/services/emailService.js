@@ -0,0 +1,197 @@
+const fs = require('fs');
+const path = require('path');
+const ejs = require('ejs');
+const nodemailer = require('nodemailer');
+
+const TEMPLATES_DIR = path.join(__dirname, '../views/emails');
+const DEFAULT_LANGUAGE = 'en';
+const SUPPORTED_LANGUAGES = ['en', 'es'];
+const RENDER_OPTIONS = {};
+
+// Templates that can be sent, with sample data used by the admin preview
+// endpoint. `secret` marks templates whose data holds a one-time code or
+// login link; the outbox forgets that data once it is no longer needed.
+const TEMPLATES = {
+  'signup-otp': {
+    secret: true,
+    description: 'OTP sent after /auth/signup',
+    sampleData: { otp: '123456', expiresInMinutes: 10 }
+  },
+  'login-otp': {
+    secret: true,
+    description: 'OTP sent by /auth/send-otp',
+    sampleData: { otp: '123456', expiresInMinutes: 10 }
+  },
+  'magic-link': {
+    secret: true,
+    description: 'Single-use login link sent by /auth/send-magic-link',
+    sampleData: { link: 'https://thinkcyber-server.onrender.com/api/auth/callback?token=sample', expiresInMinutes: 15 }
+  },
+  'account-deletion-scheduled': {
+    description: 'Confirmation sent by POST /api/me/deletion',
+    sampleData: { deletionDate: '2025-01-31', graceDays: 30 }
+  },
+  'new-login-alert': {
+    description: 'Sent when a login comes from a device or network the account has not used before',
+    sampleData: {
+      time: '2025-01-31 09:15 UTC',
+      ipAddress: '203.0.113.7',
+      device: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36',
+      method: 'otp'
+    }
+  },
+  'account-approved': {
+    description: 'Sent by POST /api/admin/users/{id}/approve when a pending signup is approved',
+    sampleData: {}
+  },
+  'invitation': {
+    secret: true,
+    description: 'Invitation link sent by POST /api/admin/invitations and its resend endpoint',
+    sampleData: {
+      link: 'https://thinkcyber-server.onrender.com/api/auth/invitations/accept?token=sample',
+      role: 'author',
+      inviterName: 'Jane Admin',
+      expiresInDays: 7
+    }
+  }
+};
+
+// Transport factories, selected with EMAIL_TRANSPORT (smtp | file | console)
+const transportFactories = {
+  // Real delivery. Uses SMTP_* settings when present, otherwise the Gmail account
+  smtp: () => {
+    if (process.env.SMTP_HOST) {
+      return nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+      });
+    }
+    return nodemailer.createTransport({
+      service: 'gmail',
+      auth: {
+        user: process.env.GMAIL_USER,
+        pass: process.env.GMAIL_PASS
+      }
+    });
+  },
+
+  // Development/tests: write each message as an .eml file to the outbox directory
+  file: () => {
+    const outboxDir = process.env.EMAIL_OUTBOX_DIR || path.join(__dirname, '../../outbox');
+    const transport = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+    return {
+      async sendMail(message) {
+        const info = await transport.sendMail(message);
+        await fs.promises.mkdir(outboxDir, { recursive: true });
+        const safeRecipient = String(message.to).replace(/[^a-zA-Z0-9@._-]/g, '_');
+        const filePath = path.join(outboxDir, `${Date.now()}-${safeRecipient}.eml`);
+        await fs.promises.writeFile(filePath, info.message);
+        return { ...info, filePath };
+      }
+    };
+  },
+
+  // Log the message as JSON instead of sending it
+  console: () => {
+    const transport = nodemailer.createTransport({ jsonTransport: true });
+    return {
+      async sendMail(message) {
+        const info = await transport.sendMail(message);
+        console.log('Email (console transport):', info.message);
+        return info;
+      }
+    };
+  }
+};
+
+let transport = null;
+
+function createTransport(name) {
+  const factory = transportFactories[name];
+  if (!factory) {
+    throw new Error(`Unknown email transport: ${name}. Expected one of: ${Object.keys(transportFactories).join(', ')}`);
+  }
+  return factory();
+}
+
+function getTransport() {
+  if (!transport) {
+    transport = createTransport(process.env.EMAIL_TRANSPORT || 'smtp');
+  }
+  return transport;
+}
+
+// Replace the active transport (e.g. in tests)
+function setTransport(newTransport) {
+  transport = typeof newTransport === 'string' ? createTransport(newTransport) : newTransport;
+}
+
+// Pick a supported language from an explicit code or an Accept-Language style list
+function resolveLanguage(...candidates) {
+  for (const candidate of candidates) {
+    if (!candidate || typeof candidate !== 'string') continue;
+    const code = candidate.trim().toLowerCase().split(/[-_]/)[0];
+    if (SUPPORTED_LANGUAGES.includes(code)) {
+      return code;
+    }
+  }
+  return DEFAULT_LANGUAGE;
+}
+
+// Languages that have their own variant of a template
+function getTemplateLanguages(name) {
+  return SUPPORTED_LANGUAGES.filter(language =>
+    fs.existsSync(path.join(TEMPLATES_DIR, language, `${name}.ejs`))
+  );
+}
+
+function loadSubjects(language) {
+  const subjectsPath = path.join(TEMPLATES_DIR, language, 'subjects.json');
+  return JSON.parse(fs.readFileSync(subjectsPath, 'utf8'));
+}
+
+// Render a template to { subject, html, language }, falling back to English
+// when there is no variant for the requested language
+async function renderTemplate(name, data = {}, language = DEFAULT_LANGUAGE) {
+  if (!TEMPLATES[name]) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+
+  let lang = resolveLanguage(language);
+  if (!fs.existsSync(path.join(TEMPLATES_DIR, lang, `${name}.ejs`))) {
+    lang = DEFAULT_LANGUAGE;
+  }
+
+  // Options are always passed explicitly: with only two arguments ejs reads
+  // render options (such as outputFunctionName) out of the data itself
+  const locals = { ...data, language: lang };
+  const html = await ejs.renderFile(path.join(TEMPLATES_DIR, lang, `${name}.ejs`), locals, RENDER_OPTIONS);
+  const subjects = loadSubjects(lang);
+  const subject = ejs.render(subjects[name] || loadSubjects(DEFAULT_LANGUAGE)[name], locals, RENDER_OPTIONS);
+
+  return { subject, html, language: lang };
+}
+
+// Render a template and deliver it through the configured transport
+async function sendTemplate({ to, template, data = {}, language }) {
+  const { subject, html } = await renderTemplate(template, data, language);
+  return getTransport().sendMail({
+    from: process.env.EMAIL_FROM || process.env.GMAIL_USER,
+    to,
+    subject,
+    html
+  });
+}
+
+module.exports = {
+  TEMPLATES,
+  SUPPORTED_LANGUAGES,
+  createTransport,
+  setTransport,
+  resolveLanguage,
+  getTemplateLanguages,
+  renderTemplate,
+  sendTemplate
+};
@@ -0,0 +1,272 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { JWT_SECRET, INVITATION_TTL_DAYS } = require('../config/auth');
+const emailOutboxService = require('./emailOutboxService');
+
+const PURPOSE = 'invitation';
+
+// Public base URL used in emailed invitation links
+const APP_URL = process.env.APP_URL || 'https://yourapp.com';
+
+const STATUSES = ['pending', 'accepted', 'revoked', 'expired', 'all'];
+
+function formatInvitation(row) {
+  let status = 'pending';
+  if (row.accepted_at) {
+    status = 'accepted';
+  } else if (row.revoked_at) {
+    status = 'revoked';
+  } else if (new Date(row.expires_at) <= new Date()) {
+    status = 'expired';
+  }
+  return {
+    id: row.id,
+    email: row.email,
+    name: row.name,
+    role: row.role,
+    language: row.language,
+    organizationId: row.organization_id,
+    status,
+    invitedBy: row.invited_by,
+    expiresAt: row.expires_at,
+    sendCount: row.send_count,
+    lastSentAt: row.last_sent_at,
+    acceptedAt: row.accepted_at,
+    acceptedUserId: row.accepted_user_id,
+    revokedAt: row.revoked_at,
+    createdAt: row.created_at
+  };
+}
+
+// Sign an invitation link token. Its jti is stored as the invitation's
+// token_id, so issuing a new one invalidates earlier links.
+function signToken(email) {
+  const tokenId = crypto.randomUUID();
+  const token = jwt.sign(
+    { email, purpose: PURPOSE },
+    JWT_SECRET,
+    { expiresIn: `${INVITATION_TTL_DAYS}d`, jwtid: tokenId }
+  );
+  return { token, tokenId, expiresAt: new Date(jwt.decode(token).exp * 1000) };
+}
+
+async function queueInvitationEmail(db, row, token, inviterName) {
+  await emailOutboxService.queueEmail(db, {
+    to: row.email,
+    template: 'invitation',
+    language: row.language,
+    data: {
+      link: `${APP_URL}/api/auth/invitations/accept?token=${encodeURIComponent(token)}`,
+      role: row.role,
+      inviterName: inviterName || 'An administrator',
+      expiresInDays: INVITATION_TTL_DAYS
+    }
+  });
+}
+
+// Invite someone by email and send them the link. Resolves to
+// { invitation } or { status, error }.
+async function createInvitation(db, { email, name, role, language, organizationId, invitedBy, inviterName }) {
+  const existing = await db.query('SELECT id FROM users WHERE LOWER(email) = LOWER($1)', [email]);
+  if (existing.rows.length) {
+    return { status: 409, error: 'A user with this email already exists' };
+  }
+
+  // Close out an expired invitation so the address can be invited again
+  await db.query(
+    `UPDATE user_invitations SET revoked_at = CURRENT_TIMESTAMP
+     WHERE LOWER(email) = LOWER($1) AND accepted_at IS NULL AND revoked_at IS NULL AND expires_at <= $2`,
+    [email, new Date()]
+  );
+
+  const { token, tokenId, expiresAt } = signToken(email);
+  let row;
+  try {
+    const result = await db.query(
+      `INSERT INTO user_invitations (email, name, role, language, organization_id, token_id, invited_by, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING *`,
+      [email, name || null, role, language || null, organizationId || null, tokenId, invitedBy || null, expiresAt]
+    );
+    row = result.rows[0];
+  } catch (err) {
+    if (err.code === '23505') {
+      return { status: 409, error: 'This email already has a pending invitation' };
+    }
+    if (err.code === '23503') {
+      return { status: 400, error: 'Organization not found' };
+    }
+    throw err;
+  }
+  await queueInvitationEmail(db, row, token, inviterName);
+  return { invitation: formatInvitation(row) };
+}
+
+// Newest first. Resolves to { invitations, total }.
+async function listInvitations(db, { status = 'pending', search, page = 1, limit = 20 } = {}) {
+  const conditions = [];
+  const params = [];
+  const now = () => {
+    params.push(new Date());
+    return `$${params.length}`;
+  };
+
+  if (status === 'pending') {
+    conditions.push(`accepted_at IS NULL AND revoked_at IS NULL AND expires_at > ${now()}`);
+  } else if (status === 'expired') {
+    conditions.push(`accepted_at IS NULL AND revoked_at IS NULL AND expires_at <= ${now()}`);
+  } else if (status === 'accepted') {
+    conditions.push('accepted_at IS NOT NULL');
+  } else if (status === 'revoked') {
+    conditions.push('revoked_at IS NOT NULL');
+  }
+  if (search) {
+    params.push(`%${search}%`);
+    conditions.push(`(email ILIKE $${params.length} OR name ILIKE $${params.length})`);
+  }
+
+  const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+  const countResult = await db.query(`SELECT COUNT(*) FROM user_invitations ${where}`, params);
+  const result = await db.query(
+    `SELECT * FROM user_invitations ${where}
+     ORDER BY created_at DESC, id DESC
+     LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+    [...params, limit, (page - 1) * limit]
+  );
+  return { invitations: result.rows.map(formatInvitation), total: parseInt(countResult.rows[0].count) };
+}
+
+async function getInvitation(db, id) {
+  const result = await db.query('SELECT * FROM user_invitations WHERE id = $1', [id]);
+  return result.rows[0] ? formatInvitation(result.rows[0]) : null;
+}
+
+// Send a fresh link for an invitation that has not been accepted or revoked,
+// restarting its expiry. Earlier links stop working. Resolves to
+// { invitation } or { status, error }.
+async function resendInvitation(db, id, { inviterName } = {}) {
+  const existing = await db.query('SELECT * FROM user_invitations WHERE id = $1', [id]);
+  const current = existing.rows[0];
+  if (!current || current.accepted_at || current.revoked_at) {
+    return { status: 404, error: 'Invitation not found or no longer pending' };
+  }
+  const { token, tokenId, expiresAt } = signToken(current.email);
+  const update = await db.query(
+    `UPDATE user_invitations
+     SET token_id = $2, expires_at = $3, send_count = send_count + 1, last_sent_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND accepted_at IS NULL AND revoked_at IS NULL
+     RETURNING *`,
+    [id, tokenId, expiresAt]
+  );
+  if (update.rows.length === 0) {
+    return { status: 404, error: 'Invitation not found or no longer pending' };
+  }
+  await queueInvitationEmail(db, update.rows[0], token, inviterName);
+  return { invitation: formatInvitation(update.rows[0]) };
+}
+
+// Resolves to the revoked invitation, or null if it was not open
+async function revokeInvitation(db, id) {
+  const result = await db.query(
+    `UPDATE user_invitations SET revoked_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND accepted_at IS NULL AND revoked_at IS NULL
+     RETURNING *`,
+    [id]
+  );
+  return result.rows[0] ? formatInvitation(result.rows[0]) : null;
+}
+
+// Token ID of a valid invitation link token, or null
+function verifyToken(token) {
+  let payload;
+  try {
+    payload = jwt.verify(token, JWT_SECRET);
+  } catch (err) {
+    return null;
+  }
+  return payload.purpose === PURPOSE && payload.jti ? payload.jti : null;
+}
+
+// The pending invitation an emailed link is for, without accepting it, so
+// the link can be opened (or prefetched by a mail scanner) safely.
+// Resolves to { invitation } or { status, error }.
+async function findInvitationByToken(db, token) {
+  const tokenId = verifyToken(token);
+  if (!tokenId) {
+    return { status: 400, error: 'Invalid or expired invitation link' };
+  }
+  const result = await db.query(
+    `SELECT * FROM user_invitations
+     WHERE token_id = $1 AND accepted_at IS NULL AND revoked_at IS NULL AND expires_at > $2`,
+    [tokenId, new Date()]
+  );
+  if (result.rows.length === 0) {
+    return { status: 400, error: 'Invalid or expired invitation link' };
+  }
+  return { invitation: formatInvitation(result.rows[0]) };
+}
+
+// Accept an invitation link: create the account with the invited role,
+// already verified (the link proves the mailbox) and approved. Resolves to
+// { user, invitation } or { status, error }.
+async function acceptInvitation(db, token) {
+  const tokenId = verifyToken(token);
+  if (!tokenId) {
+    return { status: 400, error: 'Invalid or expired invitation link' };
+  }
+
+  const client = await db.connect();
+  try {
+    await client.query('BEGIN');
+
+    // Conditional update makes acceptance atomic, so a replayed link fails
+    const invitationResult = await client.query(
+      `UPDATE user_invitations SET accepted_at = CURRENT_TIMESTAMP
+       WHERE token_id = $1 AND accepted_at IS NULL AND revoked_at IS NULL AND expires_at > $2
+       RETURNING *`,
+      [tokenId, new Date()]
+    );
+    if (invitationResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return { status: 400, error: 'Invalid or expired invitation link' };
+    }
+    const invitation = invitationResult.rows[0];
+
+    const existing = await client.query('SELECT id FROM users WHERE LOWER(email) = LOWER($1)', [invitation.email]);
+    if (existing.rows.length) {
+      await client.query('ROLLBACK');
+      return { status: 409, error: 'An account with this email already exists. Sign in instead.' };
+    }
+
+    const userResult = await client.query(
+      `INSERT INTO users (email, name, role, is_verified, organization_id, approval_status, approved_at, approved_by)
+       VALUES ($1, $2, $3, true, $4, 'approved', CURRENT_TIMESTAMP, $5)
+       RETURNING *`,
+      [invitation.email, invitation.name, invitation.role, invitation.organization_id, invitation.invited_by]
+    );
+    const user = userResult.rows[0];
+    const accepted = await client.query(
+      'UPDATE user_invitations SET accepted_user_id = $2 WHERE id = $1 RETURNING *',
+      [invitation.id, user.id]
+    );
+
+    await client.query('COMMIT');
+    return { user, invitation: formatInvitation(accepted.rows[0]) };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  STATUSES,
+  createInvitation,
+  listInvitations,
+  getInvitation,
+  resendInvitation,
+  revokeInvitation,
+  findInvitationByToken,
+  acceptInvitation
+};
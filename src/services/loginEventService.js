@@ -0,0 +1,144 @@
+const crypto = require('crypto');
+const net = require('net');
+const { NEW_LOGIN_ALERTS } = require('../config/auth');
+const emailOutboxService = require('./emailOutboxService');
+
+// Network a login came from: the /24 for IPv4, the /48 for IPv6. Addresses
+// in the same range usually belong to the same ISP line or office.
+function ipRange(ip) {
+  if (!ip) {
+    return null;
+  }
+  const address = ip.startsWith('::ffff:') && net.isIPv4(ip.slice(7)) ? ip.slice(7) : ip;
+  if (net.isIPv4(address)) {
+    return `${address.split('.').slice(0, 3).join('.')}.0/24`;
+  }
+  if (net.isIPv6(address)) {
+    // Expand "::" so the first three groups are always present
+    const [head, tail = ''] = address.split('::');
+    const headGroups = head ? head.split(':') : [];
+    const tailGroups = tail ? tail.split(':') : [];
+    const groups = address.includes('::')
+      ? [...headGroups, ...Array(8 - headGroups.length - tailGroups.length).fill('0'), ...tailGroups]
+      : headGroups;
+    return `${groups.slice(0, 3).map(group => parseInt(group, 16).toString(16)).join(':')}::/48`;
+  }
+  return null;
+}
+
+// Browser and OS family from the user agent with version numbers removed, so
+// a browser update does not look like a new device
+function deviceFingerprint(userAgent) {
+  if (!userAgent) {
+    return null;
+  }
+  const family = userAgent.replace(/\d+([._]\d+)*/g, '').replace(/\s+/g, ' ').trim().toLowerCase();
+  return crypto.createHash('sha256').update(family).digest('hex').slice(0, 32);
+}
+
+function formatEvent(row) {
+  return {
+    id: Number(row.id),
+    userId: row.user_id,
+    method: row.method,
+    success: row.success,
+    failureReason: row.failure_reason,
+    ipAddress: row.ip_address,
+    userAgent: row.user_agent,
+    unfamiliar: row.unfamiliar,
+    createdAt: row.created_at
+  };
+}
+
+// Has the user ever signed in successfully, and from this device or network?
+async function getFamiliarity(db, userId, fingerprint, range) {
+  const result = await db.query(
+    `SELECT
+       COUNT(*) AS logins,
+       COUNT(*) FILTER (WHERE device_fingerprint = $2) AS same_device,
+       COUNT(*) FILTER (WHERE ip_range = $3) AS same_range
+     FROM login_events
+     WHERE user_id = $1 AND success`,
+    [userId, fingerprint, range]
+  );
+  const row = result.rows[0];
+  return {
+    firstLogin: parseInt(row.logins) === 0,
+    knownDevice: parseInt(row.same_device) > 0,
+    knownRange: parseInt(row.same_range) > 0
+  };
+}
+
+// Record a completed login. When it comes from a device or network the account
+// has not used before (and is not the account's first login), the user is
+// emailed about it. Resolves to the stored event.
+async function recordSuccess(db, user, req, { method }) {
+  const userAgent = req ? req.get('user-agent') || null : null;
+  const ip = req ? req.ip || null : null;
+  const fingerprint = deviceFingerprint(userAgent);
+  const range = ipRange(ip);
+
+  const { firstLogin, knownDevice, knownRange } = await getFamiliarity(db, user.id, fingerprint, range);
+  const unfamiliar = !firstLogin && (!knownDevice || !knownRange);
+
+  const result = await db.query(
+    `INSERT INTO login_events (user_id, email, method, success, ip_address, ip_range, user_agent, device_fingerprint, unfamiliar)
+     VALUES ($1, $2, $3, true, $4, $5, $6, $7, $8)
+     RETURNING *`,
+    [user.id, user.email, method, ip, range, userAgent, fingerprint, unfamiliar]
+  );
+  const event = result.rows[0];
+
+  if (unfamiliar && NEW_LOGIN_ALERTS) {
+    await emailOutboxService.queueEmail(db, {
+      to: user.email,
+      template: 'new-login-alert',
+      language: user.preferred_language,
+      data: {
+        time: event.created_at.toISOString().replace('T', ' ').slice(0, 16) + ' UTC',
+        ipAddress: ip || 'unknown',
+        device: userAgent || 'unknown',
+        method
+      }
+    });
+  }
+  return event;
+}
+
+// Record a rejected login attempt. userId is null when the email did not
+// match an account.
+async function recordFailure(db, req, { userId, email, method, reason }) {
+  const userAgent = req ? req.get('user-agent') || null : null;
+  const ip = req ? req.ip || null : null;
+  await db.query(
+    `INSERT INTO login_events (user_id, email, method, success, failure_reason, ip_address, ip_range, user_agent, device_fingerprint)
+     VALUES ($1, $2, $3, false, $4, $5, $6, $7, $8)`,
+    [userId || null, email || null, method, reason, ip, ipRange(ip), userAgent, deviceFingerprint(userAgent)]
+  );
+}
+
+// A user's login history, newest first. Resolves to { events, total }.
+async function listEvents(db, userId, { success, page = 1, limit = 20 } = {}) {
+  const params = [userId];
+  let where = 'WHERE user_id = $1';
+  if (success !== undefined) {
+    params.push(success);
+    where += ` AND success = $${params.length}`;
+  }
+  const countResult = await db.query(`SELECT COUNT(*) FROM login_events ${where}`, params);
+  const result = await db.query(
+    `SELECT * FROM login_events ${where}
+     ORDER BY created_at DESC, id DESC
+     LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+    [...params, limit, (page - 1) * limit]
+  );
+  return { events: result.rows.map(formatEvent), total: parseInt(countResult.rows[0].count) };
+}
+
+module.exports = {
+  ipRange,
+  deviceFingerprint,
+  recordSuccess,
+  recordFailure,
+  listEvents
+};
@@ -0,0 +1,38 @@
+const sessionService = require('./sessionService');
+const totpService = require('./totpService');
+const profileService = require('./profileService');
+const loginEventService = require('./loginEventService');
+
+// Finish a login once the user has proven who they are. Users with two-factor
+// authentication get a challenge token for /api/auth/2fa/verify instead of a
+// session, unless the login already included a second factor (mfaVerified).
+// `method` (otp, magic_link, passkey, sso, 2fa, invitation) is kept in the
+// login history.
+// Resolves to the fields to merge into the JSON response, including whether
+// the user still has to complete their profile, or to { error } when the
+// account may not sign in.
+async function completeLogin(db, user, req, { mfaVerified = false, method } = {}) {
+  if (user.deleted_at) {
+    await loginEventService.recordFailure(db, req, { userId: user.id, email: user.email, method, reason: 'account_deactivated' });
+    return { error: 'This account has been deactivated' };
+  }
+  if (user.approval_status === 'pending') {
+    await loginEventService.recordFailure(db, req, { userId: user.id, email: user.email, method, reason: 'pending_approval' });
+    return { error: 'This account is waiting for administrator approval' };
+  }
+  if (!mfaVerified && await totpService.isEnabled(db, user.id)) {
+    return {
+      mfaRequired: true,
+      mfaToken: totpService.issueChallenge(user),
+      message: 'Enter the code from your authenticator app'
+    };
+  }
+  // Start a server-side session and issue access + refresh tokens
+  const tokens = await sessionService.createSession(db, user, req, { mfaVerified });
+  await loginEventService.recordSuccess(db, user, req, { method });
+  return { user, ...tokens, ...profileService.getCompleteness(user) };
+}
+
+module.exports = {
+  completeLogin
+};
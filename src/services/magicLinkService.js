@@ -0,0 +1,94 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { JWT_SECRET, MAGIC_LINK_EXPIRES_IN, OTP_RESEND_COOLDOWN_SECONDS } = require('../config/auth');
+
+const PURPOSE = 'magic_link';
+
+// Seconds the user must wait before another link may be sent (0 = can send now)
+async function getResendCooldown(db, userId) {
+  const result = await db.query(
+    `SELECT EXTRACT(EPOCH FROM (CURRENT_TIMESTAMP - created_at)) AS elapsed
+     FROM magic_link_tokens WHERE user_id = $1 ORDER BY created_at DESC LIMIT 1`,
+    [userId]
+  );
+  if (result.rows.length === 0) {
+    return 0;
+  }
+  const elapsed = parseFloat(result.rows[0].elapsed);
+  return Math.max(0, Math.ceil(OTP_RESEND_COOLDOWN_SECONDS - elapsed));
+}
+
+// Sign a single-use login token for the user and record its jti.
+// Any links sent earlier stop working.
+async function issueMagicLink(db, user, req) {
+  const jti = crypto.randomUUID();
+  const token = jwt.sign(
+    { userId: user.id, email: user.email, purpose: PURPOSE },
+    JWT_SECRET,
+    { expiresIn: MAGIC_LINK_EXPIRES_IN, jwtid: jti }
+  );
+  const expiresAt = new Date(jwt.decode(token).exp * 1000);
+
+  await db.query(
+    'UPDATE magic_link_tokens SET consumed_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND consumed_at IS NULL',
+    [user.id]
+  );
+  await db.query(
+    'INSERT INTO magic_link_tokens (id, user_id, expires_at, requested_ip) VALUES ($1, $2, $3, $4)',
+    [jti, user.id, expiresAt, req ? req.ip || null : null]
+  );
+
+  return { token, expiresAt };
+}
+
+// Payload of a valid magic-link token, or null
+function verifyToken(token) {
+  let payload;
+  try {
+    payload = jwt.verify(token, JWT_SECRET);
+  } catch (err) {
+    return null;
+  }
+  return payload.purpose === PURPOSE && payload.jti ? payload : null;
+}
+
+// The user a magic-link token is for, without using it up, so the link can
+// be opened (or prefetched by a mail scanner) safely. Returns { userId, email }
+// or null if the token is invalid, expired or was already consumed.
+async function findMagicLink(db, token) {
+  const payload = verifyToken(token);
+  if (!payload) {
+    return null;
+  }
+  const result = await db.query(
+    `SELECT t.user_id, u.email FROM magic_link_tokens t JOIN users u ON u.id = t.user_id
+     WHERE t.id = $1 AND t.user_id = $2 AND t.consumed_at IS NULL AND t.expires_at > $3`,
+    [payload.jti, payload.userId, new Date()]
+  );
+  return result.rows.length ? { userId: result.rows[0].user_id, email: result.rows[0].email } : null;
+}
+
+// Verify a magic-link token and mark it used. Returns the user id, or null if
+// the token is invalid, expired or was already consumed.
+async function consumeMagicLink(db, token) {
+  const payload = verifyToken(token);
+  if (!payload) {
+    return null;
+  }
+
+  // Conditional update makes consumption atomic, so a replayed link fails
+  const result = await db.query(
+    `UPDATE magic_link_tokens SET consumed_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND user_id = $2 AND consumed_at IS NULL AND expires_at > $3
+     RETURNING user_id`,
+    [payload.jti, payload.userId, new Date()]
+  );
+  return result.rows.length ? result.rows[0].user_id : null;
+}
+
+module.exports = {
+  getResendCooldown,
+  issueMagicLink,
+  findMagicLink,
+  consumeMagicLink
+};
@@ -0,0 +1,309 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const {
+  SSO_REDIRECT_URI,
+  SSO_STATE_TTL_MINUTES,
+  OIDC_METADATA_CACHE_SECONDS
+} = require('../config/auth');
+const { normalizeEmail, findUserByEmail } = require('./userService');
+
+const SUPPORTED_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'ES256', 'ES384', 'ES512', 'PS256'];
+
+// Discovery documents and key sets, keyed by URL
+const metadataCache = new Map();
+
+async function fetchJson(url, options) {
+  const response = await fetch(url, options);
+  const body = await response.json().catch(() => null);
+  if (!response.ok) {
+    const detail = body && (body.error_description || body.error);
+    throw new Error(`Request to ${url} failed with ${response.status}${detail ? `: ${detail}` : ''}`);
+  }
+  return body;
+}
+
+async function fetchCached(url, { refresh = false } = {}) {
+  const cached = metadataCache.get(url);
+  if (!refresh && cached && Date.now() - cached.fetchedAt < OIDC_METADATA_CACHE_SECONDS * 1000) {
+    return cached.value;
+  }
+  const value = await fetchJson(url);
+  metadataCache.set(url, { value, fetchedAt: Date.now() });
+  return value;
+}
+
+// Load the issuer's /.well-known/openid-configuration
+async function discover(issuer) {
+  const url = `${issuer.replace(/\/+$/, '')}/.well-known/openid-configuration`;
+  const metadata = await fetchCached(url);
+  if (metadata.issuer !== issuer) {
+    throw new Error(`Discovery document issuer ${metadata.issuer} does not match ${issuer}`);
+  }
+  for (const field of ['authorization_endpoint', 'token_endpoint', 'jwks_uri']) {
+    if (!metadata[field]) {
+      throw new Error(`Discovery document is missing ${field}`);
+    }
+  }
+  return metadata;
+}
+
+// Find the signing key for a token, refetching the JWKS once if the key is
+// unknown (the IdP may have rotated keys since we cached them)
+async function getSigningKey(jwksUri, kid) {
+  for (const refresh of [false, true]) {
+    const { keys = [] } = await fetchCached(jwksUri, { refresh });
+    const jwk = keys.find(key => (!kid || key.kid === kid) && (!key.use || key.use === 'sig'));
+    if (jwk) {
+      return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+    }
+  }
+  throw new Error('No matching signing key in the identity provider JWKS');
+}
+
+function base64url(buffer) {
+  return buffer.toString('base64url');
+}
+
+// Load an enabled connection with its organization
+async function getConnectionBySlug(db, slug) {
+  const result = await db.query(
+    `SELECT c.*, o.name AS organization_name, o.slug AS organization_slug
+     FROM oidc_connections c JOIN organizations o ON o.id = c.organization_id
+     WHERE o.slug = $1 AND c.enabled = true`,
+    [slug]
+  );
+  return result.rows[0] || null;
+}
+
+// Find the organization whose SSO covers an email address's domain
+async function findConnectionForEmail(db, email) {
+  const domain = normalizeEmail(String(email)).split('@')[1];
+  if (!domain) {
+    return null;
+  }
+  const result = await db.query(
+    `SELECT c.*, o.name AS organization_name, o.slug AS organization_slug
+     FROM oidc_connections c JOIN organizations o ON o.id = c.organization_id
+     WHERE $1 = ANY(o.email_domains) AND c.enabled = true`,
+    [domain]
+  );
+  return result.rows[0] || null;
+}
+
+// Build the IdP authorization URL (authorization code flow with PKCE) and
+// remember the state, nonce and code verifier for the callback. With
+// linkUserId the callback links the identity to that user instead of
+// signing in.
+async function beginLogin(db, connection, { loginHint, linkUserId = null } = {}) {
+  const metadata = await discover(connection.issuer);
+  const state = base64url(crypto.randomBytes(32));
+  const nonce = base64url(crypto.randomBytes(32));
+  const codeVerifier = base64url(crypto.randomBytes(48));
+  const codeChallenge = base64url(crypto.createHash('sha256').update(codeVerifier).digest());
+
+  await db.query('DELETE FROM oidc_login_states WHERE expires_at < $1', [new Date()]);
+  await db.query(
+    `INSERT INTO oidc_login_states (state, connection_id, code_verifier, nonce, expires_at, link_user_id)
+     VALUES ($1, $2, $3, $4, $5, $6)`,
+    [state, connection.id, codeVerifier, nonce, new Date(Date.now() + SSO_STATE_TTL_MINUTES * 60 * 1000), linkUserId]
+  );
+
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: connection.client_id,
+    redirect_uri: SSO_REDIRECT_URI,
+    scope: connection.scopes,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256'
+  });
+  if (loginHint) {
+    params.set('login_hint', loginHint);
+  }
+  return `${metadata.authorization_endpoint}?${params.toString()}`;
+}
+
+// Exchange the authorization code and validate the ID token.
+// Resolves to the verified ID token claims.
+async function exchangeCode(connection, metadata, code, codeVerifier, nonce) {
+  const body = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: SSO_REDIRECT_URI,
+    client_id: connection.client_id,
+    code_verifier: codeVerifier
+  });
+  if (connection.client_secret) {
+    body.set('client_secret', connection.client_secret);
+  }
+
+  const tokens = await fetchJson(metadata.token_endpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+    body
+  });
+  if (!tokens.id_token) {
+    throw new Error('Token response did not include an id_token');
+  }
+
+  const decoded = jwt.decode(tokens.id_token, { complete: true });
+  if (!decoded || !SUPPORTED_ALGORITHMS.includes(decoded.header.alg)) {
+    throw new Error('ID token is malformed or uses an unsupported algorithm');
+  }
+  const key = await getSigningKey(metadata.jwks_uri, decoded.header.kid);
+  const claims = jwt.verify(tokens.id_token, key, {
+    algorithms: [decoded.header.alg],
+    issuer: metadata.issuer,
+    audience: connection.client_id,
+    clockTolerance: 60
+  });
+  if (claims.nonce !== nonce) {
+    throw new Error('ID token nonce does not match');
+  }
+  if (!claims.sub) {
+    throw new Error('ID token has no subject');
+  }
+  return claims;
+}
+
+function emailDomain(email) {
+  return email.split('@')[1] || '';
+}
+
+// Resolve the IdP identity to a local user: an existing link, then an
+// account with the same (IdP-verified) email, then a new account if the
+// connection allows just-in-time provisioning. An IdP only speaks for
+// addresses in its organization's email domains, and is never trusted to
+// take over admins or members of other organizations by email alone: those
+// accounts have to link the identity themselves (linkIdentity).
+async function provisionUser(db, connection, claims) {
+  const email = claims.email ? normalizeEmail(String(claims.email)) : null;
+  const emailVerified = claims.email_verified === true || claims.email_verified === 'true';
+
+  const linked = await db.query(
+    `SELECT u.* FROM user_identities i JOIN users u ON u.id = i.user_id
+     WHERE i.connection_id = $1 AND i.subject = $2`,
+    [connection.id, claims.sub]
+  );
+  if (linked.rows.length) {
+    await db.query(
+      'UPDATE user_identities SET last_login_at = CURRENT_TIMESTAMP, email = $3 WHERE connection_id = $1 AND subject = $2',
+      [connection.id, claims.sub, email]
+    );
+    return { user: linked.rows[0] };
+  }
+
+  if (!email) {
+    return { error: 'The identity provider did not return an email address' };
+  }
+  if (!(connection.email_domains || []).includes(emailDomain(email))) {
+    return { error: `${emailDomain(email)} is not an email domain of this organization` };
+  }
+
+  let user;
+  const existing = await findUserByEmail(db, email);
+  if (existing) {
+    // Only link to an existing account when the IdP vouches for the address
+    if (!emailVerified) {
+      return { error: 'The identity provider has not verified this email address, so it cannot be linked to an existing account' };
+    }
+    if (existing.role === 'admin' || (existing.organization_id && existing.organization_id !== connection.organization_id)) {
+      return { error: 'This account cannot be linked automatically. Sign in another way and link single sign-on from your account.' };
+    }
+    const update = await db.query(
+      `UPDATE users SET is_verified = true, organization_id = COALESCE(organization_id, $2)
+       WHERE id = $1 RETURNING *`,
+      [existing.id, connection.organization_id]
+    );
+    user = update.rows[0];
+  } else {
+    if (!connection.jit_provisioning) {
+      return { error: 'No account exists for this user. Ask an administrator to invite you.' };
+    }
+    const name = (claims.name || [claims.given_name, claims.family_name].filter(Boolean).join(' ') || email.split('@')[0]).slice(0, 50);
+    const insert = await db.query(
+      `INSERT INTO users (email, name, is_verified, role, organization_id)
+       VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+      [email, name, emailVerified, connection.default_role, connection.organization_id]
+    );
+    user = insert.rows[0];
+  }
+
+  await db.query(
+    `INSERT INTO user_identities (user_id, connection_id, subject, email, last_login_at)
+     VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP)`,
+    [user.id, connection.id, claims.sub, email]
+  );
+  return { user };
+}
+
+// Link the IdP identity to a user who started the flow while signed in.
+// Having proven control of both, the account needs no email or domain
+// match. Resolves to { user, linked: true } or { error }.
+async function linkIdentity(db, connection, claims, userId) {
+  const email = claims.email ? normalizeEmail(String(claims.email)) : null;
+  const existing = await db.query(
+    'SELECT user_id FROM user_identities WHERE connection_id = $1 AND subject = $2',
+    [connection.id, claims.sub]
+  );
+  if (existing.rows.length && existing.rows[0].user_id !== userId) {
+    return { error: 'This identity is already linked to another account' };
+  }
+  if (!existing.rows.length) {
+    await db.query(
+      `INSERT INTO user_identities (user_id, connection_id, subject, email)
+       VALUES ($1, $2, $3, $4)`,
+      [userId, connection.id, claims.sub, email]
+    );
+  }
+  const user = await db.query('SELECT * FROM users WHERE id = $1', [userId]);
+  return { user: user.rows[0], linked: true };
+}
+
+// Complete the login (or link) for an IdP callback. Resolves to { user },
+// { user, linked: true } or { error }.
+async function handleCallback(db, { code, state }) {
+  const stateResult = await db.query(
+    `DELETE FROM oidc_login_states WHERE state = $1 AND expires_at > $2
+     RETURNING connection_id, code_verifier, nonce, link_user_id`,
+    [state, new Date()]
+  );
+  if (stateResult.rows.length === 0) {
+    return { error: 'Login request expired or was already used, please start again' };
+  }
+  const loginState = stateResult.rows[0];
+
+  const connectionResult = await db.query(
+    `SELECT c.*, o.email_domains
+     FROM oidc_connections c JOIN organizations o ON o.id = c.organization_id
+     WHERE c.id = $1 AND c.enabled = true`,
+    [loginState.connection_id]
+  );
+  if (connectionResult.rows.length === 0) {
+    return { error: 'Single sign-on is no longer enabled for this organization' };
+  }
+  const connection = connectionResult.rows[0];
+
+  let claims;
+  try {
+    const metadata = await discover(connection.issuer);
+    claims = await exchangeCode(connection, metadata, code, loginState.code_verifier, loginState.nonce);
+  } catch (err) {
+    console.error(`OIDC login failed for connection ${connection.id}:`, err.message);
+    return { error: `Identity provider login failed: ${err.message}` };
+  }
+
+  if (loginState.link_user_id) {
+    return linkIdentity(db, connection, claims, loginState.link_user_id);
+  }
+  return provisionUser(db, connection, claims);
+}
+
+module.exports = {
+  discover,
+  getConnectionBySlug,
+  findConnectionForEmail,
+  beginLogin,
+  handleCallback
+};
@@ -0,0 +1,89 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const {
+  OTP_TTL_MINUTES,
+  OTP_MAX_ATTEMPTS,
+  OTP_RESEND_COOLDOWN_SECONDS
+} = require('../config/auth');
+
+const scrypt = promisify(crypto.scrypt);
+
+async function hashOtp(otp, salt) {
+  const derived = await scrypt(otp, salt, 32);
+  return derived.toString('hex');
+}
+
+// 6-digit code from a CSPRNG
+function generateOtp() {
+  return crypto.randomInt(100000, 1000000).toString();
+}
+
+// Seconds the user must wait before another code may be sent (0 = can send now)
+async function getResendCooldown(db, userId) {
+  const result = await db.query(
+    `SELECT EXTRACT(EPOCH FROM (CURRENT_TIMESTAMP - created_at)) AS elapsed
+     FROM otp_verifications WHERE user_id = $1 ORDER BY created_at DESC LIMIT 1`,
+    [userId]
+  );
+  if (result.rows.length === 0) {
+    return 0;
+  }
+  const elapsed = parseFloat(result.rows[0].elapsed);
+  return Math.max(0, Math.ceil(OTP_RESEND_COOLDOWN_SECONDS - elapsed));
+}
+
+// Create a new code for the user, invalidating any previous ones.
+// Returns the plaintext code so it can be emailed; only its hash is stored.
+async function issueOtp(db, userId) {
+  const otp = generateOtp();
+  const salt = crypto.randomBytes(16).toString('hex');
+  const otpHash = await hashOtp(otp, salt);
+  const expiresAt = new Date(Date.now() + OTP_TTL_MINUTES * 60 * 1000);
+
+  await db.query('DELETE FROM otp_verifications WHERE user_id = $1', [userId]);
+  await db.query(
+    'INSERT INTO otp_verifications (user_id, otp_hash, otp_salt, expires_at) VALUES ($1, $2, $3, $4)',
+    [userId, otpHash, salt, expiresAt]
+  );
+
+  return { otp, expiresAt };
+}
+
+// Check a submitted code against the user's current OTP and consume it on success
+async function verifyOtp(db, userId, otp) {
+  // Clients may send the code as a JSON number
+  const code = otp === undefined || otp === null ? '' : String(otp).trim();
+  if (!/^\d{6}$/.test(code)) {
+    return false;
+  }
+
+  // Count the attempt before comparing so parallel guesses cannot exceed the limit
+  const result = await db.query(
+    `UPDATE otp_verifications
+     SET attempts = attempts + 1
+     WHERE id = (
+       SELECT id FROM otp_verifications WHERE user_id = $1 ORDER BY created_at DESC LIMIT 1
+     ) AND attempts < $2 AND expires_at > $3
+     RETURNING *`,
+    [userId, OTP_MAX_ATTEMPTS, new Date()]
+  );
+  if (result.rows.length === 0) {
+    return false;
+  }
+
+  const record = result.rows[0];
+  const candidate = Buffer.from(await hashOtp(code, record.otp_salt), 'hex');
+  const stored = Buffer.from(record.otp_hash, 'hex');
+  if (candidate.length !== stored.length || !crypto.timingSafeEqual(candidate, stored)) {
+    return false;
+  }
+
+  await db.query('DELETE FROM otp_verifications WHERE id = $1', [record.id]);
+  return true;
+}
+
+module.exports = {
+  getResendCooldown,
+  issueOtp,
+  verifyOtp
+};
@@ -0,0 +1,276 @@
+const fs = require('fs');
+const path = require('path');
+const archiver = require('archiver');
+const { ACCOUNT_DELETION_GRACE_DAYS } = require('../config/privacy');
+const { emailKey } = require('./throttleService');
+const auditService = require('./auditService');
+
+const CONSENT_DOCUMENTS = {
+  terms_conditions: 'terms_conditions',
+  privacy_policy: 'privacy_policies'
+};
+
+const EXPORT_README = `ThinkCyber personal data export
+
+profile.json            Your account record
+topic_enrollments.json  Topics you enrolled in
+topic_progress.json     Per-video progress
+topic_reviews.json      Ratings and reviews you wrote
+consents.json           Terms and privacy policy versions you accepted
+uploads.json            Files you uploaded (copies are in the uploads/ folder)
+sessions.json           Devices you signed in from
+login_history.json      Sign-in attempts to your account
+passkeys.json           Passkeys registered to your account
+sso_identities.json     Single sign-on identities linked to your account
+privacy_requests.json   Export and deletion requests you made
+`;
+
+// Every query takes the user id as $1. Secrets (token hashes, keys) are left out.
+const EXPORT_QUERIES = {
+  profile: 'SELECT * FROM users WHERE id = $1',
+  topic_enrollments: `SELECT e.*, t.title AS topic_title FROM topic_enrollments e
+    LEFT JOIN topics t ON t.id = e.topic_id WHERE e.user_id = $1 ORDER BY e.enrolled_at`,
+  topic_progress: `SELECT p.*, t.title AS topic_title, v.title AS video_title FROM topic_progress p
+    LEFT JOIN topics t ON t.id = p.topic_id LEFT JOIN topic_videos v ON v.id = p.video_id
+    WHERE p.user_id = $1 ORDER BY p.created_at`,
+  topic_reviews: `SELECT r.*, t.title AS topic_title FROM topic_reviews r
+    LEFT JOIN topics t ON t.id = r.topic_id WHERE r.user_id = $1 ORDER BY r.created_at`,
+  consents: 'SELECT * FROM user_consents WHERE user_id = $1 ORDER BY accepted_at',
+  uploads: `SELECT id, filename, original_name, file_size, mime_type, upload_type, category, metadata, created_at
+    FROM uploads WHERE metadata->>'userId' = $1::text ORDER BY created_at`,
+  sessions: `SELECT id, user_agent, ip_address, created_at, last_used_at, expires_at, revoked_at, revoked_reason
+    FROM user_sessions WHERE user_id = $1 ORDER BY created_at`,
+  login_history: `SELECT method, success, failure_reason, ip_address, user_agent, unfamiliar, created_at
+    FROM login_events WHERE user_id = $1 ORDER BY created_at`,
+  passkeys: `SELECT name, device_type, backed_up, transports, created_at, last_used_at
+    FROM user_credentials WHERE user_id = $1 ORDER BY created_at`,
+  sso_identities: `SELECT i.subject, i.email, o.name AS organization, i.created_at, i.last_login_at
+    FROM user_identities i JOIN oidc_connections c ON c.id = i.connection_id
+    JOIN organizations o ON o.id = c.organization_id WHERE i.user_id = $1`,
+  privacy_requests: 'SELECT * FROM privacy_requests WHERE user_id = $1 ORDER BY requested_at'
+};
+
+// Stream a ZIP of everything we hold about the user to `output` (e.g. the
+// response). Resolves once the archive has been written.
+async function writeExport(db, userId, output, { ip } = {}) {
+  const sections = {};
+  for (const [name, query] of Object.entries(EXPORT_QUERIES)) {
+    const result = await db.query(query, [userId]);
+    sections[name] = name === 'profile' ? result.rows[0] : result.rows;
+  }
+  const files = await db.query(
+    `SELECT filename, file_path FROM uploads WHERE metadata->>'userId' = $1::text`,
+    [String(userId)]
+  );
+
+  await db.query(
+    `INSERT INTO privacy_requests (user_id, type, status, ip_address, completed_at)
+     VALUES ($1, 'export', 'completed', $2, $3)`,
+    [userId, ip || null, new Date()]
+  );
+
+  const archive = archiver('zip', { zlib: { level: 9 } });
+  const done = new Promise((resolve, reject) => {
+    archive.on('error', reject);
+    output.on('close', resolve);
+    output.on('finish', resolve);
+  });
+  archive.pipe(output);
+
+  archive.append(EXPORT_README, { name: 'README.txt' });
+  for (const [name, data] of Object.entries(sections)) {
+    archive.append(JSON.stringify(data, null, 2), { name: `${name}.json` });
+  }
+  for (const file of files.rows) {
+    if (fs.existsSync(file.file_path)) {
+      archive.file(file.file_path, { name: `uploads/${file.filename}` });
+    }
+  }
+
+  await archive.finalize();
+  return done;
+}
+
+async function getPendingDeletion(db, userId) {
+  const result = await db.query(
+    `SELECT * FROM privacy_requests
+     WHERE user_id = $1 AND type = 'deletion' AND status = 'pending'`,
+    [userId]
+  );
+  return result.rows[0] || null;
+}
+
+// Schedule the account for erasure after the grace period.
+// Resolves to { request } or { error } if one is already pending.
+async function requestDeletion(db, userId, { ip } = {}) {
+  const scheduledFor = new Date(Date.now() + ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+  try {
+    const result = await db.query(
+      `INSERT INTO privacy_requests (user_id, type, status, ip_address, scheduled_for)
+       VALUES ($1, 'deletion', 'pending', $2, $3)
+       RETURNING *`,
+      [userId, ip || null, scheduledFor]
+    );
+    return { request: result.rows[0] };
+  } catch (err) {
+    if (err.code === '23505') {
+      return { error: 'Account deletion is already scheduled' };
+    }
+    throw err;
+  }
+}
+
+async function cancelDeletion(db, userId) {
+  const result = await db.query(
+    `UPDATE privacy_requests SET status = 'cancelled', cancelled_at = $2
+     WHERE user_id = $1 AND type = 'deletion' AND status = 'pending'
+     RETURNING *`,
+    [userId, new Date()]
+  );
+  return result.rows[0] || null;
+}
+
+// Erase a user. Learning records, reviews, consents, uploads and invitations
+// are deleted, emails queued to the address are purged, authored topics are
+// kept without an author, audit log entries are pseudonymised, and the users
+// row goes last (sessions, passkeys, two-factor and SSO links cascade with
+// it). Accounts merged into this one are erased with it. The deletion
+// request stays as the record.
+async function eraseAccount(db, userId) {
+  const client = await db.connect();
+  let files = [];
+  try {
+    await client.query('BEGIN');
+
+    const userResult = await client.query('SELECT email FROM users WHERE id = $1 FOR UPDATE', [userId]);
+    if (userResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return false;
+    }
+    const { email } = userResult.rows[0];
+
+    // Merged duplicates are only soft-deleted and still hold the person's
+    // details, including those merged into an account that was merged later
+    const mergedResult = await client.query(
+      `WITH RECURSIVE merged AS (
+         SELECT id, email FROM users WHERE merged_into = $1
+         UNION
+         SELECT u.id, u.email FROM users u JOIN merged m ON u.merged_into = m.id
+       )
+       SELECT id, email FROM merged`,
+      [userId]
+    );
+    const accounts = [{ id: userId, email }, ...mergedResult.rows];
+    const userIds = accounts.map(account => account.id);
+
+    await client.query('DELETE FROM topic_enrollments WHERE user_id = ANY($1)', [userIds]);
+    await client.query('DELETE FROM topic_progress WHERE user_id = ANY($1)', [userIds]);
+    await client.query('DELETE FROM topic_reviews WHERE user_id = ANY($1)', [userIds]);
+    await client.query('UPDATE topics SET author_id = NULL WHERE author_id = ANY($1)', [userIds]);
+
+    const uploads = await client.query(
+      `DELETE FROM uploads WHERE metadata->>'userId' = ANY($1::text[]) RETURNING file_path`,
+      [userIds.map(String)]
+    );
+    files = uploads.rows.map(row => row.file_path);
+
+    for (const account of accounts) {
+      await client.query(
+        'DELETE FROM user_invitations WHERE accepted_user_id = $1 OR LOWER(email) = LOWER($2)',
+        [account.id, account.email]
+      );
+      await client.query('DELETE FROM email_outbox WHERE LOWER(recipient) = LOWER($1)', [account.email]);
+      await client.query('DELETE FROM auth_throttles WHERE throttle_key = $1', [emailKey(account.email)]);
+      await auditService.eraseUser(client, account.id, account.email);
+    }
+
+    await client.query(
+      `UPDATE privacy_requests SET status = 'completed', completed_at = $2
+       WHERE user_id = $1 AND type = 'deletion' AND status = 'pending'`,
+      [userId, new Date()]
+    );
+    await client.query('DELETE FROM users WHERE id = ANY($1)', [userIds]);
+
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  // Files go only once the rows are gone for good
+  for (const file of files) {
+    await fs.promises.unlink(file).catch(err => {
+      if (err.code !== 'ENOENT') {
+        console.warn(`Failed to remove ${path.basename(file)} for erased user ${userId}:`, err.message);
+      }
+    });
+  }
+  return true;
+}
+
+// Erase every account whose grace period has ended. Resolves to the number erased.
+async function processDueDeletions(db) {
+  const due = await db.query(
+    `SELECT user_id FROM privacy_requests
+     WHERE type = 'deletion' AND status = 'pending' AND scheduled_for <= $1
+     ORDER BY scheduled_for`,
+    [new Date()]
+  );
+  let erased = 0;
+  for (const { user_id: userId } of due.rows) {
+    try {
+      if (await eraseAccount(db, userId)) {
+        erased += 1;
+      }
+    } catch (err) {
+      console.error(`Failed to erase user ${userId}:`, err);
+    }
+  }
+  return erased;
+}
+
+async function listConsents(db, userId) {
+  const result = await db.query(
+    'SELECT * FROM user_consents WHERE user_id = $1 ORDER BY accepted_at DESC',
+    [userId]
+  );
+  return result.rows;
+}
+
+// Record that the user accepted a terms or privacy policy document.
+// Resolves to { consent } or { error } if the document is not active.
+async function recordConsent(db, userId, { documentType, documentId, ip, userAgent }) {
+  const table = CONSENT_DOCUMENTS[documentType];
+  if (!table) {
+    return { error: `documentType must be one of: ${Object.keys(CONSENT_DOCUMENTS).join(', ')}` };
+  }
+  const documentResult = await db.query(
+    `SELECT id, version FROM ${table} WHERE id = $1 AND status = 'Active'`,
+    [documentId]
+  );
+  if (documentResult.rows.length === 0) {
+    return { error: 'Document not found or not active' };
+  }
+  const document = documentResult.rows[0];
+  const result = await db.query(
+    `INSERT INTO user_consents (user_id, document_type, document_id, document_version, ip_address, user_agent)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING *`,
+    [userId, documentType, document.id, document.version, ip || null, userAgent || null]
+  );
+  return { consent: result.rows[0] };
+}
+
+module.exports = {
+  CONSENT_DOCUMENTS,
+  writeExport,
+  getPendingDeletion,
+  requestDeletion,
+  cancelDeletion,
+  eraseAccount,
+  processDueDeletions,
+  listConsents,
+  recordConsent
+};
@@ -0,0 +1,160 @@
+const path = require('path');
+const { SUPPORTED_LANGUAGES } = require('./emailService');
+
+const UPLOADS_DIR = path.join(__dirname, '../../uploads');
+
+// Names given to accounts created on the fly by /auth/send-otp
+const PLACEHOLDER_NAMES = ['OTPUser'];
+
+// Fields a learner must fill in before their profile counts as complete
+const REQUIRED_FIELDS = ['name', 'phone', 'timezone'];
+
+const PHONE_PATTERN = /^\+?[1-9]\d{6,14}$/;
+
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+// Which required fields are still empty (or hold the placeholder name)
+function getMissingFields(user) {
+  return REQUIRED_FIELDS.filter(field => {
+    const value = user[field];
+    if (!value || String(value).trim() === '') {
+      return true;
+    }
+    return field === 'name' && PLACEHOLDER_NAMES.includes(value);
+  });
+}
+
+// Flags merged into login responses so front ends can prompt for details
+function getCompleteness(user) {
+  const missingProfileFields = getMissingFields(user);
+  return { profileComplete: missingProfileFields.length === 0, missingProfileFields };
+}
+
+function avatarUrl(filePath, baseUrl) {
+  if (!filePath) {
+    return null;
+  }
+  const relative = path.relative(UPLOADS_DIR, filePath).split(path.sep).join('/');
+  return `${baseUrl}/uploads/${relative}`;
+}
+
+function formatProfile(row, baseUrl) {
+  return {
+    id: row.id,
+    email: row.email,
+    name: PLACEHOLDER_NAMES.includes(row.name) ? null : row.name,
+    phone: row.phone,
+    avatarUploadId: row.avatar_upload_id,
+    avatarUrl: avatarUrl(row.avatar_path, baseUrl),
+    timezone: row.timezone,
+    preferredLanguage: row.preferred_language,
+    role: row.role,
+    isVerified: row.is_verified,
+    organizationId: row.organization_id,
+    profileUpdatedAt: row.profile_updated_at,
+    ...getCompleteness(row)
+  };
+}
+
+async function getProfile(db, userId, baseUrl) {
+  const result = await db.query(
+    `SELECT u.*, up.file_path AS avatar_path
+     FROM users u LEFT JOIN uploads up ON up.id = u.avatar_upload_id
+     WHERE u.id = $1`,
+    [userId]
+  );
+  return result.rows[0] ? formatProfile(result.rows[0], baseUrl) : null;
+}
+
+// Check a PUT /api/me body. Only fields present in the body are changed;
+// phone, avatarUploadId and timezone may be set to null to clear them.
+// Resolves to { changes } (column -> value) or { error }.
+async function validateUpdate(db, userId, body) {
+  const changes = {};
+
+  if (body.name !== undefined) {
+    const name = typeof body.name === 'string' ? body.name.trim().replace(/\s+/g, ' ') : '';
+    if (name.length < 2 || name.length > 50) {
+      return { error: 'Name must be between 2 and 50 characters' };
+    }
+    if (PLACEHOLDER_NAMES.includes(name)) {
+      return { error: 'Please enter your real name' };
+    }
+    changes.name = name;
+  }
+
+  if (body.phone !== undefined) {
+    if (body.phone === null || body.phone === '') {
+      changes.phone = null;
+    } else {
+      const phone = String(body.phone).replace(/[\s\-().]/g, '');
+      if (!PHONE_PATTERN.test(phone)) {
+        return { error: 'Phone must be a valid international number, e.g. +14155550123' };
+      }
+      changes.phone = phone;
+    }
+  }
+
+  if (body.timezone !== undefined) {
+    if (body.timezone === null || body.timezone === '') {
+      changes.timezone = null;
+    } else if (typeof body.timezone !== 'string' || body.timezone.length > 64 || !isValidTimezone(body.timezone)) {
+      return { error: 'Timezone must be an IANA time zone name, e.g. Europe/Berlin' };
+    } else {
+      changes.timezone = body.timezone;
+    }
+  }
+
+  if (body.preferredLanguage !== undefined) {
+    if (!SUPPORTED_LANGUAGES.includes(body.preferredLanguage)) {
+      return { error: `Preferred language must be one of: ${SUPPORTED_LANGUAGES.join(', ')}` };
+    }
+    changes.preferred_language = body.preferredLanguage;
+  }
+
+  if (body.avatarUploadId !== undefined) {
+    if (body.avatarUploadId === null) {
+      changes.avatar_upload_id = null;
+    } else {
+      // Only avatars the user uploaded themselves via /api/upload/avatar
+      const upload = await db.query(
+        `SELECT id FROM uploads
+         WHERE id = $1 AND upload_type = 'avatar' AND metadata->>'userId' = $2`,
+        [String(body.avatarUploadId), String(userId)]
+      );
+      if (upload.rows.length === 0) {
+        return { error: 'Avatar upload not found' };
+      }
+      changes.avatar_upload_id = upload.rows[0].id;
+    }
+  }
+
+  if (Object.keys(changes).length === 0) {
+    return { error: 'No profile fields to update' };
+  }
+  return { changes };
+}
+
+async function updateProfile(db, userId, changes) {
+  const columns = Object.keys(changes);
+  const assignments = columns.map((column, index) => `${column} = $${index + 2}`);
+  await db.query(
+    `UPDATE users SET ${assignments.join(', ')}, profile_updated_at = $${columns.length + 2} WHERE id = $1`,
+    [userId, ...columns.map(column => changes[column]), new Date()]
+  );
+}
+
+module.exports = {
+  REQUIRED_FIELDS,
+  getCompleteness,
+  getProfile,
+  validateUpdate,
+  updateProfile
+};
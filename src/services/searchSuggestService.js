@@ -0,0 +1,91 @@
+const { SEARCH_SUGGEST_TIMEOUT_MS, SEARCH_SUGGEST_MIN_SIMILARITY } = require('../config/search');
+
+// Postgres error code for a query cancelled by statement_timeout
+const QUERY_CANCELED = '57014';
+
+// Keep % and _ in the input from acting as LIKE wildcards
+function escapeLike(text) {
+  return text.replace(/[\\%_]/g, match => `\\${match}`);
+}
+
+function formatSuggestion(row) {
+  const suggestion = { type: row.type, id: row.id, label: row.label };
+  if (row.type === 'topic') {
+    suggestion.slug = row.slug;
+  } else if (row.type === 'subcategory') {
+    suggestion.categoryId = row.category_id;
+  } else if (row.type === 'tag') {
+    suggestion.topicCount = parseInt(row.topic_count);
+  }
+  return suggestion;
+}
+
+// Names and tags close to what the user has typed so far: published topic
+// titles, active categories and subcategories, and tags of published topics.
+// Names starting with the input come first, then names containing it, then
+// near misses by trigram word similarity. Runs under SEARCH_SUGGEST_TIMEOUT_MS;
+// when that runs out it resolves to { suggestions: [], timedOut: true }
+// instead of failing. Otherwise resolves to { suggestions, timedOut: false }.
+async function suggest(db, q, { limit = 8 } = {}) {
+  const escaped = escapeLike(q);
+  // Score and filter shared by every source; $1 is the input
+  const score = label => `word_similarity($1, ${label})
+    + CASE WHEN ${label} ILIKE $2 THEN 1 WHEN ${label} ILIKE $3 THEN 0.5 ELSE 0 END`;
+  const matches = label => `($1 <% ${label} OR ${label} ILIKE $3)`;
+
+  const client = await db.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query(
+      `SELECT set_config('statement_timeout', $1, true), set_config('pg_trgm.word_similarity_threshold', $2, true)`,
+      [String(SEARCH_SUGGEST_TIMEOUT_MS), String(SEARCH_SUGGEST_MIN_SIMILARITY)]
+    );
+    const result = await client.query(
+      `SELECT * FROM (
+         (SELECT 'topic' AS type, t.id, t.title AS label, t.slug, NULL::integer AS category_id,
+            NULL::bigint AS topic_count, ${score('t.title')} AS score
+          FROM topics t
+          WHERE t.status = 'published' AND ${matches('t.title')}
+          ORDER BY score DESC, t.view_count DESC
+          LIMIT $4)
+         UNION ALL
+         (SELECT 'category', c.id, c.name, NULL, NULL, NULL, ${score('c.name')}
+          FROM category c
+          WHERE c.status = 'Active' AND ${matches('c.name')}
+          ORDER BY 7 DESC
+          LIMIT $4)
+         UNION ALL
+         (SELECT 'subcategory', sc.id, sc.name, NULL, sc.category_id, NULL, ${score('sc.name')}
+          FROM subcategory sc
+          WHERE sc.status = 'Active' AND ${matches('sc.name')}
+          ORDER BY 7 DESC
+          LIMIT $4)
+         UNION ALL
+         (SELECT 'tag', NULL, tag, NULL, NULL, COUNT(*), ${score('tag')}
+          FROM topics t,
+            jsonb_array_elements_text(CASE WHEN jsonb_typeof(t.tags) = 'array' THEN t.tags ELSE '[]'::jsonb END) AS tag
+          WHERE t.status = 'published' AND ${matches('tag')}
+          GROUP BY tag
+          ORDER BY 7 DESC, 6 DESC
+          LIMIT $4)
+       ) suggestions
+       ORDER BY score DESC, type, label
+       LIMIT $4`,
+      [q, `${escaped}%`, `%${escaped}%`, limit]
+    );
+    await client.query('COMMIT');
+    return { suggestions: result.rows.map(formatSuggestion), timedOut: false };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    if (err.code === QUERY_CANCELED) {
+      return { suggestions: [], timedOut: true };
+    }
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  suggest
+};
@@ -0,0 +1,300 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const {
+  JWT_SECRET, ACCESS_TOKEN_EXPIRES_IN, REFRESH_TOKEN_TTL_DAYS, MAX_SESSIONS_PER_USER, IMPERSONATION_TTL_MINUTES
+} = require('../config/auth');
+
+// last_used_at is bumped at most this often, so busy clients do not write on
+// every request
+const LAST_SEEN_RESOLUTION_MS = 60 * 1000;
+
+// Refresh tokens are "<sessionId>.<secret>"; only a hash of the secret is stored
+function hashToken(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+function tokensMatch(a, b) {
+  if (!a || !b || a.length !== b.length) {
+    return false;
+  }
+  return crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+}
+
+function refreshExpiry() {
+  return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+}
+
+function parseRefreshToken(refreshToken) {
+  if (typeof refreshToken !== 'string') {
+    return null;
+  }
+  const [sessionId, secret] = refreshToken.split('.');
+  if (!sessionId || !secret) {
+    return null;
+  }
+  return { sessionId, secret };
+}
+
+// Sign a short-lived access token bound to a session
+function signAccessToken(user, sessionId) {
+  return jwt.sign(
+    { userId: user.id, email: user.email, role: user.role, sid: sessionId },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+  );
+}
+
+function buildTokens(user, sessionId, secret, expiresAt) {
+  return {
+    sessionToken: signAccessToken(user, sessionId),
+    refreshToken: `${sessionId}.${secret}`,
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+    refreshExpiresAt: expiresAt.toISOString()
+  };
+}
+
+function formatSession(row) {
+  return {
+    id: row.id,
+    userAgent: row.user_agent,
+    ipAddress: row.ip_address,
+    createdAt: row.created_at,
+    lastSeenAt: row.last_used_at,
+    expiresAt: row.expires_at,
+    mfaVerified: Boolean(row.mfa_verified_at),
+    impersonatedBy: row.impersonated_by || null
+  };
+}
+
+// Revoke the least recently used sessions beyond the account's limit, always
+// keeping `keepSessionId`. Resolves to the number of sessions revoked.
+async function enforceSessionLimit(db, userId, keepSessionId) {
+  const userResult = await db.query('SELECT max_sessions FROM users WHERE id = $1', [userId]);
+  const override = userResult.rows[0] ? userResult.rows[0].max_sessions : null;
+  const limit = override === null || override === undefined ? MAX_SESSIONS_PER_USER : override;
+  if (!limit) {
+    return 0;
+  }
+
+  const result = await db.query(
+    `UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = 'session_limit'
+     WHERE id IN (
+       SELECT id FROM user_sessions
+       WHERE user_id = $1 AND id <> $2 AND revoked_at IS NULL AND expires_at > $3 AND impersonated_by IS NULL
+       ORDER BY last_used_at DESC, created_at DESC
+       OFFSET $4
+     )`,
+    [userId, keepSessionId, new Date(), limit - 1]
+  );
+  return result.rowCount;
+}
+
+// Start a new session for a user who has just authenticated, signing out
+// older sessions if the account is at its concurrent session limit.
+// Pass mfaVerified when the login included a second factor.
+async function createSession(db, user, req, { mfaVerified = false } = {}) {
+  const sessionId = crypto.randomUUID();
+  const secret = crypto.randomBytes(32).toString('hex');
+  const expiresAt = refreshExpiry();
+
+  await db.query(
+    `INSERT INTO user_sessions (id, user_id, refresh_token_hash, user_agent, ip_address, expires_at, mfa_verified_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+    [
+      sessionId,
+      user.id,
+      hashToken(secret),
+      req ? req.get('user-agent') || null : null,
+      req ? req.ip || null : null,
+      expiresAt,
+      mfaVerified ? new Date() : null
+    ]
+  );
+  await enforceSessionLimit(db, user.id, sessionId);
+
+  return buildTokens(user, sessionId, secret, expiresAt);
+}
+
+// Start a session in which `admin` acts as `user`. The access token carries
+// an impersonatedBy claim and lasts IMPERSONATION_TTL_MINUTES; no refresh
+// token is issued and the session does not count towards the user's limit.
+async function createImpersonationSession(db, user, admin, req, { mfaVerified = false } = {}) {
+  const sessionId = crypto.randomUUID();
+  const expiresAt = new Date(Date.now() + IMPERSONATION_TTL_MINUTES * 60 * 1000);
+
+  await db.query(
+    `INSERT INTO user_sessions (id, user_id, refresh_token_hash, user_agent, ip_address, expires_at, mfa_verified_at, impersonated_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+    [
+      sessionId,
+      user.id,
+      // Never handed out, so the session cannot be refreshed
+      hashToken(crypto.randomBytes(32).toString('hex')),
+      req ? req.get('user-agent') || null : null,
+      req ? req.ip || null : null,
+      expiresAt,
+      mfaVerified ? new Date() : null,
+      admin.id
+    ]
+  );
+
+  const sessionToken = jwt.sign(
+    { userId: user.id, email: user.email, role: user.role, sid: sessionId, impersonatedBy: admin.id },
+    JWT_SECRET,
+    { expiresIn: IMPERSONATION_TTL_MINUTES * 60 }
+  );
+  return { sessionId, sessionToken, expiresIn: `${IMPERSONATION_TTL_MINUTES}m`, expiresAt: expiresAt.toISOString() };
+}
+
+// Exchange a refresh token for a new access/refresh pair.
+// Returns null when the token is invalid, expired or revoked.
+async function rotateSession(db, refreshToken) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) {
+    return null;
+  }
+
+  const result = await db.query('SELECT * FROM user_sessions WHERE id = $1', [parsed.sessionId]);
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const session = result.rows[0];
+  if (session.revoked_at || session.impersonated_by || new Date() > new Date(session.expires_at)) {
+    return null;
+  }
+
+  const presentedHash = hashToken(parsed.secret);
+
+  // A previously rotated token being replayed means it leaked: kill the session
+  if (tokensMatch(presentedHash, session.previous_token_hash)) {
+    await revokeSession(db, session.id, 'refresh_token_reuse');
+    return null;
+  }
+
+  if (!tokensMatch(presentedHash, session.refresh_token_hash)) {
+    return null;
+  }
+
+  const secret = crypto.randomBytes(32).toString('hex');
+  const expiresAt = refreshExpiry();
+
+  // Guard on the current hash so two concurrent refreshes cannot both succeed
+  const update = await db.query(
+    `UPDATE user_sessions
+     SET previous_token_hash = refresh_token_hash, refresh_token_hash = $1,
+         last_used_at = CURRENT_TIMESTAMP, expires_at = $2
+     WHERE id = $3 AND refresh_token_hash = $4 AND revoked_at IS NULL`,
+    [hashToken(secret), expiresAt, session.id, presentedHash]
+  );
+  if (update.rowCount === 0) {
+    return null;
+  }
+
+  const userResult = await db.query('SELECT * FROM users WHERE id = $1', [session.user_id]);
+  if (userResult.rows.length === 0) {
+    return null;
+  }
+  const user = userResult.rows[0];
+
+  return { user, ...buildTokens(user, session.id, secret, expiresAt) };
+}
+
+// Resolve the session a refresh token belongs to, without rotating it
+async function findSessionByRefreshToken(db, refreshToken) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) {
+    return null;
+  }
+
+  const result = await db.query(
+    'SELECT * FROM user_sessions WHERE id = $1 AND revoked_at IS NULL',
+    [parsed.sessionId]
+  );
+  if (result.rows.length === 0 || !tokensMatch(hashToken(parsed.secret), result.rows[0].refresh_token_hash)) {
+    return null;
+  }
+  return result.rows[0];
+}
+
+// Load the session behind an access token if it is still live, else null.
+// Also records when the session was last seen.
+async function getActiveSession(db, sessionId, userId) {
+  const now = new Date();
+  const result = await db.query(
+    `SELECT id, mfa_verified_at, last_used_at, impersonated_by FROM user_sessions
+     WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL AND expires_at > $3`,
+    [sessionId, userId, now]
+  );
+  const session = result.rows[0];
+  if (!session) {
+    return null;
+  }
+  if (!session.last_used_at || now - new Date(session.last_used_at) > LAST_SEEN_RESOLUTION_MS) {
+    await db.query('UPDATE user_sessions SET last_used_at = $2 WHERE id = $1', [sessionId, now]);
+  }
+  return session;
+}
+
+// A user's live sessions, most recently seen first
+async function listActiveSessions(db, userId) {
+  const result = await db.query(
+    `SELECT id, user_agent, ip_address, created_at, last_used_at, expires_at, mfa_verified_at, impersonated_by
+     FROM user_sessions
+     WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > $2
+     ORDER BY last_used_at DESC, created_at DESC`,
+    [userId, new Date()]
+  );
+  return result.rows.map(formatSession);
+}
+
+// Revoke one of a user's sessions. Resolves to the revoked session, or null
+// when it does not belong to the user or is no longer active.
+async function revokeUserSession(db, userId, sessionId, reason) {
+  const result = await db.query(
+    `UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = $3
+     WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL
+     RETURNING id, user_agent, ip_address, created_at, last_used_at, expires_at, mfa_verified_at, impersonated_by`,
+    [sessionId, userId, reason]
+  );
+  return result.rows[0] ? formatSession(result.rows[0]) : null;
+}
+
+// Record that the second factor was checked within this session
+async function markMfaVerified(db, sessionId) {
+  await db.query(
+    'UPDATE user_sessions SET mfa_verified_at = CURRENT_TIMESTAMP WHERE id = $1',
+    [sessionId]
+  );
+}
+
+async function revokeSession(db, sessionId, reason = 'logout') {
+  const result = await db.query(
+    `UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = $2
+     WHERE id = $1 AND revoked_at IS NULL`,
+    [sessionId, reason]
+  );
+  return result.rowCount;
+}
+
+async function revokeAllSessions(db, userId, reason = 'logout_all') {
+  const result = await db.query(
+    `UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = $2
+     WHERE user_id = $1 AND revoked_at IS NULL`,
+    [userId, reason]
+  );
+  return result.rowCount;
+}
+
+module.exports = {
+  createSession,
+  createImpersonationSession,
+  rotateSession,
+  findSessionByRefreshToken,
+  getActiveSession,
+  listActiveSessions,
+  markMfaVerified,
+  revokeSession,
+  revokeUserSession,
+  revokeAllSessions
+};
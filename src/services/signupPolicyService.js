@@ -0,0 +1,54 @@
+const {
+  SIGNUP_MODE,
+  SIGNUP_ALLOWED_DOMAINS,
+  SIGNUP_BLOCKED_DOMAINS,
+  BLOCK_DISPOSABLE_EMAILS,
+  SIGNUP_REQUIRES_APPROVAL
+} = require('../config/signup');
+const DISPOSABLE_DOMAINS = new Set(require('../config/disposableEmailDomains'));
+
+// The address's domain followed by each parent domain, so that a list entry
+// also covers its subdomains: mail.example.com -> mail.example.com, example.com
+function domainCandidates(email) {
+  const labels = String(email).split('@').pop().trim().toLowerCase().split('.');
+  const candidates = [];
+  for (let i = 0; i < labels.length - 1; i++) {
+    candidates.push(labels.slice(i).join('.'));
+  }
+  return candidates;
+}
+
+// Check the address against the domain allow/block lists.
+// Returns { error } when the domain may not sign up, otherwise {}.
+function checkDomain(email) {
+  const candidates = domainCandidates(email);
+  if (SIGNUP_ALLOWED_DOMAINS.length && !candidates.some(domain => SIGNUP_ALLOWED_DOMAINS.includes(domain))) {
+    return { error: 'Signups from this email domain are not allowed' };
+  }
+  if (candidates.some(domain => SIGNUP_BLOCKED_DOMAINS.includes(domain))) {
+    return { error: 'Signups from this email domain are not allowed' };
+  }
+  if (BLOCK_DISPOSABLE_EMAILS && candidates.some(domain => DISPOSABLE_DOMAINS.has(domain))) {
+    return { error: 'Disposable email addresses cannot be used to sign up' };
+  }
+  return {};
+}
+
+// Decide whether a self-service signup may create an account for `email`.
+// Returns { error } when it may not, otherwise { approvalStatus } for the
+// new account.
+function checkSignup(email) {
+  if (SIGNUP_MODE === 'invite_only') {
+    return { error: 'Signups are by invitation only' };
+  }
+  const { error } = checkDomain(email);
+  if (error) {
+    return { error };
+  }
+  return { approvalStatus: SIGNUP_REQUIRES_APPROVAL ? 'pending' : 'approved' };
+}
+
+module.exports = {
+  checkDomain,
+  checkSignup
+};
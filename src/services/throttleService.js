@@ -0,0 +1,83 @@
+const {
+  THROTTLE_WINDOW_MINUTES,
+  LOCKOUT_BASE_SECONDS,
+  LOCKOUT_MAX_SECONDS
+} = require('../config/auth');
+
+// Throttle keys are namespaced so emails and IPs never collide
+function emailKey(email) {
+  return `email:${String(email).trim().toLowerCase()}`;
+}
+
+function ipKey(ip) {
+  return `ip:${ip || 'unknown'}`;
+}
+
+// Second-factor codes are throttled per user
+function mfaKey(userId) {
+  return `mfa:${userId}`;
+}
+
+// Seconds until every given key is unlocked (0 = not locked)
+async function getLockout(db, keys) {
+  const result = await db.query(
+    'SELECT locked_until FROM auth_throttles WHERE throttle_key = ANY($1) AND locked_until > $2',
+    [keys, new Date()]
+  );
+  return result.rows.reduce((max, row) => {
+    const remaining = Math.ceil((new Date(row.locked_until).getTime() - Date.now()) / 1000);
+    return Math.max(max, remaining);
+  }, 0);
+}
+
+// Count a failed attempt against a key, locking it once maxFailures is reached.
+// Each consecutive lockout doubles in length up to LOCKOUT_MAX_SECONDS.
+async function recordFailure(db, key, maxFailures) {
+  const now = new Date();
+  const windowStart = new Date(now.getTime() - THROTTLE_WINDOW_MINUTES * 60 * 1000);
+
+  const result = await db.query(
+    `INSERT INTO auth_throttles (throttle_key, failure_count, first_failure_at, last_failure_at)
+     VALUES ($1, 1, $2, $2)
+     ON CONFLICT (throttle_key) DO UPDATE SET
+       failure_count = CASE
+         WHEN auth_throttles.first_failure_at IS NULL OR auth_throttles.first_failure_at < $3 THEN 1
+         ELSE auth_throttles.failure_count + 1
+       END,
+       first_failure_at = CASE
+         WHEN auth_throttles.first_failure_at IS NULL OR auth_throttles.first_failure_at < $3 THEN $2
+         ELSE auth_throttles.first_failure_at
+       END,
+       last_failure_at = $2
+     RETURNING failure_count, lockout_count`,
+    [key, now, windowStart]
+  );
+
+  const { failure_count: failureCount, lockout_count: lockoutCount } = result.rows[0];
+  if (failureCount < maxFailures) {
+    return 0;
+  }
+
+  const lockSeconds = Math.min(LOCKOUT_BASE_SECONDS * Math.pow(2, lockoutCount), LOCKOUT_MAX_SECONDS);
+  await db.query(
+    `UPDATE auth_throttles
+     SET locked_until = $2, lockout_count = lockout_count + 1, failure_count = 0, first_failure_at = NULL
+     WHERE throttle_key = $1`,
+    [key, new Date(now.getTime() + lockSeconds * 1000)]
+  );
+  return lockSeconds;
+}
+
+// Forget failures after a successful verification
+async function clearFailures(db, key) {
+  await db.query('DELETE FROM auth_throttles WHERE throttle_key = $1', [key]);
+}
+
+module.exports = {
+  emailKey,
+  ipKey,
+  mfaKey,
+  getLockout,
+  recordFailure,
+  clearFailures
+};
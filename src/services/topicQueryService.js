@@ -0,0 +1,295 @@
+// Filters, facet counts, sparse fieldsets and cursors for GET /api/topics
+
+const STATUSES = ['draft', 'published', 'archived'];
+const DIFFICULTIES = ['beginner', 'intermediate', 'advanced'];
+const MATCH_MODES = ['any', 'all'];
+
+// Most common values reported in the tag and target audience facets
+const VALUE_FACET_SIZE = 30;
+
+// Attributes a listing can return (the fields= parameter) and the topics
+// column behind each; null marks names joined from category/subcategory
+const LIST_FIELDS = {
+  id: 'id',
+  title: 'title',
+  description: 'description',
+  content: 'content',
+  slug: 'slug',
+  categoryId: 'category_id',
+  categoryName: null,
+  subcategoryId: 'subcategory_id',
+  subcategoryName: null,
+  difficulty: 'difficulty',
+  status: 'status',
+  isFeatured: 'is_featured',
+  isFree: 'is_free',
+  price: 'price',
+  durationMinutes: 'duration_minutes',
+  thumbnailUrl: 'thumbnail_url',
+  tags: 'tags',
+  metaTitle: 'meta_title',
+  metaDescription: 'meta_description',
+  metaKeywords: 'meta_keywords',
+  authorId: 'author_id',
+  publishedAt: 'published_at',
+  viewCount: 'view_count',
+  likeCount: 'like_count',
+  enrollmentCount: 'enrollment_count',
+  createdAt: 'created_at',
+  updatedAt: 'updated_at'
+};
+
+const INCLUDES = ['modules', 'videos'];
+
+// "a,b" or repeated parameters (?a=1&a=2) as a list of trimmed values
+function listParam(value) {
+  if (value === undefined) {
+    return [];
+  }
+  return (Array.isArray(value) ? value : [value])
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+function numberParam(value) {
+  if (value === undefined || value === '') {
+    return undefined;
+  }
+  const number = Number(value);
+  return Number.isFinite(number) ? number : NaN;
+}
+
+// Read the filter query parameters. Each filter is { key, sql, values } where
+// every "?" in sql takes the next value. Resolves to { filters } or { error }.
+function parseFilters(query) {
+  const filters = [];
+  const add = (key, sql, ...values) => filters.push({ key, sql, values });
+
+  const status = listParam(query.status);
+  const invalidStatus = status.find(value => !STATUSES.includes(value));
+  if (invalidStatus) {
+    return { error: `status must be one or more of: ${STATUSES.join(', ')}` };
+  }
+  if (status.length) add('status', 't.status = ANY(?)', status);
+
+  const difficulty = listParam(query.difficulty);
+  if (difficulty.some(value => !DIFFICULTIES.includes(value))) {
+    return { error: `difficulty must be one or more of: ${DIFFICULTIES.join(', ')}` };
+  }
+  if (difficulty.length) add('difficulty', 't.difficulty = ANY(?)', difficulty);
+
+  for (const [param, key, column] of [['category', 'category', 't.category_id'], ['subcategory', 'subcategory', 't.subcategory_id']]) {
+    const ids = listParam(query[param]).map(Number);
+    if (ids.some(id => !Number.isInteger(id))) {
+      return { error: `${param} must be one or more integer IDs` };
+    }
+    if (ids.length) add(key, `${column} = ANY(?)`, ids);
+  }
+
+  if (query.featured !== undefined) add('featured', 't.is_featured = ?', query.featured === 'true');
+  if (query.free !== undefined) add('free', 't.is_free = ?', query.free === 'true');
+
+  // `tag` is the older single-value form of `tags`
+  const tags = [...new Set([...listParam(query.tags), ...listParam(query.tag)])];
+  const tagsMatch = query.tagsMatch || 'any';
+  if (!MATCH_MODES.includes(tagsMatch)) {
+    return { error: 'tagsMatch must be any or all' };
+  }
+  if (tags.length) add('tags', tagsMatch === 'all' ? 't.tags ?& ?' : 't.tags ?| ?', tags);
+
+  const audience = listParam(query.targetAudience);
+  const audienceMatch = query.targetAudienceMatch || 'any';
+  if (!MATCH_MODES.includes(audienceMatch)) {
+    return { error: 'targetAudienceMatch must be any or all' };
+  }
+  if (audience.length) add('targetAudience', audienceMatch === 'all' ? 't.target_audience ?& ?' : 't.target_audience ?| ?', audience);
+
+  for (const [param, sql] of [
+    ['priceMin', 't.price >= ?'],
+    ['priceMax', 't.price <= ?'],
+    ['durationMin', 't.duration_minutes >= ?'],
+    ['durationMax', 't.duration_minutes <= ?']
+  ]) {
+    const value = numberParam(query[param]);
+    if (Number.isNaN(value) || value < 0) {
+      return { error: `${param} must be a non-negative number` };
+    }
+    if (value !== undefined) add(param, sql, value);
+  }
+
+  for (const [param, sql] of [['publishedAfter', 't.published_at >= ?'], ['publishedBefore', 't.published_at < ?']]) {
+    if (query[param]) {
+      const date = new Date(query[param]);
+      if (Number.isNaN(date.getTime())) {
+        return { error: `${param} must be an ISO 8601 date` };
+      }
+      add(param, sql, date);
+    }
+  }
+
+  if (query.search) add('search', '(t.title ILIKE ? OR t.description ILIKE ?)', `%${query.search}%`, `%${query.search}%`);
+
+  return { filters };
+}
+
+// WHERE clause for the filters, numbering placeholders after the values
+// already in `params` (which it appends to). `excludeKey` leaves one filter
+// out, for facet counts.
+function buildWhere(filters, params, excludeKey) {
+  const conditions = [];
+  for (const filter of filters) {
+    if (filter.key === excludeKey) {
+      continue;
+    }
+    let valueIndex = 0;
+    conditions.push(filter.sql.replace(/\?(?![|&])/g, () => {
+      params.push(filter.values[valueIndex++]);
+      return `$${params.length}`;
+    }));
+  }
+  return conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+}
+
+// SQL for a JSONB array column's elements, treating non-arrays as empty
+function arrayElements(column) {
+  return `jsonb_array_elements_text(CASE WHEN jsonb_typeof(${column}) = 'array' THEN ${column} ELSE '[]'::jsonb END)`;
+}
+
+// Counts for each value of each facet. A facet's counts apply every filter
+// except its own, so they show how many topics picking that value would add
+// to (or, for tags with tagsMatch=all, leave in) the current results.
+async function getFacets(db, filters) {
+  const params = [];
+  const facetQuery = (key, select, from, groupBy, { limit } = {}) => `(
+    SELECT '${key}' AS facet, ${select}, COUNT(*) AS count
+    FROM topics t ${from}
+    ${buildWhere(filters, params, key)}
+    GROUP BY ${groupBy}
+    ${limit ? `ORDER BY COUNT(*) DESC, 2 LIMIT ${limit}` : ''})`;
+
+  const result = await db.query(
+    [
+      facetQuery('status', 't.status AS value, NULL AS label', '', 't.status'),
+      facetQuery('difficulty', 't.difficulty, NULL', '', 't.difficulty'),
+      facetQuery('category', 't.category_id::text, c.name', 'LEFT JOIN category c ON c.id = t.category_id', 't.category_id, c.name'),
+      facetQuery('subcategory', 't.subcategory_id::text, sc.name', 'LEFT JOIN subcategory sc ON sc.id = t.subcategory_id', 't.subcategory_id, sc.name'),
+      facetQuery('free', 't.is_free::text, NULL', '', 't.is_free'),
+      facetQuery('tags', 'tag, NULL', `CROSS JOIN ${arrayElements('t.tags')} AS tag`, 'tag', { limit: VALUE_FACET_SIZE }),
+      facetQuery('targetAudience', 'audience, NULL', `CROSS JOIN ${arrayElements('t.target_audience')} AS audience`, 'audience', { limit: VALUE_FACET_SIZE })
+    ].join('\nUNION ALL\n') + '\nORDER BY facet, count DESC, value',
+    params
+  );
+
+  const facets = { status: [], difficulty: [], categories: [], subcategories: [], price: { free: 0, paid: 0 }, tags: [], targetAudience: [] };
+  for (const row of result.rows) {
+    const count = parseInt(row.count);
+    if (row.facet === 'category' || row.facet === 'subcategory') {
+      facets[row.facet === 'category' ? 'categories' : 'subcategories'].push({
+        id: row.value === null ? null : parseInt(row.value),
+        name: row.label,
+        count
+      });
+    } else if (row.facet === 'free') {
+      if (row.value !== null) {
+        facets.price[row.value === 'true' ? 'free' : 'paid'] = count;
+      }
+    } else {
+      facets[row.facet].push({ value: row.value, count });
+    }
+  }
+  return facets;
+}
+
+// Read fields=; resolves to { fields } (null for every field) or { error }.
+// id is always returned.
+function parseFields(value) {
+  const fields = listParam(value);
+  if (!fields.length) {
+    return { fields: null };
+  }
+  const unknown = fields.find(field => !(field in LIST_FIELDS));
+  if (unknown) {
+    return { error: `Unknown field "${unknown}". Fields: ${Object.keys(LIST_FIELDS).join(', ')}` };
+  }
+  return { fields: [...new Set(['id', ...fields])] };
+}
+
+// topics columns to SELECT for the requested fields
+function selectColumns(fields) {
+  if (!fields) {
+    return 't.*';
+  }
+  const columns = new Set(['id']);
+  for (const field of fields) {
+    if (LIST_FIELDS[field]) {
+      columns.add(LIST_FIELDS[field]);
+    }
+  }
+  return [...columns].map(column => `t.${column}`).join(', ');
+}
+
+// Read include=; resolves to { include } or { error }. Videos are nested in
+// their modules, so asking for videos brings the modules too.
+function parseInclude(value) {
+  const include = listParam(value);
+  const unknown = include.find(item => !INCLUDES.includes(item));
+  if (unknown) {
+    return { error: `include must be one or more of: ${INCLUDES.join(', ')}` };
+  }
+  return { include: { modules: include.length > 0, videos: include.includes('videos') } };
+}
+
+// Cursors are opaque to clients: base64url JSON of the sort they were made
+// for and the sort value and ID of the last row returned
+function encodeCursor(sort, order, value, id) {
+  return Buffer.from(JSON.stringify({ s: sort, o: order, v: value, i: id })).toString('base64url');
+}
+
+// Resolves to { cursor } or { error }; an empty cursor starts at the top
+function decodeCursor(value, sort, order) {
+  if (value === '') {
+    return { cursor: null };
+  }
+  let cursor;
+  try {
+    cursor = JSON.parse(Buffer.from(String(value), 'base64url').toString('utf8'));
+  } catch (err) {
+    return { error: 'Invalid cursor' };
+  }
+  if (!cursor || !Number.isInteger(cursor.i) || (cursor.v !== null && typeof cursor.v !== 'string')) {
+    return { error: 'Invalid cursor' };
+  }
+  if (cursor.s !== sort || cursor.o !== order) {
+    return { error: 'Cursor was made for a different sort; start again without it' };
+  }
+  return { cursor };
+}
+
+// Filter selecting the rows after the cursor under ORDER BY column, id in the
+// given direction. Postgres sorts NULLs first when descending and last when
+// ascending, so they are handled on their own.
+function cursorFilter(column, order, cursor) {
+  const col = `t.${column}`;
+  if (order === 'DESC') {
+    return cursor.v === null
+      ? { key: 'cursor', sql: `((${col} IS NULL AND t.id < ?) OR ${col} IS NOT NULL)`, values: [cursor.i] }
+      : { key: 'cursor', sql: `(${col} < ? OR (${col} = ? AND t.id < ?))`, values: [cursor.v, cursor.v, cursor.i] };
+  }
+  return cursor.v === null
+    ? { key: 'cursor', sql: `(${col} IS NULL AND t.id > ?)`, values: [cursor.i] }
+    : { key: 'cursor', sql: `(${col} > ? OR (${col} = ? AND t.id > ?) OR ${col} IS NULL)`, values: [cursor.v, cursor.v, cursor.i] };
+}
+
+module.exports = {
+  LIST_FIELDS,
+  parseFilters,
+  buildWhere,
+  getFacets,
+  parseFields,
+  selectColumns,
+  parseInclude,
+  encodeCursor,
+  decodeCursor,
+  cursorFilter
+};
@@ -0,0 +1,299 @@
+// Columns a revision snapshots; view counts, timestamps and the search vector
+// are not content and stay out
+const TOPIC_COLUMNS = [
+  'title', 'description', 'content', 'slug', 'category_id', 'subcategory_id',
+  'difficulty', 'status', 'is_featured', 'is_free', 'price', 'duration_minutes',
+  'thumbnail_url', 'tags', 'meta_title', 'meta_description', 'meta_keywords', 'author_id',
+  'emoji', 'learning_objectives', 'target_audience', 'prerequisites'
+];
+const MODULE_COLUMNS = ['id', 'title', 'description', 'order_index', 'is_active', 'duration_minutes'];
+const VIDEO_COLUMNS = [
+  'id', 'module_id', 'title', 'description', 'video_url', 'video_type', 'thumbnail_url',
+  'duration_seconds', 'order_index', 'is_active', 'is_preview', 'transcript', 'resources'
+];
+const JSON_COLUMNS = ['tags', 'target_audience', 'resources'];
+
+const REVISION_COLUMNS = `r.id, r.topic_id, r.revision_number, r.action, r.created_by, r.created_at,
+  r.snapshot->'topic'->>'title' AS title,
+  jsonb_array_length(r.snapshot->'modules') AS module_count,
+  (SELECT COUNT(*) FROM jsonb_array_elements(r.snapshot->'modules') m, jsonb_array_elements(m->'videos')) AS video_count,
+  u.name AS created_by_name, u.email AS created_by_email,
+  rr.topic_id AS restored_from_topic_id, rr.revision_number AS restored_from_revision_number`;
+
+const REVISION_JOINS = `LEFT JOIN users u ON u.id = r.created_by
+  LEFT JOIN topic_revisions rr ON rr.id = r.restored_from_revision_id`;
+
+function formatRevision(row) {
+  const revision = {
+    id: row.id,
+    topicId: row.topic_id,
+    revisionNumber: row.revision_number,
+    action: row.action,
+    title: row.title,
+    moduleCount: parseInt(row.module_count),
+    videoCount: parseInt(row.video_count),
+    createdBy: row.created_by ? { id: row.created_by, name: row.created_by_name, email: row.created_by_email } : null,
+    restoredFrom: row.restored_from_topic_id
+      ? { topicId: row.restored_from_topic_id, revisionNumber: row.restored_from_revision_number }
+      : null,
+    createdAt: row.created_at?.toISOString()
+  };
+  if (row.snapshot) {
+    revision.snapshot = row.snapshot;
+  }
+  return revision;
+}
+
+function pick(row, columns) {
+  return Object.fromEntries(columns.map(column => [column, row[column] === undefined ? null : row[column]]));
+}
+
+// Current state of a topic tree, or null when the topic does not exist
+async function getSnapshot(db, topicId) {
+  const topicResult = await db.query('SELECT * FROM topics WHERE id = $1', [topicId]);
+  if (topicResult.rows.length === 0) {
+    return null;
+  }
+  const modulesResult = await db.query(
+    'SELECT * FROM topic_modules WHERE topic_id = $1 ORDER BY order_index, id',
+    [topicId]
+  );
+  const videosResult = await db.query(
+    'SELECT * FROM topic_videos WHERE topic_id = $1 ORDER BY order_index, id',
+    [topicId]
+  );
+  // Round-trip through JSON so numerics and dates match what is stored
+  return JSON.parse(JSON.stringify({
+    topic: pick(topicResult.rows[0], TOPIC_COLUMNS),
+    modules: modulesResult.rows.map(module => ({
+      ...pick(module, MODULE_COLUMNS),
+      videos: videosResult.rows
+        .filter(video => video.module_id === module.id)
+        .map(video => pick(video, VIDEO_COLUMNS))
+    }))
+  }));
+}
+
+// Snapshot the topic as its next revision, using a client inside the
+// transaction that made the change, so a save and its revision commit or
+// roll back together. Saves that changed nothing, and baselines for topics
+// that already have history, add no revision. A baseline records a topic
+// saved before revisions existed, so add it before changing the topic.
+// Resolves to the revision or null.
+async function addRevision(client, topicId, { action, createdBy = null, restoredFromRevisionId = null }) {
+  const locked = await client.query('SELECT id FROM topics WHERE id = $1 FOR UPDATE', [topicId]);
+  if (locked.rows.length === 0) {
+    return null;
+  }
+  const snapshot = await getSnapshot(client, topicId);
+  const latest = await client.query(
+    `SELECT revision_number, snapshot = $2::jsonb AS unchanged
+     FROM topic_revisions WHERE topic_id = $1
+     ORDER BY revision_number DESC LIMIT 1`,
+    [topicId, JSON.stringify(snapshot)]
+  );
+  const previous = latest.rows[0];
+  if (previous && (action === 'baseline' || (previous.unchanged && action === 'update'))) {
+    return null;
+  }
+
+  const inserted = await client.query(
+    `INSERT INTO topic_revisions (topic_id, revision_number, action, snapshot, created_by, restored_from_revision_id)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING id`,
+    [topicId, previous ? previous.revision_number + 1 : 1, action, JSON.stringify(snapshot), createdBy, restoredFromRevisionId]
+  );
+  const result = await client.query(
+    `SELECT ${REVISION_COLUMNS} FROM topic_revisions r ${REVISION_JOINS} WHERE r.id = $1`,
+    [inserted.rows[0].id]
+  );
+  return formatRevision(result.rows[0]);
+}
+
+// Run `write(client)` in a transaction that also records the topic's
+// revisions: a baseline first if the topic has no history, then an update
+// once the write is done. For writes to a topic's modules, videos or status
+// that are not already in a transaction. Resolves to what `write` resolves to.
+async function saveWithRevision(db, topicId, createdBy, write) {
+  const client = await db.connect();
+  try {
+    await client.query('BEGIN');
+    await addRevision(client, topicId, { action: 'baseline' });
+    const result = await write(client);
+    await addRevision(client, topicId, { action: 'update', createdBy });
+    await client.query('COMMIT');
+    return result;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// Newest first. Resolves to { revisions, total }.
+async function listRevisions(db, topicId, { page = 1, limit = 20 } = {}) {
+  const countResult = await db.query('SELECT COUNT(*) FROM topic_revisions WHERE topic_id = $1', [topicId]);
+  const result = await db.query(
+    `SELECT ${REVISION_COLUMNS} FROM topic_revisions r ${REVISION_JOINS}
+     WHERE r.topic_id = $1
+     ORDER BY r.revision_number DESC
+     LIMIT $2 OFFSET $3`,
+    [topicId, limit, (page - 1) * limit]
+  );
+  return { revisions: result.rows.map(formatRevision), total: parseInt(countResult.rows[0].count) };
+}
+
+// A revision with its snapshot; the latest one when revisionNumber is omitted
+async function getRevision(db, topicId, revisionNumber) {
+  const result = await db.query(
+    `SELECT ${REVISION_COLUMNS}, r.snapshot FROM topic_revisions r ${REVISION_JOINS}
+     WHERE r.topic_id = $1 ${revisionNumber ? 'AND r.revision_number = $2' : ''}
+     ORDER BY r.revision_number DESC LIMIT 1`,
+    revisionNumber ? [topicId, revisionNumber] : [topicId]
+  );
+  return result.rows[0] ? formatRevision(result.rows[0]) : null;
+}
+
+// { field: { from, to } } for the fields that differ, or null
+function diffFields(before, after, ignored = []) {
+  const changes = {};
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+  for (const key of keys) {
+    if (ignored.includes(key)) {
+      continue;
+    }
+    const from = before[key] === undefined ? null : before[key];
+    const to = after[key] === undefined ? null : after[key];
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[key] = { from, to };
+    }
+  }
+  return Object.keys(changes).length ? changes : null;
+}
+
+// Items matched by id: { added, removed, changed }. `describe` adds nested
+// differences to a changed item, or returns null when there are none.
+function diffItems(before, after, describe) {
+  const beforeById = new Map(before.map(item => [item.id, item]));
+  const afterIds = new Set(after.map(item => item.id));
+  const changed = [];
+  for (const item of after) {
+    const previous = beforeById.get(item.id);
+    const change = previous && describe(previous, item);
+    if (change) {
+      changed.push({ id: item.id, title: item.title, ...change });
+    }
+  }
+  return {
+    added: after.filter(item => !beforeById.has(item.id)),
+    removed: before.filter(item => !afterIds.has(item.id)),
+    changed
+  };
+}
+
+function isEmptyItemDiff(itemDiff) {
+  return !itemDiff.added.length && !itemDiff.removed.length && !itemDiff.changed.length;
+}
+
+// Field-level differences between two snapshots of the same topic
+function diffSnapshots(from, to) {
+  const describeVideo = (before, after) => {
+    const changes = diffFields(before, after, ['id']);
+    return changes ? { changes } : null;
+  };
+  const describeModule = (before, after) => {
+    const changes = diffFields(before, after, ['id', 'videos']);
+    const videos = diffItems(before.videos || [], after.videos || [], describeVideo);
+    if (!changes && isEmptyItemDiff(videos)) {
+      return null;
+    }
+    return { changes, videos };
+  };
+  const modules = diffItems(from.modules, to.modules, describeModule);
+  const topic = diffFields(from.topic, to.topic);
+  return {
+    identical: !topic && isEmptyItemDiff(modules),
+    topic,
+    modules
+  };
+}
+
+// Copy a revision into a new draft topic, leaving the topic it came from
+// untouched. The draft gets its own slug, is not featured, and starts its
+// history with a restore revision. Resolves to { topic, revision, source }
+// (source being the revision restored) or { status, error }.
+async function restoreAsDraft(db, topicId, revisionNumber, createdBy = null) {
+  const source = await getRevision(db, topicId, revisionNumber);
+  if (!source) {
+    return { status: 404, error: 'Revision not found' };
+  }
+  const { topic, modules } = source.snapshot;
+
+  const client = await db.connect();
+  try {
+    await client.query('BEGIN');
+
+    const baseSlug = `${topic.slug}-draft`;
+    let slug = baseSlug;
+    let counter = 2;
+    while ((await client.query('SELECT id FROM topics WHERE slug = $1', [slug])).rows.length > 0) {
+      slug = `${baseSlug}-${counter}`;
+      counter++;
+    }
+
+    const values = { ...topic, slug, status: 'draft', is_featured: false };
+    const topicResult = await client.query(
+      `INSERT INTO topics (${TOPIC_COLUMNS.join(', ')})
+       VALUES (${TOPIC_COLUMNS.map((column, index) => `$${index + 1}`).join(', ')})
+       RETURNING *`,
+      TOPIC_COLUMNS.map(column => (JSON_COLUMNS.includes(column) ? JSON.stringify(values[column] || []) : values[column]))
+    );
+    const draft = topicResult.rows[0];
+
+    const moduleColumns = MODULE_COLUMNS.filter(column => column !== 'id');
+    const videoColumns = VIDEO_COLUMNS.filter(column => column !== 'id' && column !== 'module_id');
+    for (const module of modules) {
+      const moduleResult = await client.query(
+        `INSERT INTO topic_modules (topic_id, ${moduleColumns.join(', ')})
+         VALUES ($1, ${moduleColumns.map((column, index) => `$${index + 2}`).join(', ')})
+         RETURNING id`,
+        [draft.id, ...moduleColumns.map(column => module[column])]
+      );
+      for (const video of module.videos || []) {
+        await client.query(
+          `INSERT INTO topic_videos (topic_id, module_id, ${videoColumns.join(', ')})
+           VALUES ($1, $2, ${videoColumns.map((column, index) => `$${index + 3}`).join(', ')})`,
+          [
+            draft.id,
+            moduleResult.rows[0].id,
+            ...videoColumns.map(column => (JSON_COLUMNS.includes(column) ? JSON.stringify(video[column] || []) : video[column]))
+          ]
+        );
+      }
+    }
+
+    const revision = await addRevision(client, draft.id, {
+      action: 'restore',
+      createdBy,
+      restoredFromRevisionId: source.id
+    });
+    await client.query('COMMIT');
+    return { topic: draft, revision, source };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  getSnapshot,
+  addRevision,
+  saveWithRevision,
+  listRevisions,
+  getRevision,
+  diffSnapshots,
+  restoreAsDraft
+};
@@ -0,0 +1,160 @@
+// Text search configuration; must match the one topics.search_vector is built
+// with in migration_topic_search.sql
+const SEARCH_CONFIG = 'english';
+
+// Markers ts_headline puts around matched words. The snippet is HTML-escaped
+// afterwards, so these are the only tags in it.
+const HIGHLIGHT_MARKERS = 'StartSel=<mark>, StopSel=</mark>';
+const SNIPPET_OPTIONS = `${HIGHLIGHT_MARKERS}, MaxWords=35, MinWords=15, MaxFragments=2, FragmentDelimiter=" … "`;
+
+const DIFFICULTIES = ['beginner', 'intermediate', 'advanced'];
+
+// Most-used tags reported in the tag facet
+const TAG_FACET_SIZE = 20;
+
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Escape a ts_headline result, keeping its <mark> highlights
+function safeHighlight(text) {
+  if (!text) {
+    return text;
+  }
+  return escapeHtml(text)
+    .replace(/&lt;mark&gt;/g, '<mark>')
+    .replace(/&lt;\/mark&gt;/g, '</mark>');
+}
+
+function formatResult(row) {
+  return {
+    id: row.id,
+    title: row.title,
+    description: row.description,
+    slug: row.slug,
+    categoryId: row.category_id,
+    categoryName: row.category_name,
+    subcategoryId: row.subcategory_id,
+    subcategoryName: row.subcategory_name,
+    difficulty: row.difficulty,
+    isFeatured: row.is_featured,
+    isFree: row.is_free,
+    price: parseFloat(row.price || 0),
+    durationMinutes: row.duration_minutes,
+    thumbnailUrl: row.thumbnail_url,
+    tags: row.tags || [],
+    viewCount: row.view_count,
+    enrollmentCount: row.enrollment_count,
+    createdAt: row.created_at?.toISOString(),
+    rank: Number(row.rank),
+    highlights: {
+      title: safeHighlight(row.title_highlight),
+      snippet: safeHighlight(row.snippet)
+    }
+  };
+}
+
+function formatFacets(rows) {
+  const facets = { categories: [], difficulty: [], price: { free: 0, paid: 0 }, tags: [] };
+  for (const row of rows) {
+    const count = parseInt(row.count);
+    if (row.facet === 'category') {
+      facets.categories.push({ id: row.value === null ? null : parseInt(row.value), name: row.label, count });
+    } else if (row.facet === 'difficulty') {
+      facets.difficulty.push({ value: row.value, count });
+    } else if (row.facet === 'price') {
+      facets.price[row.value === 'true' ? 'free' : 'paid'] = count;
+    } else if (row.facet === 'tag') {
+      facets.tags.push({ value: row.value, count });
+    }
+  }
+  return facets;
+}
+
+// Full-text search over published topics, best match first. `q` uses web
+// search syntax: quoted phrases, OR, and -word to exclude. The category,
+// difficulty, free and tag filters narrow the results; facet counts cover
+// every topic matching `q`, so clients can show what each filter would give.
+// Resolves to { topics, total, facets }.
+async function searchTopics(db, { q, category, difficulty, free, tag, page = 1, limit = 10 }) {
+  const params = [SEARCH_CONFIG, q];
+  const matches = `
+    SELECT t.id, t.category_id, t.difficulty, t.is_free, t.tags, ts_rank(t.search_vector, query, 1) AS rank
+    FROM topics t, websearch_to_tsquery($1::regconfig, $2) query
+    WHERE t.status = 'published' AND t.search_vector @@ query`;
+
+  const conditions = [];
+  const add = (sql, value) => {
+    params.push(value);
+    conditions.push(sql.replace('?', `$${params.length}`));
+  };
+  if (category) add('m.category_id = ?', category);
+  if (difficulty) add('m.difficulty = ?', difficulty);
+  if (free !== undefined) add('m.is_free = ?', free);
+  if (tag) add('m.tags @> jsonb_build_array(?::text)', tag);
+  const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const countResult = await db.query(
+    `WITH matches AS (${matches}) SELECT COUNT(*) FROM matches m ${where}`,
+    params
+  );
+
+  // Headlines are costly, so they are only built for the page being returned
+  const result = await db.query(
+    `WITH matches AS (${matches}),
+     page AS (
+       SELECT m.id, m.rank FROM matches m
+       JOIN topics t ON t.id = m.id
+       ${where}
+       ORDER BY m.rank DESC, t.view_count DESC, t.id
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+     )
+     SELECT t.*, c.name AS category_name, sc.name AS subcategory_name, page.rank,
+       ts_headline($1::regconfig, t.title, websearch_to_tsquery($1::regconfig, $2),
+         '${HIGHLIGHT_MARKERS}, HighlightAll=true') AS title_highlight,
+       ts_headline($1::regconfig,
+         regexp_replace(regexp_replace(concat_ws(' ', t.description, t.content), '<[^>]*>', ' ', 'g'), '\\s+', ' ', 'g'),
+         websearch_to_tsquery($1::regconfig, $2), '${SNIPPET_OPTIONS}') AS snippet
+     FROM page
+     JOIN topics t ON t.id = page.id
+     LEFT JOIN category c ON t.category_id = c.id
+     LEFT JOIN subcategory sc ON t.subcategory_id = sc.id
+     ORDER BY page.rank DESC, t.view_count DESC, t.id`,
+    [...params, limit, (page - 1) * limit]
+  );
+
+  const facetResult = await db.query(
+    `WITH matches AS (${matches})
+     SELECT 'category' AS facet, m.category_id::text AS value, c.name AS label, COUNT(*) AS count
+     FROM matches m LEFT JOIN category c ON c.id = m.category_id
+     GROUP BY m.category_id, c.name
+     UNION ALL
+     SELECT 'difficulty', difficulty, NULL, COUNT(*) FROM matches GROUP BY difficulty
+     UNION ALL
+     SELECT 'price', is_free::text, NULL, COUNT(*) FROM matches GROUP BY is_free
+     UNION ALL
+     (SELECT 'tag', tag, NULL, COUNT(*)
+      FROM matches, jsonb_array_elements_text(CASE WHEN jsonb_typeof(tags) = 'array' THEN tags ELSE '[]'::jsonb END) AS tag
+      GROUP BY tag
+      ORDER BY COUNT(*) DESC, tag
+      LIMIT ${TAG_FACET_SIZE})
+     ORDER BY facet, count DESC, value`,
+    [SEARCH_CONFIG, q]
+  );
+
+  return {
+    topics: result.rows.map(formatResult),
+    total: parseInt(countResult.rows[0].count),
+    facets: formatFacets(facetResult.rows)
+  };
+}
+
+module.exports = {
+  DIFFICULTIES,
+  searchTopics
+};
@@ -0,0 +1,273 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const {
+  JWT_SECRET,
+  TOTP_ISSUER,
+  TOTP_STEP_SECONDS,
+  TOTP_DIGITS,
+  TOTP_WINDOW,
+  TOTP_ENCRYPTION_KEY,
+  TOTP_REQUIRED_ROLES,
+  RECOVERY_CODE_COUNT,
+  MFA_CHALLENGE_EXPIRES_IN
+} = require('../config/auth');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const CHALLENGE_PURPOSE = 'mfa_challenge';
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+function base32Decode(input) {
+  const clean = input.replace(/=+$/, '').replace(/\s/g, '').toUpperCase();
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+// HOTP (RFC 4226) for a counter; TOTP uses the time step as the counter
+function generateCode(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % Math.pow(10, TOTP_DIGITS)).padStart(TOTP_DIGITS, '0');
+}
+
+function currentStep() {
+  return Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS);
+}
+
+// Return the time step the code matches within the drift window, or null
+function matchStep(secret, code) {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d+$/.test(normalized) || normalized.length !== TOTP_DIGITS) {
+    return null;
+  }
+  const now = currentStep();
+  for (let offset = -TOTP_WINDOW; offset <= TOTP_WINDOW; offset++) {
+    const expected = generateCode(secret, now + offset);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return now + offset;
+    }
+  }
+  return null;
+}
+
+// otpauth:// URI understood by authenticator apps; render it as a QR code
+function buildOtpauthUrl(secret, accountName) {
+  const label = encodeURIComponent(`${TOTP_ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: TOTP_ISSUER,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+// Secrets are encrypted at rest with AES-256-GCM ("iv.tag.ciphertext", base64)
+function encryptionKey() {
+  return crypto.createHash('sha256').update(TOTP_ENCRYPTION_KEY).digest();
+}
+
+function encryptSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64')).join('.');
+}
+
+function decryptSecret(stored) {
+  const [iv, tag, ciphertext] = stored.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+}
+
+function hashRecoveryCode(code) {
+  const normalized = String(code).replace(/[\s-]/g, '').toLowerCase();
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+// Whether the role must have two-factor authentication enabled
+function isRequiredForRole(role) {
+  return TOTP_REQUIRED_ROLES.includes(role);
+}
+
+async function getStatus(db, userId) {
+  const result = await db.query('SELECT enabled_at FROM user_totp WHERE user_id = $1', [userId]);
+  const codes = await db.query(
+    'SELECT COUNT(*) FROM user_recovery_codes WHERE user_id = $1 AND used_at IS NULL',
+    [userId]
+  );
+  const enabledAt = result.rows.length ? result.rows[0].enabled_at : null;
+  return {
+    enabled: Boolean(enabledAt),
+    enabledAt,
+    pendingSetup: result.rows.length > 0 && !enabledAt,
+    recoveryCodesRemaining: enabledAt ? parseInt(codes.rows[0].count) : 0
+  };
+}
+
+async function isEnabled(db, userId) {
+  const result = await db.query(
+    'SELECT 1 FROM user_totp WHERE user_id = $1 AND enabled_at IS NOT NULL',
+    [userId]
+  );
+  return result.rows.length > 0;
+}
+
+// Generate a new secret for a user who has not finished enrolling.
+// Returns null when two-factor authentication is already enabled.
+async function beginEnrollment(db, user) {
+  const secret = base32Encode(crypto.randomBytes(20));
+  const result = await db.query(
+    `INSERT INTO user_totp (user_id, secret_encrypted) VALUES ($1, $2)
+     ON CONFLICT (user_id) DO UPDATE SET secret_encrypted = EXCLUDED.secret_encrypted, last_used_step = NULL
+     WHERE user_totp.enabled_at IS NULL
+     RETURNING user_id`,
+    [user.id, encryptSecret(secret)]
+  );
+  if (result.rows.length === 0) {
+    return null;
+  }
+  return { secret, otpauthUrl: buildOtpauthUrl(secret, user.email) };
+}
+
+// Check a code against the user's secret, refusing codes from a time step
+// that was already used so an observed code cannot be replayed
+async function verifyCode(db, userId, code, { pending = false } = {}) {
+  const result = await db.query(
+    `SELECT secret_encrypted FROM user_totp
+     WHERE user_id = $1 AND enabled_at IS ${pending ? '' : 'NOT '}NULL`,
+    [userId]
+  );
+  if (result.rows.length === 0) {
+    return false;
+  }
+
+  const step = matchStep(decryptSecret(result.rows[0].secret_encrypted), code);
+  if (step === null) {
+    return false;
+  }
+
+  const update = await db.query(
+    `UPDATE user_totp SET last_used_step = $2
+     WHERE user_id = $1 AND (last_used_step IS NULL OR last_used_step < $2)`,
+    [userId, step]
+  );
+  return update.rowCount > 0;
+}
+
+// Replace the user's recovery codes; returns the new plain codes (shown once)
+async function regenerateRecoveryCodes(db, userId) {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  await db.query('DELETE FROM user_recovery_codes WHERE user_id = $1', [userId]);
+  for (const code of codes) {
+    await db.query(
+      'INSERT INTO user_recovery_codes (user_id, code_hash) VALUES ($1, $2)',
+      [userId, hashRecoveryCode(code)]
+    );
+  }
+  return codes;
+}
+
+// Confirm enrollment with a first code from the app. Returns the recovery
+// codes, or null if the code is wrong or there is no pending enrollment.
+async function confirmEnrollment(db, userId, code) {
+  if (!(await verifyCode(db, userId, code, { pending: true }))) {
+    return null;
+  }
+  await db.query('UPDATE user_totp SET enabled_at = CURRENT_TIMESTAMP WHERE user_id = $1', [userId]);
+  return regenerateRecoveryCodes(db, userId);
+}
+
+// Spend a recovery code; each one works once
+async function useRecoveryCode(db, userId, code) {
+  const result = await db.query(
+    `UPDATE user_recovery_codes SET used_at = CURRENT_TIMESTAMP
+     WHERE id = (
+       SELECT id FROM user_recovery_codes
+       WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+       LIMIT 1
+     )
+     RETURNING id`,
+    [userId, hashRecoveryCode(code)]
+  );
+  return result.rows.length > 0;
+}
+
+async function disable(db, userId) {
+  await db.query('DELETE FROM user_recovery_codes WHERE user_id = $1', [userId]);
+  const result = await db.query('DELETE FROM user_totp WHERE user_id = $1', [userId]);
+  return result.rowCount > 0;
+}
+
+// Short-lived token proving the first login step succeeded
+function issueChallenge(user) {
+  return jwt.sign(
+    { userId: user.id, purpose: CHALLENGE_PURPOSE },
+    JWT_SECRET,
+    { expiresIn: MFA_CHALLENGE_EXPIRES_IN }
+  );
+}
+
+// Resolve a challenge token to its user id, or null if invalid/expired
+function verifyChallenge(token) {
+  try {
+    const payload = jwt.verify(token, JWT_SECRET);
+    return payload.purpose === CHALLENGE_PURPOSE ? payload.userId : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+module.exports = {
+  generateCode,
+  isRequiredForRole,
+  getStatus,
+  isEnabled,
+  beginEnrollment,
+  verifyCode,
+  confirmEnrollment,
+  regenerateRecoveryCodes,
+  useRecoveryCode,
+  disable,
+  issueChallenge,
+  verifyChallenge
+};
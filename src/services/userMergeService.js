@@ -0,0 +1,199 @@
+const userService = require('./userService');
+const sessionService = require('./sessionService');
+
+// Mailbox an address delivers to: lowercased, without a "+tag", and for Gmail
+// without dots (Gmail ignores them). Active accounts sharing a mailbox are
+// probably the same person.
+const MAILBOX_SQL = `CASE
+  WHEN split_part(normalized, '@', 2) IN ('gmail.com', 'googlemail.com')
+    THEN replace(split_part(split_part(normalized, '@', 1), '+', 1), '.', '') || '@gmail.com'
+  ELSE split_part(split_part(normalized, '@', 1), '+', 1) || '@' || split_part(normalized, '@', 2)
+END`;
+
+// Per-user counts shown next to each duplicate, to help pick the account to keep
+async function getActivity(db, userIds) {
+  const result = await db.query(
+    `SELECT u.id,
+       (SELECT COUNT(*) FROM topic_enrollments e WHERE e.user_id = u.id) AS enrollments,
+       (SELECT COUNT(*) FROM topic_progress p WHERE p.user_id = u.id) AS progress,
+       (SELECT COUNT(*) FROM topic_reviews r WHERE r.user_id = u.id) AS reviews,
+       (SELECT COUNT(*) FROM uploads f WHERE f.metadata->>'userId' = u.id::text) AS uploads,
+       (SELECT MAX(l.created_at) FROM login_events l WHERE l.user_id = u.id AND l.success) AS last_login_at
+     FROM users u WHERE u.id = ANY($1)`,
+    [userIds]
+  );
+  return new Map(result.rows.map(row => [row.id, {
+    enrollments: parseInt(row.enrollments),
+    progress: parseInt(row.progress),
+    reviews: parseInt(row.reviews),
+    uploads: parseInt(row.uploads),
+    lastLoginAt: row.last_login_at
+  }]));
+}
+
+// Groups of active accounts that share a mailbox. `match` is "email" when the
+// addresses differ only in case or whitespace, "mailbox" when they differ by
+// a +tag or Gmail dots. Resolves to { groups, total }.
+async function findDuplicates(db, { page = 1, limit = 20 } = {}) {
+  const grouped = `
+    SELECT mailbox, array_agg(id ORDER BY id) AS user_ids, COUNT(DISTINCT normalized) = 1 AS same_email
+    FROM (
+      SELECT id, normalized, ${MAILBOX_SQL} AS mailbox
+      FROM (SELECT id, LOWER(TRIM(email)) AS normalized FROM users WHERE deleted_at IS NULL) active
+    ) keyed
+    GROUP BY mailbox
+    HAVING COUNT(*) > 1`;
+
+  const countResult = await db.query(`SELECT COUNT(*) FROM (${grouped}) duplicates`);
+  const result = await db.query(
+    `${grouped}
+     ORDER BY mailbox
+     LIMIT $1 OFFSET $2`,
+    [limit, (page - 1) * limit]
+  );
+
+  const userIds = result.rows.flatMap(row => row.user_ids);
+  const users = new Map();
+  if (userIds.length) {
+    const activity = await getActivity(db, userIds);
+    for (const id of userIds) {
+      users.set(id, { ...await userService.getUser(db, id), activity: activity.get(id) });
+    }
+  }
+
+  return {
+    groups: result.rows.map(row => ({
+      mailbox: row.mailbox,
+      match: row.same_email ? 'email' : 'mailbox',
+      users: row.user_ids.map(id => users.get(id))
+    })),
+    total: parseInt(countResult.rows[0].count)
+  };
+}
+
+// Move the duplicate's learning data and uploads to the survivor, then soft
+// delete the duplicate and end its sessions. Where both accounts have a record
+// for the same topic or video, the survivor's record is kept with the further
+// progress of the two. Resolves to { user, duplicate, moved } or
+// { status, error }.
+async function mergeUsers(db, survivorId, duplicateId, mergedBy) {
+  if (String(survivorId) === String(duplicateId)) {
+    return { status: 400, error: 'Cannot merge an account into itself' };
+  }
+
+  const client = await db.connect();
+  let moved;
+  let duplicateUserId;
+  try {
+    await client.query('BEGIN');
+
+    const lock = await client.query(
+      'SELECT id, role, deleted_at FROM users WHERE id = ANY($1) ORDER BY id FOR UPDATE',
+      [[survivorId, duplicateId]]
+    );
+    const survivor = lock.rows.find(row => String(row.id) === String(survivorId));
+    const duplicate = lock.rows.find(row => String(row.id) === String(duplicateId));
+    if (!survivor || survivor.deleted_at) {
+      await client.query('ROLLBACK');
+      return { status: 404, error: 'User not found' };
+    }
+    if (!duplicate || duplicate.deleted_at) {
+      await client.query('ROLLBACK');
+      return { status: 404, error: 'Duplicate user not found or already deleted' };
+    }
+    if (duplicate.role === 'admin' && survivor.role !== 'admin') {
+      const admins = await client.query("SELECT COUNT(*) FROM users WHERE role = 'admin' AND deleted_at IS NULL");
+      if (parseInt(admins.rows[0].count) <= 1) {
+        await client.query('ROLLBACK');
+        return { status: 409, error: 'Cannot merge away the last admin' };
+      }
+    }
+    const params = [survivor.id, duplicate.id];
+
+    // Enrollments: fold shared topics into the survivor's enrollment
+    await client.query(
+      `UPDATE topic_enrollments s SET
+         enrolled_at = LEAST(s.enrolled_at, d.enrolled_at),
+         completed_at = COALESCE(s.completed_at, d.completed_at),
+         progress_percentage = GREATEST(s.progress_percentage, d.progress_percentage),
+         last_accessed_at = GREATEST(s.last_accessed_at, d.last_accessed_at),
+         status = CASE WHEN 'completed' IN (s.status, d.status) THEN 'completed' ELSE s.status END
+       FROM topic_enrollments d
+       WHERE s.user_id = $1 AND d.user_id = $2 AND d.topic_id = s.topic_id`,
+      params
+    );
+    await client.query(
+      `DELETE FROM topic_enrollments d USING topic_enrollments s
+       WHERE d.user_id = $2 AND s.user_id = $1 AND s.topic_id = d.topic_id`,
+      params
+    );
+    const enrollments = await client.query('UPDATE topic_enrollments SET user_id = $1 WHERE user_id = $2', params);
+
+    // Video progress: same approach, keyed by topic, module and video
+    const sameVideo = `s.topic_id IS NOT DISTINCT FROM d.topic_id AND s.module_id IS NOT DISTINCT FROM d.module_id
+       AND s.video_id IS NOT DISTINCT FROM d.video_id`;
+    await client.query(
+      `UPDATE topic_progress s SET
+         is_completed = s.is_completed OR d.is_completed,
+         watch_time_seconds = GREATEST(s.watch_time_seconds, d.watch_time_seconds),
+         completed_at = COALESCE(s.completed_at, d.completed_at)
+       FROM topic_progress d
+       WHERE s.user_id = $1 AND d.user_id = $2 AND ${sameVideo}`,
+      params
+    );
+    await client.query(
+      `DELETE FROM topic_progress d USING topic_progress s
+       WHERE d.user_id = $2 AND s.user_id = $1 AND ${sameVideo}`,
+      params
+    );
+    const progress = await client.query('UPDATE topic_progress SET user_id = $1 WHERE user_id = $2', params);
+
+    // Reviews: one per topic, the survivor's wins
+    await client.query(
+      `DELETE FROM topic_reviews d USING topic_reviews s
+       WHERE d.user_id = $2 AND s.user_id = $1 AND s.topic_id = d.topic_id`,
+      params
+    );
+    const reviews = await client.query('UPDATE topic_reviews SET user_id = $1 WHERE user_id = $2', params);
+
+    const uploads = await client.query(
+      `UPDATE uploads SET metadata = jsonb_set(metadata, '{userId}', to_jsonb($1::int))
+       WHERE metadata->>'userId' = $2::text`,
+      params
+    );
+    const topics = await client.query('UPDATE topics SET author_id = $1 WHERE author_id = $2', params);
+
+    await client.query(
+      `UPDATE users SET deleted_at = CURRENT_TIMESTAMP, deleted_by = $3, merged_into = $1, merged_at = CURRENT_TIMESTAMP
+       WHERE id = $2`,
+      [...params, mergedBy || null]
+    );
+
+    await client.query('COMMIT');
+    duplicateUserId = duplicate.id;
+    moved = {
+      enrollments: enrollments.rowCount,
+      progress: progress.rowCount,
+      reviews: reviews.rowCount,
+      uploads: uploads.rowCount,
+      topics: topics.rowCount
+    };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  await sessionService.revokeAllSessions(db, duplicateUserId, 'user_merged');
+  return {
+    user: await userService.getUser(db, survivorId),
+    duplicate: await userService.getUser(db, duplicateUserId),
+    moved
+  };
+}
+
+module.exports = {
+  findDuplicates,
+  mergeUsers
+};
@@ -0,0 +1,200 @@
+const sessionService = require('./sessionService');
+
+// Columns admins can see; never SELECT * into an API response
+const USER_COLUMNS = `id, email, name, phone, address, role, is_verified, organization_id, timezone,
+  preferred_language, max_sessions, approval_status, approved_at, approved_by, created_at, updated_at,
+  deleted_at, deleted_by, merged_into, merged_at`;
+
+const SORT_COLUMNS = {
+  createdAt: 'created_at',
+  email: 'email',
+  name: 'name',
+  role: 'role'
+};
+
+// "pending" lists active accounts waiting for signup approval
+const STATUSES = ['active', 'pending', 'deleted', 'all'];
+
+function formatUser(row) {
+  return {
+    id: row.id,
+    email: row.email,
+    name: row.name,
+    phone: row.phone,
+    address: row.address,
+    role: row.role,
+    isVerified: row.is_verified,
+    organizationId: row.organization_id,
+    timezone: row.timezone,
+    preferredLanguage: row.preferred_language,
+    maxSessions: row.max_sessions,
+    approvalStatus: row.approval_status,
+    approvedAt: row.approved_at,
+    approvedBy: row.approved_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    deletedAt: row.deleted_at,
+    deletedBy: row.deleted_by,
+    mergedInto: row.merged_into,
+    mergedAt: row.merged_at
+  };
+}
+
+// Canonical form of an email address for storage and lookups. Addresses are
+// compared case-insensitively everywhere, so they are stored lowercased.
+function normalizeEmail(email) {
+  return typeof email === 'string' ? email.trim().toLowerCase() : '';
+}
+
+// Full users row for an address, for the auth flows. When old case-variant
+// duplicates exist the active, oldest account wins.
+async function findUserByEmail(db, email) {
+  const result = await db.query(
+    `SELECT * FROM users WHERE LOWER(email) = $1
+     ORDER BY deleted_at IS NOT NULL, id
+     LIMIT 1`,
+    [normalizeEmail(email)]
+  );
+  return result.rows[0] || null;
+}
+
+// Paginated user search. Resolves to { users, total }.
+async function listUsers(db, { search, role, verified, status = 'active', sort = 'createdAt', order = 'desc', page = 1, limit = 20 }) {
+  const conditions = [];
+  const params = [];
+
+  if (status === 'active') {
+    conditions.push('deleted_at IS NULL');
+  } else if (status === 'pending') {
+    conditions.push("deleted_at IS NULL AND approval_status = 'pending'");
+  } else if (status === 'deleted') {
+    conditions.push('deleted_at IS NOT NULL');
+  }
+  if (search) {
+    params.push(`%${search}%`);
+    conditions.push(`(email ILIKE $${params.length} OR name ILIKE $${params.length})`);
+  }
+  if (role) {
+    params.push(role);
+    conditions.push(`role = $${params.length}`);
+  }
+  if (verified !== undefined) {
+    params.push(verified);
+    conditions.push(`is_verified = $${params.length}`);
+  }
+
+  const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+  const sortColumn = SORT_COLUMNS[sort] || SORT_COLUMNS.createdAt;
+  const sortOrder = order === 'asc' ? 'ASC' : 'DESC';
+  const offset = (page - 1) * limit;
+
+  const countResult = await db.query(`SELECT COUNT(*) FROM users ${where}`, params);
+  const total = parseInt(countResult.rows[0].count);
+  const result = await db.query(
+    `SELECT ${USER_COLUMNS} FROM users ${where}
+     ORDER BY ${sortColumn} ${sortOrder}, id ${sortOrder}
+     LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+    [...params, limit, offset]
+  );
+  return { users: result.rows.map(formatUser), total };
+}
+
+async function getUser(db, id) {
+  const result = await db.query(`SELECT ${USER_COLUMNS} FROM users WHERE id = $1`, [id]);
+  return result.rows[0] ? formatUser(result.rows[0]) : null;
+}
+
+// Insert a user from already-validated columns
+async function createUser(db, values) {
+  const columns = Object.keys(values);
+  const result = await db.query(
+    `INSERT INTO users (${columns.join(', ')})
+     VALUES (${columns.map((column, index) => `$${index + 1}`).join(', ')})
+     RETURNING ${USER_COLUMNS}`,
+    columns.map(column => values[column])
+  );
+  return formatUser(result.rows[0]);
+}
+
+// Update already-validated columns. Resolves to the user, or null if missing.
+async function updateUser(db, id, changes) {
+  const columns = Object.keys(changes);
+  const result = await db.query(
+    `UPDATE users SET ${columns.map((column, index) => `${column} = $${index + 2}`).join(', ')}
+     WHERE id = $1
+     RETURNING ${USER_COLUMNS}`,
+    [id, ...columns.map(column => changes[column])]
+  );
+  return result.rows[0] ? formatUser(result.rows[0]) : null;
+}
+
+async function countActiveAdmins(db) {
+  const result = await db.query("SELECT COUNT(*) FROM users WHERE role = 'admin' AND deleted_at IS NULL");
+  return parseInt(result.rows[0].count);
+}
+
+// Change a user's role, refusing to demote the last active admin.
+// Resolves to { user } or { status, error }.
+async function setRole(db, id, role) {
+  const existing = await getUser(db, id);
+  if (!existing) {
+    return { status: 404, error: 'User not found' };
+  }
+  if (existing.role === 'admin' && role !== 'admin' && !existing.deletedAt && await countActiveAdmins(db) <= 1) {
+    return { status: 409, error: 'Cannot remove the last admin' };
+  }
+  return { user: await updateUser(db, id, { role }) };
+}
+
+// Hide the user and end their sessions; they cannot log in until restored.
+// Resolves to { user } or { status, error }.
+async function softDeleteUser(db, id, deletedBy) {
+  const existing = await getUser(db, id);
+  if (!existing || existing.deletedAt) {
+    return { status: 404, error: 'User not found or already deleted' };
+  }
+  if (existing.role === 'admin' && await countActiveAdmins(db) <= 1) {
+    return { status: 409, error: 'Cannot delete the last admin' };
+  }
+  const user = await updateUser(db, id, { deleted_at: new Date(), deleted_by: deletedBy || null });
+  await sessionService.revokeAllSessions(db, id, 'user_deleted');
+  return { user };
+}
+
+async function restoreUser(db, id) {
+  const result = await db.query(
+    `UPDATE users SET deleted_at = NULL, deleted_by = NULL
+     WHERE id = $1 AND deleted_at IS NOT NULL
+     RETURNING ${USER_COLUMNS}`,
+    [id]
+  );
+  return result.rows[0] ? formatUser(result.rows[0]) : null;
+}
+
+// Let a pending signup sign in. Resolves to the user, or null when the user
+// does not exist or is not pending.
+async function approveUser(db, id, approvedBy) {
+  const result = await db.query(
+    `UPDATE users SET approval_status = 'approved', approved_at = CURRENT_TIMESTAMP, approved_by = $2
+     WHERE id = $1 AND approval_status = 'pending' AND deleted_at IS NULL
+     RETURNING ${USER_COLUMNS}`,
+    [id, approvedBy || null]
+  );
+  return result.rows[0] ? formatUser(result.rows[0]) : null;
+}
+
+module.exports = {
+  SORT_COLUMNS,
+  STATUSES,
+  normalizeEmail,
+  formatUser,
+  listUsers,
+  getUser,
+  findUserByEmail,
+  createUser,
+  updateUser,
+  setRole,
+  softDeleteUser,
+  restoreUser,
+  approveUser
+};
@@ -0,0 +1,243 @@
+const {
+  generateRegistrationOptions,
+  verifyRegistrationResponse,
+  generateAuthenticationOptions,
+  verifyAuthenticationResponse
+} = require('@simplewebauthn/server');
+const {
+  WEBAUTHN_RP_NAME,
+  WEBAUTHN_RP_ID,
+  WEBAUTHN_ORIGINS,
+  WEBAUTHN_CHALLENGE_TTL_MINUTES
+} = require('../config/auth');
+const { normalizeEmail } = require('./userService');
+
+function challengeExpiry() {
+  return new Date(Date.now() + WEBAUTHN_CHALLENGE_TTL_MINUTES * 60 * 1000);
+}
+
+async function saveChallenge(db, challenge, purpose, userId) {
+  // Opportunistically clear out challenges that were never answered
+  await db.query('DELETE FROM webauthn_challenges WHERE expires_at < $1', [new Date()]);
+  await db.query(
+    'INSERT INTO webauthn_challenges (challenge, user_id, purpose, expires_at) VALUES ($1, $2, $3, $4)',
+    [challenge, userId || null, purpose, challengeExpiry()]
+  );
+}
+
+// Read the challenge the browser signed out of clientDataJSON
+function challengeFromResponse(response) {
+  try {
+    const clientData = JSON.parse(Buffer.from(response.response.clientDataJSON, 'base64url').toString('utf8'));
+    return typeof clientData.challenge === 'string' ? clientData.challenge : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+// Delete the challenge so it can only be answered once. Returns the row, or
+// null if it is unknown, expired or meant for another ceremony.
+async function consumeChallenge(db, response, purpose) {
+  const challenge = challengeFromResponse(response);
+  if (!challenge) {
+    return null;
+  }
+  const result = await db.query(
+    `DELETE FROM webauthn_challenges
+     WHERE challenge = $1 AND purpose = $2 AND expires_at > $3
+     RETURNING challenge, user_id`,
+    [challenge, purpose, new Date()]
+  );
+  return result.rows[0] || null;
+}
+
+function toCredentialDescriptor(row) {
+  return { id: row.id, transports: row.transports || undefined };
+}
+
+// Options for navigator.credentials.create() to add a passkey to the account
+async function generateRegistration(db, user) {
+  const existing = await db.query('SELECT id, transports FROM user_credentials WHERE user_id = $1', [user.id]);
+
+  const options = await generateRegistrationOptions({
+    rpName: WEBAUTHN_RP_NAME,
+    rpID: WEBAUTHN_RP_ID,
+    userID: Buffer.from(String(user.id)),
+    userName: user.email,
+    userDisplayName: user.name || user.email,
+    attestationType: 'none',
+    // Don't register the same authenticator twice
+    excludeCredentials: existing.rows.map(toCredentialDescriptor),
+    authenticatorSelection: {
+      residentKey: 'preferred',
+      // Sign-in requires user verification (it counts as MFA), so an
+      // authenticator that cannot do it must not be registered
+      userVerification: 'required'
+    }
+  });
+
+  await saveChallenge(db, options.challenge, 'registration', user.id);
+  return options;
+}
+
+// Verify the browser's attestation and store the new credential.
+// Resolves to { credential } or { error }.
+async function verifyRegistration(db, user, response, name) {
+  const challenge = await consumeChallenge(db, response, 'registration');
+  if (!challenge || challenge.user_id !== user.id) {
+    return { error: 'Registration challenge expired or not found' };
+  }
+
+  let verification;
+  try {
+    verification = await verifyRegistrationResponse({
+      response,
+      expectedChallenge: challenge.challenge,
+      expectedOrigin: WEBAUTHN_ORIGINS,
+      expectedRPID: WEBAUTHN_RP_ID,
+      requireUserVerification: true
+    });
+  } catch (err) {
+    return { error: err.message };
+  }
+  if (!verification.verified) {
+    return { error: 'Passkey could not be verified' };
+  }
+
+  const { credential, credentialDeviceType, credentialBackedUp } = verification.registrationInfo;
+  const result = await db.query(
+    `INSERT INTO user_credentials (id, user_id, public_key, counter, transports, device_type, backed_up, name)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     ON CONFLICT (id) DO NOTHING
+     RETURNING id, name, device_type, backed_up, transports, created_at, last_used_at`,
+    [
+      credential.id,
+      user.id,
+      Buffer.from(credential.publicKey),
+      credential.counter,
+      credential.transports || null,
+      credentialDeviceType,
+      credentialBackedUp,
+      name || null
+    ]
+  );
+  if (result.rows.length === 0) {
+    return { error: 'This passkey is already registered' };
+  }
+  return { credential: result.rows[0] };
+}
+
+// Options for navigator.credentials.get(). With an email the browser is
+// limited to that user's passkeys; without one it offers any discoverable
+// passkey for this site.
+async function generateAuthentication(db, email) {
+  let allowCredentials;
+  let userId = null;
+
+  if (email) {
+    const result = await db.query(
+      `SELECT c.id, c.transports, c.user_id FROM user_credentials c
+       JOIN users u ON u.id = c.user_id
+       WHERE LOWER(u.email) = $1 AND u.deleted_at IS NULL`,
+      [normalizeEmail(email)]
+    );
+    // An unknown email just yields an empty list, which browsers treat the
+    // same as a discoverable-credential request
+    allowCredentials = result.rows.map(toCredentialDescriptor);
+    userId = result.rows.length ? result.rows[0].user_id : null;
+  }
+
+  const options = await generateAuthenticationOptions({
+    rpID: WEBAUTHN_RP_ID,
+    allowCredentials,
+    userVerification: 'required'
+  });
+
+  await saveChallenge(db, options.challenge, 'authentication', userId);
+  return options;
+}
+
+// Verify a passkey assertion. Resolves to { user } or { error }.
+async function verifyAuthentication(db, response) {
+  const challenge = await consumeChallenge(db, response, 'authentication');
+  if (!challenge) {
+    return { error: 'Login challenge expired or not found' };
+  }
+
+  const credentialResult = await db.query('SELECT * FROM user_credentials WHERE id = $1', [response.id]);
+  if (credentialResult.rows.length === 0) {
+    return { error: 'Unknown passkey' };
+  }
+  const stored = credentialResult.rows[0];
+  if (challenge.user_id && challenge.user_id !== stored.user_id) {
+    return { error: 'Passkey does not belong to this account' };
+  }
+
+  let verification;
+  try {
+    verification = await verifyAuthenticationResponse({
+      response,
+      expectedChallenge: challenge.challenge,
+      expectedOrigin: WEBAUTHN_ORIGINS,
+      expectedRPID: WEBAUTHN_RP_ID,
+      credential: {
+        id: stored.id,
+        publicKey: new Uint8Array(stored.public_key),
+        counter: Number(stored.counter),
+        transports: stored.transports || undefined
+      },
+      requireUserVerification: true
+    });
+  } catch (err) {
+    return { error: err.message };
+  }
+  if (!verification.verified) {
+    return { error: 'Passkey could not be verified' };
+  }
+
+  const { newCounter, credentialBackedUp } = verification.authenticationInfo;
+  await db.query(
+    `UPDATE user_credentials SET counter = $2, backed_up = $3, last_used_at = CURRENT_TIMESTAMP
+     WHERE id = $1`,
+    [stored.id, newCounter, credentialBackedUp]
+  );
+
+  const userResult = await db.query('SELECT * FROM users WHERE id = $1', [stored.user_id]);
+  return { user: userResult.rows[0] };
+}
+
+async function listCredentials(db, userId) {
+  const result = await db.query(
+    `SELECT id, name, device_type, backed_up, transports, created_at, last_used_at
+     FROM user_credentials WHERE user_id = $1 ORDER BY created_at`,
+    [userId]
+  );
+  return result.rows;
+}
+
+async function renameCredential(db, userId, credentialId, name) {
+  const result = await db.query(
+    `UPDATE user_credentials SET name = $3 WHERE id = $1 AND user_id = $2
+     RETURNING id, name, device_type, backed_up, transports, created_at, last_used_at`,
+    [credentialId, userId, name]
+  );
+  return result.rows[0] || null;
+}
+
+async function deleteCredential(db, userId, credentialId) {
+  const result = await db.query(
+    'DELETE FROM user_credentials WHERE id = $1 AND user_id = $2',
+    [credentialId, userId]
+  );
+  return result.rowCount > 0;
+}
+
+module.exports = {
+  generateRegistration,
+  verifyRegistration,
+  generateAuthentication,
+  verifyAuthentication,
+  listCredentials,
+  renameCredential,
+  deleteCredential
+};
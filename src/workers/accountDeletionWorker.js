@@ -0,0 +1,43 @@
+const privacyService = require('../services/privacyService');
+const { DELETION_POLL_INTERVAL_MS } = require('../config/privacy');
+
+let timer = null;
+
+// Erase accounts whose deletion grace period has ended until stop() is called.
+// Set ACCOUNT_DELETION_WORKER=false to run the API without the worker.
+function start(pool, intervalMs = DELETION_POLL_INTERVAL_MS) {
+  if (timer || process.env.ACCOUNT_DELETION_WORKER === 'false') {
+    return;
+  }
+
+  const tick = async () => {
+    try {
+      const erased = await privacyService.processDueDeletions(pool);
+      if (erased > 0) {
+        console.log(`Account deletion: erased ${erased} account(s)`);
+      }
+    } catch (err) {
+      console.error('Account deletion worker error:', err);
+    }
+    if (timer) {
+      timer = setTimeout(tick, intervalMs);
+      timer.unref();
+    }
+  };
+
+  timer = setTimeout(tick, intervalMs);
+  timer.unref();
+  console.log(`Account deletion worker started (every ${intervalMs}ms)`);
+}
+
+function stop() {
+  if (timer) {
+    clearTimeout(timer);
+    timer = null;
+  }
+}
+
+module.exports = {
+  start,
+  stop
+};
@@ -0,0 +1,47 @@
+const emailOutboxService = require('../services/emailOutboxService');
+const { OUTBOX_POLL_INTERVAL_MS, OUTBOX_BATCH_SIZE } = require('../config/email');
+
+let timer = null;
+
+// Poll the outbox and deliver due messages until stop() is called.
+// Set EMAIL_OUTBOX_WORKER=false to run the API without the worker.
+function start(pool, intervalMs = OUTBOX_POLL_INTERVAL_MS) {
+  if (timer || process.env.EMAIL_OUTBOX_WORKER === 'false') {
+    return;
+  }
+
+  const tick = async () => {
+    try {
+      let summary;
+      // Keep going while full batches come back so a backlog drains quickly
+      do {
+        summary = await emailOutboxService.processOutbox(pool);
+        if (summary.processed > 0) {
+          console.log('Email outbox:', summary);
+        }
+      } while (timer && summary.processed === OUTBOX_BATCH_SIZE);
+    } catch (err) {
+      console.error('Email outbox worker error:', err);
+    }
+    if (timer) {
+      timer = setTimeout(tick, intervalMs);
+      timer.unref();
+    }
+  };
+
+  timer = setTimeout(tick, intervalMs);
+  timer.unref();
+  console.log(`Email outbox worker started (every ${intervalMs}ms)`);
+}
+
+function stop() {
+  if (timer) {
+    clearTimeout(timer);
+    timer = null;
+  }
+}
+
+module.exports = {
+  start,
+  stop
+};